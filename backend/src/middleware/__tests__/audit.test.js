@@ -0,0 +1,86 @@
+jest.mock('../../utils/dynamodb', () => ({
+  auditOperations: {
+    recordEntry: jest.fn(async () => true),
+  },
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { auditOperations } = require('../../utils/dynamodb');
+const { audit } = require('../audit');
+const { createApp, silenceErrorLog, product } = require('../../../test/helpers');
+
+const router = express.Router();
+
+router.put('/:id', audit('product.update', {
+  before: async () => product(),
+  skip: req => req.query.dryRun === 'true',
+}), (req, res) => {
+  if (req.body.fail) {
+    return res.status(409).json({ message: 'Conflict' });
+  }
+  
+  res.json(product(req.body));
+});
+
+router.post('/', audit('product.create', {
+  resourceId: (req, body) => body.product.productId,
+  after: (req, body) => body.product,
+}), (req, res) => {
+  res.status(201).json({ product: { productId: 'new', notes: 'x'.repeat(200 * 1024) } });
+});
+
+const app = createApp('/api/products', router);
+
+silenceErrorLog();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('audit', () => {
+  it('records the actor, the change and the request once the route succeeds', async () => {
+    await request(app).put('/api/products/cola').set('X-Role', 'admin').set('User-Agent', 'till-3').send({ price: 1.75 });
+    
+    expect(auditOperations.recordEntry).toHaveBeenCalledWith({
+      actorId: 'cashier-1',
+      actorRole: 'admin',
+      action: 'product.update',
+      resourceType: 'product',
+      resourceId: 'cola',
+      before: product(),
+      after: product({ price: 1.75 }),
+      request: {
+        method: 'PUT',
+        path: '/api/products/cola',
+        ip: expect.any(String),
+        userAgent: 'till-3',
+        statusCode: 200,
+      },
+    });
+  });
+  
+  it('records nothing for failed requests and requests that change nothing', async () => {
+    await request(app).put('/api/products/cola').send({ fail: true });
+    await request(app).put('/api/products/cola').query({ dryRun: 'true' }).send({});
+    
+    expect(auditOperations.recordEntry).not.toHaveBeenCalled();
+  });
+  
+  it('takes the resource from the response, marking snapshots too large to keep', async () => {
+    await request(app).post('/api/products').send({});
+    
+    const [entry] = auditOperations.recordEntry.mock.calls[0];
+    expect(entry.resourceId).toBe('new');
+    expect(entry.before).toBeUndefined();
+    expect(entry.after).toEqual({ truncated: true, size: expect.any(Number) });
+  });
+  
+  it('answers the request even when the entry cannot be recorded', async () => {
+    auditOperations.recordEntry.mockRejectedValueOnce(new Error('throttled'));
+    
+    const response = await request(app).put('/api/products/cola').send({ price: 2 });
+    
+    expect(response.status).toBe(200);
+  });
+});
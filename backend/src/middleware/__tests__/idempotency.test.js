@@ -0,0 +1,214 @@
+jest.mock('../../utils/dynamodb', () => {
+  // Keys kept in memory, with the conditions the table applies
+  const keys = new Map();
+  const now = () => Math.floor(Date.now() / 1000);
+  const holds = (idempotency) => {
+    const existing = keys.get(idempotency.key);
+    return existing && existing.status === 'in_progress' && existing.lockToken === idempotency.lockToken;
+  };
+  
+  return {
+    keys,
+    idempotencyOperations: {
+      getKey: jest.fn(async key => keys.get(key)),
+      lockKey: jest.fn(async (idempotency, expiresAt, lockedUntil) => {
+        const existing = keys.get(idempotency.key);
+        
+        if (existing && existing.expiresAt >= now()
+          && !(existing.status === 'in_progress' && existing.lockedUntil < now())) {
+          return false;
+        }
+        
+        const { key, requestHash, lockToken } = idempotency;
+        keys.set(key, { status: 'in_progress', requestHash, lockToken, expiresAt, lockedUntil });
+        return true;
+      }),
+      completeKey: jest.fn(async (idempotency, statusCode, response) => {
+        if (!holds(idempotency)) {
+          return false;
+        }
+        
+        keys.set(idempotency.key, { ...keys.get(idempotency.key), status: 'completed', statusCode, response });
+        return true;
+      }),
+      releaseKey: jest.fn(async (idempotency) => {
+        if (!holds(idempotency)) {
+          return false;
+        }
+        
+        keys.delete(idempotency.key);
+        return true;
+      }),
+    },
+  };
+});
+
+const express = require('express');
+const request = require('supertest');
+const { keys, idempotencyOperations } = require('../../utils/dynamodb');
+const { idempotent, hashPayload } = require('../idempotency');
+const { createApp } = require('../../../test/helpers');
+
+// Let the key settle, which happens after the response is sent
+const settled = () => new Promise(resolve => setImmediate(resolve));
+
+let sales;
+let handler;
+
+const router = express.Router();
+router.post('/', idempotent({ fallbackKey: req => req.body.clientId, ignoreFields: ['note'] }), (req, res) => handler(req, res));
+const app = createApp('/sales', router);
+
+const sell = (body, key = 'k1') => request(app).post('/sales').set('Idempotency-Key', key).send(body);
+
+beforeEach(() => {
+  keys.clear();
+  jest.clearAllMocks();
+  sales = 0;
+  handler = (req, res) => {
+    sales += 1;
+    res.status(201).json({ saleId: `sale-${sales}`, total: req.body.total });
+  };
+});
+
+describe('idempotent', () => {
+  it('replays the original response to a retry with the same key and payload', async () => {
+    const first = await sell({ total: 10 });
+    await settled();
+    const retry = await sell({ total: 10 });
+    
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(sales).toBe(1);
+  });
+  
+  it('answers 422 to the same key with a different payload', async () => {
+    await sell({ total: 10 });
+    await settled();
+    const retry = await sell({ total: 11 });
+    
+    expect(retry.status).toBe(422);
+    expect(retry.body.message).toBe('Idempotency key was already used with a different request');
+    expect(sales).toBe(1);
+  });
+  
+  it('compares payloads regardless of key order and ignored fields', async () => {
+    expect(hashPayload({ a: 1, b: { c: 2, d: 3 } })).toBe(hashPayload({ b: { d: 3, c: 2 }, a: 1 }));
+    expect(hashPayload({ a: 1 })).not.toBe(hashPayload({ a: '1' }));
+    
+    await sell({ total: 10, note: 'first' });
+    await settled();
+    const retry = await sell({ note: 'again', total: 10 });
+    
+    expect(retry.status).toBe(201);
+    expect(sales).toBe(1);
+  });
+  
+  it('falls back to a key taken from the request', async () => {
+    await request(app).post('/sales').send({ clientId: 'c1', total: 10 });
+    await settled();
+    const replayed = await request(app).post('/sales').send({ clientId: 'c1', total: 10 });
+    const invalid = await request(app).post('/sales').send({ clientId: 42, total: 10 });
+    
+    expect(replayed.headers['idempotent-replayed']).toBe('true');
+    expect(invalid.status).toBe(400);
+    expect(sales).toBe(1);
+  });
+  
+  it('answers 409 while a request with the key is still in flight', async () => {
+    let finish;
+    handler = (req, res) => {
+      sales += 1;
+      finish = () => res.status(201).json({ saleId: 'slow' });
+    };
+    
+    const slow = sell({ total: 10 }).then(response => response);
+    while (!finish) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    const retry = await sell({ total: 10 });
+    finish();
+    
+    expect(retry.status).toBe(409);
+    expect((await slow).status).toBe(201);
+    expect(sales).toBe(1);
+  });
+  
+  it('keeps a request whose lock lapsed from completing the key a retry took over', async () => {
+    let finish;
+    handler = (req, res) => {
+      sales += 1;
+      
+      if (sales === 1) {
+        finish = () => res.status(201).json({ saleId: 'slow' });
+      } else {
+        res.status(201).json({ saleId: 'retry' });
+      }
+    };
+    
+    const slow = sell({ total: 10 }).then(response => response);
+    while (!finish) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    keys.get('cashier-1:k1').lockedUntil = 0;
+    await sell({ total: 10 });
+    await settled();
+    finish();
+    await slow;
+    await settled();
+    
+    expect(keys.get('cashier-1:k1')).toMatchObject({ status: 'completed', response: { saleId: 'retry' } });
+    expect(idempotencyOperations.completeKey).toHaveBeenCalledTimes(2);
+  });
+  
+  it('releases the key after a failed response, so a retry runs again', async () => {
+    handler = (req, res) => {
+      sales += 1;
+      res.status(sales === 1 ? 503 : 201).json({ attempt: sales });
+    };
+    
+    const failed = await sell({ total: 10 });
+    await settled();
+    const retry = await sell({ total: 10 });
+    
+    expect(failed.status).toBe(503);
+    expect(retry.body).toEqual({ attempt: 2 });
+  });
+  
+  it('scopes keys to the user', async () => {
+    await sell({ total: 10 });
+    await settled();
+    const other = await request(app).post('/sales').set('Idempotency-Key', 'k1').set('X-User', 'cashier-2').send({ total: 10 });
+    
+    expect(other.body.saleId).toBe('sale-2');
+  });
+  
+  it('leaves the key to a route that completes it with its own writes', async () => {
+    handler = (req, res) => {
+      req.idempotency.completed = true;
+      res.status(201).json({ saleId: 'atomic' });
+    };
+    
+    await sell({ total: 10 });
+    await settled();
+    
+    expect(idempotencyOperations.completeKey).not.toHaveBeenCalled();
+  });
+  
+  it('runs requests without a key as they are', async () => {
+    await request(app).post('/sales').send({ total: 10 });
+    await request(app).post('/sales').send({ total: 10 });
+    
+    expect(sales).toBe(2);
+    expect(idempotencyOperations.lockKey).not.toHaveBeenCalled();
+  });
+  
+  it('refuses overlong keys', async () => {
+    const response = await sell({ total: 10 }, 'k'.repeat(256));
+    
+    expect(response.status).toBe(400);
+    expect(sales).toBe(0);
+  });
+});
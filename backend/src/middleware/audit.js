@@ -0,0 +1,92 @@
+const { auditOperations } = require('../utils/dynamodb');
+
+// Snapshots larger than this are left out, as an entry must fit in a DynamoDB item
+const MAX_SNAPSHOT_BYTES = 100 * 1024;
+
+/**
+ * Prepare a snapshot for storage: plain JSON, or a marker when it is too large
+ * @param {*} value - Resource state
+ * @returns {*} Snapshot, undefined if there is nothing to record
+ */
+function toSnapshot(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  
+  const json = JSON.stringify(value);
+  const size = Buffer.byteLength(json);
+  
+  return size > MAX_SNAPSHOT_BYTES ? { truncated: true, size } : JSON.parse(json);
+}
+
+/**
+ * Audit log middleware
+ *
+ * Records who did what to which resource once the route answers with a
+ * success, with the resource's state before (loaded before the route runs)
+ * and after (the response, unless the route says otherwise). Failed requests
+ * change nothing and are not recorded. A failure to record is logged rather
+ * than failing a change that has already been made.
+ * @param {string} action - Action, e.g. product.update
+ * @param {Object} [options] - Middleware options
+ * @param {string} [options.resourceType] - Kind of resource, defaults to the action's prefix
+ * @param {Function} [options.resourceId] - Derives the resource ID from the request and response body
+ * @param {Function} [options.before] - Loads the resource's state before the change
+ * @param {Function} [options.after] - Derives the state after the change from the request and response body
+ * @param {Function} [options.skip] - True for requests that change nothing, such as a dry run
+ * @returns {Function} Express middleware
+ */
+function audit(action, options = {}) {
+  const resourceType = options.resourceType || action.split('.')[0];
+  const resourceId = options.resourceId || (req => req.params.id);
+  
+  return async function(req, res, next) {
+    if (options.skip && options.skip(req)) {
+      return next();
+    }
+    
+    try {
+      const before = options.before ? toSnapshot(await options.before(req)) : undefined;
+      
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          try {
+            const after = options.after ? options.after(req, body) : body;
+            
+            auditOperations.recordEntry({
+              actorId: req.user.sub,
+              actorRole: req.user['custom:role'],
+              actorName: req.user['cognito:username'] || req.user.username,
+              action,
+              resourceType,
+              resourceId: resourceId(req, body),
+              before,
+              after: toSnapshot(after),
+              ...(req.approver && req.approver.sub !== req.user.sub && { approver: req.approver }),
+              request: {
+                method: req.method,
+                path: req.originalUrl,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                statusCode: res.statusCode,
+              },
+            }).catch(error => console.error(`Error recording audit entry for ${action}:`, error));
+          } catch (error) {
+            console.error(`Error recording audit entry for ${action}:`, error);
+          }
+        }
+        
+        return json(body);
+      };
+      
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  audit,
+};
@@ -1,31 +1,35 @@
 const jwt = require('jsonwebtoken');
-const jwksClient = require('jwks-rsa');
-const AWS = require('aws-sdk');
+const { roleOperations } = require('../utils/dynamodb');
+const { identityProvider } = require('../utils/identity');
+const { buildRoleMapping, resolvePermissions } = require('../utils/permissions');
 
-// Get AWS region and Cognito user pool ID from environment variables
-const region = process.env.AWS_REGION || 'us-east-1';
-const userPoolId = process.env.COGNITO_USER_POOL_ID;
+// How long the role mapping is held before it is read again
+const ROLES_CACHE_SECONDS = parseInt(process.env.ROLES_CACHE_SECONDS, 10) || 60;
 
-// Initialize JWKS client
-const client = jwksClient({
-  jwksUri: `https://cognito-idp.${region}.amazonaws.com/${userPoolId}/.well-known/jwks.json`
-});
+// Role mapping as last read, with when it expires
+let roleCache = null;
 
 /**
- * Get signing key from JWKS
- * @param {string} kid - Key ID
- * @returns {Promise<Object>} Signing key
+ * Verify a JWT issued by the identity provider
+ * @param {string} token - Encoded JWT
+ * @returns {Promise<Object>} Verified token claims
  */
-function getSigningKey(kid) {
-  return new Promise((resolve, reject) => {
-    client.getSigningKey(kid, (err, key) => {
-      if (err) {
-        return reject(err);
-      }
-      
-      const signingKey = key.publicKey || key.rsaPublicKey;
-      resolve(signingKey);
-    });
+async function verifyToken(token) {
+  // Decode token to get key ID (kid)
+  const decodedToken = jwt.decode(token, { complete: true });
+  
+  if (!decodedToken) {
+    const error = new Error('Invalid token');
+    error.name = 'JsonWebTokenError';
+    throw error;
+  }
+  
+  // Get signing key
+  const signingKey = await identityProvider.getSigningKey(decodedToken.header.kid);
+  
+  // Verify token
+  return jwt.verify(token, signingKey, {
+    algorithms: ['RS256'],
   });
 }
 
@@ -53,23 +57,8 @@ async function authenticate(req, res, next) {
     
     const token = parts[1];
     
-    // Decode token to get key ID (kid)
-    const decodedToken = jwt.decode(token, { complete: true });
-    
-    if (!decodedToken) {
-      return res.status(401).json({ message: 'Invalid token' });
-    }
-    
-    // Get signing key
-    const signingKey = await getSigningKey(decodedToken.header.kid);
-    
-    // Verify token
-    const verifiedToken = jwt.verify(token, signingKey, {
-      algorithms: ['RS256'],
-    });
-    
     // Add user to request
-    req.user = verifiedToken;
+    req.user = await verifyToken(token);
     
     next();
   } catch (error) {
@@ -88,53 +77,144 @@ async function authenticate(req, res, next) {
 }
 
 /**
- * Require specific role middleware
- * @param {string} requiredRole - Required role
+ * Role mapping, edited roles over the built-in ones
+ *
+ * The mapping is held for ROLES_CACHE_SECONDS, so an edit made through
+ * another server takes up to that long to apply here.
+ * @returns {Promise<Object>} Roles keyed by name
+ */
+async function getRoleMapping() {
+  if (!roleCache || roleCache.expiresAt <= Date.now()) {
+    const roles = buildRoleMapping(await roleOperations.getAllRoles());
+    roleCache = { roles, expiresAt: Date.now() + ROLES_CACHE_SECONDS * 1000 };
+  }
+  
+  return roleCache.roles;
+}
+
+/**
+ * Forget the held role mapping, after a role is edited
+ */
+function clearRoleCache() {
+  roleCache = null;
+}
+
+/**
+ * Effective permissions of a role
+ * @param {string} role - Role
+ * @returns {Promise<Array<string>>} Permissions, own and inherited
+ */
+async function permissionsForRole(role) {
+  return role ? resolvePermissions(await getRoleMapping(), role) : [];
+}
+
+/**
+ * Require a permission middleware
+ *
+ * The user's effective permissions are added to the request as
+ * `req.permissions`, for routes that allow more to some users.
+ * @param {string} permission - Required permission
  * @returns {Function} Express middleware
  */
-function requireRole(requiredRole) {
-  return function(req, res, next) {
+function requirePermission(permission) {
+  return async function(req, res, next) {
     // Ensure authenticate middleware has run
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required' });
     }
     
-    // Check if user has the required role
-    const userRole = req.user['custom:role'];
-    
-    if (!userRole || userRole !== requiredRole) {
-      return res.status(403).json({ message: 'Insufficient permissions' });
+    try {
+      req.permissions = await permissionsForRole(req.user['custom:role']);
+      
+      if (!req.permissions.includes(permission)) {
+        return res.status(403).json({ message: 'Insufficient permissions' });
+      }
+      
+      next();
+    } catch (error) {
+      next(error);
     }
-    
-    next();
   };
 }
 
 /**
- * Require any of the specified roles middleware
- * @param {Array<string>} roles - Array of allowed roles
+ * Require approval from a user holding a permission middleware
+ *
+ * A user with the permission is approved directly. Anyone else must supply a
+ * `managerOverride` of `{ username, password }` in the request body, which is
+ * checked with the identity provider. The approver is added to the request as
+ * `req.approver`.
+ * @param {string} permission - Permission an approver needs
  * @returns {Function} Express middleware
  */
-function requireAnyRole(roles) {
-  return function(req, res, next) {
+function requireApproval(permission) {
+  return async function(req, res, next) {
     // Ensure authenticate middleware has run
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required' });
     }
     
-    // Check if user has any of the required roles
-    const userRole = req.user['custom:role'];
-    
-    if (!userRole || !roles.includes(userRole)) {
-      return res.status(403).json({ message: 'Insufficient permissions' });
+    try {
+      const userRole = req.user['custom:role'];
+      req.permissions = await permissionsForRole(userRole);
+      
+      if (req.permissions.includes(permission)) {
+        req.approver = {
+          sub: req.user.sub,
+          username: req.user['cognito:username'] || req.user.username,
+          role: userRole,
+          method: 'direct',
+        };
+        return next();
+      }
+      
+      const override = req.body && req.body.managerOverride;
+      
+      if (!override || !override.username || !override.password) {
+        return res.status(403).json({ message: 'Manager approval required' });
+      }
+      
+      const { tokens, challenge } = await identityProvider.signIn(override.username, override.password);
+      
+      // e.g. a new password is required, which the approver must choose by signing in themselves
+      if (challenge) {
+        return res.status(403).json({ message: 'Override user must finish signing in before approving' });
+      }
+      
+      // The ID token carries the custom attributes, including the role
+      const approver = await verifyToken(tokens.idToken);
+      const approverRole = approver['custom:role'];
+      
+      if (!(await permissionsForRole(approverRole)).includes(permission)) {
+        return res.status(403).json({ message: 'Override user is not allowed to approve this action' });
+      }
+      
+      req.approver = {
+        sub: approver.sub,
+        username: approver['cognito:username'] || override.username,
+        role: approverRole,
+        method: 'override',
+      };
+      
+      next();
+    } catch (error) {
+      console.error('Manager override error:', error);
+      
+      if (error.statusCode === 401) {
+        return res.status(403).json({ message: 'Invalid manager override credentials' });
+      }
+      
+      next(error);
     }
-    
-    next();
   };
 }
 
 module.exports = {
   authenticate,
-  requireRole,
-  requireAnyRole,
+  verifyToken,
+  getRoleMapping,
+  clearRoleCache,
+  permissionsForRole,
+  requirePermission,
+  requireApproval,
 };
\ No newline at end of file
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { idempotencyOperations } = require('../utils/dynamodb');
+
+// How long a key is remembered, and how long an unfinished request holds it
+const IDEMPOTENCY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const IDEMPOTENCY_LOCK_SECONDS = 60;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with object keys sorted, so equal payloads hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a request payload
+ * @param {Object} payload - Request body
+ * @returns {string} SHA-256 hex digest
+ */
+function hashPayload(payload) {
+  return crypto.createHash('sha256').update(canonicalJson(payload || {})).digest('hex');
+}
+
+/**
+ * Answer with the response stored against an idempotency key
+ * @param {Object} res - Express response
+ * @param {Object} record - Status code and response body to replay
+ * @returns {Object} Express response
+ */
+function replayResponse(res, record) {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.statusCode).json(record.response);
+}
+
+/**
+ * Idempotency-Key header middleware
+ *
+ * A request with a key that already succeeded gets the original response
+ * replayed. The same key with a different payload gets a 422, and a key still
+ * held by a request in flight gets a 409. Keys are scoped to the user. Routes
+ * can complete the key themselves, atomically with their own writes, by
+ * setting `req.idempotency.completed`; otherwise successful responses are
+ * stored here and failed ones release the key for a retry. Each request locks
+ * the key with its own token, so one whose lock lapsed and was taken over by
+ * a retry can neither complete nor release it.
+ * @param {Object} [options] - Middleware options
+ * @param {Function} [options.fallbackKey] - Derives a key from the request when the header is missing
+ * @param {Array<string>} [options.ignoreFields] - Body fields left out when comparing payloads
+ * @returns {Function} Express middleware
+ */
+function idempotent(options = {}) {
+  return async function(req, res, next) {
+    const key = req.get('Idempotency-Key') || (options.fallbackKey && options.fallbackKey(req));
+    
+    if (!key) {
+      return next();
+    }
+    
+    if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ message: `Idempotency key must be a string of at most ${MAX_KEY_LENGTH} characters` });
+    }
+    
+    try {
+      const now = Math.floor(Date.now() / 1000);
+      const payload = { ...req.body };
+      (options.ignoreFields || []).forEach((field) => {
+        delete payload[field];
+      });
+      
+      const idempotency = {
+        key: `${req.user.sub}:${key}`,
+        requestHash: hashPayload(payload),
+        lockToken: crypto.randomUUID(),
+      };
+      
+      const existing = await idempotencyOperations.getKey(idempotency.key);
+      
+      // Expired keys are treated as new, TTL deletion can lag behind
+      if (existing && existing.expiresAt >= now) {
+        if (existing.requestHash !== idempotency.requestHash) {
+          return res.status(422).json({ message: 'Idempotency key was already used with a different request' });
+        }
+        
+        if (existing.status === 'completed') {
+          return replayResponse(res, existing);
+        }
+        
+        if (existing.lockedUntil >= now) {
+          return res.status(409).json({ message: 'A request with this idempotency key is still being processed' });
+        }
+      }
+      
+      const locked = await idempotencyOperations.lockKey(
+        idempotency,
+        now + Math.round(IDEMPOTENCY_TTL_HOURS * 3600),
+        now + IDEMPOTENCY_LOCK_SECONDS
+      );
+      
+      if (!locked) {
+        return res.status(409).json({ message: 'A request with this idempotency key is still being processed' });
+      }
+      
+      req.idempotency = idempotency;
+      
+      // Settle the key once the route has answered
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const settle = res.statusCode >= 200 && res.statusCode < 300
+          ? (!idempotency.completed && idempotencyOperations.completeKey(idempotency, res.statusCode, body))
+          : idempotencyOperations.releaseKey(idempotency);
+        
+        Promise.resolve(settle).catch(error => console.error('Error settling idempotency key:', error));
+        
+        return json(body);
+      };
+      
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  idempotent,
+  replayResponse,
+  hashPayload,
+  IDEMPOTENCY_TTL_HOURS,
+};
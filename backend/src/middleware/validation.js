@@ -1,4 +1,7 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+
+// Longest date range a report or transaction listing may cover, as each day is its own query
+const MAX_DATE_RANGE_DAYS = parseInt(process.env.REPORT_MAX_DAYS, 10) || 366;
 
 /**
  * Validation middleware for Express
@@ -21,6 +24,42 @@ function validate(validations) {
   };
 }
 
+/**
+ * Number of days in a date range, NaN for invalid dates
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {number} Days, including both ends
+ */
+function daysBetween(startDate, endDate) {
+  return (new Date(endDate) - new Date(startDate)) / (24 * 3600 * 1000) + 1;
+}
+
+/**
+ * Rules for a startDate and endDate pair: YYYY-MM-DD, in order, and at most MAX_DATE_RANGE_DAYS apart
+ * @param {Function} [field] - Where the dates are, query (default) or param
+ * @param {Object} [options] - Rule options
+ * @param {boolean} [options.optional] - Only check the range when both dates are given
+ * @returns {Array} Validation chains
+ */
+function dateRangeRules(field = query, options = {}) {
+  const optional = chain => (options.optional ? chain.optional() : chain);
+  const startDateOf = (req, location) => req[location].startDate;
+  
+  return [
+    optional(field('startDate')).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Start date must be YYYY-MM-DD'),
+    optional(field('endDate')).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('End date must be YYYY-MM-DD'),
+    optional(field('endDate'))
+      .if((endDate, { req, location }) => !options.optional || startDateOf(req, location) !== undefined)
+      .custom((endDate, { req, location }) => daysBetween(startDateOf(req, location), endDate) >= 1)
+      .withMessage('End date must not be before start date')
+      .custom((endDate, { req, location }) => daysBetween(startDateOf(req, location), endDate) <= MAX_DATE_RANGE_DAYS)
+      .withMessage(`Date range cannot cover more than ${MAX_DATE_RANGE_DAYS} days`),
+  ];
+}
+
+// Accepted payment methods
+const PAYMENT_METHODS = ['cash', 'card', 'mobile'];
+
 // Common validation rules
 const rules = {
   productId: body('productId')
@@ -60,10 +99,28 @@ const rules = {
   paymentMethod: body('paymentMethod')
     .notEmpty().withMessage('Payment method is required')
     .isString().withMessage('Payment method must be a string')
-    .isIn(['cash', 'card', 'mobile']).withMessage('Payment method must be cash, card, or mobile'),
+    .isIn(PAYMENT_METHODS).withMessage('Payment method must be cash, card, or mobile'),
+  
+  // Split tender: one entry per payment, either this or paymentMethod is required
+  payments: [
+    body('payments')
+      .if(body('paymentMethod').not().exists())
+      .isArray({ min: 1 }).withMessage('Payments or a payment method are required'),
+    body('payments.*.method')
+      .isIn(PAYMENT_METHODS).withMessage('Payment method must be cash, card, or mobile'),
+    body('payments.*.amount')
+      .isFloat({ gt: 0 }).withMessage('Payment amount must be greater than zero'),
+    body('payments.*.reference')
+      .optional()
+      .isString().withMessage('Payment reference must be a string'),
+  ],
 };
 
 module.exports = {
   validate,
+  dateRangeRules,
+  daysBetween,
+  MAX_DATE_RANGE_DAYS,
   rules,
+  PAYMENT_METHODS,
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+jest.mock('../../utils/dynamodb', () => ({
+  auditOperations: {
+    listEntries: jest.fn(),
+  },
+  roleOperations: {
+    getAllRoles: jest.fn(async () => []),
+  },
+}));
+
+const request = require('supertest');
+const { auditOperations } = require('../../utils/dynamodb');
+const { encodeLastKey } = require('../../utils/pagination');
+const { createApp, silenceErrorLog } = require('../../../test/helpers');
+
+const app = createApp('/api/audit', require('../audit'));
+
+const list = query => request(app).get('/api/audit').query(query).set('X-Role', 'admin');
+
+silenceErrorLog();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  auditOperations.listEntries.mockResolvedValue({ items: [{ auditId: 'a1' }], lastEvaluatedKey: { auditId: 'a1' } });
+});
+
+describe('GET /api/audit', () => {
+  it('lists entries with the filters given, and a cursor to the next page', async () => {
+    const response = await list({ resourceType: 'product', resourceId: 'cola', from: '2026-06-01', to: '2026-06-02', limit: 10 });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.items).toEqual([{ auditId: 'a1' }]);
+    expect(response.body.pagination.lastKey).toEqual(expect.any(String));
+    expect(auditOperations.listEntries).toHaveBeenCalledWith({
+      actorId: undefined,
+      resourceType: 'product',
+      resourceId: 'cola',
+      action: undefined,
+      from: '2026-06-01T00:00:00.000Z',
+      to: '2026-06-02T00:00:00.000Z',
+    }, { limit: 10, order: 'newest', lastEvaluatedKey: undefined });
+  });
+  
+  it('passes a cursor it issued back to the listing', async () => {
+    await list({ lastKey: encodeLastKey({ auditId: 'a1' }) });
+    
+    expect(auditOperations.listEntries.mock.calls[0][1].lastEvaluatedKey).toEqual({ auditId: 'a1' });
+  });
+  
+  it('refuses bad filters, and long ranges read day by day', async () => {
+    const responses = await Promise.all([
+      list({ from: '2026-06-02', to: '2026-06-01' }),
+      list({ resourceId: 'cola' }),
+      list({ lastKey: 'bm90IGpzb24=' }),
+      list({ from: '2024-01-01', to: '2026-01-01' }),
+    ]);
+    
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400]);
+    expect(auditOperations.listEntries).not.toHaveBeenCalled();
+  });
+  
+  it('is for admins only', async () => {
+    expect((await request(app).get('/api/audit').set('X-Role', 'manager')).status).toBe(403);
+  });
+});
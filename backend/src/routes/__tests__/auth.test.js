@@ -0,0 +1,152 @@
+jest.mock('../../utils/dynamodb', () => ({
+  roleOperations: {
+    getAllRoles: jest.fn(async () => []),
+  },
+  auditOperations: {
+    recordEntry: jest.fn(async () => true),
+  },
+}));
+
+process.env.IDENTITY_PROVIDER = 'memory';
+process.env.LOCAL_REVEAL_RESET_CODES = 'true';
+
+const request = require('supertest');
+const { auditOperations } = require('../../utils/dynamodb');
+const { identityProvider } = require('../../utils/identity');
+const { createApp, silenceErrorLog } = require('../../../test/helpers');
+
+delete process.env.IDENTITY_PROVIDER;
+delete process.env.LOCAL_REVEAL_RESET_CODES;
+
+const app = createApp('/api/auth', require('../auth'));
+
+// Access tokens of the signed in users, by username
+const tokens = {};
+
+const as = (method, path, username = 'admin-1') => request(app)[method](path).set('Authorization', `Bearer ${tokens[username]}`);
+
+silenceErrorLog();
+
+beforeAll(async () => {
+  const password = 'Shop-Password-1';
+  await identityProvider.createUser({ username: 'amy', password, email: 'amy@shop.test', givenName: 'Amy', familyName: 'Lee', role: 'cashier' });
+  await identityProvider.createUser({ username: 'ben', password, email: 'ben@shop.test', givenName: 'Ben', familyName: 'Ng', role: 'cashier' });
+  await identityProvider.createUser({ username: 'admin-1', password, email: 'admin@shop.test', givenName: 'Ada', familyName: 'Min', role: 'admin' });
+  await identityProvider.createUser({ username: 'pat', password, email: 'pat@shop.test', givenName: 'Pat', familyName: 'Kim', role: 'manager' });
+  
+  for (const username of ['admin-1', 'pat']) {
+    tokens[username] = (await identityProvider.signIn(username, password)).tokens.accessToken;
+  }
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('GET /api/auth/users', () => {
+  it('lists users by prefix a page at a time, leaving out passwords', async () => {
+    const first = await as('get', '/api/auth/users').query({ limit: 1 });
+    const second = await as('get', '/api/auth/users').query({ limit: 1, lastKey: first.body.pagination.lastKey });
+    const search = await as('get', '/api/auth/users').query({ search: 'ben@', searchBy: 'email' });
+    
+    expect(first.body.items.map(user => user.username)).toEqual(['admin-1']);
+    expect(second.body.items.map(user => user.username)).toEqual(['amy']);
+    expect(search.body.items.map(user => user.username)).toEqual(['ben']);
+    expect(first.body.items[0]).not.toHaveProperty('passwordHash');
+  });
+  
+  it('is for users who manage users', async () => {
+    expect((await as('get', '/api/auth/users', 'pat')).status).toBe(403);
+    expect((await request(app).get('/api/auth/users')).status).toBe(401);
+  });
+});
+
+describe('PUT /api/auth/users/:username', () => {
+  it('updates names and employee IDs, recording the change', async () => {
+    const response = await as('put', '/api/auth/users/amy').send({ employeeId: 'E-7' });
+    
+    expect(response.body).toMatchObject({ username: 'amy', givenName: 'Amy', employeeId: 'E-7' });
+    expect(auditOperations.recordEntry).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.update',
+      resourceId: 'amy',
+      before: expect.objectContaining({ username: 'amy' }),
+    }));
+  });
+  
+  it('refuses an update with nothing to change, and unknown users', async () => {
+    expect((await as('put', '/api/auth/users/amy').send({})).status).toBe(400);
+    expect((await as('put', '/api/auth/users/nobody').send({ givenName: 'No' })).status).toBe(404);
+  });
+});
+
+describe('user account changes', () => {
+  it('changes roles to ones that exist', async () => {
+    const changed = await as('put', '/api/auth/users/ben/role').send({ role: 'manager' });
+    const unknown = await as('put', '/api/auth/users/ben/role').send({ role: 'owner' });
+    
+    expect(changed.body.role).toBe('manager');
+    expect(unknown.status).toBe(400);
+  });
+  
+  it('disables and enables accounts, forces resets and signs users out', async () => {
+    expect((await as('post', '/api/auth/users/amy/disable')).body.enabled).toBe(false);
+    expect((await as('post', '/api/auth/users/amy/enable')).body.enabled).toBe(true);
+    expect((await as('post', '/api/auth/users/amy/reset-password')).body).toMatchObject({
+      status: 'RESET_REQUIRED',
+      resetCode: expect.stringMatching(/^\d{6}$/),
+    });
+    expect(auditOperations.recordEntry).toHaveBeenLastCalledWith(expect.objectContaining({
+      action: 'user.password.reset',
+      after: expect.not.objectContaining({ resetCode: expect.anything() }),
+    }));
+    expect((await as('post', '/api/auth/users/amy/sign-out')).body).toEqual({ message: 'User signed out on every device' });
+  });
+  
+  it('keeps admins from changing their own role or disabling themselves', async () => {
+    const role = await as('put', '/api/auth/users/admin-1/role').send({ role: 'cashier' });
+    const disable = await as('post', '/api/auth/users/admin-1/disable');
+    
+    expect([role.status, disable.status]).toEqual([409, 409]);
+    expect((await identityProvider.getUser('admin-1')).role).toBe('admin');
+  });
+});
+
+describe('local sign-in', () => {
+  it('signs in with a password, and signing out ends the session', async () => {
+    const login = await request(app).post('/api/auth/login').send({ username: 'ben', password: 'Shop-Password-1' });
+    const token = login.body.tokens.accessToken;
+    
+    expect(login.status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`)).body.username).toBe('ben');
+    
+    await as('post', '/api/auth/users/ben/sign-out');
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+  });
+  
+  it('refuses a wrong password', async () => {
+    const response = await request(app).post('/api/auth/login').send({ username: 'ben', password: 'wrong' });
+    
+    expect(response.status).toBe(401);
+  });
+  
+  it('hands out the reset code of a forgotten password while revealing codes', async () => {
+    const forgot = await request(app).post('/api/auth/forgot-password').send({ username: 'ben' });
+    const confirm = await request(app).post('/api/auth/confirm-forgot-password')
+      .send({ username: 'ben', confirmationCode: forgot.body.resetCode, newPassword: 'Shop-Password-2' });
+    
+    expect(forgot.body).toEqual({ message: 'Password reset code sent', resetCode: expect.stringMatching(/^\d{6}$/) });
+    expect(confirm.status).toBe(200);
+    expect((await request(app).post('/api/auth/login').send({ username: 'ben', password: 'Shop-Password-2' })).status).toBe(200);
+  });
+  
+  it('checks challenge answers before passing them on', async () => {
+    const invalid = await request(app).post('/api/auth/challenge').send({ username: 'ben', challenge: { name: 'NEW_PASSWORD_REQUIRED' }, responses: [] });
+    const expired = await request(app).post('/api/auth/challenge')
+      .send({ username: 'ben', challenge: { name: 'NEW_PASSWORD_REQUIRED', session: 's' }, responses: { NEW_PASSWORD: 'Chosen-Password-1' } });
+    
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.map(error => error.msg)).toEqual(expect.arrayContaining(['Challenge session is required', 'Challenge responses must be an object']));
+    expect(expired.status).toBe(401);
+    expect(expired.body).toEqual({ message: 'Sign-in session expired, sign in again' });
+  });
+});
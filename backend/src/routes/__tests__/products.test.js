@@ -0,0 +1,398 @@
+jest.mock('../../utils/dynamodb', () => ({
+  productOperations: {
+    getProductById: jest.fn(),
+    getProductByBarcode: jest.fn(),
+    searchProducts: jest.fn(),
+    reindexProducts: jest.fn(),
+    createProduct: jest.fn(),
+    createProductWithVariants: jest.fn(),
+    updateProduct: jest.fn(),
+    getVariants: jest.fn(),
+    withVariants: jest.fn(),
+    adjustStock: jest.fn(),
+    scanAllProducts: jest.fn(),
+    batchCreateProducts: jest.fn(),
+    bulkUpdateProducts: jest.fn(),
+    archiveProduct: jest.fn(),
+    restoreProduct: jest.fn(),
+    deleteProduct: jest.fn(),
+    getPriceHistory: jest.fn(),
+    schedulePrice: jest.fn(),
+    cancelScheduledPrice: jest.fn(),
+  },
+  auditOperations: {
+    recordEntry: jest.fn(async () => true),
+  },
+  roleOperations: {
+    getAllRoles: jest.fn(async () => []),
+  },
+}));
+
+const request = require('supertest');
+const { productOperations } = require('../../utils/dynamodb');
+const { createApp, silenceErrorLog, product, awsError } = require('../../../test/helpers');
+
+const app = createApp('/api/products', require('../products'));
+
+const shirt = product({
+  productId: 'shirt',
+  name: 'Shirt',
+  price: 20,
+  sku: undefined,
+  stockOnHand: undefined,
+  hasVariants: true,
+  variantOptions: [{ name: 'Size', values: ['S', 'M'] }],
+});
+const shirtM = { productId: 'shirt-m', parentId: 'shirt', options: { Size: 'M' }, sku: 'SHIRT-M', barcode: 'SHELF-M' };
+const old = product({ productId: 'old', sku: 'OLD-1', barcode: 'SHELF-OLD', archivedAt: '2026-01-01T00:00:00.000Z' });
+const catalog = { cola: product(), shirt, 'shirt-m': shirtM, old };
+
+silenceErrorLog();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  productOperations.getProductById.mockImplementation(async productId => catalog[productId]);
+  productOperations.getVariants.mockResolvedValue([shirtM]);
+  productOperations.withVariants.mockImplementation(async products => products);
+  productOperations.updateProduct.mockImplementation(async (productId, changes) => ({ ...catalog[productId], ...changes }));
+  productOperations.archiveProduct.mockImplementation(async (productId, archivedBy) => ({ ...catalog[productId], archivedBy }));
+  productOperations.restoreProduct.mockImplementation(async productId => ({ ...catalog[productId], archivedAt: undefined }));
+  productOperations.getPriceHistory.mockResolvedValue([
+    { productId: 'cola', effectiveFrom: '2099-01-01T00:00:00.000Z', price: 1.75, previousPrice: 1.5 },
+    { productId: 'cola', effectiveFrom: '2026-06-01T00:00:00.000Z', price: 1.5, previousPrice: 1.25 },
+  ]);
+  productOperations.schedulePrice.mockImplementation(async (productId, scheduled, changedBy) => ({ productId, ...scheduled, changedBy }));
+  productOperations.createProductWithVariants.mockImplementation(async (created, variants) => ({ ...created, variants }));
+  productOperations.adjustStock.mockImplementation(async (productId, adjustment) => product({ stockOnHand: 10 + adjustment }));
+  productOperations.getProductByBarcode.mockImplementation(async barcode => (
+    { '00036000291452': product({ barcode }), 'SHELF-M': shirtM, 'SHELF-OLD': old }[barcode]
+  ));
+  productOperations.createProduct.mockImplementation(async created => created);
+  productOperations.scanAllProducts.mockResolvedValue([product()]);
+  productOperations.batchCreateProducts.mockImplementation(async products => ({
+    created: products.map(created => created.productId),
+    failed: [],
+  }));
+  productOperations.bulkUpdateProducts.mockImplementation(async updates => ({
+    updated: updates.map(update => update.productId),
+    failed: [],
+  }));
+});
+
+describe('GET /api/products/search', () => {
+  const search = query => request(app).get('/api/products/search').query(query);
+  
+  it('returns a page of matches with a cursor to the next', async () => {
+    productOperations.searchProducts.mockResolvedValue({
+      items: [product()],
+      lastEvaluatedKey: { productId: 'cola', score: 3, name: 'Cola' },
+    });
+    
+    const first = await search({ q: 'co', category: 'drinks', limit: 1 });
+    await search({ q: 'co', lastKey: first.body.pagination.lastKey });
+    
+    expect(first.body.items).toEqual([product()]);
+    expect(productOperations.searchProducts).toHaveBeenNthCalledWith(1, 'co', { category: 'drinks', limit: 1, lastEvaluatedKey: undefined });
+    expect(productOperations.searchProducts.mock.calls[1][1].lastEvaluatedKey).toEqual({ productId: 'cola', score: 3, name: 'Cola' });
+  });
+  
+  it('refuses queries without a searchable word, and cursors it did not issue', async () => {
+    expect((await search({ q: 'a b' })).status).toBe(400);
+    expect((await search({ q: 'co', lastKey: 'bm90IGpzb24=' })).status).toBe(400);
+    expect(productOperations.searchProducts).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/products/barcode/:code', () => {
+  it('finds the product however its GTIN was scanned', async () => {
+    const response = await request(app).get('/api/products/barcode/036000291452');
+    
+    expect(response.body.productId).toBe('cola');
+    expect(productOperations.getProductByBarcode).toHaveBeenCalledWith('00036000291452');
+  });
+  
+  it('answers a variant\'s barcode with its product, naming the variant', async () => {
+    const response = await request(app).get('/api/products/barcode/SHELF-M');
+    
+    expect(response.body).toMatchObject({ productId: 'shirt', matchedVariantId: 'shirt-m' });
+  });
+  
+  it('answers 404 for an archived product\'s barcode, naming the product', async () => {
+    const response = await request(app).get('/api/products/barcode/SHELF-OLD');
+    
+    expect(response.status).toBe(404);
+    expect(response.body).toMatchObject({ message: 'The product with this barcode is archived', productId: 'old' });
+  });
+  
+  it('answers 404 for unknown barcodes', async () => {
+    const response = await request(app).get('/api/products/barcode/SHELF-9');
+    
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ message: 'No product has this barcode', barcode: 'SHELF-9' });
+  });
+});
+
+describe('POST /api/products', () => {
+  const create = fields => request(app).post('/api/products').set('X-Role', 'admin')
+    .send({ name: 'Chips', price: 2, category: 'snacks', ...fields });
+  
+  it('stores barcodes normalized', async () => {
+    await create({ barcode: '4006381333931' });
+    
+    expect(productOperations.createProduct.mock.calls[0][0].barcode).toBe('04006381333931');
+  });
+  
+  it('refuses GTINs with a wrong check digit', async () => {
+    const response = await create({ barcode: '4006381333932' });
+    
+    expect(response.status).toBe(400);
+    expect(productOperations.createProduct).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/products with variants', () => {
+  const create = fields => request(app).post('/api/products').set('X-Role', 'admin').send({
+    name: 'Shirt',
+    price: 20,
+    category: 'clothing',
+    variantOptions: [{ name: 'Size', values: ['S', 'M'] }],
+    ...fields,
+  });
+  
+  it('creates the product with its variants, keeping only their own fields', async () => {
+    const response = await create({
+      stockOnHand: 5,
+      variants: [{ options: { Size: 'S' }, sku: 'SHIRT-S', stockOnHand: 2, name: 'Ignored' }],
+    });
+    
+    expect(response.status).toBe(201);
+    const [parent, variants] = productOperations.createProductWithVariants.mock.calls[0];
+    expect(parent.stockOnHand).toBeUndefined();
+    expect(variants).toEqual([{ options: { Size: 'S' }, sku: 'SHIRT-S', stockOnHand: 2 }]);
+  });
+  
+  it('refuses variants that do not fit the options, and a barcode on the product itself', async () => {
+    const unfit = await create({ variants: [{ options: { Size: 'XL' } }] });
+    const barcode = await create({ barcode: 'SHELF-1', variants: [{ options: { Size: 'S' } }] });
+    const missing = await create({});
+    
+    expect(unfit.body.problems).toEqual(['Variant 1 has XL for Size, which is not one of S, M']);
+    expect(barcode.body.message).toBe('Products with variants take a barcode on each variant');
+    expect(missing.body.errors[0].msg).toBe('A product with variant options needs at least one variant');
+    expect(productOperations.createProductWithVariants).not.toHaveBeenCalled();
+  });
+});
+
+describe('/api/products/:id/variants', () => {
+  const addVariant = body => request(app).post('/api/products/shirt/variants').set('X-Role', 'admin').send(body);
+  
+  it('adds a variant, extending the product\'s options with new values', async () => {
+    const response = await addVariant({ options: { Size: 'L' }, sku: 'SHIRT-L' });
+    
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ parentId: 'shirt', sku: 'SHIRT-L', label: 'L' });
+    expect(productOperations.updateProduct).toHaveBeenCalledWith('shirt', {
+      variantOptions: [{ name: 'Size', values: ['S', 'M', 'L'] }],
+    });
+  });
+  
+  it('refuses repeated options and SKUs, and products without variant options', async () => {
+    expect((await addVariant({ options: { Size: 'M' } })).status).toBe(409);
+    expect((await addVariant({ options: { Size: 'S' }, sku: 'SHIRT-M' })).body.message).toBe('Another variant already has this SKU');
+    expect((await request(app).post('/api/products/cola/variants').set('X-Role', 'admin').send({ options: {} })).status).toBe(409);
+    expect(productOperations.createProduct).not.toHaveBeenCalled();
+  });
+  
+  it('updates only a variant of the product named', async () => {
+    const update = (path, body) => request(app).put(path).set('X-Role', 'admin').send(body);
+    
+    expect((await update('/api/products/shirt/variants/shirt-m', { price: 22 })).body.price).toBe(22);
+    expect((await update('/api/products/cola/variants/shirt-m', { price: 22 })).status).toBe(404);
+    expect((await update('/api/products/shirt/variants/shirt-m', { options: { Size: 'S' } })).status).toBe(400);
+  });
+});
+
+describe('POST /api/products/:id/stock', () => {
+  const adjust = (body, role = 'admin') => request(app).post('/api/products/cola/stock').set('X-Role', role).send(body);
+  
+  it('adds deliveries and removes shrinkage', async () => {
+    const response = await adjust({ adjustment: 12, reason: 'delivery' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.stockOnHand).toBe(22);
+    expect(productOperations.adjustStock).toHaveBeenCalledWith('cola', 12);
+  });
+  
+  it('turns a stock count into the adjustment from the current level', async () => {
+    await adjust({ count: 7 });
+    
+    expect(productOperations.adjustStock).toHaveBeenCalledWith('cola', -3);
+  });
+  
+  it('takes either an adjustment or a count', async () => {
+    expect((await adjust({ adjustment: 1, count: 1 })).status).toBe(400);
+    expect((await adjust({})).status).toBe(400);
+    expect(productOperations.adjustStock).not.toHaveBeenCalled();
+  });
+  
+  it('refuses adjustments below zero', async () => {
+    productOperations.adjustStock.mockRejectedValue(awsError('ConditionalCheckFailedException'));
+    
+    const response = await adjust({ adjustment: -11 });
+    
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('Adjustment would take stock below zero');
+  });
+  
+  it('adjusts a variant, not a product that has them', async () => {
+    const response = await request(app).post('/api/products/shirt/stock').set('X-Role', 'admin').send({ adjustment: 1 });
+    
+    expect(response.status).toBe(409);
+    expect(productOperations.adjustStock).not.toHaveBeenCalled();
+  });
+  
+  it('is for users holding the stock permission', async () => {
+    expect((await adjust({ adjustment: 1 }, 'manager')).status).toBe(200);
+    expect((await adjust({ adjustment: 1 }, 'cashier')).status).toBe(403);
+  });
+});
+
+describe('PUT /api/products/:id', () => {
+  it('leaves stock to adjustments and sales', async () => {
+    const response = await request(app).put('/api/products/cola').set('X-Role', 'admin').send({ stockOnHand: 100 });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].msg).toBe('Stock on hand can only be changed through a stock adjustment');
+  });
+});
+
+describe('/api/products/:id/prices', () => {
+  it('lists the history with each entry\'s status, and the price at a given time', async () => {
+    const response = await request(app).get('/api/products/cola/prices').query({ at: '2026-05-01' });
+    
+    expect(response.body.history.map(entry => entry.status)).toEqual(['scheduled', 'applied']);
+    expect(response.body.priceAt).toEqual({ at: '2026-05-01T00:00:00.000Z', price: 1.25 });
+  });
+  
+  it('schedules future prices only, recording who set them', async () => {
+    const schedule = effectiveFrom => request(app).post('/api/products/cola/prices').set('X-Role', 'admin').set('X-User', 'admin-1')
+      .send({ price: '1.6', effectiveFrom });
+    
+    const scheduled = await schedule('2099-01-01T00:00:00Z');
+    const past = await schedule('2020-01-01T00:00:00Z');
+    
+    expect(scheduled.status).toBe(201);
+    expect(scheduled.body).toMatchObject({ status: 'scheduled', changedBy: 'admin-1' });
+    expect(productOperations.schedulePrice).toHaveBeenCalledWith('cola', {
+      price: 1.6,
+      effectiveFrom: '2099-01-01T00:00:00.000Z',
+    }, 'admin-1');
+    expect(past.status).toBe(400);
+  });
+  
+  it('keeps the schedule out of product updates', async () => {
+    const response = await request(app).put('/api/products/cola').set('X-Role', 'admin').send({ scheduledPrices: [] });
+    
+    expect(response.body.errors[0].msg).toBe('Prices are scheduled through /api/products/:id/prices');
+  });
+});
+
+describe('POST /api/products/import', () => {
+  const csv = 'sku,name,price,category\nCOLA-1,,1.75,\nCHIPS-1,Chips,2,snacks\nBAD-1,Bad,free,snacks\n';
+  const importCsv = (text, query = '') => request(app).post(`/api/products/import${query}`)
+    .set('X-Role', 'admin')
+    .type('text/csv')
+    .send(text);
+  
+  it('creates and updates products by SKU, reporting each row', async () => {
+    const response = await importCsv(csv);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toEqual({ rows: 3, created: 1, updated: 1, failed: 1 });
+    expect(response.body.results[2]).toEqual({ line: 4, sku: 'BAD-1', action: 'error', errors: ['Price must be a number'] });
+    expect(productOperations.batchCreateProducts).toHaveBeenCalledWith([expect.objectContaining({ sku: 'CHIPS-1', price: 2 })]);
+    expect(productOperations.bulkUpdateProducts).toHaveBeenCalledWith([{ productId: 'cola', changes: { sku: 'COLA-1', price: 1.75 } }], {
+      changedBy: 'cashier-1',
+    });
+  });
+  
+  it('reports without writing on a dry run', async () => {
+    const response = await importCsv(csv, '?dryRun=true');
+    
+    expect(response.body).toMatchObject({ dryRun: true, summary: { created: 1, updated: 1 } });
+    expect(response.body.results[1]).not.toHaveProperty('productId');
+    expect(productOperations.batchCreateProducts).not.toHaveBeenCalled();
+    expect(productOperations.bulkUpdateProducts).not.toHaveBeenCalled();
+  });
+  
+  it('reports rows whose write failed against their line', async () => {
+    productOperations.bulkUpdateProducts.mockResolvedValue({
+      updated: [],
+      failed: [{ productId: 'cola', message: 'Product was deleted during the import' }],
+    });
+    
+    const response = await importCsv(csv);
+    
+    expect(response.body.results[0]).toMatchObject({
+      action: 'error',
+      failedAction: 'update',
+      errors: ['Product was deleted during the import'],
+    });
+  });
+  
+  it('updates variants and products below zero stock, checking only the columns given', async () => {
+    productOperations.scanAllProducts.mockResolvedValue([
+      product({ productId: 'cola-can', sku: 'COLA-CAN', parentId: 'cola', name: undefined, category: undefined }),
+      product({ productId: 'chips', sku: 'CHIPS-1', stockOnHand: -3, allowNegativeStock: true }),
+    ]);
+    
+    const response = await importCsv('sku,price,category\nCOLA-CAN,1.25,\nCHIPS-1,2.5,\n');
+    const invalid = await importCsv('sku,price,category\nCOLA-CAN,free,\n', '?dryRun=true');
+    
+    expect(response.body.summary).toEqual({ rows: 2, created: 0, updated: 2, failed: 0 });
+    expect(productOperations.bulkUpdateProducts).toHaveBeenCalledWith([
+      { productId: 'cola-can', changes: { sku: 'COLA-CAN', price: 1.25 } },
+      { productId: 'chips', changes: { sku: 'CHIPS-1', price: 2.5 } },
+    ], { changedBy: 'cashier-1' });
+    expect(invalid.body.results[0].errors).toEqual(['Price must be a number']);
+  });
+  
+  it('needs a CSV body, and is for admins only', async () => {
+    expect((await importCsv('')).status).toBe(400);
+    expect((await request(app).post('/api/products/import').set('X-Role', 'manager').type('text/csv').send(csv)).status).toBe(403);
+  });
+});
+
+describe('archiving products', () => {
+  const admin = (method, path) => request(app)[method](path).set('X-Role', 'admin').set('X-User', 'admin-1');
+  
+  it('archives on delete, recording who did it', async () => {
+    const response = await admin('delete', '/api/products/cola');
+    
+    expect(response.body).toMatchObject({ message: 'Product archived successfully', product: { archivedBy: 'admin-1' } });
+    expect(productOperations.deleteProduct).not.toHaveBeenCalled();
+    expect((await admin('delete', '/api/products/shirt-m')).status).toBe(404);
+  });
+  
+  it('restores an archived product', async () => {
+    const response = await admin('post', '/api/products/old/restore');
+    
+    expect(response.status).toBe(200);
+    expect(productOperations.restoreProduct).toHaveBeenCalledWith('old');
+  });
+  
+  it('purges only archived products not sold in the last 90 days', async () => {
+    const soldDaysAgo = days => async () => ({ ...old, lastSoldAt: new Date(Date.now() - days * 24 * 3600 * 1000).toISOString() });
+    const active = await admin('delete', '/api/products/cola/purge');
+    productOperations.getProductById.mockImplementation(soldDaysAgo(89));
+    const sold = await admin('delete', '/api/products/old/purge');
+    productOperations.getProductById.mockImplementation(soldDaysAgo(91));
+    const purged = await admin('delete', '/api/products/old/purge');
+    
+    expect(sold.status).toBe(409);
+    expect(sold.body.lastSoldAt).toBeDefined();
+    expect(active.body.message).toBe('Archive the product before purging it');
+    expect(purged.body.message).toBe('Product purged successfully');
+    expect(productOperations.deleteProduct).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,79 @@
+jest.mock('../../utils/dynamodb', () => ({
+  promotionOperations: {
+    getAllPromotions: jest.fn(),
+    getPromotionByCouponCode: jest.fn(),
+    createPromotion: jest.fn(),
+  },
+  auditOperations: {
+    recordEntry: jest.fn(async () => true),
+  },
+  roleOperations: {
+    getAllRoles: jest.fn(async () => []),
+  },
+}));
+
+const request = require('supertest');
+const { promotionOperations } = require('../../utils/dynamodb');
+const { createApp, silenceErrorLog } = require('../../../test/helpers');
+
+const app = createApp('/api/promotions', require('../promotions'));
+
+const promotions = [
+  { promotionId: 'p1', name: 'Drinks 10%', type: 'percent', scope: 'category', categories: ['drinks'], value: 10 },
+  { promotionId: 'p2', name: 'Half off', type: 'percent', scope: 'cart', value: 50, couponCode: 'HALF' },
+  { promotionId: 'p3', name: 'Ended', type: 'fixed', scope: 'cart', value: 1, active: false },
+];
+
+silenceErrorLog();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  promotionOperations.getAllPromotions.mockResolvedValue(promotions);
+  promotionOperations.getPromotionByCouponCode.mockImplementation(async code => promotions.find(promotion => promotion.couponCode === code));
+  promotionOperations.createPromotion.mockImplementation(async promotion => ({ promotionId: 'new', ...promotion }));
+});
+
+describe('GET /api/promotions/active', () => {
+  it('hands the cart the active promotions that need no coupon', async () => {
+    const response = await request(app).get('/api/promotions/active');
+    
+    expect(response.body.map(promotion => promotion.promotionId)).toEqual(['p1']);
+  });
+});
+
+describe('GET /api/promotions/coupons/:code', () => {
+  it('looks coupons up whatever their case', async () => {
+    const response = await request(app).get('/api/promotions/coupons/half');
+    
+    expect(response.status).toBe(200);
+    expect(response.body.promotionId).toBe('p2');
+    expect((await request(app).get('/api/promotions/coupons/nope')).status).toBe(404);
+  });
+});
+
+describe('POST /api/promotions', () => {
+  const create = (body, role = 'manager') => request(app).post('/api/promotions').set('X-Role', role).send(body);
+  
+  it('creates promotions for managers, with normalized coupon codes', async () => {
+    const response = await create({ name: 'Save', type: 'fixed', scope: 'cart', value: 2, couponCode: ' save2 ' });
+    
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ couponCode: 'SAVE2', createdBy: 'cashier-1' });
+  });
+  
+  it('checks the rule of each promotion type', async () => {
+    const response = await create({ name: 'B2G1', type: 'buy_x_get_y', scope: 'item', productIds: [] });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.path)).toEqual(['productIds', 'buyQuantity', 'getQuantity']);
+  });
+  
+  it('refuses a coupon code already in use', async () => {
+    expect((await create({ name: 'Again', type: 'fixed', scope: 'cart', value: 1, couponCode: 'half' })).status).toBe(409);
+  });
+  
+  it('is for managers and admins', async () => {
+    expect((await create({ name: 'Save', type: 'fixed', scope: 'cart', value: 2 }, 'cashier')).status).toBe(403);
+    expect(promotionOperations.createPromotion).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('../../utils/dynamodb', () => ({
+  transactionOperations: {
+    getTransactionsByDateRange: jest.fn(),
+    iterateTransactionsByDateRange: jest.fn(),
+  },
+  roleOperations: {
+    getAllRoles: jest.fn(async () => []),
+  },
+}));
+
+const request = require('supertest');
+const { transactionOperations } = require('../../utils/dynamodb');
+const { createApp, silenceErrorLog, transaction } = require('../../../test/helpers');
+
+const app = createApp('/api/reports', require('../reports'));
+
+const report = query => request(app).get('/api/reports/sales').query(query).set('X-Role', 'manager');
+
+silenceErrorLog();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  transactionOperations.getTransactionsByDateRange.mockResolvedValue([transaction({ timestamp: '2026-06-01T09:30:00.000Z' })]);
+});
+
+describe('GET /api/reports/sales', () => {
+  it('reports the range grouped as asked', async () => {
+    const response = await report({ startDate: '2026-06-01', endDate: '2026-06-02', groupBy: 'category,category' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ timezone: 'UTC', groupBy: ['category'], totals: { total: 5.5 } });
+    expect(transactionOperations.getTransactionsByDateRange).toHaveBeenCalledWith('2026-06-01', '2026-06-02');
+  });
+  
+  it('reads a day either side for a local time zone', async () => {
+    await report({ startDate: '2026-06-01', endDate: '2026-06-30', timezone: 'Europe/London' });
+    
+    expect(transactionOperations.getTransactionsByDateRange).toHaveBeenCalledWith('2026-05-31', '2026-07-01');
+  });
+  
+  it('refuses bad ranges, dimensions and time zones', async () => {
+    const responses = await Promise.all([
+      report({ startDate: '2026-06-02', endDate: '2026-06-01' }),
+      report({ startDate: '2025-01-01', endDate: '2026-06-01' }),
+      report({ startDate: '2026-06-01', endDate: '2026-06-01', groupBy: 'weather' }),
+      report({ startDate: '2026-06-01', endDate: '2026-06-01', timezone: 'Mars/Olympus' }),
+    ]);
+    
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400]);
+    expect(responses[1].body.errors[0].msg).toBe('Date range cannot cover more than 366 days');
+    expect(transactionOperations.getTransactionsByDateRange).not.toHaveBeenCalled();
+  });
+  
+  it('is for managers and admins', async () => {
+    const response = await request(app).get('/api/reports/sales').query({ startDate: '2026-06-01', endDate: '2026-06-01' });
+    
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('GET /api/reports/transactions/export', () => {
+  // Pages as DynamoDB would return them, failing after the pages given if told to
+  const pagesOf = (pages, error) => async function* () {
+    for (const page of pages) {
+      yield page;
+    }
+    
+    if (error) {
+      throw error;
+    }
+  };
+  
+  const exportRange = query => request(app).get('/api/reports/transactions/export')
+    .query({ startDate: '2026-06-01', endDate: '2026-06-02', ...query })
+    .set('X-Role', 'manager');
+  
+  it('streams every page as a CSV download', async () => {
+    transactionOperations.iterateTransactionsByDateRange.mockImplementation(pagesOf([
+      [transaction()],
+      [transaction({ transactionId: 't2' }), transaction({ transactionId: 't3' })],
+    ]));
+    
+    const response = await exportRange({ rows: 'transaction' });
+    
+    expect(response.status).toBe(200);
+    expect(response.type).toBe('text/csv');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="transactions-2026-06-01-to-2026-06-02.csv"');
+    expect(response.text.trim().split('\r\n').map(row => row.split(',')[0])).toEqual(['transactionId', 't1', 't2', 't3']);
+  });
+  
+  it('streams JSON lines when asked', async () => {
+    transactionOperations.iterateTransactionsByDateRange.mockImplementation(pagesOf([[transaction()]]));
+    
+    const response = await exportRange({ format: 'jsonl' });
+    
+    expect(response.type).toBe('application/x-ndjson');
+    expect(JSON.parse(response.text)).toEqual(transaction());
+  });
+  
+  it('answers an error while nothing has been sent, and cuts the download short after', async () => {
+    transactionOperations.iterateTransactionsByDateRange.mockImplementationOnce(pagesOf([], new Error('throttled')));
+    const early = await exportRange();
+    
+    transactionOperations.iterateTransactionsByDateRange.mockImplementationOnce(pagesOf([[transaction()]], new Error('throttled')));
+    const late = exportRange().buffer(true);
+    
+    expect(early.status).toBe(500);
+    await expect(late).rejects.toThrow();
+  });
+  
+  it('checks the range and format first', async () => {
+    expect((await exportRange({ format: 'xlsx' })).status).toBe(400);
+    expect((await exportRange({ endDate: '2026-05-01' })).status).toBe(400);
+    expect(transactionOperations.iterateTransactionsByDateRange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../../utils/dynamodb', () => ({
+  roleOperations: {
+    getAllRoles: jest.fn(),
+    putRole: jest.fn(),
+    deleteRole: jest.fn(),
+  },
+  auditOperations: {
+    recordEntry: jest.fn(async () => true),
+  },
+}));
+
+const request = require('supertest');
+const { roleOperations } = require('../../utils/dynamodb');
+const { clearRoleCache } = require('../../middleware/auth');
+const { createApp, silenceErrorLog } = require('../../../test/helpers');
+
+const app = createApp('/api/roles', require('../roles'));
+
+const admin = (method, path) => request(app)[method](path).set('X-Role', 'admin').set('X-User', 'admin-1');
+
+silenceErrorLog();
+
+// Roles as stored, edits over the built-in ones
+let stored;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  clearRoleCache();
+  stored = [{ role: 'supervisor', inherits: ['cashier'], permissions: ['transactions:void'], updatedAt: '2026-06-01T00:00:00.000Z' }];
+  roleOperations.getAllRoles.mockImplementation(async () => stored);
+  roleOperations.putRole.mockImplementation(async (role, definition) => {
+    stored = [...stored.filter(item => item.role !== role), { role, ...definition, updatedAt: '2026-06-02T00:00:00.000Z' }];
+  });
+  roleOperations.deleteRole.mockImplementation(async (role) => {
+    stored = stored.filter(item => item.role !== role);
+  });
+});
+
+describe('GET /api/roles', () => {
+  it('lists each role with its effective permissions', async () => {
+    const response = await admin('get', '/api/roles');
+    
+    expect(response.body.roles.map(role => role.role)).toEqual(['admin', 'cashier', 'manager', 'supervisor']);
+    expect(response.body.roles[3]).toMatchObject({
+      builtIn: false,
+      customized: true,
+      effectivePermissions: expect.arrayContaining(['transactions:create', 'transactions:void']),
+    });
+  });
+  
+  it('is for users who manage roles', async () => {
+    expect((await request(app).get('/api/roles').set('X-Role', 'manager')).status).toBe(403);
+  });
+});
+
+describe('PUT /api/roles/:role', () => {
+  it('adds a role, recording who did it', async () => {
+    const response = await admin('put', '/api/roles/trainee').send({ permissions: ['products:read', 'products:read'] });
+    
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ role: 'trainee', effectivePermissions: ['products:read'] });
+    expect(roleOperations.putRole).toHaveBeenCalledWith('trainee', { inherits: [], permissions: ['products:read'] }, 'admin-1');
+  });
+  
+  it('refuses unknown permissions and parents, and inheritance cycles', async () => {
+    const responses = await Promise.all([
+      admin('put', '/api/roles/trainee').send({ permissions: ['everything'] }),
+      admin('put', '/api/roles/trainee').send({ inherits: ['ghost'], permissions: [] }),
+      admin('put', '/api/roles/cashier').send({ inherits: ['supervisor'], permissions: [] }),
+      admin('put', '/api/roles/Trainee').send({ permissions: [] }),
+    ]);
+    
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400]);
+    expect(responses[2].body.message).toBe('Inheritance would form a cycle: cashier -> supervisor -> cashier');
+    expect(roleOperations.putRole).not.toHaveBeenCalled();
+  });
+  
+  it('keeps the user able to manage roles', async () => {
+    const response = await admin('put', '/api/roles/admin').send({ inherits: ['manager'], permissions: [] });
+    
+    expect(response.status).toBe(409);
+  });
+});
+
+describe('DELETE /api/roles/:role', () => {
+  it('deletes an added role, and returns an edited built-in role to its defaults', async () => {
+    stored.push({ role: 'cashier', inherits: [], permissions: ['products:read'], updatedAt: '2026-06-01T00:00:00.000Z' });
+    
+    const added = await admin('delete', '/api/roles/supervisor');
+    const builtIn = await admin('delete', '/api/roles/cashier');
+    
+    expect(added.body).toEqual({ message: 'Role deleted successfully' });
+    expect(builtIn.body).toMatchObject({ role: 'cashier', customized: false });
+    expect(builtIn.body.permissions).toContain('transactions:create');
+  });
+  
+  it('refuses roles that are inherited, unknown or already at their defaults', async () => {
+    stored.push({ role: 'lead', inherits: ['supervisor'], permissions: [], updatedAt: '2026-06-01T00:00:00.000Z' });
+    
+    expect((await admin('delete', '/api/roles/supervisor')).body.message).toBe('Role is inherited by lead');
+    expect((await admin('delete', '/api/roles/ghost')).status).toBe(404);
+    expect((await admin('delete', '/api/roles/manager')).status).toBe(409);
+    expect(roleOperations.deleteRole).not.toHaveBeenCalled();
+  });
+});
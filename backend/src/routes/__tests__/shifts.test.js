@@ -0,0 +1,124 @@
+jest.mock('../../utils/dynamodb', () => ({
+  shiftOperations: {
+    openShift: jest.fn(),
+    getShiftById: jest.fn(),
+    getOpenShift: jest.fn(),
+    addEvent: jest.fn(),
+    closeShift: jest.fn(),
+    saveReport: jest.fn(),
+  },
+  transactionOperations: {
+    getTransactionsByShift: jest.fn(),
+  },
+  refundOperations: {
+    getRefundsByShift: jest.fn(),
+  },
+  auditOperations: {
+    recordEntry: jest.fn(async () => true),
+  },
+  roleOperations: {
+    getAllRoles: jest.fn(async () => []),
+  },
+}));
+
+const request = require('supertest');
+const { shiftOperations, transactionOperations, refundOperations } = require('../../utils/dynamodb');
+const { createApp, silenceErrorLog, transaction } = require('../../../test/helpers');
+
+const app = createApp('/api/shifts', require('../shifts'));
+
+const openShift = { shiftId: 's1', cashierId: 'cashier-1', status: 'open', openedAt: '2026-06-01T08:00:00.000Z', openingFloat: 100 };
+
+silenceErrorLog();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  shiftOperations.openShift.mockImplementation(async shift => ({ shiftId: 's1', status: 'open', ...shift }));
+  shiftOperations.getShiftById.mockImplementation(async id => (id === 's1' ? openShift : undefined));
+  shiftOperations.getOpenShift.mockResolvedValue(undefined);
+  shiftOperations.closeShift.mockImplementation(async (shift, closing) => ({
+    ...openShift,
+    status: 'closed',
+    closedAt: '2026-06-01T16:00:00.000Z',
+    closing,
+  }));
+  transactionOperations.getTransactionsByShift.mockResolvedValue([transaction()]);
+  refundOperations.getRefundsByShift.mockResolvedValue([]);
+});
+
+describe('POST /api/shifts', () => {
+  it('opens a shift for the signed-in cashier with their float', async () => {
+    const response = await request(app).post('/api/shifts').send({ openingFloat: '100', registerId: 'till-2' });
+    
+    expect(response.status).toBe(201);
+    expect(shiftOperations.openShift).toHaveBeenCalledWith({ cashierId: 'cashier-1', registerId: 'till-2', openingFloat: 100 });
+  });
+  
+  it('refuses a second open shift', async () => {
+    shiftOperations.getOpenShift.mockResolvedValue(openShift);
+    
+    const response = await request(app).post('/api/shifts').send({ openingFloat: 100 });
+    
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({ message: 'You already have an open shift', shiftId: 's1' });
+  });
+  
+  it('refuses a shift another request opened since the check', async () => {
+    shiftOperations.openShift.mockRejectedValue(Object.assign(new Error('You already have an open shift'), {
+      statusCode: 409,
+      openShiftId: 's2',
+    }));
+    
+    const response = await request(app).post('/api/shifts').send({ openingFloat: 100 });
+    
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({ message: 'You already have an open shift', shiftId: 's2' });
+  });
+});
+
+describe('POST /api/shifts/:id/events', () => {
+  it('records paid-outs with their reason, and no-sales without an amount', async () => {
+    const paidOut = await request(app).post('/api/shifts/s1/events').send({ type: 'paid_out', amount: 7.5, reason: 'milk' });
+    const noSale = await request(app).post('/api/shifts/s1/events').send({ type: 'no_sale', amount: 5 });
+    
+    expect(paidOut.status).toBe(201);
+    expect(paidOut.body).toMatchObject({ type: 'paid_out', amount: 7.5, reason: 'milk', userId: 'cashier-1' });
+    expect(noSale.body).not.toHaveProperty('amount');
+    expect(shiftOperations.addEvent).toHaveBeenCalledTimes(2);
+  });
+  
+  it('needs an amount and reason for money in or out of the drawer', async () => {
+    const response = await request(app).post('/api/shifts/s1/events').send({ type: 'paid_in' });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.path)).toEqual(['amount', 'reason']);
+  });
+});
+
+describe('POST /api/shifts/:id/close', () => {
+  it('closes the shift with the counted drawer and files its Z report', async () => {
+    const response = await request(app).post('/api/shifts/s1/close').send({ countedCash: 105, countedTenders: { card: 0 } });
+    
+    expect(response.status).toBe(200);
+    expect(shiftOperations.closeShift).toHaveBeenCalledWith(openShift, {
+      countedCash: 105,
+      countedTenders: { card: 0 },
+      closedBy: 'cashier-1',
+    });
+    expect(response.body.zReport).toMatchObject({ status: 'closed', grossSales: 5.5, expectedCash: 105.5, cashVariance: -0.5 });
+    expect(shiftOperations.saveReport).toHaveBeenCalledWith('s1', response.body.zReport);
+  });
+});
+
+describe('GET /api/shifts/:id/report', () => {
+  it('lets cashiers see their own shifts only, and managers any shift', async () => {
+    const own = await request(app).get('/api/shifts/s1/report');
+    const other = await request(app).get('/api/shifts/s1/report').set('X-User', 'cashier-2');
+    const manager = await request(app).get('/api/shifts/s1/report').set('X-User', 'pat').set('X-Role', 'manager');
+    
+    expect(own.body).toMatchObject({ shiftId: 's1', status: 'open', countedCash: null });
+    expect(other.status).toBe(403);
+    expect(manager.status).toBe(200);
+    expect((await request(app).get('/api/shifts/missing/report')).status).toBe(404);
+  });
+});
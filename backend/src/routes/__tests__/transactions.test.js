@@ -0,0 +1,643 @@
+// Signing keys of the user pool, which tokens are checked against
+jest.mock('jwks-rsa', () => () => ({
+  getSigningKey: (kid, callback) => callback(null, { publicKey: 'key' }),
+}));
+
+jest.mock('../../utils/dynamodb', () => ({
+  transactionOperations: {
+    createTransaction: jest.fn(),
+    getTransactionById: jest.fn(),
+    getTransactionsByDateRange: jest.fn(),
+    listTransactionsByDateRange: jest.fn(),
+    listTransactionsByCashier: jest.fn(),
+    voidTransaction: jest.fn(),
+  },
+  refundOperations: {
+    createRefund: jest.fn(),
+    getRefundsByTransaction: jest.fn(),
+  },
+  productOperations: {
+    getProductById: jest.fn(),
+  },
+  promotionOperations: {
+    getAllPromotions: jest.fn(async () => []),
+  },
+  shiftOperations: {
+    getOpenShift: jest.fn(),
+  },
+  idempotencyOperations: {
+    getKey: jest.fn(async () => undefined),
+    lockKey: jest.fn(async () => true),
+    completeKey: jest.fn(),
+    releaseKey: jest.fn(),
+  },
+  auditOperations: {
+    recordEntry: jest.fn(async () => true),
+  },
+  roleOperations: {
+    getAllRoles: jest.fn(async () => []),
+  },
+}));
+
+const AWS = require('aws-sdk');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const {
+  transactionOperations,
+  productOperations,
+  refundOperations,
+  shiftOperations,
+  idempotencyOperations,
+} = require('../../utils/dynamodb');
+const { createApp, silenceErrorLog, product, transaction } = require('../../../test/helpers');
+
+const app = createApp('/api/transactions', require('../transactions'));
+
+silenceErrorLog();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  productOperations.getProductById.mockImplementation(async productId => (productId === 'cola' ? product() : undefined));
+  transactionOperations.createTransaction.mockImplementation(async sale => ({ transactionId: 't1', ...sale }));
+  transactionOperations.getTransactionById.mockImplementation(async id => (id === 't1' ? transaction() : undefined));
+  refundOperations.createRefund.mockImplementation(async (sale, refund, details) => ({
+    refundId: 'r1',
+    items: refund.items,
+    total: refund.total,
+    ...details,
+  }));
+  refundOperations.getRefundsByTransaction.mockResolvedValue([{ refundId: 'r1' }]);
+  transactionOperations.voidTransaction.mockImplementation(async (sale, details) => ({ ...sale, status: 'voided', void: details }));
+});
+
+describe('POST /api/transactions', () => {
+  it('records the sale at catalog prices, for the signed-in cashier', async () => {
+    const response = await request(app).post('/api/transactions').send({
+      items: [{ productId: 'cola', quantity: 2, price: 1.5 }],
+      total: 3,
+      paymentMethod: 'cash',
+    });
+    
+    expect(response.status).toBe(201);
+    expect(transactionOperations.createTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      items: [expect.objectContaining({ productId: 'cola', price: 1.5, lineTotal: 3, grossTotal: 3 })],
+      subtotal: 3,
+      taxTotal: 0,
+      total: 3,
+      cashierId: 'cashier-1',
+    }), expect.anything());
+  });
+  
+  it('ignores fields of the sale only the server sets', async () => {
+    const response = await request(app).post('/api/transactions').send({
+      items: [{ productId: 'cola', quantity: 1 }],
+      paymentMethod: 'cash',
+      couponCodes: [],
+      status: 'refunded',
+      timestamp: '2020-01-01T00:00:00.000Z',
+      date: '2020-01-01',
+      shiftId: 'closed-shift',
+      refundedTotal: 0,
+      refundCount: 9,
+      void: { reason: 'made up' },
+      cashierId: 'cashier-2',
+      transactionId: 'chosen',
+    });
+    
+    const [sale] = transactionOperations.createTransaction.mock.calls[0];
+    expect(response.status).toBe(201);
+    expect(Object.keys(sale)).toEqual(expect.not.arrayContaining([
+      'status',
+      'timestamp',
+      'date',
+      'shiftId',
+      'refundedTotal',
+      'refundCount',
+      'void',
+      'transactionId',
+    ]));
+    expect(sale).toMatchObject({ couponCodes: [], cashierId: 'cashier-1' });
+  });
+  
+  it('records the sale into the cashier\'s open shift', async () => {
+    shiftOperations.getOpenShift.mockResolvedValue({ shiftId: 's1', openedAt: '2026-06-01T08:00:00.000Z' });
+    
+    await request(app).post('/api/transactions').send({ items: [{ productId: 'cola', quantity: 1 }], paymentMethod: 'cash' });
+    
+    expect(shiftOperations.getOpenShift).toHaveBeenCalledWith('cashier-1');
+    expect(transactionOperations.createTransaction.mock.calls[0][0].shiftId).toBe('s1');
+  });
+  
+  it('refuses a sale priced below the catalog', async () => {
+    const response = await request(app).post('/api/transactions').send({
+      items: [{ productId: 'cola', quantity: 2, price: 0.01 }],
+      total: 0.02,
+      paymentMethod: 'cash',
+    });
+    
+    expect(response.status).toBe(422);
+    expect(response.body.details.total).toEqual({ submitted: 0.02, expected: 3 });
+    expect(transactionOperations.createTransaction).not.toHaveBeenCalled();
+  });
+  
+  it('splits the sale across tenders and gives change from the cash', async () => {
+    const response = await request(app).post('/api/transactions').send({
+      items: [{ productId: 'cola', quantity: 2 }],
+      payments: [{ method: 'card', amount: 2, reference: 'auth-1' }, { method: 'cash', amount: 5 }],
+    });
+    
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ paymentMethod: 'split', amountTendered: 7, changeDue: 4 });
+    expect(response.body.payments.map(payment => payment.net)).toEqual([2, 1]);
+  });
+  
+  it('refuses tenders short of the total, and sales without any', async () => {
+    const short = await request(app).post('/api/transactions').send({
+      items: [{ productId: 'cola', quantity: 2 }],
+      payments: [{ method: 'card', amount: 2 }],
+    });
+    const none = await request(app).post('/api/transactions').send({ items: [{ productId: 'cola', quantity: 2 }] });
+    
+    expect(short.status).toBe(422);
+    expect(short.body.details).toEqual({ total: 3, amountTendered: 2, shortfall: 1 });
+    expect(none.status).toBe(400);
+    expect(transactionOperations.createTransaction).not.toHaveBeenCalled();
+  });
+  
+  it('refuses coupon codes that do not apply', async () => {
+    const response = await request(app).post('/api/transactions').send({
+      items: [{ productId: 'cola', quantity: 1 }],
+      couponCodes: ['nope'],
+      paymentMethod: 'cash',
+    });
+    
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ message: 'Coupon codes are not valid for this sale', couponCodes: ['NOPE'] });
+    expect(transactionOperations.createTransaction).not.toHaveBeenCalled();
+  });
+  
+  it('completes an Idempotency-Key with the sale itself', async () => {
+    const response = await request(app).post('/api/transactions').set('Idempotency-Key', 'k1').send({
+      items: [{ productId: 'cola', quantity: 1 }],
+      paymentMethod: 'cash',
+    });
+    
+    expect(response.status).toBe(201);
+    expect(transactionOperations.createTransaction.mock.calls[0][1].idempotency)
+      .toMatchObject({ key: 'cashier-1:k1', completed: true });
+    expect(idempotencyOperations.completeKey).not.toHaveBeenCalled();
+  });
+  
+  it('replays the sale of a retry that took the Idempotency-Key over', async () => {
+    transactionOperations.createTransaction.mockRejectedValueOnce(Object.assign(new Error('taken over'), {
+      statusCode: 409,
+      idempotentResponse: { statusCode: 201, response: { transactionId: 't2' } },
+    }));
+    
+    const response = await request(app).post('/api/transactions').set('Idempotency-Key', 'k1').send({
+      items: [{ productId: 'cola', quantity: 1 }],
+      paymentMethod: 'cash',
+    });
+    
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ transactionId: 't2' });
+    expect(response.headers['idempotent-replayed']).toBe('true');
+    expect(idempotencyOperations.releaseKey).not.toHaveBeenCalled();
+  });
+  
+  it('refuses unknown products', async () => {
+    const response = await request(app).post('/api/transactions').send({
+      items: [{ productId: 'missing', quantity: 1 }],
+      paymentMethod: 'cash',
+    });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('One or more products do not exist or are archived');
+  });
+});
+
+describe('POST /api/transactions with an offline sale', () => {
+  const clientTransactionId = '0b9d7c2e-4f7a-4d8e-9a51-3c2f1e6b8a10';
+  const hoursAgo = hours => new Date(Date.now() - hours * 3600 * 1000).toISOString();
+  const offlineSale = overrides => request(app).post('/api/transactions').send({
+    items: [{ productId: 'cola', quantity: 2, price: 1.5 }],
+    total: 3,
+    paymentMethod: 'cash',
+    clientTransactionId,
+    saleTimestamp: hoursAgo(2),
+    ...overrides,
+  });
+  
+  it('records the sale at the time it was rung up, keyed by its client ID', async () => {
+    const saleTimestamp = hoursAgo(2);
+    
+    const response = await offlineSale({ saleTimestamp });
+    
+    expect(response.status).toBe(201);
+    expect(transactionOperations.createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ clientTransactionId, offline: true }),
+      expect.objectContaining({ saleTimestamp, idempotency: expect.objectContaining({ key: `cashier-1:${clientTransactionId}` }) })
+    );
+    expect(transactionOperations.createTransaction.mock.calls[0][0]).not.toHaveProperty('saleTimestamp');
+  });
+  
+  it('refuses sale times in the future or too long ago', async () => {
+    const future = await offlineSale({ saleTimestamp: hoursAgo(-1) });
+    const stale = await offlineSale({ saleTimestamp: hoursAgo(73) });
+    const missing = await offlineSale({ saleTimestamp: undefined });
+    
+    expect([future.status, stale.status, missing.status]).toEqual([400, 422, 400]);
+    expect(transactionOperations.createTransaction).not.toHaveBeenCalled();
+  });
+  
+  it('answers 409 with the conflicts when the catalog changed, unless catalog prices are accepted', async () => {
+    const conflict = await offlineSale({ items: [{ productId: 'cola', quantity: 2, price: 1 }], total: 2 });
+    const accepted = await offlineSale({
+      items: [{ productId: 'cola', quantity: 2, price: 1 }],
+      payments: [{ method: 'cash', amount: 5 }],
+      acceptCatalogPrices: true,
+    });
+    
+    expect(conflict.status).toBe(409);
+    expect(conflict.body.details.conflicts.map(item => item.type)).toEqual(['price_changed', 'total_changed']);
+    expect(accepted.status).toBe(201);
+    expect(accepted.body).toMatchObject({ total: 3, changeDue: 2 });
+  });
+  
+  it('reports coupons that no longer apply as conflicts', async () => {
+    const response = await offlineSale({ couponCodes: ['nope'] });
+    
+    expect(response.status).toBe(409);
+    expect(response.body.details.conflicts).toEqual([{ type: 'coupon_invalid', couponCode: 'NOPE' }]);
+  });
+});
+
+describe('POST /api/transactions/preview', () => {
+  it('quotes a cart with tax, reporting price corrections instead of refusing them', async () => {
+    const response = await request(app).post('/api/transactions/preview').send({
+      items: [{ productId: 'cola', quantity: 2, price: 1 }],
+    });
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ subtotal: 3, total: 3, mismatches: [expect.objectContaining({ catalogPrice: 1.5 })] });
+    expect(transactionOperations.createTransaction).not.toHaveBeenCalled();
+  });
+  
+  it('refuses line quantities beyond what one line may carry, as sales do', async () => {
+    const items = [{ productId: 'cola', quantity: 10000 }];
+    
+    const preview = await request(app).post('/api/transactions/preview').send({ items });
+    const sale = await request(app).post('/api/transactions').send({ items, paymentMethod: 'cash' });
+    
+    expect([preview.status, sale.status]).toEqual([400, 400]);
+    expect(sale.body.errors[0].msg).toBe('Quantity must be between 1 and 9999');
+    expect(productOperations.getProductById).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/transactions/:id/refunds', () => {
+  it('refunds the lines asked for, restocking and paying back as the sale was paid', async () => {
+    const response = await request(app).post('/api/transactions/t1/refunds').send({
+      items: [{ lineIndex: 0, quantity: 2 }],
+      reason: 'damaged',
+    });
+    
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      refund: { refundId: 'r1', total: 2.2, reason: 'damaged', paymentMethod: 'cash', cashierId: 'cashier-1' },
+      transactionStatus: 'partially_refunded',
+    });
+    expect(refundOperations.createRefund).toHaveBeenCalledWith(
+      expect.objectContaining({ transactionId: 't1' }),
+      expect.objectContaining({ status: 'partially_refunded' }),
+      expect.objectContaining({ restock: true }),
+    );
+  });
+  
+  it('refunds the whole sale when no lines are given, without restocking if told not to', async () => {
+    const response = await request(app).post('/api/transactions/t1/refunds').send({ restock: false });
+    
+    expect(response.body.refund.total).toBe(5.5);
+    expect(response.body.transactionStatus).toBe('refunded');
+    expect(refundOperations.createRefund.mock.calls[0][2].restock).toBe(false);
+  });
+  
+  it('asks which method to refund a split tender sale to', async () => {
+    transactionOperations.getTransactionById.mockResolvedValue(transaction({ paymentMethod: 'split' }));
+    
+    const response = await request(app).post('/api/transactions/t1/refunds').send({});
+    
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Payment method is required to refund this transaction');
+  });
+  
+  it('refuses more than was sold', async () => {
+    const response = await request(app).post('/api/transactions/t1/refunds').send({ items: [{ lineIndex: 1, quantity: 2 }] });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Refund quantities exceed what was sold');
+    expect(refundOperations.createRefund).not.toHaveBeenCalled();
+  });
+  
+  it('answers 404 for an unknown transaction', async () => {
+    expect((await request(app).post('/api/transactions/missing/refunds').send({})).status).toBe(404);
+    expect((await request(app).get('/api/transactions/missing/refunds')).status).toBe(404);
+  });
+});
+
+describe('GET /api/transactions/:id/refunds', () => {
+  it('lists the refunds against a transaction', async () => {
+    const response = await request(app).get('/api/transactions/t1/refunds');
+    
+    expect(response.body).toEqual([{ refundId: 'r1' }]);
+    expect(refundOperations.getRefundsByTransaction).toHaveBeenCalledWith('t1');
+  });
+});
+
+describe('GET /api/transactions/:id/receipt', () => {
+  beforeEach(() => {
+    transactionOperations.getTransactionById.mockImplementation(async id => (
+      id === 't1' ? transaction({ timestamp: '2026-06-01T09:30:00.000Z' }) : undefined
+    ));
+  });
+  
+  it('renders the receipt in the format asked for, text by default', async () => {
+    const text = await request(app).get('/api/transactions/t1/receipt');
+    const html = await request(app).get('/api/transactions/t1/receipt?format=html');
+    const pdf = await request(app).get('/api/transactions/t1/receipt?format=pdf');
+    
+    expect(text.type).toBe('text/plain');
+    expect(text.text).toContain('Transaction t1');
+    expect(html.type).toBe('text/html');
+    expect(pdf.type).toBe('application/pdf');
+    expect(pdf.headers['content-disposition']).toBe('inline; filename="receipt-t1.pdf"');
+  });
+  
+  it('refuses unknown formats and transactions', async () => {
+    expect((await request(app).get('/api/transactions/t1/receipt?format=fax')).status).toBe(400);
+    expect((await request(app).get('/api/transactions/missing/receipt')).status).toBe(404);
+  });
+});
+
+describe('POST /api/transactions/:id/void', () => {
+  // The user pool, answering sign-ins of the manager, with a signed ID token
+  const Cognito = Object.getPrototypeOf(new AWS.CognitoIdentityServiceProvider({ region: 'us-east-1' }));
+  
+  beforeEach(() => {
+    jest.spyOn(Cognito, 'initiateAuth').mockImplementation(({ AuthParameters }) => ({
+      promise: async () => {
+        if (AuthParameters.PASSWORD !== 'manager-password') {
+          throw Object.assign(new Error('Incorrect username or password'), { code: 'NotAuthorizedException' });
+        }
+        
+        return {
+          AuthenticationResult: {
+            IdToken: `id-token-of-${AuthParameters.USERNAME}`,
+            AccessToken: `access-token-of-${AuthParameters.USERNAME}`,
+          },
+        };
+      },
+    }));
+    jest.spyOn(Cognito, 'getUser').mockImplementation(({ AccessToken }) => ({
+      promise: async () => ({ Username: AccessToken.replace('access-token-of-', ''), UserAttributes: [] }),
+    }));
+    jest.spyOn(jwt, 'decode').mockReturnValue({ header: { kid: 'kid' } });
+    jest.spyOn(jwt, 'verify').mockImplementation(token => ({
+      sub: token.replace('id-token-of-', ''),
+      'cognito:username': token.replace('id-token-of-', ''),
+      'custom:role': token.endsWith('pat') ? 'manager' : 'cashier',
+    }));
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  const voidSale = (body, role = 'cashier') => request(app).post('/api/transactions/t1/void').set('X-Role', role).send(body);
+  
+  it('lets managers void directly', async () => {
+    const response = await voidSale({ reason: 'wrong items' }, 'manager');
+    
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('voided');
+    expect(transactionOperations.voidTransaction).toHaveBeenCalledWith(expect.objectContaining({ transactionId: 't1' }), {
+      reason: 'wrong items',
+      requestedBy: 'cashier-1',
+      approvedBy: 'cashier-1',
+      approvedByUsername: undefined,
+      approverRole: 'manager',
+      approvalMethod: 'direct',
+    });
+  });
+  
+  it('lets cashiers void with a manager\'s sign-in', async () => {
+    const response = await voidSale({ reason: 'wrong items', managerOverride: { username: 'pat', password: 'manager-password' } });
+    
+    expect(response.status).toBe(200);
+    expect(transactionOperations.voidTransaction.mock.calls[0][1]).toMatchObject({
+      requestedBy: 'cashier-1',
+      approvedBy: 'pat',
+      approverRole: 'manager',
+      approvalMethod: 'override',
+    });
+  });
+  
+  it('refuses cashiers without a valid manager override', async () => {
+    const none = await voidSale({ reason: 'wrong items' });
+    const wrong = await voidSale({ reason: 'wrong items', managerOverride: { username: 'pat', password: 'guess' } });
+    const cashier = await voidSale({ reason: 'wrong items', managerOverride: { username: 'sam', password: 'manager-password' } });
+    
+    expect([none.status, wrong.status, cashier.status]).toEqual([403, 403, 403]);
+    expect(wrong.body.message).toBe('Invalid manager override credentials');
+    expect(cashier.body.message).toBe('Override user is not allowed to approve this action');
+    expect(transactionOperations.voidTransaction).not.toHaveBeenCalled();
+  });
+  
+  it('checks the request before any override credentials', async () => {
+    const response = await voidSale({ managerOverride: { username: 'pat', password: 'manager-password' } });
+    
+    expect(response.status).toBe(400);
+    expect(Cognito.initiateAuth).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/transactions/me', () => {
+  it('lists the signed-in cashier\'s sales a page at a time', async () => {
+    transactionOperations.listTransactionsByCashier.mockResolvedValue({
+      items: [transaction()],
+      lastEvaluatedKey: { transactionId: 't1' },
+    });
+    const lastKey = Buffer.from(JSON.stringify({ transactionId: 't0' })).toString('base64');
+    
+    const response = await request(app).get('/api/transactions/me').query({ limit: 1, order: 'oldest', lastKey });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.pagination.lastKey).toBe(Buffer.from(JSON.stringify({ transactionId: 't1' })).toString('base64'));
+    expect(transactionOperations.listTransactionsByCashier).toHaveBeenCalledWith('cashier-1', {
+      limit: 1,
+      order: 'oldest',
+      lastEvaluatedKey: { transactionId: 't0' },
+    });
+    expect(transactionOperations.getTransactionById).not.toHaveBeenCalled();
+  });
+  
+  it('refuses bad paging options', async () => {
+    expect((await request(app).get('/api/transactions/me').query({ limit: 500 })).status).toBe(400);
+    expect((await request(app).get('/api/transactions/me').query({ order: 'random' })).status).toBe(400);
+    expect((await request(app).get('/api/transactions/me').query({ lastKey: 'garbage' })).status).toBe(400);
+  });
+});
+
+describe('GET /api/transactions/date/:startDate/:endDate', () => {
+  it('lists every cashier\'s sales in the range for managers, a page at a time, newest first', async () => {
+    transactionOperations.listTransactionsByDateRange.mockResolvedValue({ items: [transaction()] });
+    
+    const response = await request(app).get('/api/transactions/date/2026-06-01/2026-06-02').set('X-Role', 'manager');
+    
+    expect(response.body).toEqual({ items: [transaction()], pagination: null });
+    expect(transactionOperations.listTransactionsByDateRange)
+      .toHaveBeenCalledWith('2026-06-01', '2026-06-02', { limit: 50, order: 'newest', lastEvaluatedKey: undefined });
+  });
+  
+  it('refuses ranges that are back to front or longer than a report may cover', async () => {
+    const backwards = await request(app).get('/api/transactions/date/2026-06-02/2026-06-01').set('X-Role', 'manager');
+    const long = await request(app).get('/api/transactions/date/2020-01-01/2026-06-01').set('X-Role', 'manager');
+    const listing = await request(app).get('/api/transactions').query({ startDate: '2020-01-01', endDate: '2026-06-01' }).set('X-Role', 'manager');
+    
+    expect([backwards.status, long.status, listing.status]).toEqual([400, 400, 400]);
+    expect(long.body.errors[0].msg).toBe('Date range cannot cover more than 366 days');
+    expect(transactionOperations.listTransactionsByDateRange).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/transactions/summary', () => {
+  it('totals the range for managers, leaving out voided sales', async () => {
+    transactionOperations.getTransactionsByDateRange.mockResolvedValue([
+      transaction(),
+      transaction({ transactionId: 't2', total: 3, refundedTotal: 1 }),
+      transaction({ transactionId: 't3', status: 'voided' }),
+    ]);
+    
+    const response = await request(app).get('/api/transactions/summary?startDate=2026-06-01&endDate=2026-06-02')
+      .set('X-Role', 'manager');
+    
+    expect(response.body).toEqual({
+      startDate: '2026-06-01',
+      endDate: '2026-06-02',
+      transactionCount: 2,
+      voidedCount: 1,
+      grossSales: 8.5,
+      refunds: 1,
+      netSales: 7.5,
+    });
+    expect((await request(app).get('/api/transactions/summary')).status).toBe(403);
+  });
+  
+  it('totals today by default, and refuses ranges longer than a report may cover', async () => {
+    transactionOperations.getTransactionsByDateRange.mockResolvedValue([]);
+    const today = new Date().toISOString().split('T')[0];
+    
+    const byDefault = await request(app).get('/api/transactions/summary').set('X-Role', 'manager');
+    const long = await request(app).get('/api/transactions/summary?startDate=2020-01-01&endDate=2026-06-01').set('X-Role', 'manager');
+    
+    expect(byDefault.body).toMatchObject({ startDate: today, endDate: today });
+    expect(long.status).toBe(400);
+    expect(transactionOperations.getTransactionsByDateRange).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('transaction read scope', () => {
+  /**
+   * App with the transaction routes loaded under a TRANSACTION_READ_SCOPE
+   * @param {string} readScope - Read scope
+   * @returns {Object} Express app
+   */
+  const appWithReadScope = (readScope) => {
+    let router;
+    
+    jest.isolateModules(() => {
+      process.env.TRANSACTION_READ_SCOPE = readScope;
+      router = require('../transactions');
+      delete process.env.TRANSACTION_READ_SCOPE;
+    });
+    
+    return createApp('/api/transactions', router);
+  };
+  
+  const sales = {
+    own: transaction({ transactionId: 'own', shiftId: 'shift-1' }),
+    earlier: transaction({ transactionId: 'earlier', shiftId: 'shift-0' }),
+    other: transaction({ transactionId: 'other', cashierId: 'cashier-2', shiftId: 'shift-2' }),
+  };
+  
+  beforeEach(() => {
+    transactionOperations.getTransactionById.mockImplementation(async transactionId => sales[transactionId]);
+    transactionOperations.listTransactionsByCashier.mockResolvedValue({ items: [sales.own] });
+    transactionOperations.listTransactionsByDateRange.mockResolvedValue({ items: Object.values(sales) });
+    shiftOperations.getOpenShift.mockResolvedValue({ shiftId: 'shift-1' });
+  });
+  
+  describe('own', () => {
+    it('reports other cashiers\' sales as not found, like missing ones', async () => {
+      const other = await request(app).get('/api/transactions/other');
+      const missing = await request(app).get('/api/transactions/missing');
+      
+      expect((await request(app).get('/api/transactions/own')).status).toBe(200);
+      expect(other.status).toBe(404);
+      expect(other.body).toEqual(missing.body);
+      expect((await request(app).get('/api/transactions/other/refunds')).status).toBe(404);
+      expect((await request(app).get('/api/transactions/other/receipt')).status).toBe(404);
+    });
+    
+    it('refuses refunds of other cashiers\' sales before looking at the request', async () => {
+      const response = await request(app).post('/api/transactions/other/refunds').send({ items: 'not a list' });
+      
+      expect(response.status).toBe(404);
+      expect(refundOperations.createRefund).not.toHaveBeenCalled();
+    });
+    
+    it('lets managers read every sale', async () => {
+      const response = await request(app).get('/api/transactions/other').set('X-User', 'manager-1').set('X-Role', 'manager');
+      
+      expect(response.status).toBe(200);
+    });
+    
+    it('limits cashiers\' listings to their own sales', async () => {
+      const byDate = await request(app).get('/api/transactions/date/2026-06-01/2026-06-30');
+      const otherCashier = await request(app).get('/api/transactions/cashier/cashier-2');
+      
+      expect(byDate.body.items).toEqual([sales.own]);
+      expect(transactionOperations.listTransactionsByDateRange).not.toHaveBeenCalled();
+      expect(transactionOperations.listTransactionsByCashier).toHaveBeenCalledWith('cashier-1', expect.objectContaining({
+        startDate: '2026-06-01',
+        endDate: '2026-06-30',
+      }));
+      expect(otherCashier.status).toBe(404);
+    });
+  });
+  
+  describe('shift', () => {
+    const shiftApp = appWithReadScope('shift');
+    
+    it('limits cashiers to their own sales in their open shift', async () => {
+      expect((await request(shiftApp).get('/api/transactions/own')).status).toBe(200);
+      expect((await request(shiftApp).get('/api/transactions/earlier')).status).toBe(404);
+      expect((await request(shiftApp).get('/api/transactions/other')).status).toBe(404);
+      
+      await request(shiftApp).get('/api/transactions/me');
+      expect(transactionOperations.listTransactionsByCashier).toHaveBeenCalledWith('cashier-1', expect.objectContaining({
+        shiftId: 'shift-1',
+      }));
+    });
+    
+    it('shows cashiers without an open shift nothing', async () => {
+      shiftOperations.getOpenShift.mockResolvedValue(undefined);
+      
+      const listing = await request(shiftApp).get('/api/transactions/me');
+      
+      expect((await request(shiftApp).get('/api/transactions/own')).status).toBe(404);
+      expect(listing.body).toEqual({ items: [], pagination: null });
+      expect(transactionOperations.listTransactionsByCashier).not.toHaveBeenCalled();
+    });
+  });
+});
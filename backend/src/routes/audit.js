@@ -0,0 +1,80 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { auditOperations } = require('../utils/dynamodb');
+const { decodeLastKey, toPage, LIST_ORDERS } = require('../utils/pagination');
+const { validate } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Default window of a listing, and the longest one read day by day
+const AUDIT_DEFAULT_DAYS = 7;
+const AUDIT_MAX_DAYS = parseInt(process.env.AUDIT_MAX_DAYS, 10) || 366;
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * Time range of a listing, defaulting to the week up to now
+ * @param {Object} req - Express request
+ * @returns {Object} From and to (ISO8601)
+ */
+function timeRange(req) {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - AUDIT_DEFAULT_DAYS * DAY_MS);
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+/**
+ * @route   GET /api/audit
+ * @desc    List audit entries, filtered by actor, resource, action and time range, a page at a time
+ * @access  Private (audit:read)
+ */
+router.get('/', [
+  requirePermission('audit:read'),
+  validate([
+    query('from').optional().isISO8601().withMessage('From must be an ISO8601 date or timestamp'),
+    query('to').optional().isISO8601().withMessage('To must be an ISO8601 date or timestamp'),
+    query('to')
+      .custom((to, { req }) => {
+        const range = timeRange(req);
+        return range.from <= range.to;
+      })
+      .withMessage('To must not be before from'),
+    query('resourceId')
+      .optional()
+      .custom((resourceId, { req }) => Boolean(req.query.resourceType))
+      .withMessage('Resource ID needs a resource type'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('order').optional().isIn(LIST_ORDERS).withMessage(`Order must be one of ${LIST_ORDERS.join(', ')}`),
+    query('lastKey').optional().custom(lastKey => Boolean(decodeLastKey(lastKey))).withMessage('Last key is not valid'),
+  ]),
+], async (req, res, next) => {
+  const { actorId, resourceType, resourceId, action, limit, order, lastKey } = req.query;
+  const { from, to } = timeRange(req);
+  
+  // Without an actor or resource the log is read a day at a time, so keep the range bounded
+  if (!actorId && !resourceId && (new Date(to) - new Date(from)) / DAY_MS > AUDIT_MAX_DAYS) {
+    return res.status(400).json({ message: `Time range cannot cover more than ${AUDIT_MAX_DAYS} days without an actor or resource` });
+  }
+  
+  try {
+    const result = await auditOperations.listEntries({
+      actorId,
+      resourceType,
+      resourceId,
+      action,
+      from,
+      to,
+    }, {
+      limit: limit ? parseInt(limit, 10) : 50,
+      order: order || 'newest',
+      lastEvaluatedKey: lastKey ? decodeLastKey(lastKey) : undefined,
+    });
+    
+    res.json(toPage(result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
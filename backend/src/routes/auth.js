@@ -1,18 +1,29 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
-const AWS = require('aws-sdk');
-const { requireRole } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { authenticate, requirePermission, getRoleMapping, permissionsForRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validate } = require('../middleware/validation');
+const { identityProvider, REVEAL_RESET_CODES, USER_SEARCH_FIELDS, MAX_USER_PAGE } = require('../utils/identity');
+const { decodeLastKey, toPage } = require('../utils/pagination');
 
 const router = express.Router();
 
-// Configure Cognito
-const cognito = new AWS.CognitoIdentityServiceProvider({
-  region: process.env.AWS_REGION || 'us-east-1',
-});
-
-const userPoolId = process.env.COGNITO_USER_POOL_ID;
-const clientId = process.env.COGNITO_CLIENT_ID;
+/**
+ * Describe the signed-in user, with the permissions of their role
+ * @param {Object} user - User from the identity provider
+ * @returns {Promise<Object>} User
+ */
+async function describeCurrentUser(user) {
+  return {
+    username: user.username,
+    email: user.email,
+    givenName: user.givenName,
+    familyName: user.familyName,
+    role: user.role,
+    employeeId: user.employeeId,
+    permissions: await permissionsForRole(user.role),
+  };
+}
 
 /**
  * @route   POST /api/auth/login
@@ -32,55 +43,66 @@ router.post('/login', [
   try {
     const { username, password } = req.body;
     
-    const params = {
-      AuthFlow: 'USER_PASSWORD_AUTH',
-      ClientId: clientId,
-      AuthParameters: {
-        USERNAME: username,
-        PASSWORD: password,
-      },
-    };
-    
-    const authResult = await cognito.initiateAuth(params).promise();
+    const { tokens, user, challenge } = await identityProvider.signIn(username, password);
     
-    // Get user info
-    const userParams = {
-      AccessToken: authResult.AuthenticationResult.AccessToken,
-    };
-    
-    const userInfo = await cognito.getUser(userParams).promise();
-    
-    // Format user attributes
-    const attributes = {};
-    userInfo.UserAttributes.forEach(attr => {
-      attributes[attr.Name] = attr.Value;
-    });
+    // The password was right, but the user must answer a challenge before getting tokens
+    if (challenge) {
+      return res.json({ challenge });
+    }
     
     res.json({
-      tokens: {
-        idToken: authResult.AuthenticationResult.IdToken,
-        accessToken: authResult.AuthenticationResult.AccessToken,
-        refreshToken: authResult.AuthenticationResult.RefreshToken,
-        expiresIn: authResult.AuthenticationResult.ExpiresIn,
-      },
-      user: {
-        username: userInfo.Username,
-        email: attributes.email,
-        givenName: attributes.given_name,
-        familyName: attributes.family_name,
-        role: attributes['custom:role'],
-        employeeId: attributes['custom:employeeId'],
-      },
+      tokens,
+      user: await describeCurrentUser(user),
     });
   } catch (error) {
     console.error('Login error:', error);
     
-    if (error.code === 'NotAuthorizedException') {
-      return res.status(401).json({ message: 'Invalid username or password' });
+    if (error.statusCode === 401) {
+      return res.status(401).json({ message: error.message });
+    }
+    
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/challenge
+ * @desc    Answer a sign-in challenge from login, e.g. choose a new password for NEW_PASSWORD_REQUIRED
+ * @access  Public
+ */
+router.post('/challenge', [
+  body('username').notEmpty().withMessage('Username is required'),
+  body('challenge.name').notEmpty().withMessage('Challenge name is required')
+    .isString().withMessage('Challenge name must be a string'),
+  body('challenge.session').notEmpty().withMessage('Challenge session is required')
+    .isString().withMessage('Challenge session must be a string'),
+  body('responses').isObject().withMessage('Challenge responses must be an object'),
+  body('responses.*').isString().withMessage('Challenge responses must be strings'),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const { username, challenge, responses } = req.body;
+    
+    const result = await identityProvider.respondToChallenge(username, challenge, responses);
+    
+    if (result.challenge) {
+      return res.json({ challenge: result.challenge });
     }
     
-    if (error.code === 'UserNotFoundException') {
-      return res.status(401).json({ message: 'Invalid username or password' });
+    res.json({
+      tokens: result.tokens,
+      user: await describeCurrentUser(result.user),
+    });
+  } catch (error) {
+    console.error('Challenge response error:', error);
+    
+    if (error.statusCode === 400 || error.statusCode === 401) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
     
     next(error);
@@ -104,26 +126,14 @@ router.post('/refresh', [
   try {
     const { refreshToken } = req.body;
     
-    const params = {
-      AuthFlow: 'REFRESH_TOKEN_AUTH',
-      ClientId: clientId,
-      AuthParameters: {
-        REFRESH_TOKEN: refreshToken,
-      },
-    };
-    
-    const authResult = await cognito.initiateAuth(params).promise();
+    const tokens = await identityProvider.refreshTokens(refreshToken);
     
-    res.json({
-      idToken: authResult.AuthenticationResult.IdToken,
-      accessToken: authResult.AuthenticationResult.AccessToken,
-      expiresIn: authResult.AuthenticationResult.ExpiresIn,
-    });
+    res.json(tokens);
   } catch (error) {
     console.error('Refresh token error:', error);
     
-    if (error.code === 'NotAuthorizedException') {
-      return res.status(401).json({ message: 'Invalid refresh token' });
+    if (error.statusCode === 401) {
+      return res.status(401).json({ message: error.message });
     }
     
     next(error);
@@ -149,24 +159,14 @@ router.post('/change-password', [
     const { oldPassword, newPassword } = req.body;
     const accessToken = req.headers.authorization.split(' ')[1];
     
-    const params = {
-      PreviousPassword: oldPassword,
-      ProposedPassword: newPassword,
-      AccessToken: accessToken,
-    };
-    
-    await cognito.changePassword(params).promise();
+    await identityProvider.changePassword(accessToken, oldPassword, newPassword);
     
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Change password error:', error);
     
-    if (error.code === 'NotAuthorizedException') {
-      return res.status(401).json({ message: 'Incorrect old password' });
-    }
-    
-    if (error.code === 'InvalidPasswordException') {
-      return res.status(400).json({ message: error.message });
+    if (error.statusCode === 400 || error.statusCode === 401) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
     
     next(error);
@@ -190,18 +190,16 @@ router.post('/forgot-password', [
   try {
     const { username } = req.body;
     
-    const params = {
-      ClientId: clientId,
-      Username: username,
-    };
-    
-    await cognito.forgotPassword(params).promise();
+    const result = await identityProvider.forgotPassword(username);
     
-    res.json({ message: 'Password reset code sent' });
+    res.json({
+      message: 'Password reset code sent',
+      ...(REVEAL_RESET_CODES && result && result.resetCode && { resetCode: result.resetCode }),
+    });
   } catch (error) {
     console.error('Forgot password error:', error);
     
-    if (error.code === 'UserNotFoundException') {
+    if (error.statusCode === 404) {
       // Return success anyway to prevent username enumeration
       return res.json({ message: 'Password reset code sent if account exists' });
     }
@@ -229,28 +227,13 @@ router.post('/confirm-forgot-password', [
   try {
     const { username, confirmationCode, newPassword } = req.body;
     
-    const params = {
-      ClientId: clientId,
-      Username: username,
-      ConfirmationCode: confirmationCode,
-      Password: newPassword,
-    };
-    
-    await cognito.confirmForgotPassword(params).promise();
+    await identityProvider.confirmForgotPassword(username, confirmationCode, newPassword);
     
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
     console.error('Confirm forgot password error:', error);
     
-    if (error.code === 'CodeMismatchException') {
-      return res.status(400).json({ message: 'Invalid confirmation code' });
-    }
-    
-    if (error.code === 'ExpiredCodeException') {
-      return res.status(400).json({ message: 'Confirmation code has expired' });
-    }
-    
-    if (error.code === 'InvalidPasswordException') {
+    if (error.statusCode === 400) {
       return res.status(400).json({ message: error.message });
     }
     
@@ -258,19 +241,44 @@ router.post('/confirm-forgot-password', [
   }
 });
 
+/**
+ * Name of the signed-in user, to stop admins locking themselves out
+ * @param {Object} req - Express request
+ * @returns {string} Username
+ */
+function currentUsername(req) {
+  return req.user['cognito:username'] || req.user.username;
+}
+
+// A role must exist in the role mapping
+const roleRule = body('role').custom(async (role) => {
+  const roles = await getRoleMapping();
+  
+  if (!roles[role]) {
+    throw new Error(`Role must be one of ${Object.keys(roles).join(', ')}`);
+  }
+  
+  return true;
+});
+
+// Loads a user's state for the audit log
+const userBefore = req => identityProvider.getUser(req.params.username);
+
 /**
  * @route   POST /api/auth/users
- * @desc    Create a new user (admin only)
- * @access  Private (Admin only)
+ * @desc    Create a new user
+ * @access  Private (users:manage)
  */
 router.post('/users', [
-  requireRole('admin'),
+  authenticate,
+  requirePermission('users:manage'),
   body('username').notEmpty().withMessage('Username is required'),
   body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
   body('email').isEmail().withMessage('Valid email is required'),
   body('givenName').notEmpty().withMessage('Given name is required'),
   body('familyName').notEmpty().withMessage('Family name is required'),
-  body('role').isIn(['admin', 'cashier', 'manager']).withMessage('Role must be admin, cashier, or manager'),
+  roleRule,
+  audit('user.create', { resourceId: (req, body) => body.user.username, after: (req, body) => body.user }),
 ], async (req, res, next) => {
   // Validate request
   const errors = validationResult(req);
@@ -281,93 +289,229 @@ router.post('/users', [
   try {
     const { username, password, email, givenName, familyName, role, employeeId } = req.body;
     
-    // Create user
-    const createParams = {
-      UserPoolId: userPoolId,
-      Username: username,
-      TemporaryPassword: password,
-      UserAttributes: [
-        { Name: 'email', Value: email },
-        { Name: 'email_verified', Value: 'true' },
-        { Name: 'given_name', Value: givenName },
-        { Name: 'family_name', Value: familyName },
-        { Name: 'custom:role', Value: role },
-        ...(employeeId ? [{ Name: 'custom:employeeId', Value: employeeId }] : []),
-      ],
-    };
-    
-    await cognito.adminCreateUser(createParams).promise();
-    
-    // Set permanent password
-    const passwordParams = {
-      UserPoolId: userPoolId,
-      Username: username,
-      Password: password,
-      Permanent: true,
-    };
-    
-    await cognito.adminSetUserPassword(passwordParams).promise();
+    const user = await identityProvider.createUser({
+      username,
+      password,
+      email,
+      givenName,
+      familyName,
+      role,
+      employeeId,
+    });
     
     res.status(201).json({
       message: 'User created successfully',
-      user: {
-        username,
-        email,
-        givenName,
-        familyName,
-        role,
-        employeeId,
-      },
+      user,
     });
   } catch (error) {
     console.error('Create user error:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/auth/users
+ * @desc    List users, optionally those whose username, email or name starts with a search, a page at a time
+ * @access  Private (users:manage)
+ */
+router.get('/users', [
+  authenticate,
+  requirePermission('users:manage'),
+  validate([
+    query('searchBy').optional().isIn(Object.keys(USER_SEARCH_FIELDS))
+      .withMessage(`Search by must be one of ${Object.keys(USER_SEARCH_FIELDS).join(', ')}`),
+    query('limit').optional().isInt({ min: 1, max: MAX_USER_PAGE })
+      .withMessage(`Limit must be between 1 and ${MAX_USER_PAGE}`),
+    query('lastKey').optional().custom(lastKey => Boolean(decodeLastKey(lastKey))).withMessage('Last key is not valid'),
+  ]),
+], async (req, res, next) => {
+  try {
+    const { search, searchBy, limit, lastKey } = req.query;
     
-    if (error.code === 'UsernameExistsException') {
-      return res.status(400).json({ message: 'Username already exists' });
-    }
+    const result = await identityProvider.listUsers({
+      search,
+      searchBy,
+      limit: limit ? parseInt(limit, 10) : undefined,
+      lastEvaluatedKey: lastKey ? decodeLastKey(lastKey) : undefined,
+    });
     
-    if (error.code === 'InvalidPasswordException') {
-      return res.status(400).json({ message: error.message });
+    res.json(toPage(result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/auth/users/:username
+ * @desc    Get a user
+ * @access  Private (users:manage)
+ */
+router.get('/users/:username', [
+  authenticate,
+  requirePermission('users:manage'),
+], async (req, res, next) => {
+  try {
+    const user = await identityProvider.getUser(req.params.username);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
     
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/auth/users/:username
+ * @desc    Update a user's names and employee ID, an empty employee ID removes it
+ * @access  Private (users:manage)
+ */
+router.put('/users/:username', [
+  authenticate,
+  requirePermission('users:manage'),
+  validate([
+    body('givenName').optional().notEmpty().withMessage('Given name cannot be empty'),
+    body('familyName').optional().notEmpty().withMessage('Family name cannot be empty'),
+    body('employeeId').optional().isString().withMessage('Employee ID must be a string'),
+    body()
+      .custom(changes => ['givenName', 'familyName', 'employeeId'].some(field => changes[field] !== undefined))
+      .withMessage('Nothing to update, give a given name, family name or employee ID'),
+  ]),
+  audit('user.update', { resourceId: req => req.params.username, before: userBefore }),
+], async (req, res, next) => {
+  try {
+    const { givenName, familyName, employeeId } = req.body;
+    
+    const user = await identityProvider.updateUser(req.params.username, { givenName, familyName, employeeId });
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/auth/users/:username/role
+ * @desc    Change a user's role, which takes effect when their current tokens are refreshed
+ * @access  Private (users:manage)
+ */
+router.put('/users/:username/role', [
+  authenticate,
+  requirePermission('users:manage'),
+  validate([roleRule]),
+  audit('user.role.change', { resourceId: req => req.params.username, before: userBefore }),
+], async (req, res, next) => {
+  if (req.params.username === currentUsername(req)) {
+    return res.status(409).json({ message: 'You cannot change your own role' });
+  }
+  
+  try {
+    const user = await identityProvider.setRole(req.params.username, req.body.role);
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/users/:username/disable
+ * @desc    Disable a user, so they can no longer sign in or refresh their tokens
+ * @access  Private (users:manage)
+ */
+router.post('/users/:username/disable', [
+  authenticate,
+  requirePermission('users:manage'),
+  audit('user.disable', { resourceId: req => req.params.username, before: userBefore }),
+], async (req, res, next) => {
+  if (req.params.username === currentUsername(req)) {
+    return res.status(409).json({ message: 'You cannot disable your own account' });
+  }
+  
+  try {
+    const user = await identityProvider.disableUser(req.params.username);
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/users/:username/enable
+ * @desc    Enable a disabled user
+ * @access  Private (users:manage)
+ */
+router.post('/users/:username/enable', [
+  authenticate,
+  requirePermission('users:manage'),
+  audit('user.enable', { resourceId: req => req.params.username, before: userBefore }),
+], async (req, res, next) => {
+  try {
+    const user = await identityProvider.enableUser(req.params.username);
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/users/:username/reset-password
+ * @desc    Force a user to choose a new password, with a code sent to them, before they next sign in
+ * @access  Private (users:manage)
+ */
+router.post('/users/:username/reset-password', [
+  authenticate,
+  requirePermission('users:manage'),
+  audit('user.password.reset', {
+    resourceId: req => req.params.username,
+    before: userBefore,
+    // The local provider's reset code is for the user, not the audit log
+    after: (req, { resetCode, ...user }) => user,
+  }),
+], async (req, res, next) => {
+  try {
+    const user = await identityProvider.resetPassword(req.params.username);
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/users/:username/sign-out
+ * @desc    Sign a user out on every device by revoking their refresh tokens
+ * @access  Private (users:manage)
+ */
+router.post('/users/:username/sign-out', [
+  authenticate,
+  requirePermission('users:manage'),
+  audit('user.sessions.revoke', { resourceId: req => req.params.username, after: () => undefined }),
+], async (req, res, next) => {
+  try {
+    await identityProvider.signOut(req.params.username);
+    res.json({ message: 'User signed out on every device' });
+  } catch (error) {
     next(error);
   }
 });
 
 /**
  * @route   GET /api/auth/me
- * @desc    Get current user info
+ * @desc    Get current user info, with the permissions of their role
  * @access  Private
  */
 router.get('/me', async (req, res, next) => {
   try {
     const accessToken = req.headers.authorization.split(' ')[1];
     
-    const params = {
-      AccessToken: accessToken,
-    };
-    
-    const userInfo = await cognito.getUser(params).promise();
+    const user = await identityProvider.getCurrentUser(accessToken);
     
-    // Format user attributes
-    const attributes = {};
-    userInfo.UserAttributes.forEach(attr => {
-      attributes[attr.Name] = attr.Value;
-    });
-    
-    res.json({
-      username: userInfo.Username,
-      email: attributes.email,
-      givenName: attributes.given_name,
-      familyName: attributes.family_name,
-      role: attributes['custom:role'],
-      employeeId: attributes['custom:employeeId'],
-    });
+    res.json(await describeCurrentUser(user));
   } catch (error) {
     console.error('Get user error:', error);
     
-    if (error.code === 'NotAuthorizedException') {
-      return res.status(401).json({ message: 'Invalid or expired token' });
+    if (error.statusCode === 401) {
+      return res.status(401).json({ message: error.message });
     }
     
     next(error);
@@ -1,58 +1,221 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { productOperations } = require('../utils/dynamodb');
-const { requireRole } = require('../middleware/auth');
+const { parseProductCsv, planImport } = require('../utils/product-import');
+const { normalizeBarcode, isValidBarcode } = require('../utils/barcodes');
+const { tokenize, MIN_PREFIX_LENGTH } = require('../utils/search');
+const { validate } = require('../middleware/validation');
+const { decodeLastKey, toPage } = require('../utils/pagination');
+const { checkVariants, combinationKey, extendVariantOptions, nestVariants } = require('../utils/variants');
+const { priceStatus, priceAt } = require('../utils/prices');
+const { requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
+// Largest CSV accepted by the bulk import
+const PRODUCT_IMPORT_MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS, 10) || 5000;
+
+// A product sold within this many days cannot be purged; every sale in them is read to check
+const PRODUCT_PURGE_LOOKBACK_DAYS = parseInt(process.env.PRODUCT_PURGE_LOOKBACK_DAYS, 10) || 90;
+
+// Barcodes are stored normalized so any scan of the same item finds it
+const barcodeRule = field => body(field)
+  .optional()
+  .custom(isValidBarcode).withMessage('Barcode must be a GTIN with a valid check digit or printable characters')
+  .customSanitizer(normalizeBarcode);
+
+// Price fields only the price schedule writes
+const PRICE_SCHEDULE_FIELDS = ['scheduledPrices', 'priceEffectiveFrom', 'priceUpdatedAt'];
+
+// Fields a variant carries of its own, everything else comes from its parent
+const VARIANT_FIELDS = ['options', 'sku', 'barcode', 'price', 'stockOnHand', 'allowNegativeStock'];
+
+/**
+ * Validation rules for a variant's own fields
+ * @param {string} prefix - Path to the variant in the body, '' or 'variants.*.'
+ * @returns {Array} Validation chains
+ */
+const variantRules = prefix => [
+  body(`${prefix}sku`).optional().isString().withMessage('Variant SKU must be a string'),
+  barcodeRule(`${prefix}barcode`),
+  body(`${prefix}price`).optional().isNumeric().withMessage('Variant price must be a number'),
+  body(`${prefix}stockOnHand`).optional().isInt({ min: 0 }).withMessage('Stock on hand must be a non-negative integer'),
+  body(`${prefix}allowNegativeStock`).optional().isBoolean({ strict: true }).withMessage('Allow negative stock must be a boolean'),
+];
+
+/**
+ * Keep only the fields a variant may set
+ * @param {Object} variant - Variant as sent by the client
+ * @returns {Object} Variant fields
+ */
+function pickVariant(variant) {
+  const picked = {};
+  VARIANT_FIELDS.filter(field => variant[field] !== undefined).forEach((field) => {
+    picked[field] = variant[field];
+  });
+  return picked;
+}
+
+// State of the product or variant a request changes, for the audit log
+const productBefore = req => productOperations.getProductById(req.params.id);
+const variantBefore = req => productOperations.getProductById(req.params.variantId);
+
+/**
+ * Load a product's variant, checking it belongs to the product
+ * @param {string} productId - Parent product ID
+ * @param {string} variantId - Variant product ID
+ * @returns {Promise<Object|undefined>} Variant, undefined if it is not one of the product's
+ */
+async function findVariant(productId, variantId) {
+  const variant = await productOperations.getProductById(variantId);
+  return variant && variant.parentId === productId ? variant : undefined;
+}
+
+// Validation rules for a new product, shared by create and the bulk import
+const productRules = [
+  body('name').notEmpty().withMessage('Product name is required'),
+  body('price').isNumeric().withMessage('Price must be a number'),
+  body('category').notEmpty().withMessage('Category is required'),
+  body('stockOnHand').optional().isInt({ min: 0 }).withMessage('Stock on hand must be a non-negative integer'),
+  body('allowNegativeStock').optional().isBoolean({ strict: true }).withMessage('Allow negative stock must be a boolean'),
+  body('taxClass').optional().isString().withMessage('Tax class must be a string'),
+  barcodeRule('barcode'),
+];
+
+// Validation rules for the columns an import row changes on an existing product
+const importUpdateRules = [
+  body('name').optional().notEmpty().withMessage('Product name is required'),
+  body('price').optional().isNumeric().withMessage('Price must be a number'),
+  body('category').optional().notEmpty().withMessage('Category is required'),
+  body('allowNegativeStock').optional().isBoolean({ strict: true }).withMessage('Allow negative stock must be a boolean'),
+  body('taxClass').optional().isString().withMessage('Tax class must be a string'),
+  barcodeRule('barcode'),
+];
+
+/**
+ * Check an import row against the product rules, or only its own columns when it updates a product
+ * @param {Object} row - Product fields
+ * @param {Object} [existing] - Product the row updates
+ * @returns {Promise<Array<string>>} Validation messages
+ */
+async function validateProductRow(row, existing) {
+  const req = { body: row };
+  await Promise.all((existing ? importUpdateRules : productRules).map(rule => rule.run(req)));
+  return validationResult(req).array().map(error => error.msg);
+}
+
 /**
  * @route   GET /api/products
- * @desc    Get all products
- * @access  Private
+ * @desc    Get all products; ?archived=true lists archived products instead
+ * @access  Private (products:read)
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('products:read'), validate([
+  query('archived').optional().isIn(['true', 'false']).withMessage('Archived must be true or false'),
+  query('lastKey').optional().custom(lastKey => Boolean(decodeLastKey(lastKey))).withMessage('Last key is not valid'),
+]), async (req, res, next) => {
   try {
-    const { category, limit, lastKey } = req.query;
+    const { category, archived, limit, lastKey } = req.query;
     const options = {
       category,
+      archived: archived === 'true',
       limit: limit ? parseInt(limit, 10) : 50,
+      lastEvaluatedKey: lastKey ? decodeLastKey(lastKey) : undefined,
     };
-
-    if (lastKey) {
-      options.lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
-    }
-
+    
     const result = await productOperations.getAllProducts(options);
     
     // Encode the lastEvaluatedKey for pagination
-    const response = {
-      items: result.items,
-      pagination: result.lastEvaluatedKey ? {
-        lastKey: Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64'),
-      } : null,
-    };
-
-    res.json(response);
+    res.json(toPage(result));
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * Decode a search page cursor
+ * @param {string} lastKey - Base64 cursor from the previous page
+ * @returns {Object|undefined} Rank of the previous page's last result, undefined if malformed
+ */
+function decodeSearchKey(lastKey) {
+  const key = decodeLastKey(lastKey);
+  return key && typeof key.productId === 'string' && typeof key.score === 'number' && typeof key.name === 'string'
+    ? key
+    : undefined;
+}
+
 /**
  * @route   GET /api/products/search
- * @desc    Search products
- * @access  Private
+ * @desc    Search products, best matches first, with category filter and pagination
+ * @access  Private (products:read)
  */
-router.get('/search', async (req, res, next) => {
+router.get('/search', requirePermission('products:read'), validate([
+  query('q')
+    .custom(q => tokenize(q).some(word => word.length >= MIN_PREFIX_LENGTH))
+    .withMessage('Search query must contain a word of at least 2 characters'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('lastKey').optional().custom(lastKey => Boolean(decodeSearchKey(lastKey))).withMessage('Last key is not valid'),
+]), async (req, res, next) => {
   try {
-    const { q } = req.query;
+    const { q, category, limit, lastKey } = req.query;
+    
+    const result = await productOperations.searchProducts(q, {
+      category,
+      limit: limit ? parseInt(limit, 10) : 20,
+      lastEvaluatedKey: lastKey ? decodeSearchKey(lastKey) : undefined,
+    });
     
-    if (!q || q.trim().length < 2) {
-      return res.status(400).json({ message: 'Search query must be at least 2 characters' });
+    res.json(toPage(result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/products/search/reindex
+ * @desc    Rebuild the search index from the catalog
+ * @access  Private (products:reindex)
+ */
+router.post('/search/reindex', [
+  requirePermission('products:reindex'),
+  audit('product.reindex'),
+], async (req, res, next) => {
+  try {
+    const indexed = await productOperations.reindexProducts();
+    res.json({ indexed });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/products/barcode/:code
+ * @desc    Get product by barcode, as scanned at the till
+ * @access  Private (products:read)
+ */
+router.get('/barcode/:code', requirePermission('products:read'), async (req, res, next) => {
+  try {
+    const barcode = normalizeBarcode(req.params.code);
+    const product = await productOperations.getProductByBarcode(barcode);
+    
+    if (!product) {
+      return res.status(404).json({ message: 'No product has this barcode', barcode });
     }
     
-    const products = await productOperations.searchProducts(q);
-    res.json(products);
+    // Archived products keep their barcode until purged, but are no longer sold
+    const parent = product.parentId ? await productOperations.getProductById(product.parentId) : product;
+    if (product.archivedAt || (parent && parent.archivedAt)) {
+      return res.status(404).json({ message: 'The product with this barcode is archived', barcode, productId: parent.productId });
+    }
+    
+    // A variant's barcode answers with its product, naming the variant scanned
+    if (product.parentId) {
+      const [nestedParent] = await productOperations.withVariants([parent]);
+      return res.json({ ...nestedParent, matchedVariantId: product.productId });
+    }
+    
+    const [nested] = await productOperations.withVariants([product]);
+    res.json(nested);
   } catch (error) {
     next(error);
   }
@@ -60,10 +223,10 @@ router.get('/search', async (req, res, next) => {
 
 /**
  * @route   GET /api/products/:id
- * @desc    Get product by ID
- * @access  Private
+ * @desc    Get product by ID, archived products included
+ * @access  Private (products:read)
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('products:read'), async (req, res, next) => {
   try {
     const product = await productOperations.getProductById(req.params.id);
     
@@ -71,7 +234,8 @@ router.get('/:id', async (req, res, next) => {
       return res.status(404).json({ message: 'Product not found' });
     }
     
-    res.json(product);
+    const [nested] = await productOperations.withVariants([product]);
+    res.json(nested);
   } catch (error) {
     next(error);
   }
@@ -79,14 +243,28 @@ router.get('/:id', async (req, res, next) => {
 
 /**
  * @route   POST /api/products
- * @desc    Create a new product
- * @access  Private (Admin only)
+ * @desc    Create a new product, optionally with variant options and its variants
+ * @access  Private (products:write)
  */
 router.post('/', [
-  requireRole('admin'),
-  body('name').notEmpty().withMessage('Product name is required'),
-  body('price').isNumeric().withMessage('Price must be a number'),
-  body('category').notEmpty().withMessage('Category is required'),
+  requirePermission('products:write'),
+  ...productRules,
+  body(['hasVariants', 'parentId', 'options']).not().exists().withMessage('Variants are created with variantOptions and variants'),
+  body(['archivedAt', 'archivedBy']).not().exists().withMessage('New products cannot be archived'),
+  body(PRICE_SCHEDULE_FIELDS).not().exists().withMessage('Prices are scheduled through /api/products/:id/prices'),
+  body('variantOptions').optional().isArray({ min: 1 }).withMessage('Variant options must be a non-empty array'),
+  body('variantOptions.*.name').isString().notEmpty().withMessage('Each variant option needs a name'),
+  body('variantOptions.*.values').isArray({ min: 1 }).withMessage('Each variant option needs a list of values'),
+  body('variantOptions.*.values.*').isString().notEmpty().withMessage('Variant option values must be text'),
+  body('variants')
+    .if(body('variantOptions').exists())
+    .isArray({ min: 1 }).withMessage('A product with variant options needs at least one variant'),
+  body('variants')
+    .if(body('variantOptions').not().exists())
+    .not().exists().withMessage('Variants need variant options'),
+  body('variants.*.options').isObject().withMessage('Each variant needs its option values'),
+  ...variantRules('variants.*.'),
+  audit('product.create', { resourceId: (req, product) => product.productId }),
 ], async (req, res, next) => {
   // Validate request
   const errors = validationResult(req);
@@ -95,6 +273,23 @@ router.post('/', [
   }
   
   try {
+    if (req.body.variantOptions) {
+      // Stock and barcodes are held on each variant, not the parent
+      const { variants, stockOnHand, allowNegativeStock, barcode, ...product } = req.body;
+      
+      if (barcode) {
+        return res.status(400).json({ message: 'Products with variants take a barcode on each variant' });
+      }
+      
+      const problems = checkVariants(product.variantOptions, variants);
+      if (problems.length > 0) {
+        return res.status(400).json({ message: 'Variants do not fit the variant options', problems });
+      }
+      
+      const created = await productOperations.createProductWithVariants(product, variants.map(pickVariant));
+      return res.status(201).json(created);
+    }
+    
     const product = await productOperations.createProduct(req.body);
     res.status(201).json(product);
   } catch (error) {
@@ -102,14 +297,91 @@ router.post('/', [
   }
 });
 
+/**
+ * @route   POST /api/products/import
+ * @desc    Create or update products from a CSV, matched on SKU; ?dryRun=true reports without writing
+ * @access  Private (products:import)
+ */
+router.post('/import', [
+  requirePermission('products:import'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  audit('product.import', { skip: req => req.query.dryRun === 'true' }),
+], async (req, res, next) => {
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({ message: 'Send the CSV as the request body with Content-Type text/csv' });
+  }
+  
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const { rows, ignoredColumns } = parseProductCsv(req.body);
+    
+    if (rows.length > PRODUCT_IMPORT_MAX_ROWS) {
+      return res.status(413).json({ message: `Imports are limited to ${PRODUCT_IMPORT_MAX_ROWS} rows` });
+    }
+    
+    const products = await productOperations.scanAllProducts();
+    const plan = await planImport(rows, products, validateProductRow);
+    
+    if (dryRun) {
+      // Nothing was created, so there are no IDs to report
+      plan.results.forEach((result) => {
+        if (result.action === 'create') {
+          delete result.productId;
+        }
+      });
+    } else {
+      const createResult = await productOperations.batchCreateProducts(plan.creates);
+      const updateResult = await productOperations.bulkUpdateProducts(plan.updates, { changedBy: req.user.sub });
+      
+      // Rows that were written stand, rows that failed are reported against their line
+      const failures = new Map([...createResult.failed, ...updateResult.failed]
+        .map(failure => [failure.productId, failure.message]));
+      
+      plan.results.forEach((result) => {
+        if (failures.has(result.productId)) {
+          result.errors = [failures.get(result.productId)];
+          result.failedAction = result.action;
+          result.action = 'error';
+        }
+      });
+    }
+    
+    const count = action => plan.results.filter(result => result.action === action).length;
+    
+    res.json({
+      dryRun,
+      summary: {
+        rows: plan.results.length,
+        created: count('create'),
+        updated: count('update'),
+        failed: count('error'),
+      },
+      ignoredColumns,
+      results: plan.results,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   PUT /api/products/:id
  * @desc    Update a product
- * @access  Private (Admin only)
+ * @access  Private (products:write)
  */
 router.put('/:id', [
-  requireRole('admin'),
+  requirePermission('products:write'),
   body('price').optional().isNumeric().withMessage('Price must be a number'),
+  body('stockOnHand').not().exists().withMessage('Stock on hand can only be changed through a stock adjustment'),
+  body('allowNegativeStock').optional().isBoolean({ strict: true }).withMessage('Allow negative stock must be a boolean'),
+  body('taxClass').optional().isString().withMessage('Tax class must be a string'),
+  barcodeRule('barcode'),
+  body(['variants', 'variantOptions', 'hasVariants', 'parentId', 'options'])
+    .not().exists().withMessage('Variants are changed through /api/products/:id/variants'),
+  body(['archivedAt', 'archivedBy'])
+    .not().exists().withMessage('Products are archived with DELETE and restored through /api/products/:id/restore'),
+  body(PRICE_SCHEDULE_FIELDS).not().exists().withMessage('Prices are scheduled through /api/products/:id/prices'),
+  audit('product.update', { before: productBefore }),
 ], async (req, res, next) => {
   // Validate request
   const errors = validationResult(req);
@@ -125,29 +397,406 @@ router.put('/:id', [
       return res.status(404).json({ message: 'Product not found' });
     }
     
-    const updatedProduct = await productOperations.updateProduct(req.params.id, req.body);
+    const updatedProduct = await productOperations.updateProduct(req.params.id, req.body, { changedBy: req.user.sub });
+    const [nested] = await productOperations.withVariants([updatedProduct]);
+    res.json(nested);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/products/:id/prices
+ * @desc    Get a product's price history and scheduled prices; ?at= also gives the price at that time
+ * @access  Private (products:read)
+ */
+router.get('/:id/prices', requirePermission('products:read'), validate([
+  query('at').optional().isISO8601().withMessage('At must be an ISO8601 date or timestamp'),
+]), async (req, res, next) => {
+  try {
+    const product = await productOperations.getProductById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const history = await productOperations.getPriceHistory(req.params.id);
+    const at = req.query.at ? new Date(req.query.at).toISOString() : undefined;
+    
+    res.json({
+      productId: product.productId,
+      price: product.price,
+      scheduledPrices: product.scheduledPrices || [],
+      history: history.map(entry => ({ ...entry, status: priceStatus(entry) })),
+      ...(at && { priceAt: { at, price: priceAt(product, history, at) } }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/products/:id/prices
+ * @desc    Schedule a price to take effect at a future time
+ * @access  Private (products:write)
+ */
+router.post('/:id/prices', [
+  requirePermission('products:write'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a non-negative number').toFloat(),
+  body('effectiveFrom')
+    .isISO8601().withMessage('Effective from must be an ISO8601 timestamp')
+    .bail()
+    .custom(effectiveFrom => new Date(effectiveFrom) > new Date())
+    .withMessage('Effective from must be in the future, change the current price with PUT /api/products/:id')
+    .customSanitizer(effectiveFrom => new Date(effectiveFrom).toISOString()),
+  audit('product.price.schedule', { before: productBefore }),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const product = await productOperations.getProductById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const entry = await productOperations.schedulePrice(req.params.id, {
+      price: req.body.price,
+      effectiveFrom: req.body.effectiveFrom,
+    }, req.user.sub);
+    res.status(201).json({ ...entry, status: priceStatus(entry) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/products/:id/prices/:effectiveFrom
+ * @desc    Cancel a scheduled price that has not taken effect yet
+ * @access  Private (products:write)
+ */
+router.delete('/:id/prices/:effectiveFrom', [
+  requirePermission('products:write'),
+  param('effectiveFrom').isISO8601().withMessage('Effective from must be an ISO8601 timestamp')
+    .customSanitizer(effectiveFrom => new Date(effectiveFrom).toISOString()),
+  audit('product.price.cancel', { before: productBefore }),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const product = await productOperations.getProductById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const entry = await productOperations.cancelScheduledPrice(req.params.id, req.params.effectiveFrom, req.user.sub);
+    res.json({ ...entry, status: priceStatus(entry) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/products/:id/variants
+ * @desc    Add a variant; new option values are added to the product's options
+ * @access  Private (products:write)
+ */
+router.post('/:id/variants', [
+  requirePermission('products:write'),
+  body('options').isObject().withMessage('Variant needs its option values'),
+  ...variantRules(''),
+  audit('product.variant.create', { resourceId: (req, variant) => variant.productId }),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const product = await productOperations.getProductById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    if (!product.hasVariants) {
+      return res.status(409).json({ message: 'Product has no variant options' });
+    }
+    
+    const variant = pickVariant(req.body);
+    const problems = checkVariants(product.variantOptions, [variant], { allowNewValues: true });
+    if (problems.length > 0) {
+      return res.status(400).json({ message: 'Variant does not fit the variant options', problems });
+    }
+    
+    // Archived variants give up their options, restoring one checks again
+    const siblings = (await productOperations.getVariants(product.productId)).filter(sibling => !sibling.archivedAt);
+    const key = combinationKey(variant.options, product.variantOptions);
+    
+    if (siblings.some(sibling => combinationKey(sibling.options, product.variantOptions) === key)) {
+      return res.status(409).json({ message: 'A variant with these options already exists' });
+    }
+    
+    if (variant.sku && siblings.some(sibling => sibling.sku === variant.sku)) {
+      return res.status(409).json({ message: 'Another variant already has this SKU' });
+    }
+    
+    const variantOptions = extendVariantOptions(product.variantOptions, variant.options);
+    if (JSON.stringify(variantOptions) !== JSON.stringify(product.variantOptions)) {
+      await productOperations.updateProduct(product.productId, { variantOptions });
+    }
+    
+    const created = await productOperations.createProduct({ ...variant, parentId: product.productId });
+    const nested = nestVariants({ ...product, variantOptions }, [created]);
+    res.status(201).json(nested.variants[0]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/products/:id/variants/:variantId
+ * @desc    Update a variant's SKU, barcode, price or negative stock setting
+ * @access  Private (products:write)
+ */
+router.put('/:id/variants/:variantId', [
+  requirePermission('products:write'),
+  body('options').not().exists().withMessage('Options cannot change, add a new variant instead'),
+  body('stockOnHand').not().exists().withMessage('Stock on hand can only be changed through a stock adjustment'),
+  ...variantRules(''),
+  audit('product.variant.update', { resourceId: req => req.params.variantId, before: variantBefore }),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const variant = await findVariant(req.params.id, req.params.variantId);
+    
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+    
+    const updatedVariant = await productOperations.updateProduct(variant.productId, pickVariant(req.body), {
+      changedBy: req.user.sub,
+    });
+    res.json(updatedVariant);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/products/:id/variants/:variantId
+ * @desc    Archive a variant; it is purged with its product
+ * @access  Private (products:archive)
+ */
+router.delete('/:id/variants/:variantId', [
+  requirePermission('products:archive'),
+  audit('product.variant.archive', { resourceId: req => req.params.variantId, before: variantBefore }),
+], async (req, res, next) => {
+  try {
+    const variant = await findVariant(req.params.id, req.params.variantId);
+    
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+    
+    await productOperations.archiveProduct(variant.productId, req.user.sub);
+    res.json({ message: 'Variant archived successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/products/:id/variants/:variantId/restore
+ * @desc    Restore an archived variant
+ * @access  Private (products:archive)
+ */
+router.post('/:id/variants/:variantId/restore', [
+  requirePermission('products:archive'),
+  audit('product.variant.restore', { resourceId: req => req.params.variantId, before: variantBefore }),
+], async (req, res, next) => {
+  try {
+    const [product, variant] = await Promise.all([
+      productOperations.getProductById(req.params.id),
+      findVariant(req.params.id, req.params.variantId),
+    ]);
+    
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+    
+    const siblings = await productOperations.getVariants(product.productId);
+    const key = combinationKey(variant.options, product.variantOptions);
+    
+    if (siblings.some(sibling => !sibling.archivedAt && combinationKey(sibling.options, product.variantOptions) === key)) {
+      return res.status(409).json({ message: 'A variant with these options already exists' });
+    }
+    
+    if (variant.sku && siblings.some(sibling => !sibling.archivedAt && sibling.sku === variant.sku)) {
+      return res.status(409).json({ message: 'Another variant already has this SKU' });
+    }
+    
+    const restored = await productOperations.restoreProduct(variant.productId);
+    res.json(nestVariants(product, [restored]).variants[0]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/products/:id/stock
+ * @desc    Adjust stock on hand (deliveries, shrinkage, stock counts)
+ * @access  Private (products:stock)
+ */
+router.post('/:id/stock', [
+  requirePermission('products:stock'),
+  body('adjustment').optional().isInt().withMessage('Adjustment must be an integer'),
+  body('count').optional().isInt({ min: 0 }).withMessage('Count must be a non-negative integer'),
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  audit('product.stock.adjust', { before: productBefore }),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  const { adjustment, count } = req.body;
+  
+  if ((adjustment === undefined) === (count === undefined)) {
+    return res.status(400).json({ message: 'Provide either an adjustment or a count' });
+  }
+  
+  try {
+    const existingProduct = await productOperations.getProductById(req.params.id);
+    
+    if (!existingProduct) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    if (existingProduct.hasVariants) {
+      return res.status(409).json({ message: 'Stock is held on each variant, adjust a variant instead' });
+    }
+    
+    // A stock count becomes an adjustment from the current level
+    const delta = count !== undefined
+      ? parseInt(count, 10) - (existingProduct.stockOnHand || 0)
+      : parseInt(adjustment, 10);
+    
+    const updatedProduct = await productOperations.adjustStock(req.params.id, delta);
     res.json(updatedProduct);
   } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return res.status(409).json({ message: 'Adjustment would take stock below zero' });
+    }
+    
     next(error);
   }
 });
 
 /**
  * @route   DELETE /api/products/:id
- * @desc    Delete a product
- * @access  Private (Admin only)
+ * @desc    Archive a product, keeping it for the transactions that reference it
+ * @access  Private (products:archive)
  */
-router.delete('/:id', requireRole('admin'), async (req, res, next) => {
+router.delete('/:id', [
+  requirePermission('products:archive'),
+  audit('product.archive', { before: productBefore }),
+], async (req, res, next) => {
   try {
     // Check if product exists
     const existingProduct = await productOperations.getProductById(req.params.id);
     
-    if (!existingProduct) {
+    if (!existingProduct || existingProduct.parentId) {
       return res.status(404).json({ message: 'Product not found' });
     }
     
+    // Variants are hidden with their product, so they keep their own state
+    const archivedProduct = await productOperations.archiveProduct(req.params.id, req.user.sub);
+    res.json({ message: 'Product archived successfully', product: archivedProduct });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/products/:id/restore
+ * @desc    Restore an archived product to the catalog and search
+ * @access  Private (products:archive)
+ */
+router.post('/:id/restore', [
+  requirePermission('products:archive'),
+  audit('product.restore', { before: productBefore }),
+], async (req, res, next) => {
+  try {
+    const existingProduct = await productOperations.getProductById(req.params.id);
+    
+    if (!existingProduct || existingProduct.parentId) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const restoredProduct = await productOperations.restoreProduct(req.params.id);
+    const [nested] = await productOperations.withVariants([restoredProduct]);
+    res.json(nested);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/products/:id/purge
+ * @desc    Permanently delete an archived product and its variants, refused while recent sales reference it
+ * @access  Private (products:purge)
+ */
+router.delete('/:id/purge', [
+  requirePermission('products:purge'),
+  audit('product.purge', { before: productBefore }),
+], async (req, res, next) => {
+  try {
+    const existingProduct = await productOperations.getProductById(req.params.id);
+    
+    if (!existingProduct || existingProduct.parentId) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    if (!existingProduct.archivedAt) {
+      return res.status(409).json({ message: 'Archive the product before purging it' });
+    }
+    
+    // Every sale marks the product it was sold under, so no transactions need reading
+    const since = new Date();
+    since.setUTCDate(since.getUTCDate() - PRODUCT_PURGE_LOOKBACK_DAYS);
+    
+    if (existingProduct.lastSoldAt && existingProduct.lastSoldAt > since.toISOString()) {
+      return res.status(409).json({
+        message: `Product was sold in the last ${PRODUCT_PURGE_LOOKBACK_DAYS} days and cannot be purged yet`,
+        lastSoldAt: existingProduct.lastSoldAt,
+      });
+    }
+    
+    // Variants go with their product
+    if (existingProduct.hasVariants) {
+      const variants = await productOperations.getVariants(req.params.id);
+      await Promise.all(variants.map(variant => productOperations.deleteProduct(variant.productId)));
+    }
+    
     await productOperations.deleteProduct(req.params.id);
-    res.json({ message: 'Product deleted successfully' });
+    res.json({ message: 'Product purged successfully' });
   } catch (error) {
     next(error);
   }
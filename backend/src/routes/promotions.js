@@ -0,0 +1,247 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { promotionOperations } = require('../utils/dynamodb');
+const { normalizeCode, PROMOTION_TYPES, PROMOTION_SCOPES } = require('../utils/promotions');
+const { requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+// Validation rules shared by create and update
+const promotionRules = [
+  body('name').notEmpty().withMessage('Promotion name is required'),
+  body('type').isIn(PROMOTION_TYPES).withMessage(`Type must be one of ${PROMOTION_TYPES.join(', ')}`),
+  body('scope').isIn(PROMOTION_SCOPES).withMessage(`Scope must be one of ${PROMOTION_SCOPES.join(', ')}`),
+  body('value')
+    .if(body('type').isIn(['percent', 'fixed']))
+    .isFloat({ min: 0 }).withMessage('Value must be a non-negative number'),
+  body('value')
+    .if(body('type').isIn(['percent', 'buy_x_get_y']))
+    .optional()
+    .isFloat({ max: 100 }).withMessage('Percentage cannot exceed 100'),
+  body('productIds')
+    .if(body('scope').equals('item'))
+    .isArray({ min: 1 }).withMessage('Item promotions need at least one product ID'),
+  body('categories')
+    .if(body('scope').equals('category'))
+    .isArray({ min: 1 }).withMessage('Category promotions need at least one category'),
+  body('buyQuantity')
+    .if(body('type').equals('buy_x_get_y'))
+    .isInt({ min: 1 }).withMessage('Buy quantity must be at least 1'),
+  body('getQuantity')
+    .if(body('type').equals('buy_x_get_y'))
+    .isInt({ min: 1 }).withMessage('Get quantity must be at least 1'),
+  body('minimumSpend').optional().isFloat({ min: 0 }).withMessage('Minimum spend must be a non-negative number'),
+  body('startsAt').optional().isISO8601().withMessage('Start must be an ISO8601 date'),
+  body('endsAt').optional().isISO8601().withMessage('End must be an ISO8601 date'),
+  body('couponCode').optional().isString().notEmpty().withMessage('Coupon code must be a non-empty string'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('active').optional().isBoolean({ strict: true }).withMessage('Active must be a boolean'),
+];
+
+/**
+ * Pick the promotion fields from a request body
+ * @param {Object} input - Request body
+ * @returns {Object} Promotion rule
+ */
+function toPromotion(input) {
+  const fields = [
+    'name', 'description', 'type', 'scope', 'value', 'productIds', 'categories',
+    'buyQuantity', 'getQuantity', 'minimumSpend', 'startsAt', 'endsAt', 'priority', 'active',
+  ];
+  
+  const promotion = {};
+  fields.forEach((field) => {
+    if (input[field] !== undefined) {
+      promotion[field] = input[field];
+    }
+  });
+  
+  if (input.couponCode) {
+    promotion.couponCode = normalizeCode(input.couponCode);
+  }
+  
+  return promotion;
+}
+
+/**
+ * Check that a coupon code is not already used by another promotion
+ * @param {string} couponCode - Coupon code
+ * @param {string} [promotionId] - Promotion being updated
+ * @returns {Promise<boolean>} True if the code is free
+ */
+async function isCouponCodeFree(couponCode, promotionId) {
+  if (!couponCode) {
+    return true;
+  }
+  
+  const existing = await promotionOperations.getPromotionByCouponCode(couponCode);
+  return !existing || existing.promotionId === promotionId;
+}
+
+/**
+ * @route   GET /api/promotions
+ * @desc    Get all promotions
+ * @access  Private (promotions:read)
+ */
+router.get('/', requirePermission('promotions:read'), async (req, res, next) => {
+  try {
+    const promotions = await promotionOperations.getAllPromotions();
+    res.json(promotions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/promotions/active
+ * @desc    Get promotions that apply without a coupon code, for the cart
+ * @access  Private (transactions:create)
+ */
+router.get('/active', requirePermission('transactions:create'), async (req, res, next) => {
+  try {
+    const promotions = await promotionOperations.getAllPromotions();
+    
+    // Coupon promotions are only handed out once their code is entered
+    res.json(promotions.filter(promotion => promotion.active !== false && !promotion.couponCode));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/promotions/coupons/:code
+ * @desc    Look up the promotion for a coupon code
+ * @access  Private (transactions:create)
+ */
+router.get('/coupons/:code', requirePermission('transactions:create'), async (req, res, next) => {
+  try {
+    const promotion = await promotionOperations.getPromotionByCouponCode(normalizeCode(req.params.code));
+    
+    if (!promotion || promotion.active === false) {
+      return res.status(404).json({ message: 'Coupon code not found' });
+    }
+    
+    res.json(promotion);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/promotions/:id
+ * @desc    Get promotion by ID
+ * @access  Private (promotions:read)
+ */
+router.get('/:id', requirePermission('promotions:read'), async (req, res, next) => {
+  try {
+    const promotion = await promotionOperations.getPromotionById(req.params.id);
+    
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+    
+    res.json(promotion);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/promotions
+ * @desc    Create a new promotion
+ * @access  Private (promotions:write)
+ */
+router.post('/', [
+  requirePermission('promotions:write'),
+  ...promotionRules,
+  audit('promotion.create', { resourceId: (req, promotion) => promotion.promotionId }),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const promotion = toPromotion(req.body);
+    
+    if (!(await isCouponCodeFree(promotion.couponCode))) {
+      return res.status(409).json({ message: 'Coupon code is already in use' });
+    }
+    
+    const result = await promotionOperations.createPromotion({
+      ...promotion,
+      createdBy: req.user.sub,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/promotions/:id
+ * @desc    Replace a promotion rule
+ * @access  Private (promotions:write)
+ */
+router.put('/:id', [
+  requirePermission('promotions:write'),
+  ...promotionRules,
+  audit('promotion.update', { before: req => promotionOperations.getPromotionById(req.params.id) }),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const existingPromotion = await promotionOperations.getPromotionById(req.params.id);
+    
+    if (!existingPromotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+    
+    const promotion = toPromotion(req.body);
+    
+    if (!(await isCouponCodeFree(promotion.couponCode, req.params.id))) {
+      return res.status(409).json({ message: 'Coupon code is already in use' });
+    }
+    
+    const result = await promotionOperations.updatePromotion(req.params.id, {
+      ...promotion,
+      createdAt: existingPromotion.createdAt,
+      createdBy: existingPromotion.createdBy,
+      updatedBy: req.user.sub,
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/promotions/:id
+ * @desc    Delete a promotion
+ * @access  Private (promotions:write)
+ */
+router.delete('/:id', [
+  requirePermission('promotions:write'),
+  audit('promotion.delete', { before: req => promotionOperations.getPromotionById(req.params.id) }),
+], async (req, res, next) => {
+  try {
+    const existingPromotion = await promotionOperations.getPromotionById(req.params.id);
+    
+    if (!existingPromotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+    
+    await promotionOperations.deletePromotion(req.params.id);
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
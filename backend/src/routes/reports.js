@@ -0,0 +1,130 @@
+const express = require('express');
+const { once } = require('events');
+const { query } = require('express-validator');
+const { transactionOperations } = require('../utils/dynamodb');
+const { aggregateSales, isValidTimeZone, REPORT_DIMENSIONS } = require('../utils/reports');
+const { createSerializer, EXPORT_FORMATS, EXPORT_ROWS } = require('../utils/export');
+const { validate, dateRangeRules } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Time zone days and hours are reported in
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'UTC';
+
+/**
+ * Shift a date by a number of days
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {string} Shifted date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().split('T')[0];
+}
+
+/**
+ * @route   GET /api/reports/sales
+ * @desc    Sales aggregated by day, hour, product, category, cashier and/or payment method
+ * @access  Private (reports:read)
+ */
+router.get('/sales', [
+  requirePermission('reports:read'),
+  validate([
+    ...dateRangeRules(),
+    query('groupBy')
+      .optional()
+      .custom(value => String(value).split(',').every(dimension => REPORT_DIMENSIONS.includes(dimension)))
+      .withMessage(`Group by must be a comma-separated list of ${REPORT_DIMENSIONS.join(', ')}`),
+    query('timezone')
+      .optional()
+      .custom(isValidTimeZone)
+      .withMessage('Time zone must be an IANA time zone, such as Europe/London'),
+  ]),
+], async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const timeZone = req.query.timezone || REPORT_TIMEZONE;
+    const groupBy = req.query.groupBy ? [...new Set(req.query.groupBy.split(','))] : [];
+    
+    // Transactions are stored by UTC day, so read a day either side to cover every local day
+    const transactions = timeZone === 'UTC'
+      ? await transactionOperations.getTransactionsByDateRange(startDate, endDate)
+      : await transactionOperations.getTransactionsByDateRange(addDays(startDate, -1), addDays(endDate, 1));
+    
+    res.json({
+      startDate,
+      endDate,
+      timezone: timeZone,
+      groupBy,
+      ...aggregateSales(transactions, { groupBy, timeZone, startDate, endDate }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/reports/transactions/export
+ * @desc    Stream every transaction in a date range as CSV (per line or per transaction) or JSONL
+ * @access  Private (reports:read)
+ */
+router.get('/transactions/export', [
+  requirePermission('reports:read'),
+  validate([
+    ...dateRangeRules(),
+    query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of ${EXPORT_FORMATS.join(', ')}`),
+    query('rows').optional().isIn(EXPORT_ROWS).withMessage(`Rows must be one of ${EXPORT_ROWS.join(', ')}`),
+  ]),
+], async (req, res, next) => {
+  const { startDate, endDate, format = 'csv', rows = 'line' } = req.query;
+  const { header, serialize } = createSerializer(format, rows);
+  
+  // Stop reading from DynamoDB if the client goes away
+  let aborted = false;
+  res.on('close', () => {
+    aborted = !res.writableEnded;
+  });
+  
+  try {
+    const pages = transactionOperations.iterateTransactionsByDateRange(startDate, endDate);
+    
+    // Read the first page before committing to a 200, so an early failure is still a clean error
+    let page = await pages.next();
+    
+    res.status(200);
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+    res.set('Content-Disposition', `attachment; filename="transactions-${startDate}-to-${endDate}.${format}"`);
+    res.write(header);
+    
+    while (!page.done && !aborted) {
+      // Wait for the client to catch up, so only one page is held at a time
+      if (!res.write(page.value.map(serialize).join(''))) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+      
+      if (!aborted) {
+        page = await pages.next();
+      }
+    }
+    
+    if (aborted) {
+      await pages.return();
+      return undefined;
+    }
+    
+    res.end();
+  } catch (error) {
+    // Once rows have gone out the status can no longer change, so cut the response short
+    if (res.headersSent) {
+      console.error('Error exporting transactions:', error);
+      res.destroy();
+      return undefined;
+    }
+    
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { roleOperations } = require('../utils/dynamodb');
+const {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  findInheritanceCycle,
+  resolvePermissions,
+} = require('../utils/permissions');
+const { validate } = require('../middleware/validation');
+const { requirePermission, getRoleMapping, clearRoleCache } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+/**
+ * Describe a role with its effective permissions
+ * @param {Object} roles - Roles keyed by name
+ * @param {string} role - Role name
+ * @returns {Object} Role, undefined if it does not exist
+ */
+function describeRole(roles, role) {
+  const definition = roles[role];
+  
+  if (!definition) {
+    return undefined;
+  }
+  
+  return {
+    role,
+    inherits: definition.inherits,
+    permissions: definition.permissions,
+    effectivePermissions: resolvePermissions(roles, role),
+    builtIn: definition.builtIn,
+    customized: Boolean(definition.updatedAt),
+    ...(definition.updatedAt && { updatedAt: definition.updatedAt, updatedBy: definition.updatedBy }),
+  };
+}
+
+/**
+ * Check a change to the roles keeps the user able to manage roles
+ * @param {Object} req - Express request
+ * @param {Object} roles - Roles after the change
+ * @returns {boolean} True if the user could still manage roles
+ */
+function keepsRoleManagement(req, roles) {
+  return resolvePermissions(roles, req.user['custom:role']).includes('roles:manage');
+}
+
+const roleNameRule = param('role')
+  .matches(/^[a-z][a-z0-9_-]{0,49}$/)
+  .withMessage('Role must be lower case letters, digits, dashes or underscores, starting with a letter');
+
+/**
+ * @route   GET /api/roles
+ * @desc    List the roles with their own, inherited and effective permissions
+ * @access  Private (roles:manage)
+ */
+router.get('/', requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const roles = await getRoleMapping();
+    
+    res.json({
+      permissions: PERMISSIONS,
+      roles: Object.keys(roles).sort().map(role => describeRole(roles, role)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/roles/:role
+ * @desc    Create a role, or replace the roles it inherits from and its own permissions
+ * @access  Private (roles:manage)
+ */
+router.put('/:role', [
+  requirePermission('roles:manage'),
+  validate([
+    roleNameRule,
+    body('inherits').optional().isArray().withMessage('Inherits must be an array of roles'),
+    body('inherits.*').isString().withMessage('Inherited roles must be strings'),
+    body('permissions').isArray().withMessage('Permissions must be an array'),
+    body('permissions.*').isIn(PERMISSIONS).withMessage(`Permissions must be among ${PERMISSIONS.join(', ')}`),
+  ]),
+  audit('role.update', {
+    resourceId: req => req.params.role,
+    before: async req => describeRole(await getRoleMapping(), req.params.role),
+  }),
+], async (req, res, next) => {
+  try {
+    const { role } = req.params;
+    const definition = {
+      inherits: [...new Set(req.body.inherits || [])],
+      permissions: [...new Set(req.body.permissions)],
+    };
+    
+    const current = await getRoleMapping();
+    const unknown = definition.inherits.filter(parent => parent === role || !current[parent]);
+    
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Cannot inherit from ${unknown.join(', ')}` });
+    }
+    
+    const roles = { ...current, [role]: { ...current[role], ...definition } };
+    const cycle = findInheritanceCycle(roles, role);
+    
+    if (cycle) {
+      return res.status(400).json({ message: `Inheritance would form a cycle: ${cycle.join(' -> ')}` });
+    }
+    
+    if (!keepsRoleManagement(req, roles)) {
+      return res.status(409).json({ message: 'You cannot remove your own permission to manage roles' });
+    }
+    
+    await roleOperations.putRole(role, definition, req.user.sub);
+    clearRoleCache();
+    
+    res.status(current[role] ? 200 : 201).json(describeRole(await getRoleMapping(), role));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/roles/:role
+ * @desc    Delete an added role, or return a built-in role to its default permissions
+ * @access  Private (roles:manage)
+ */
+router.delete('/:role', [
+  requirePermission('roles:manage'),
+  validate([roleNameRule]),
+  audit('role.delete', {
+    resourceId: req => req.params.role,
+    before: async req => describeRole(await getRoleMapping(), req.params.role),
+  }),
+], async (req, res, next) => {
+  try {
+    const { role } = req.params;
+    const current = await getRoleMapping();
+    
+    if (!current[role]) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    
+    if (!current[role].updatedAt) {
+      return res.status(409).json({ message: 'Role already has its default permissions' });
+    }
+    
+    const roles = { ...current };
+    
+    if (current[role].builtIn) {
+      roles[role] = { ...DEFAULT_ROLES[role], builtIn: true };
+    } else {
+      const heirs = Object.keys(current).filter(name => current[name].inherits.includes(role));
+      
+      if (heirs.length > 0) {
+        return res.status(409).json({ message: `Role is inherited by ${heirs.join(', ')}` });
+      }
+      
+      delete roles[role];
+    }
+    
+    if (!keepsRoleManagement(req, roles)) {
+      return res.status(409).json({ message: 'You cannot remove your own permission to manage roles' });
+    }
+    
+    await roleOperations.deleteRole(role);
+    clearRoleCache();
+    
+    if (current[role].builtIn) {
+      return res.json(describeRole(await getRoleMapping(), role));
+    }
+    
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { body, validationResult } = require('express-validator');
+const { shiftOperations, transactionOperations, refundOperations } = require('../utils/dynamodb');
+const { buildShiftReport, DRAWER_EVENT_TYPES } = require('../utils/shifts');
+const { requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+/**
+ * Load a shift the user may see, answering the request if they cannot
+ * @param {Object} req - Express request object, with the user's permissions
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Shift, or undefined if a response was sent
+ */
+async function loadShift(req, res) {
+  const shift = await shiftOperations.getShiftById(req.params.id);
+  
+  if (!shift) {
+    res.status(404).json({ message: 'Shift not found' });
+    return undefined;
+  }
+  
+  // Users work their own shifts, and need shifts:manage for anyone else's
+  if (shift.cashierId !== req.user.sub && !req.permissions.includes('shifts:manage')) {
+    res.status(403).json({ message: 'Insufficient permissions' });
+    return undefined;
+  }
+  
+  return shift;
+}
+
+/**
+ * Build a shift's report from its sales and refunds
+ *
+ * They are read through the ShiftIndex GSIs, which cannot be read consistently
+ * and may lag the tables briefly, so a sale made just before the shift closed
+ * can be missing from the Z report saved at close. GET /:id/report rebuilds it.
+ * @param {Object} shift - Shift
+ * @returns {Promise<Object>} Shift report
+ */
+async function reportShift(shift) {
+  const [transactions, refunds] = await Promise.all([
+    transactionOperations.getTransactionsByShift(shift.shiftId),
+    refundOperations.getRefundsByShift(shift.shiftId),
+  ]);
+  
+  const closing = shift.closing || {};
+  const counted = closing.countedCash !== undefined
+    ? { ...closing.countedTenders, cash: closing.countedCash }
+    : {};
+  
+  return buildShiftReport(shift, transactions, refunds, counted);
+}
+
+/**
+ * @route   POST /api/shifts
+ * @desc    Open a shift with a starting float
+ * @access  Private (shifts:operate)
+ */
+router.post('/', [
+  requirePermission('shifts:operate'),
+  body('openingFloat').isFloat({ min: 0 }).withMessage('Opening float must be a non-negative number'),
+  body('registerId').optional().isString().withMessage('Register ID must be a string'),
+  audit('shift.open', { resourceId: (req, shift) => shift.shiftId }),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const openShift = await shiftOperations.getOpenShift(req.user.sub);
+    
+    if (openShift) {
+      return res.status(409).json({ message: 'You already have an open shift', shiftId: openShift.shiftId });
+    }
+    
+    const shift = await shiftOperations.openShift({
+      cashierId: req.user.sub,
+      ...(req.body.registerId && { registerId: req.body.registerId }),
+      openingFloat: parseFloat(req.body.openingFloat),
+    });
+    res.status(201).json(shift);
+  } catch (error) {
+    // Another request opened one since the check above
+    if (error.openShiftId) {
+      return res.status(409).json({ message: error.message, shiftId: error.openShiftId });
+    }
+    
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/shifts/current
+ * @desc    Get the current user's open shift
+ * @access  Private (shifts:operate)
+ */
+router.get('/current', requirePermission('shifts:operate'), async (req, res, next) => {
+  try {
+    const shift = await shiftOperations.getOpenShift(req.user.sub);
+    
+    if (!shift) {
+      return res.status(404).json({ message: 'No open shift' });
+    }
+    
+    res.json(shift);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/shifts/:id
+ * @desc    Get shift by ID
+ * @access  Private (shifts:operate, and shifts:manage for other users' shifts)
+ */
+router.get('/:id', requirePermission('shifts:operate'), async (req, res, next) => {
+  try {
+    const shift = await loadShift(req, res);
+    
+    if (shift) {
+      res.json(shift);
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/shifts/:id/events
+ * @desc    Record a paid-in, paid-out or no-sale drawer event
+ * @access  Private (shifts:operate, and shifts:manage for other users' shifts)
+ */
+router.post('/:id/events', [
+  requirePermission('shifts:operate'),
+  body('type').isIn(DRAWER_EVENT_TYPES).withMessage(`Type must be one of ${DRAWER_EVENT_TYPES.join(', ')}`),
+  body('amount')
+    .if(body('type').isIn(['paid_in', 'paid_out']))
+    .isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+  body('reason')
+    .if(body('type').isIn(['paid_in', 'paid_out']))
+    .notEmpty().withMessage('Reason is required for paid-ins and paid-outs'),
+  audit('shift.event', { before: req => shiftOperations.getShiftById(req.params.id) }),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const shift = await loadShift(req, res);
+    
+    if (!shift) {
+      return undefined;
+    }
+    
+    const { type, amount, reason } = req.body;
+    
+    const event = {
+      eventId: uuidv4(),
+      type,
+      ...(type !== 'no_sale' && { amount: parseFloat(amount) }),
+      ...(reason && { reason }),
+      userId: req.user.sub,
+      timestamp: new Date().toISOString(),
+    };
+    
+    await shiftOperations.addEvent(shift.shiftId, event);
+    res.status(201).json(event);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/shifts/:id/report
+ * @desc    Get the X report of an open shift, or the Z report of a closed one
+ * @access  Private (shifts:operate, and shifts:manage for other users' shifts)
+ */
+router.get('/:id/report', requirePermission('shifts:operate'), async (req, res, next) => {
+  try {
+    const shift = await loadShift(req, res);
+    
+    if (shift) {
+      res.json(await reportShift(shift));
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/shifts/:id/close
+ * @desc    Close a shift with the counted drawer and produce its Z report
+ * @access  Private (shifts:operate, and shifts:manage for other users' shifts)
+ */
+router.post('/:id/close', [
+  requirePermission('shifts:operate'),
+  body('countedCash').isFloat({ min: 0 }).withMessage('Counted cash must be a non-negative number'),
+  body('countedTenders').optional().isObject().withMessage('Counted tenders must be an object'),
+  body('countedTenders.*').isFloat({ min: 0 }).withMessage('Counted amounts must be non-negative numbers'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  audit('shift.close', { before: req => shiftOperations.getShiftById(req.params.id) }),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const shift = await loadShift(req, res);
+    
+    if (!shift) {
+      return undefined;
+    }
+    
+    const countedTenders = {};
+    Object.entries(req.body.countedTenders || {})
+      .filter(([method]) => method !== 'cash')
+      .forEach(([method, amount]) => {
+        countedTenders[method] = parseFloat(amount);
+      });
+    
+    // Closing first means no sale can slip in after the report is drawn up
+    const closedShift = await shiftOperations.closeShift(shift, {
+      countedCash: parseFloat(req.body.countedCash),
+      countedTenders,
+      ...(req.body.notes && { notes: req.body.notes }),
+      closedBy: req.user.sub,
+    });
+    
+    const report = await reportShift(closedShift);
+    await shiftOperations.saveReport(shift.shiftId, report);
+    
+    res.json({ ...closedShift, zReport: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,182 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { transactionOperations } = require('../utils/dynamodb');
+const { body, param, query, validationResult } = require('express-validator');
+const { transactionOperations, refundOperations, shiftOperations } = require('../utils/dynamodb');
+const { quoteSale } = require('../utils/checkout');
+const { buildRefund } = require('../utils/refunds');
+const { summarizeSales } = require('../utils/sales');
+const { settlePayments } = require('../utils/payments');
+const receipts = require('../utils/receipts');
+const { decodeLastKey, toPage, LIST_ORDERS } = require('../utils/pagination');
+const { validate, dateRangeRules, rules, PAYMENT_METHODS } = require('../middleware/validation');
+const { idempotent, replayResponse } = require('../middleware/idempotency');
+const { audit } = require('../middleware/audit');
+const { requirePermission, requireApproval } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Oldest offline sale accepted, and how far ahead a till's clock may drift
+const OFFLINE_SALE_MAX_AGE_HOURS = parseFloat(process.env.OFFLINE_SALE_MAX_AGE_HOURS) || 72;
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Most units of a product one sale line may carry
+const MAX_LINE_QUANTITY = 9999;
+
+// Transactions a user without transactions:read:all reads: own (default), or shift for their own in their open shift
+const TRANSACTION_READ_SCOPE = process.env.TRANSACTION_READ_SCOPE || 'own';
+
+// Paging and ordering accepted by every transaction listing
+const listRules = [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('order').optional().isIn(LIST_ORDERS).withMessage(`Order must be one of ${LIST_ORDERS.join(', ')}`),
+  query('lastKey').optional().custom(lastKey => Boolean(decodeLastKey(lastKey))).withMessage('Last key is not valid'),
+];
+
+/**
+ * Listing options from a request's query string
+ * @param {Object} req - Express request
+ * @returns {Object} Limit, order and the key to resume from
+ */
+function listOptions(req) {
+  const { limit, order, lastKey } = req.query;
+  return {
+    limit: limit ? parseInt(limit, 10) : 50,
+    order: order || 'newest',
+    lastEvaluatedKey: lastKey ? decodeLastKey(lastKey) : undefined,
+  };
+}
+
+/**
+ * Transactions the user may read
+ * @param {Object} req - Express request, with the user's permissions
+ * @returns {Promise<Object|null>} Cashier ID, and shift ID when reads are limited to the open shift
+ *   (null without one); null if the user may read every transaction
+ */
+async function readScope(req) {
+  if (req.permissions.includes('transactions:read:all')) {
+    return null;
+  }
+  
+  if (TRANSACTION_READ_SCOPE !== 'shift') {
+    return { cashierId: req.user.sub };
+  }
+  
+  const shift = await shiftOperations.getOpenShift(req.user.sub);
+  return { cashierId: req.user.sub, shiftId: shift ? shift.shiftId : null };
+}
+
+/**
+ * Get the request's transaction if the user may read it
+ *
+ * It is read once per request, so a route and its audit entry see the same transaction.
+ * @param {Object} req - Express request, with the user's permissions
+ * @returns {Promise<Object>} Transaction, undefined if it does not exist or is out of scope
+ */
+function findTransaction(req) {
+  if (!req.transactionInScope) {
+    req.transactionInScope = Promise.all([
+      transactionOperations.getTransactionById(req.params.id),
+      readScope(req),
+    ]).then(([transaction, scope]) => {
+      if (!transaction || (scope && (transaction.cashierId !== scope.cashierId
+        || (scope.shiftId !== undefined && transaction.shiftId !== scope.shiftId)))) {
+        return undefined;
+      }
+      
+      return transaction;
+    });
+  }
+  
+  return req.transactionInScope;
+}
+
+/**
+ * Load a transaction the user may read, answering the request if they cannot
+ *
+ * Transactions out of scope are reported as not found, so their IDs cannot be probed.
+ * @param {Object} req - Express request, with the user's permissions
+ * @param {Object} res - Express response
+ * @returns {Promise<Object>} Transaction, or undefined if a response was sent
+ */
+async function loadTransaction(req, res) {
+  const transaction = await findTransaction(req);
+  
+  if (!transaction) {
+    res.status(404).json({ message: 'Transaction not found' });
+  }
+  
+  return transaction;
+}
+
+/**
+ * List transactions a page at a time, within what the user may read
+ * @param {Object} req - Express request, with the user's permissions
+ * @param {Object} res - Express response
+ * @param {Object} filters - Listing filters
+ * @param {string} [filters.startDate] - Start date (YYYY-MM-DD), with endDate
+ * @param {string} [filters.endDate] - End date (YYYY-MM-DD), with startDate
+ * @param {string} [filters.cashierId] - Only this cashier's transactions
+ * @returns {Promise<void>} Resolves once the page or a 404 is sent
+ */
+async function listTransactions(req, res, filters) {
+  const { startDate, endDate, cashierId } = filters;
+  const scope = await readScope(req);
+  
+  if (!scope) {
+    const result = cashierId
+      ? await transactionOperations.listTransactionsByCashier(cashierId, { ...listOptions(req), startDate, endDate })
+      : await transactionOperations.listTransactionsByDateRange(startDate, endDate, listOptions(req));
+    return res.json(toPage(result));
+  }
+  
+  // Other cashiers' sales are reported as not found, as for a single transaction
+  if (cashierId && cashierId !== scope.cashierId) {
+    return res.status(404).json({ message: 'Cashier not found' });
+  }
+  
+  if (scope.shiftId === null) {
+    return res.json(toPage({ items: [] }));
+  }
+  
+  const result = await transactionOperations.listTransactionsByCashier(scope.cashierId, {
+    ...listOptions(req),
+    startDate,
+    endDate,
+    shiftId: scope.shiftId,
+  });
+  res.json(toPage(result));
+}
+
 /**
  * @route   POST /api/transactions
  * @desc    Create a new transaction
- * @access  Private
+ * @access  Private (transactions:create)
  */
 router.post('/', [
-  body('items').isArray().withMessage('Items must be an array'),
+  requirePermission('transactions:create'),
+  // Offline sales carry their own ID, so a replayed queue can never record them twice.
+  // A sale first tried online and then queued is still the same sale.
+  idempotent({
+    fallbackKey: req => req.body && req.body.clientTransactionId,
+    ignoreFields: ['clientTransactionId', 'saleTimestamp'],
+  }),
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
   body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('items.*.price').isNumeric().withMessage('Price must be a number'),
-  body('total').isNumeric().withMessage('Total must be a number'),
-  body('paymentMethod').notEmpty().withMessage('Payment method is required'),
+  body('items.*.variantId').optional().isString().withMessage('Variant ID must be a string'),
+  body('items.*.quantity').isInt({ min: 1, max: MAX_LINE_QUANTITY })
+    .withMessage(`Quantity must be between 1 and ${MAX_LINE_QUANTITY}`),
+  body('items.*.price').optional().isNumeric().withMessage('Price must be a number'),
+  body('total').optional().isNumeric().withMessage('Total must be a number'),
+  body('couponCodes').optional().isArray().withMessage('Coupon codes must be an array'),
+  body('couponCodes.*').isString().withMessage('Coupon code must be a string'),
+  body('paymentMethod').optional().isIn(PAYMENT_METHODS).withMessage('Payment method must be cash, card, or mobile'),
+  ...rules.payments,
+  // Sales rung up while the till was offline
+  body('clientTransactionId').optional().isUUID().withMessage('Client transaction ID must be a UUID'),
+  body('saleTimestamp')
+    .if(body('clientTransactionId').exists())
+    .isISO8601().withMessage('Sale timestamp must be an ISO8601 date'),
+  body('acceptCatalogPrices').optional().isBoolean({ strict: true }).withMessage('Accept catalog prices must be a boolean'),
+  audit('transaction.create', { resourceId: (req, transaction) => transaction.transactionId }),
 ], async (req, res, next) => {
   // Validate request
   const errors = validationResult(req);
@@ -24,14 +185,171 @@ router.post('/', [
   }
   
   try {
-    // Add user ID from auth token as cashierId
+    const { saleTimestamp, acceptCatalogPrices, ...sale } = req.body;
+    const offline = Boolean(sale.clientTransactionId);
+    
+    if (offline) {
+      const saleAge = Date.now() - new Date(saleTimestamp).getTime();
+      
+      if (saleAge < -CLOCK_SKEW_MS) {
+        return res.status(400).json({ message: 'Sale timestamp is in the future' });
+      }
+      
+      if (saleAge > OFFLINE_SALE_MAX_AGE_HOURS * 3600 * 1000) {
+        return res.status(422).json({ message: `Offline sales older than ${OFFLINE_SALE_MAX_AGE_HOURS} hours cannot be accepted` });
+      }
+    }
+    
+    // Never trust client prices, reprice every line from the catalog
+    const quote = await quoteSale(sale.items, {
+      submittedTotal: sale.total,
+      couponCodes: sale.couponCodes,
+      // Promotions are judged by when the sale happened, not when it arrived
+      now: offline ? saleTimestamp : undefined,
+      offline,
+      ...(offline && acceptCatalogPrices && { mismatchMode: 'correct' }),
+    });
+    
+    if (quote.unmatchedCouponCodes.length > 0) {
+      return res.status(offline ? 409 : 400).json({
+        message: 'Coupon codes are not valid for this sale',
+        couponCodes: quote.unmatchedCouponCodes,
+        ...(offline && {
+          details: {
+            conflicts: quote.unmatchedCouponCodes.map(couponCode => ({ type: 'coupon_invalid', couponCode })),
+          },
+        }),
+      });
+    }
+    
+    // A single payment method pays the exact total
+    const settlement = settlePayments(
+      sale.payments || [{ method: sale.paymentMethod, amount: quote.total }],
+      quote.total
+    );
+    
+    // Sales go into the cashier's open shift, unless sold offline before it opened
+    const shift = await shiftOperations.getOpenShift(req.user.sub);
+    const inShift = shift && (!offline || new Date(saleTimestamp).toISOString() >= shift.openedAt);
+    
+    // Built field by field, so a client cannot set what only the server may, like
+    // the status, timestamps, shift or refund and void details
     const transaction = {
-      ...req.body,
+      ...(sale.couponCodes && { couponCodes: sale.couponCodes }),
+      ...(offline && { clientTransactionId: sale.clientTransactionId, offline: true }),
+      items: quote.items,
+      subtotal: quote.subtotal,
+      taxTotal: quote.taxTotal,
+      taxBreakdown: quote.taxBreakdown,
+      discountTotal: quote.discountTotal,
+      appliedPromotions: quote.appliedPromotions,
+      pricesIncludeTax: quote.pricesIncludeTax,
+      total: quote.total,
+      payments: settlement.payments,
+      paymentMethod: settlement.paymentMethod,
+      amountTendered: settlement.amountTendered,
+      changeDue: settlement.changeDue,
+      ...(quote.submittedTotal !== undefined && { submittedTotal: quote.submittedTotal }),
+      ...(quote.mismatches.length > 0 && { priceCorrections: quote.mismatches }),
+      // Add user ID from auth token as cashierId
       cashierId: req.user.sub,
+      ...(inShift && { shiftId: shift.shiftId }),
     };
     
-    const result = await transactionOperations.createTransaction(transaction);
+    const result = await transactionOperations.createTransaction(transaction, {
+      idempotency: req.idempotency,
+      ...(offline && { saleTimestamp: new Date(saleTimestamp).toISOString() }),
+    });
+    
+    // The key was completed in the same write as the sale
+    if (req.idempotency) {
+      req.idempotency.completed = true;
+    }
+    
     res.status(201).json(result);
+  } catch (error) {
+    // A retry took the key over while this request was slow, and recorded the sale first
+    if (error.idempotentResponse) {
+      req.idempotency.completed = true;
+      return replayResponse(res, error.idempotentResponse);
+    }
+    
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/transactions/preview
+ * @desc    Price a cart with tax without recording a sale
+ * @access  Private (transactions:create)
+ */
+router.post('/preview', [
+  requirePermission('transactions:create'),
+  body('items').isArray().withMessage('Items must be an array'),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
+  body('items.*.variantId').optional().isString().withMessage('Variant ID must be a string'),
+  body('items.*.quantity').isInt({ min: 1, max: MAX_LINE_QUANTITY })
+    .withMessage(`Quantity must be between 1 and ${MAX_LINE_QUANTITY}`),
+  body('couponCodes').optional().isArray().withMessage('Coupon codes must be an array'),
+  body('couponCodes.*').isString().withMessage('Coupon code must be a string'),
+], async (req, res, next) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    // A preview always reports corrections rather than failing
+    const quote = await quoteSale(req.body.items, {
+      couponCodes: req.body.couponCodes,
+      mismatchMode: 'correct',
+    });
+    res.json(quote);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/transactions/summary
+ * @desc    Get sales totals for a date range, excluding voided sales
+ * @access  Private (reports:read)
+ */
+router.get('/summary', [
+  requirePermission('reports:read'),
+  // Today, unless a range is given
+  (req, res, next) => {
+    const today = new Date().toISOString().split('T')[0];
+    req.query.startDate = req.query.startDate || today;
+    req.query.endDate = req.query.endDate || today;
+    next();
+  },
+  validate(dateRangeRules()),
+], async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    
+    const transactions = await transactionOperations.getTransactionsByDateRange(startDate, endDate);
+    
+    res.json({
+      startDate,
+      endDate,
+      ...summarizeSales(transactions),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/transactions/me
+ * @desc    Get transactions by current cashier, a page at a time
+ * @access  Private (transactions:read)
+ */
+router.get('/me', requirePermission('transactions:read'), validate(listRules), async (req, res, next) => {
+  try {
+    await listTransactions(req, res, { cashierId: req.user.sub });
   } catch (error) {
     next(error);
   }
@@ -40,9 +358,90 @@ router.post('/', [
 /**
  * @route   GET /api/transactions/:id
  * @desc    Get a transaction by ID
- * @access  Private
+ * @access  Private (transactions:read, and transactions:read:all for other cashiers' sales)
+ */
+router.get('/:id', requirePermission('transactions:read'), async (req, res, next) => {
+  try {
+    const transaction = await loadTransaction(req, res);
+    
+    if (transaction) {
+      res.json(transaction);
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/transactions/:id/refunds
+ * @desc    Refund some or all lines of a transaction
+ * @access  Private (transactions:refund, and transactions:read:all for other cashiers' sales)
+ */
+router.post('/:id/refunds', [
+  requirePermission('transactions:refund'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.lineIndex').isInt({ min: 0 }).withMessage('Line index must be a non-negative integer'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  body('restock').optional().isBoolean({ strict: true }).withMessage('Restock must be a boolean'),
+  body('paymentMethod').optional().isIn(PAYMENT_METHODS).withMessage('Payment method must be cash, card, or mobile'),
+  audit('transaction.refund', { before: findTransaction }),
+], async (req, res, next) => {
+  try {
+    // Out of scope sales are not found, before anything about the refund is checked
+    const transaction = await loadTransaction(req, res);
+    
+    if (!transaction) {
+      return undefined;
+    }
+    
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { items, reason, restock, paymentMethod } = req.body;
+    
+    // There is no single method to refund a split tender sale to
+    if (!paymentMethod && !PAYMENT_METHODS.includes(transaction.paymentMethod)) {
+      return res.status(400).json({ message: 'Payment method is required to refund this transaction' });
+    }
+    
+    const refund = buildRefund(transaction, items);
+    const shift = await shiftOperations.getOpenShift(req.user.sub);
+    
+    const result = await refundOperations.createRefund(transaction, refund, {
+      restock: restock !== false,
+      reason,
+      paymentMethod: paymentMethod || transaction.paymentMethod,
+      cashierId: req.user.sub,
+      ...(shift && { shiftId: shift.shiftId }),
+    });
+    
+    res.status(201).json({
+      refund: result,
+      transactionStatus: refund.status,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/transactions/:id/void
+ * @desc    Void a completed transaction
+ * @access  Private (transactions:void, or a manager override from a user who has it)
  */
-router.get('/:id', async (req, res, next) => {
+router.post('/:id/void', [
+  // Validate before checking any override credentials
+  validate([
+    body('reason').notEmpty().withMessage('Reason is required'),
+    body('managerOverride').optional().isObject().withMessage('Manager override must be an object'),
+  ]),
+  requireApproval('transactions:void'),
+  audit('transaction.void', { before: req => transactionOperations.getTransactionById(req.params.id) }),
+], async (req, res, next) => {
   try {
     const transaction = await transactionOperations.getTransactionById(req.params.id);
     
@@ -50,57 +449,104 @@ router.get('/:id', async (req, res, next) => {
       return res.status(404).json({ message: 'Transaction not found' });
     }
     
-    res.json(transaction);
+    const result = await transactionOperations.voidTransaction(transaction, {
+      reason: req.body.reason,
+      requestedBy: req.user.sub,
+      approvedBy: req.approver.sub,
+      approvedByUsername: req.approver.username,
+      approverRole: req.approver.role,
+      approvalMethod: req.approver.method,
+    });
+    
+    res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * @route   GET /api/transactions/date/:startDate/:endDate
- * @desc    Get transactions by date range
- * @access  Private
+ * @route   GET /api/transactions/:id/refunds
+ * @desc    Get refunds against a transaction
+ * @access  Private (transactions:read, and transactions:read:all for other cashiers' sales)
  */
-router.get('/date/:startDate/:endDate', async (req, res, next) => {
+router.get('/:id/refunds', requirePermission('transactions:read'), async (req, res, next) => {
   try {
-    const { startDate, endDate } = req.params;
+    const transaction = await loadTransaction(req, res);
     
-    // Validate date format (YYYY-MM-DD)
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
-      return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD' });
+    if (!transaction) {
+      return undefined;
     }
     
-    const transactions = await transactionOperations.getTransactionsByDateRange(startDate, endDate);
-    res.json(transactions);
+    const refunds = await refundOperations.getRefundsByTransaction(req.params.id);
+    res.json(refunds);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * @route   GET /api/transactions/cashier/:cashierId
- * @desc    Get transactions by cashier
- * @access  Private
+ * @route   GET /api/transactions/:id/receipt
+ * @desc    Render a transaction receipt as text, HTML, PDF or ESC/POS printer bytes
+ * @access  Private (transactions:read, and transactions:read:all for other cashiers' sales)
+ */
+router.get('/:id/receipt', requirePermission('transactions:read'), validate([
+  query('format').optional().isIn(receipts.RECEIPT_FORMATS)
+    .withMessage(`Format must be one of ${receipts.RECEIPT_FORMATS.join(', ')}`),
+]), async (req, res, next) => {
+  try {
+    const transaction = await loadTransaction(req, res);
+    
+    if (!transaction) {
+      return undefined;
+    }
+    
+    const format = req.query.format || 'text';
+    
+    if (format === 'html') {
+      return res.type('html').send(await receipts.renderHtml(transaction));
+    }
+    
+    if (format === 'pdf') {
+      res.set('Content-Disposition', `inline; filename="receipt-${transaction.transactionId}.pdf"`);
+      return res.type('pdf').send(await receipts.renderPdf(transaction));
+    }
+    
+    if (format === 'escpos') {
+      return res.type('application/octet-stream').send(receipts.renderEscPos(transaction));
+    }
+    
+    res.type('text').send(receipts.renderText(transaction));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/transactions/date/:startDate/:endDate
+ * @desc    Get transactions by date range, a page at a time
+ * @access  Private (transactions:read, and transactions:read:all for other cashiers' sales)
  */
-router.get('/cashier/:cashierId', async (req, res, next) => {
+router.get('/date/:startDate/:endDate', requirePermission('transactions:read'), validate([
+  ...dateRangeRules(param),
+  ...listRules,
+]), async (req, res, next) => {
   try {
-    const transactions = await transactionOperations.getTransactionsByCashier(req.params.cashierId);
-    res.json(transactions);
+    const { startDate, endDate } = req.params;
+    
+    await listTransactions(req, res, { startDate, endDate });
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * @route   GET /api/transactions/me
- * @desc    Get transactions by current cashier
- * @access  Private
+ * @route   GET /api/transactions/cashier/:cashierId
+ * @desc    Get transactions by cashier, a page at a time
+ * @access  Private (transactions:read, and transactions:read:all for other cashiers' sales)
  */
-router.get('/me', async (req, res, next) => {
+router.get('/cashier/:cashierId', requirePermission('transactions:read'), validate(listRules), async (req, res, next) => {
   try {
-    const transactions = await transactionOperations.getTransactionsByCashier(req.user.sub);
-    res.json(transactions);
+    await listTransactions(req, res, { cashierId: req.params.cashierId });
   } catch (error) {
     next(error);
   }
@@ -108,35 +554,29 @@ router.get('/me', async (req, res, next) => {
 
 /**
  * @route   GET /api/transactions
- * @desc    Get transactions with filtering options
- * @access  Private
+ * @desc    Get transactions with filtering options, a page at a time
+ * @access  Private (transactions:read, and transactions:read:all for other cashiers' sales)
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('transactions:read'), validate([
+  ...dateRangeRules(query, { optional: true }),
+  ...listRules,
+]), async (req, res, next) => {
   try {
     const { startDate, endDate, cashierId } = req.query;
     
     // If date range is provided
     if (startDate && endDate) {
-      // Validate date format (YYYY-MM-DD)
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
-        return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD' });
-      }
-      
-      const transactions = await transactionOperations.getTransactionsByDateRange(startDate, endDate);
-      return res.json(transactions);
+      return await listTransactions(req, res, { startDate, endDate });
     }
     
     // If cashier ID is provided
     if (cashierId) {
-      const transactions = await transactionOperations.getTransactionsByCashier(cashierId);
-      return res.json(transactions);
+      return await listTransactions(req, res, { cashierId });
     }
     
     // If no filters, return today's transactions
     const today = new Date().toISOString().split('T')[0];
-    const transactions = await transactionOperations.getTransactionsByDateRange(today, today);
-    res.json(transactions);
+    await listTransactions(req, res, { startDate: today, endDate: today });
   } catch (error) {
     next(error);
   }
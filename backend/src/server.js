@@ -4,9 +4,15 @@ const morgan = require('morgan');
 const helmet = require('helmet');
 const compression = require('compression');
 const { errorHandler } = require('./utils/error-handler');
+const { identityProvider, IDENTITY_PROVIDER } = require('./utils/identity');
 const productRoutes = require('./routes/products');
 const transactionRoutes = require('./routes/transactions');
+const promotionRoutes = require('./routes/promotions');
+const shiftRoutes = require('./routes/shifts');
+const reportRoutes = require('./routes/reports');
 const authRoutes = require('./routes/auth');
+const auditRoutes = require('./routes/audit');
+const roleRoutes = require('./routes/roles');
 const authMiddleware = require('./middleware/auth');
 
 // Initialize Express app
@@ -33,10 +39,22 @@ app.get('/version', (req, res) => {
   });
 });
 
+// Public signing keys, when tokens are issued locally rather than by Cognito
+if (identityProvider.getJwks) {
+  app.get('/.well-known/jwks.json', (req, res) => {
+    res.status(200).json(identityProvider.getJwks());
+  });
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', authMiddleware.authenticate, productRoutes);
 app.use('/api/transactions', authMiddleware.authenticate, transactionRoutes);
+app.use('/api/promotions', authMiddleware.authenticate, promotionRoutes);
+app.use('/api/shifts', authMiddleware.authenticate, shiftRoutes);
+app.use('/api/reports', authMiddleware.authenticate, reportRoutes);
+app.use('/api/audit', authMiddleware.authenticate, auditRoutes);
+app.use('/api/roles', authMiddleware.authenticate, roleRoutes);
 
 // Error handling
 app.use(errorHandler);
@@ -46,14 +64,23 @@ app.use((req, res) => {
   res.status(404).json({ message: `Route ${req.originalUrl} not found` });
 });
 
-// Start the server
-app.listen(port, () => {
-  console.log(`POS API server running on port ${port}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  
-  // Log table names for debugging
-  console.log(`Products table: ${process.env.PRODUCTS_TABLE}`);
-  console.log(`Transactions table: ${process.env.TRANSACTIONS_TABLE}`);
+// Start the server once the identity provider is set up, e.g. the local admin created
+identityProvider.ready.then(() => {
+  app.listen(port, () => {
+    console.log(`POS API server running on port ${port}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`Identity provider: ${IDENTITY_PROVIDER}`);
+    
+    // Log table names for debugging
+    console.log(`Products table: ${process.env.PRODUCTS_TABLE}`);
+    console.log(`Transactions table: ${process.env.TRANSACTIONS_TABLE}`);
+    console.log(`Refunds table: ${process.env.REFUNDS_TABLE}`);
+    console.log(`Promotions table: ${process.env.PROMOTIONS_TABLE}`);
+    console.log(`Shifts table: ${process.env.SHIFTS_TABLE}`);
+  });
+}).catch((error) => {
+  console.error('Error setting up identity provider:', error);
+  process.exit(1);
 });
 
 module.exports = app; // For testing purposes
\ No newline at end of file
@@ -0,0 +1,28 @@
+const { normalizeBarcode, isValidBarcode } = require('../barcodes');
+
+describe('normalizeBarcode', () => {
+  it('pads GTINs to 14 digits, so UPC and EAN scans of an item match', () => {
+    expect(normalizeBarcode('036000291452')).toBe('00036000291452');
+    expect(normalizeBarcode(' 0036000291452 ')).toBe('00036000291452');
+  });
+  
+  it('keeps other codes as they are', () => {
+    expect(normalizeBarcode(' SHELF-12 ')).toBe('SHELF-12');
+    expect(normalizeBarcode('12345')).toBe('12345');
+  });
+});
+
+describe('isValidBarcode', () => {
+  it('checks the check digit of GTINs', () => {
+    expect(isValidBarcode('036000291452')).toBe(true);
+    expect(isValidBarcode('4006381333931')).toBe(true);
+    expect(isValidBarcode('96385074')).toBe(true);
+    expect(isValidBarcode('036000291453')).toBe(false);
+  });
+  
+  it('accepts other printable codes up to 48 characters', () => {
+    expect(isValidBarcode('SHELF-12')).toBe(true);
+    expect(isValidBarcode('has space')).toBe(false);
+    expect(isValidBarcode('X'.repeat(49))).toBe(false);
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('../dynamodb', () => ({
+  productOperations: {
+    getProductById: jest.fn(),
+  },
+  promotionOperations: {
+    getAllPromotions: jest.fn(),
+  },
+}));
+
+process.env.TAX_CONFIG = JSON.stringify({
+  rates: { standard: { name: 'Standard', rate: 0.1 }, zero: { name: 'Zero', rate: 0 } },
+  categories: { food: 'zero' },
+});
+
+const { productOperations, promotionOperations } = require('../dynamodb');
+const { quoteSale } = require('../checkout');
+const { product } = require('../../../test/helpers');
+
+delete process.env.TAX_CONFIG;
+
+const products = {
+  cola: product(),
+  bread: product({ productId: 'bread', name: 'Bread', price: 2, category: 'food' }),
+  shirt: product({ productId: 'shirt', name: 'Shirt', price: 20, hasVariants: true, variantOptions: [{ name: 'Size', values: ['M'] }] }),
+};
+
+beforeEach(() => {
+  productOperations.getProductById.mockImplementation(async productId => products[productId]);
+  promotionOperations.getAllPromotions.mockResolvedValue([
+    { promotionId: 'half', name: 'Half off cola', type: 'percent', scope: 'item', productIds: ['cola'], value: 50, couponCode: 'HALF' },
+  ]);
+});
+
+describe('quoteSale', () => {
+  it('prices a sale from the catalog and adds tax by class', async () => {
+    const quote = await quoteSale([{ productId: 'cola', quantity: 2 }, { productId: 'bread', quantity: 1 }], {
+      submittedTotal: 5.3,
+    });
+    
+    expect(quote.items.map(item => [item.productId, item.lineTotal, item.tax, item.grossTotal])).toEqual([
+      ['cola', 3, 0.3, 3.3],
+      ['bread', 2, 0, 2],
+    ]);
+    expect(quote).toMatchObject({ subtotal: 5, taxTotal: 0.3, total: 5.3, submittedTotal: 5.3, mismatches: [] });
+  });
+  
+  it('refuses a submitted total that leaves out the tax', async () => {
+    await expect(quoteSale([{ productId: 'cola', quantity: 2 }], { submittedTotal: 3 })).rejects.toMatchObject({
+      statusCode: 422,
+      details: { lines: [], total: { submitted: 3, expected: 3.3 } },
+    });
+  });
+  
+  it('corrects client prices instead when told to', async () => {
+    const quote = await quoteSale([{ productId: 'cola', quantity: 1, price: 1 }], { mismatchMode: 'correct' });
+    
+    expect(quote.total).toBe(1.65);
+    expect(quote.mismatches).toEqual([{ index: 0, productId: 'cola', name: 'Cola', submittedPrice: 1, catalogPrice: 1.5 }]);
+  });
+  
+  it('takes coupon discounts off before tax, and names codes that match nothing', async () => {
+    const quote = await quoteSale([{ productId: 'cola', quantity: 2 }], { couponCodes: ['half', 'nope'] });
+    
+    expect(quote).toMatchObject({ subtotal: 1.5, discountTotal: 1.5, taxTotal: 0.15, total: 1.65 });
+    expect(quote.appliedPromotions).toEqual([expect.objectContaining({ promotionId: 'half', amount: 1.5 })]);
+    expect(quote.unmatchedCouponCodes).toEqual(['NOPE']);
+  });
+  
+  it('refuses unknown products', async () => {
+    await expect(quoteSale([{ productId: 'missing', quantity: 1 }])).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'One or more products do not exist or are archived',
+      details: { lines: [{ index: 0, productId: 'missing' }] },
+    });
+  });
+  
+  it('refuses products with variants sold without one', async () => {
+    const online = quoteSale([{ productId: 'shirt', quantity: 1 }]);
+    const offline = quoteSale([{ productId: 'shirt', quantity: 1 }], { offline: true });
+    
+    await expect(online).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Choose a variant for products that have them',
+      details: { lines: [{ index: 0, productId: 'shirt' }] },
+    });
+    await expect(offline).rejects.toMatchObject({
+      statusCode: 409,
+      details: { conflicts: [{ type: 'variant_required', index: 0, productId: 'shirt' }] },
+    });
+  });
+  
+  it('reports what changed under an offline sale as conflicts', async () => {
+    const changed = quoteSale([{ productId: 'cola', quantity: 1, price: 1 }], { submittedTotal: 1.1, offline: true });
+    const unknown = quoteSale([{ productId: 'missing', quantity: 1 }], { offline: true });
+    
+    await expect(changed).rejects.toMatchObject({
+      statusCode: 409,
+      details: {
+        conflicts: [
+          { type: 'price_changed', index: 0, productId: 'cola', submittedPrice: 1, catalogPrice: 1.5 },
+          { type: 'total_changed', submitted: 1.1, expected: 1.65 },
+        ],
+      },
+    });
+    await expect(unknown).rejects.toMatchObject({
+      statusCode: 409,
+      details: { conflicts: [{ type: 'product_not_found', index: 0, productId: 'missing' }] },
+    });
+  });
+});
@@ -0,0 +1,642 @@
+const { transactionOperations, productOperations, refundOperations, shiftOperations, auditOperations } = require('../dynamodb');
+const { buildRefund } = require('../refunds');
+const { product, transaction, stubDocumentClient, awsError } = require('../../../test/helpers');
+
+const line = (productId, quantity) => ({ productId, quantity, price: 1, lineTotal: quantity, stockTracked: true });
+
+beforeEach(() => {
+  // Products written by a test are indexed for search, into an index that starts empty
+  stubDocumentClient({ query: () => ({ Items: [] }), batchWrite: () => ({}) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('transactionOperations.createTransaction', () => {
+  it('writes the sale and takes its stock in one transaction', async () => {
+    const { transactWrite } = stubDocumentClient({ transactWrite: () => ({}) });
+    
+    const transaction = await transactionOperations.createTransaction({
+      items: [line('cola', 2), line('chips', 1), line('cola', 1), { productId: 'bag', quantity: 1 }],
+      total: 4,
+    });
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(transaction).toMatchObject({ status: 'completed', date: transaction.timestamp.slice(0, 10) });
+    expect(writes[0].Put).toMatchObject({ Item: transaction, ConditionExpression: 'attribute_not_exists(transactionId)' });
+    expect(writes.slice(1).map(write => [write.Update.Key.productId, write.Update.ExpressionAttributeValues])).toEqual([
+      ['cola', { ':quantity': -3, ':required': 3, ':true': true, ':soldAt': transaction.timestamp }],
+      ['chips', { ':quantity': -1, ':required': 1, ':true': true, ':soldAt': transaction.timestamp }],
+      ['bag', { ':soldAt': transaction.timestamp }],
+    ]);
+    expect(writes[1].Update.ConditionExpression).toContain('stockOnHand >= :required OR allowNegativeStock = :true');
+  });
+  
+  it('marks when each product was last sold, the parent of a variant and untracked ones included', async () => {
+    const { transactWrite } = stubDocumentClient({ transactWrite: () => ({}) });
+    
+    await transactionOperations.createTransaction({
+      items: [{ ...line('shirt', 1), variantId: 'shirt-m' }, { productId: 'bag', quantity: 1 }],
+    }, { saleTimestamp: '2026-06-01T09:30:00.000Z' });
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(writes.slice(1).map(write => [write.Update.Key.productId, write.Update.UpdateExpression])).toEqual([
+      ['shirt-m', 'ADD stockOnHand :quantity'],
+      ['shirt', 'SET lastSoldAt = :soldAt'],
+      ['bag', 'SET lastSoldAt = :soldAt'],
+    ]);
+    expect(writes[2].Update).toMatchObject({ ConditionExpression: 'attribute_exists(productId)' });
+    expect(writes[2].Update.ExpressionAttributeValues[':soldAt']).not.toBe('2026-06-01T09:30:00.000Z');
+  });
+  
+  it('sets the ID, times and status itself', async () => {
+    stubDocumentClient({ transactWrite: () => ({}) });
+    
+    const transaction = await transactionOperations.createTransaction({
+      items: [],
+      transactionId: 'chosen',
+      timestamp: '2020-01-01T00:00:00.000Z',
+      date: '2020-01-01',
+      status: 'refunded',
+    });
+    
+    expect(transaction.transactionId).not.toBe('chosen');
+    expect(transaction.timestamp).not.toBe('2020-01-01T00:00:00.000Z');
+    expect(transaction).toMatchObject({ date: transaction.timestamp.slice(0, 10), status: 'completed' });
+  });
+  
+  it('completes the idempotency key in the same write as the sale', async () => {
+    const { transactWrite } = stubDocumentClient({ transactWrite: () => ({}) });
+    
+    const transaction = await transactionOperations.createTransaction({ items: [], total: 0 }, {
+      idempotency: { key: 'cashier-1:k1', requestHash: 'hash', lockToken: 'lock-1' },
+    });
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(writes[1].Update).toMatchObject({
+      Key: { idempotencyKey: 'cashier-1:k1' },
+      ConditionExpression: '#status = :inProgress AND lockToken = :lockToken',
+      ExpressionAttributeValues: expect.objectContaining({ ':statusCode': 201, ':response': transaction, ':lockToken': 'lock-1' }),
+    });
+  });
+  
+  it('hands back the response of a retry that took the idempotency key over', async () => {
+    const idempotency = { key: 'cashier-1:k1', requestHash: 'hash', lockToken: 'lock-1' };
+    const completed = { idempotencyKey: 'cashier-1:k1', requestHash: 'hash', lockToken: 'lock-2', status: 'completed', statusCode: 201, response: { transactionId: 't2' } };
+    let record = completed;
+    stubDocumentClient({
+      transactWrite: () => {
+        throw awsError('TransactionCanceledException');
+      },
+      get: () => ({ Item: record }),
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    await expect(transactionOperations.createTransaction({ items: [] }, { idempotency })).rejects.toMatchObject({
+      statusCode: 409,
+      idempotentResponse: { statusCode: 201, response: { transactionId: 't2' } },
+    });
+    
+    record = { ...completed, status: 'in_progress', response: undefined };
+    await expect(transactionOperations.createTransaction({ items: [] }, { idempotency })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'A request with this idempotency key is still being processed',
+    });
+  });
+  
+  it('dates an offline sale by when it happened, taking its stock even below zero', async () => {
+    const { transactWrite } = stubDocumentClient({ transactWrite: () => ({}) });
+    
+    const transaction = await transactionOperations.createTransaction({ items: [line('cola', 2)] }, {
+      saleTimestamp: '2026-06-01T09:30:00.000Z',
+    });
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(transaction).toMatchObject({ timestamp: '2026-06-01T09:30:00.000Z', date: '2026-06-01', receivedAt: expect.any(String) });
+    expect(writes[1].Update.ConditionExpression).toBe('attribute_exists(productId)');
+  });
+  
+  it('names the short items when a sale is cancelled for lack of stock', async () => {
+    stubDocumentClient({
+      transactWrite: () => {
+        throw awsError('TransactionCanceledException');
+      },
+      get: ({ Key }) => ({
+        Item: {
+          cola: product({ stockOnHand: 1 }),
+          chips: product({ productId: 'chips', name: 'Chips', stockOnHand: 5 }),
+        }[Key.productId],
+      }),
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    await expect(transactionOperations.createTransaction({ items: [line('cola', 2), line('chips', 1)] }))
+      .rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Insufficient stock',
+        details: { items: [{ productId: 'cola', name: 'Cola', requested: 2, available: 1 }] },
+      });
+  });
+});
+
+describe('productOperations.adjustStock', () => {
+  it('only refuses adjustments that take stock below zero', async () => {
+    const { update } = stubDocumentClient({ update: () => ({ Attributes: product() }) });
+    
+    await productOperations.adjustStock('cola', 5);
+    await productOperations.adjustStock('cola', -2);
+    
+    expect(update.mock.calls[0][0].ConditionExpression).toBe('attribute_exists(productId)');
+    expect(update.mock.calls[1][0]).toMatchObject({
+      ConditionExpression: 'attribute_exists(productId) AND (stockOnHand >= :required OR allowNegativeStock = :true)',
+      ExpressionAttributeValues: expect.objectContaining({ ':adjustment': -2, ':required': 2 }),
+    });
+  });
+});
+
+describe('refundOperations.createRefund', () => {
+  it('records the refund, updates the sale unless another refund got there first, and restocks', async () => {
+    const { transactWrite } = stubDocumentClient({ transactWrite: () => ({}) });
+    const sale = transaction({ refundCount: 1, refundedTotal: 1 });
+    
+    await refundOperations.createRefund(sale, buildRefund(sale, [{ lineIndex: 0, quantity: 1 }]), { reason: 'damaged' });
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(writes[0].Put.Item).toMatchObject({ transactionId: 't1', total: 1.1, reason: 'damaged', restocked: true });
+    expect(writes[1].Update).toMatchObject({
+      ConditionExpression: 'refundCount = :refundCount',
+      ExpressionAttributeValues: expect.objectContaining({
+        ':refundCount': 1,
+        ':nextRefundCount': 2,
+        ':refundedTotal': 2.1,
+        ':status': 'partially_refunded',
+      }),
+    });
+    expect(writes[2].Update).toMatchObject({ Key: { productId: 'cola' }, ExpressionAttributeValues: { ':quantity': 1 } });
+  });
+  
+  it('asks for a retry when the sale changed meanwhile', async () => {
+    stubDocumentClient({
+      transactWrite: () => {
+        throw awsError('TransactionCanceledException');
+      },
+    });
+    
+    await expect(refundOperations.createRefund(transaction(), buildRefund(transaction()), { restock: false }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('refundOperations.getRefundsByTransaction', () => {
+  it('reads every page of the refunds', async () => {
+    const { query } = stubDocumentClient({
+      query: ({ ExclusiveStartKey }) => (ExclusiveStartKey
+        ? { Items: [{ refundId: 'r2' }] }
+        : { Items: [{ refundId: 'r1' }], LastEvaluatedKey: { refundId: 'r1' } }),
+    });
+    
+    const refunds = await refundOperations.getRefundsByTransaction('t1');
+    
+    expect(refunds.map(refund => refund.refundId)).toEqual(['r1', 'r2']);
+    expect(query).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('transactionOperations.voidTransaction', () => {
+  it('voids only a completed sale, returning its stock', async () => {
+    const { transactWrite } = stubDocumentClient({ transactWrite: () => ({}) });
+    
+    const voided = await transactionOperations.voidTransaction(transaction(), { reason: 'wrong items' });
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(voided).toMatchObject({ status: 'voided', void: { reason: 'wrong items', voidedAt: expect.any(String) } });
+    expect(writes[0].Update.ConditionExpression).toBe('#status = :completed');
+    expect(writes.slice(1).map(write => write.Update.Key.productId)).toEqual(['cola']);
+  });
+  
+  it('refuses sales that are no longer completed', async () => {
+    stubDocumentClient({
+      transactWrite: () => {
+        throw awsError('TransactionCanceledException');
+      },
+    });
+    
+    await expect(transactionOperations.voidTransaction(transaction({ status: 'refunded' }), { reason: 'late' }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Only completed transactions can be voided' });
+  });
+});
+
+describe('transactionOperations.getTransactionsByDateRange', () => {
+  it('queries each day of the range, following every page', async () => {
+    const { query } = stubDocumentClient({
+      query: ({ ExpressionAttributeValues, ExclusiveStartKey }) => (
+        ExpressionAttributeValues[':date'] === '2026-06-01' && !ExclusiveStartKey
+          ? { Items: [{ transactionId: 'a' }], LastEvaluatedKey: { transactionId: 'a' } }
+          : { Items: [{ transactionId: `${ExpressionAttributeValues[':date']}-last` }] }
+      ),
+    });
+    
+    const transactions = await transactionOperations.getTransactionsByDateRange('2026-05-31', '2026-06-01');
+    
+    expect(query).toHaveBeenCalledTimes(3);
+    expect(transactions.map(item => item.transactionId)).toEqual(['2026-05-31-last', 'a', '2026-06-01-last']);
+  });
+});
+
+describe('transactionOperations.iterateTransactionsByDateRange', () => {
+  it('yields one page at a time, reading the next only when asked', async () => {
+    const { query } = stubDocumentClient({
+      query: ({ ExpressionAttributeValues }) => ({ Items: [{ date: ExpressionAttributeValues[':date'] }] }),
+    });
+    
+    const pages = transactionOperations.iterateTransactionsByDateRange('2026-06-01', '2026-06-03');
+    
+    expect((await pages.next()).value).toEqual([{ date: '2026-06-01' }]);
+    expect(query).toHaveBeenCalledTimes(1);
+    await pages.return();
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('productOperations.batchCreateProducts', () => {
+  it('retries what DynamoDB leaves unprocessed, reporting what never got written', async () => {
+    const { batchWrite } = stubDocumentClient({
+      batchWrite: ({ RequestItems: { Products: requests = [] } }) => ({
+        UnprocessedItems: { Products: requests.filter(request => request.PutRequest.Item.productId === 'stuck') },
+      }),
+    });
+    jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+    
+    const result = await productOperations.batchCreateProducts([product(), product({ productId: 'stuck' })]);
+    
+    expect(result).toEqual({ created: ['cola'], failed: [{ productId: 'stuck', message: 'Write was throttled, please retry' }] });
+    const productWrites = batchWrite.mock.calls.filter(([params]) => params.RequestItems.Products);
+    expect(productWrites).toHaveLength(5);
+    expect(productWrites[0][0].RequestItems.Products[0].PutRequest.Item).toMatchObject({
+      stockOnHand: 10,
+      allowNegativeStock: false,
+      createdAt: expect.any(String),
+    });
+  });
+});
+
+describe('productOperations.bulkUpdateProducts', () => {
+  it('updates each product with aliased names, leaving stock alone', async () => {
+    const { update } = stubDocumentClient({
+      update: ({ Key }) => {
+        if (Key.productId === 'gone') {
+          throw awsError('ConditionalCheckFailedException');
+        }
+        
+        return { Attributes: product({ name: 'Cola Zero' }) };
+      },
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    const result = await productOperations.bulkUpdateProducts([
+      { productId: 'cola', changes: { name: 'Cola Zero', stockOnHand: 5 } },
+      { productId: 'gone', changes: { name: 'Gone' } },
+    ]);
+    
+    expect(result).toEqual({ updated: ['cola'], failed: [{ productId: 'gone', message: 'Product was deleted during the import' }] });
+    expect(update.mock.calls[0][0]).toMatchObject({
+      UpdateExpression: 'set updatedAt = :updatedAt, #name = :name',
+      ExpressionAttributeNames: { '#name': 'name' },
+      ConditionExpression: 'attribute_exists(productId)',
+    });
+  });
+});
+
+describe('productOperations.createProduct', () => {
+  it('claims the barcode in the same write as the product', async () => {
+    const { transactWrite } = stubDocumentClient({ transactWrite: () => ({}) });
+    
+    await productOperations.createProduct(product({ barcode: 'SHELF-1' }));
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(writes[1].Put).toEqual({
+      TableName: 'ProductBarcodes',
+      Item: { barcode: 'SHELF-1', productId: 'cola' },
+      ConditionExpression: 'attribute_not_exists(barcode)',
+    });
+  });
+  
+  it('refuses a barcode another product has', async () => {
+    stubDocumentClient({
+      transactWrite: () => {
+        throw awsError('TransactionCanceledException');
+      },
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    await expect(productOperations.createProduct(product({ barcode: 'SHELF-1' }))).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Barcode is already assigned to another product',
+    });
+  });
+});
+
+describe('productOperations.createProductWithVariants', () => {
+  it('writes the product, its variants and their barcodes together', async () => {
+    const { transactWrite } = stubDocumentClient({ transactWrite: () => ({}) });
+    
+    const created = await productOperations.createProductWithVariants(
+      { name: 'Shirt', price: 20, variantOptions: [{ name: 'Size', values: ['S', 'M'] }] },
+      [{ options: { Size: 'M' }, sku: 'SHIRT-M', stockOnHand: '3' }, { options: { Size: 'S' }, barcode: 'SHELF-S' }],
+    );
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(writes.map(write => write.Put.TableName)).toEqual(['Products', 'Products', 'Products', 'ProductBarcodes']);
+    expect(writes[1].Put.Item).toMatchObject({ parentId: created.productId, stockOnHand: 3, allowNegativeStock: false });
+    expect(writes[3].Put.Item).toEqual({ barcode: 'SHELF-S', productId: writes[2].Put.Item.productId });
+    expect(created).toMatchObject({ hasVariants: true, variants: [{ label: 'S' }, { label: 'M' }] });
+  });
+});
+
+describe('variant stock', () => {
+  it('takes a sale line\'s stock from its variant', async () => {
+    const { transactWrite } = stubDocumentClient({ transactWrite: () => ({}) });
+    
+    await transactionOperations.createTransaction({
+      items: [{ ...line('shirt', 1), variantId: 'shirt-m' }, { ...line('shirt', 2), variantId: 'shirt-s' }],
+    });
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(writes.slice(1, 3).map(write => write.Update.Key.productId)).toEqual(['shirt-m', 'shirt-s']);
+  });
+});
+
+describe('productOperations.archiveProduct', () => {
+  it('marks the product archived and takes it out of search', async () => {
+    const { update } = stubDocumentClient({ update: () => ({ Attributes: product({ archivedAt: 'now' }) }) });
+    const { query } = stubDocumentClient({ query: () => ({ Items: [{ term: 'cola', productId: 'cola' }] }) });
+    const { batchWrite } = stubDocumentClient({ batchWrite: () => ({}) });
+    
+    await productOperations.archiveProduct('cola', 'admin-1');
+    
+    expect(update.mock.calls[0][0]).toMatchObject({
+      ConditionExpression: 'attribute_exists(productId) AND attribute_not_exists(archivedAt)',
+      ExpressionAttributeValues: { ':archivedBy': 'admin-1' },
+    });
+    expect(query).toHaveBeenCalled();
+    expect(batchWrite.mock.calls[0][0].RequestItems.ProductSearch).toEqual([
+      { DeleteRequest: { Key: { term: 'cola', productId: 'cola' } } },
+    ]);
+  });
+  
+  it('refuses a product that is already archived', async () => {
+    stubDocumentClient({
+      update: () => {
+        throw awsError('ConditionalCheckFailedException');
+      },
+    });
+    
+    await expect(productOperations.archiveProduct('cola', 'admin-1')).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Product is already archived',
+    });
+  });
+});
+
+describe('product prices', () => {
+  it('records a new price in the history, guarded against a concurrent price change', async () => {
+    stubDocumentClient({ get: () => ({ Item: product({ priceUpdatedAt: '2026-05-01T00:00:00.000Z' }) }) });
+    const { transactWrite } = stubDocumentClient({ transactWrite: () => ({}) });
+    
+    await productOperations.updateProduct('cola', { price: 1.75 }, { changedBy: 'admin-1' });
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(writes[0].Update.ConditionExpression).toBe('priceUpdatedAt = :seenPriceUpdatedAt');
+    expect(writes[1].Put).toMatchObject({
+      TableName: 'ProductPrices',
+      Item: { productId: 'cola', price: 1.75, previousPrice: 1.5, changedBy: 'admin-1' },
+    });
+  });
+  
+  it('schedules a price on the product and in the history', async () => {
+    stubDocumentClient({ get: () => ({ Item: product() }) });
+    const { transactWrite } = stubDocumentClient({ transactWrite: () => ({}) });
+    
+    const entry = await productOperations.schedulePrice('cola', { price: 1.6, effectiveFrom: '2099-01-01T00:00:00.000Z' }, 'admin-1');
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(entry).toMatchObject({ price: 1.6, previousPrice: 1.5, changedBy: 'admin-1' });
+    expect(writes[0].Update.ConditionExpression).toBe('attribute_not_exists(priceUpdatedAt)');
+    expect(Object.values(writes[0].Update.ExpressionAttributeValues)).toContainEqual([
+      { price: 1.6, effectiveFrom: '2099-01-01T00:00:00.000Z' },
+    ]);
+  });
+  
+  it('reads products at the price now due', async () => {
+    stubDocumentClient({
+      get: () => ({ Item: product({ scheduledPrices: [{ price: 1.6, effectiveFrom: '2026-01-01T00:00:00.000Z' }] }) }),
+    });
+    
+    expect(await productOperations.getProductById('cola')).toMatchObject({ price: 1.6, scheduledPrices: [] });
+  });
+  
+  it('refuses to cancel a price that is not scheduled', async () => {
+    stubDocumentClient({ get: () => ({ Item: product() }) });
+    
+    await expect(productOperations.cancelScheduledPrice('cola', '2099-01-01T00:00:00.000Z', 'admin-1')).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+  
+  it('answers 404 for prices of a missing product', async () => {
+    const { transactWrite } = stubDocumentClient({ get: () => ({}), transactWrite: () => ({}) });
+    
+    await expect(productOperations.schedulePrice('gone', { price: 1, effectiveFrom: '2099-01-01T00:00:00.000Z' }, 'admin-1'))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Product not found' });
+    await expect(productOperations.cancelScheduledPrice('gone', '2099-01-01T00:00:00.000Z', 'admin-1'))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Product not found' });
+    expect(transactWrite).not.toHaveBeenCalled();
+  });
+});
+
+describe('product search index', () => {
+  it('writes a term entry per prefix of a saved product, dropping terms it no longer has', async () => {
+    stubDocumentClient({ put: () => ({}), query: () => ({ Items: [{ term: 'fanta', productId: 'cola' }] }) });
+    const { batchWrite } = stubDocumentClient({ batchWrite: () => ({}) });
+    
+    await productOperations.createProduct(product({ sku: undefined, category: undefined }));
+    
+    const [{ RequestItems: { ProductSearch: requests } }] = batchWrite.mock.calls[0];
+    expect(requests[0]).toEqual({ DeleteRequest: { Key: { term: 'fanta', productId: 'cola' } } });
+    expect(requests.slice(1).map(request => request.PutRequest.Item.term)).toEqual(['cola', 'co', 'col']);
+    expect(requests[1].PutRequest.Item).toMatchObject({ productId: 'cola', name: 'Cola' });
+  });
+});
+
+describe('transactionOperations.listTransactionsByDateRange', () => {
+  // Two sales a day, newest first unless asked otherwise
+  const salesOn = ({ ExpressionAttributeValues, ScanIndexForward, Limit, ExclusiveStartKey }) => {
+    const date = ExpressionAttributeValues[':date'];
+    const day = ScanIndexForward ? [`${date}-a`, `${date}-b`] : [`${date}-b`, `${date}-a`];
+    const start = ExclusiveStartKey ? day.indexOf(ExclusiveStartKey.transactionId) + 1 : 0;
+    const page = day.slice(start, start + Limit);
+    
+    return {
+      Items: page.map(transactionId => ({ transactionId })),
+      ...(start + Limit < day.length && { LastEvaluatedKey: { transactionId: page[page.length - 1] } }),
+    };
+  };
+  
+  it('pages through the range day by day, resuming where the last page stopped', async () => {
+    stubDocumentClient({ query: salesOn });
+    const list = options => transactionOperations.listTransactionsByDateRange('2026-06-01', '2026-06-02', { limit: 3, ...options });
+    const ids = page => page.items.map(item => item.transactionId);
+    
+    const first = await list();
+    const second = await list({ lastEvaluatedKey: first.lastEvaluatedKey });
+    const oldest = await list({ limit: 2, order: 'oldest' });
+    
+    expect(ids(first)).toEqual(['2026-06-02-b', '2026-06-02-a', '2026-06-01-b']);
+    expect(first.lastEvaluatedKey).toEqual({ date: '2026-06-01', exclusiveStartKey: { transactionId: '2026-06-01-b' } });
+    expect(ids(second)).toEqual(['2026-06-01-a']);
+    expect(second.lastEvaluatedKey).toBeUndefined();
+    expect(ids(oldest)).toEqual(['2026-06-01-a', '2026-06-01-b']);
+    expect(oldest.lastEvaluatedKey).toEqual({ date: '2026-06-02' });
+  });
+  
+  it('refuses a key from another range', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    await expect(transactionOperations.listTransactionsByDateRange('2026-06-01', '2026-06-02', {
+      lastEvaluatedKey: { date: '2026-05-01' },
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('auditOperations.listEntries', () => {
+  const range = { from: '2026-06-01T00:00:00.000Z', to: '2026-06-02T23:59:59.999Z' };
+  
+  it('reads a resource through its index, filtering by the rest', async () => {
+    const { query } = stubDocumentClient({ query: () => ({ Items: [], LastEvaluatedKey: { auditId: 'a1' } }) });
+    
+    const result = await auditOperations.listEntries({ ...range, resourceType: 'product', resourceId: 'cola', actorId: 'admin-1' }, { limit: 10 });
+    
+    expect(query.mock.calls[0][0]).toMatchObject({
+      IndexName: 'ResourceIndex',
+      KeyConditionExpression: 'resourceKey = :resourceKey AND #timestamp BETWEEN :from AND :to',
+      FilterExpression: 'actorId = :actorId',
+      ScanIndexForward: false,
+      Limit: 10,
+    });
+    expect(query.mock.calls[0][0].ExpressionAttributeValues[':resourceKey']).toBe('product#cola');
+    expect(result.lastEvaluatedKey).toEqual({ auditId: 'a1' });
+  });
+  
+  it('refuses a cursor that is not a key of the index it reads', async () => {
+    const { query } = stubDocumentClient({ query: () => ({ Items: [] }) });
+    const byResource = { ...range, resourceType: 'product', resourceId: 'cola' };
+    const key = { auditId: 'a1', resourceKey: 'product#cola', timestamp: '2026-06-01T10:00:00.000Z' };
+    
+    await auditOperations.listEntries(byResource, { lastEvaluatedKey: key });
+    
+    await expect(auditOperations.listEntries(byResource, { lastEvaluatedKey: { ...key, resourceKey: 'product#chips' } }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Last key does not belong to this listing' });
+    await expect(auditOperations.listEntries({ ...range, actorId: 'admin-1' }, { lastEvaluatedKey: { auditId: { S: 'a1' } } }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(query.mock.calls[0][0].ExclusiveStartKey).toEqual(key);
+  });
+  
+  it('reads everything else day by day', async () => {
+    const { query } = stubDocumentClient({ query: () => ({ Items: [] }) });
+    
+    await auditOperations.listEntries({ ...range, action: 'product.update' }, { order: 'oldest' });
+    
+    expect(query.mock.calls.map(([params]) => [params.IndexName, params.ExpressionAttributeValues[':date']])).toEqual([
+      ['DateIndex', '2026-06-01'],
+      ['DateIndex', '2026-06-02'],
+    ]);
+    expect(query.mock.calls[0][0].FilterExpression).toBe('#action = :action');
+  });
+});
+
+describe('transactionOperations.listTransactionsByCashier', () => {
+  it('narrows the cashier index by date in the key, and by shift in a filter', async () => {
+    const { query } = stubDocumentClient({ query: () => ({ Items: [] }) });
+    
+    await transactionOperations.listTransactionsByCashier('cashier-1', {
+      startDate: '2026-06-01',
+      endDate: '2026-06-02',
+      shiftId: 'shift-1',
+    });
+    
+    expect(query.mock.calls[0][0]).toMatchObject({
+      KeyConditionExpression: expect.stringContaining('AND #timestamp BETWEEN :from AND :to'),
+      FilterExpression: 'shiftId = :shiftId',
+      ExpressionAttributeValues: {
+        ':from': '2026-06-01T00:00:00.000Z',
+        ':to': '2026-06-02T23:59:59.999Z',
+        ':shiftId': 'shift-1',
+      },
+    });
+  });
+  
+  it('refuses a cursor that is not a CashierIndex key of this cashier', async () => {
+    const { query } = stubDocumentClient({ query: () => ({ Items: [] }) });
+    const key = { transactionId: 't1', cashierId: 'cashier-1', timestamp: '2026-06-01T09:30:00.000Z' };
+    
+    await transactionOperations.listTransactionsByCashier('cashier-1', { lastEvaluatedKey: key });
+    
+    expect(query.mock.calls[0][0].ExclusiveStartKey).toEqual(key);
+    await expect(transactionOperations.listTransactionsByCashier('cashier-2', { lastEvaluatedKey: key }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Last key does not belong to this listing' });
+    await expect(transactionOperations.listTransactionsByCashier('cashier-1', { lastEvaluatedKey: { ...key, timestamp: 7 } }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('shift open markers', () => {
+  it('opens a shift together with the cashier\'s marker, refusing a second', async () => {
+    const { transactWrite } = stubDocumentClient({
+      transactWrite: () => {
+        throw awsError('TransactionCanceledException');
+      },
+      get: () => ({ Item: { cashierId: 'cashier-1', shiftId: 's1' } }),
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    await expect(shiftOperations.openShift({ cashierId: 'cashier-1', openingFloat: 100 }))
+      .rejects.toMatchObject({ statusCode: 409, openShiftId: 's1' });
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(writes.map(write => [write.Put.TableName, write.Put.ConditionExpression])).toEqual([
+      ['OpenShifts', 'attribute_not_exists(cashierId)'],
+      ['Shifts', 'attribute_not_exists(shiftId)'],
+    ]);
+    expect(writes[0].Put.Item).toEqual({ cashierId: 'cashier-1', shiftId: writes[1].Put.Item.shiftId });
+  });
+  
+  it('finds the open shift through the marker', async () => {
+    const shift = { shiftId: 's1', cashierId: 'cashier-1', status: 'open' };
+    const tables = { OpenShifts: { 'cashier-1': { cashierId: 'cashier-1', shiftId: 's1' } }, Shifts: { s1: shift } };
+    const { query } = stubDocumentClient({
+      get: ({ TableName, Key }) => ({ Item: tables[TableName][Key.cashierId || Key.shiftId] }),
+      query: () => ({ Items: [] }),
+    });
+    
+    expect(await shiftOperations.getOpenShift('cashier-1')).toEqual(shift);
+    expect(query).not.toHaveBeenCalled();
+  });
+  
+  it('deletes the marker when the shift closes', async () => {
+    const { transactWrite } = stubDocumentClient({
+      transactWrite: () => ({}),
+      get: () => ({ Item: { shiftId: 's1', status: 'closed' } }),
+    });
+    
+    await shiftOperations.closeShift({ shiftId: 's1', cashierId: 'cashier-1' }, { countedCash: 100 });
+    
+    const [{ TransactItems: writes }] = transactWrite.mock.calls[0];
+    expect(writes[1].Delete).toMatchObject({
+      TableName: 'OpenShifts',
+      Key: { cashierId: 'cashier-1' },
+      ConditionExpression: 'attribute_not_exists(cashierId) OR shiftId = :shiftId',
+    });
+  });
+});
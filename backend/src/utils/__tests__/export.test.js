@@ -0,0 +1,36 @@
+const { createSerializer } = require('../export');
+const { transaction } = require('../../../test/helpers');
+
+describe('createSerializer', () => {
+  it('writes a CSV row per sale line by default', () => {
+    const { header, serialize } = createSerializer('csv', 'line');
+    
+    const rows = serialize(transaction({ timestamp: '2026-06-01T09:30:00.000Z' })).split('\r\n');
+    
+    expect(header.startsWith('transactionId,timestamp,date,status,cashierId,paymentMethod,lineIndex,productId')).toBe(true);
+    expect(rows).toHaveLength(3);
+    expect(rows[1]).toBe('t1,2026-06-01T09:30:00.000Z,,completed,cashier-1,cash,1,chips,,,Chips,,1,2,,2,,,,2.2,,');
+  });
+  
+  it('writes a CSV row per transaction when asked', () => {
+    const { serialize } = createSerializer('csv', 'transaction');
+    
+    expect(serialize(transaction({ couponCodes: ['SAVE2', 'HALF'] })))
+      .toBe('t1,,,completed,cashier-1,,cash,4,5,,0.5,5.5,,,,SAVE2;HALF,\r\n');
+  });
+  
+  it('quotes commas and quotes, and defuses text a spreadsheet would run as a formula', () => {
+    const { serialize } = createSerializer('csv', 'line');
+    
+    const row = serialize(transaction({ items: [{ productId: 'p', name: 'Chips, "salted"', category: '=HYPERLINK("x")' }] }));
+    
+    expect(row).toContain(',"Chips, ""salted""","\'=HYPERLINK(""x"")",');
+  });
+  
+  it('writes each transaction as one JSON line', () => {
+    const { header, serialize } = createSerializer('jsonl');
+    
+    expect(header).toBe('');
+    expect(JSON.parse(serialize(transaction()))).toEqual(transaction());
+  });
+});
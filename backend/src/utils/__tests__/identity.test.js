@@ -0,0 +1,308 @@
+const AWS = require('aws-sdk');
+const jwt = require('jsonwebtoken');
+const { createCognitoIdentityProvider, createLocalIdentityProvider } = require('../identity');
+
+const ISSUER = 'http://localhost:3000';
+
+// A local provider kept in memory, with its first admin created
+async function createProvider() {
+  const provider = createLocalIdentityProvider({
+    issuer: ISSUER,
+    admin: { username: 'admin', password: 'Admin-Password-1' },
+  });
+  await provider.ready;
+  return provider;
+}
+
+describe('local identity provider', () => {
+  let provider;
+  
+  beforeAll(async () => {
+    provider = await createProvider();
+  });
+  
+  it('creates the first admin before it is ready', async () => {
+    const admin = await provider.getUser('admin');
+    
+    expect(admin).toMatchObject({ username: 'admin', role: 'admin', enabled: true, status: 'CONFIRMED' });
+    expect(admin).not.toHaveProperty('passwordHash');
+  });
+  
+  it('signs users in with tokens its published key verifies', async () => {
+    const { tokens, user } = await provider.signIn('admin', 'Admin-Password-1');
+    const { header } = jwt.decode(tokens.accessToken, { complete: true });
+    const key = await provider.getSigningKey(header.kid);
+    
+    expect(user.username).toBe('admin');
+    expect(tokens.refreshToken).toEqual(expect.any(String));
+    expect(jwt.verify(tokens.accessToken, key, { issuer: ISSUER })).toMatchObject({
+      username: 'admin',
+      'custom:role': 'admin',
+      token_use: 'access',
+    });
+    expect(jwt.verify(tokens.idToken, key, { issuer: ISSUER })).toMatchObject({
+      'cognito:username': 'admin',
+      token_use: 'id',
+    });
+    expect(provider.getJwks().keys).toEqual([expect.objectContaining({ kid: header.kid, alg: 'RS256', kty: 'RSA' })]);
+    await expect(provider.getSigningKey('other')).rejects.toThrow('Unknown signing key other');
+  });
+  
+  it('refuses a wrong password', async () => {
+    await expect(provider.signIn('admin', 'wrong')).rejects.toMatchObject({ statusCode: 401 });
+    await expect(provider.signIn('nobody', 'Admin-Password-1')).rejects.toMatchObject({ statusCode: 401 });
+  });
+  
+  it('has no challenge to answer', async () => {
+    await expect(provider.respondToChallenge('admin', { name: 'NEW_PASSWORD_REQUIRED', session: 's' }, {}))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Sign-in session expired, sign in again' });
+  });
+  
+  it('refreshes tokens with a refresh token it issued', async () => {
+    const { tokens } = await provider.signIn('admin', 'Admin-Password-1');
+    const refreshed = await provider.refreshTokens(tokens.refreshToken);
+    
+    expect(await provider.getCurrentUser(refreshed.accessToken)).toMatchObject({ username: 'admin' });
+    await expect(provider.refreshTokens('made-up')).rejects.toMatchObject({ statusCode: 401 });
+  });
+  
+  it('rejects access tokens it did not sign', async () => {
+    const forged = jwt.sign({ username: 'admin', token_use: 'access' }, 'secret', { issuer: ISSUER });
+    
+    await expect(provider.getCurrentUser(forged)).rejects.toMatchObject({ statusCode: 401 });
+  });
+  
+  it('changes a password given the old one', async () => {
+    await provider.createUser({ username: 'carol', password: 'Carol-Password-1', role: 'cashier' });
+    const { tokens } = await provider.signIn('carol', 'Carol-Password-1');
+    
+    await expect(provider.changePassword(tokens.accessToken, 'wrong', 'Carol-Password-2'))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Incorrect old password' });
+    await provider.changePassword(tokens.accessToken, 'Carol-Password-1', 'Carol-Password-2');
+    
+    await expect(provider.signIn('carol', 'Carol-Password-1')).rejects.toMatchObject({ statusCode: 401 });
+    expect((await provider.signIn('carol', 'Carol-Password-2')).user.username).toBe('carol');
+  });
+  
+  it('resets a forgotten password with the code it returns', async () => {
+    await provider.createUser({ username: 'dave', password: 'Dave-Password-1', role: 'cashier' });
+    const { resetCode } = await provider.forgotPassword('dave');
+    
+    expect(resetCode).toMatch(/^\d{6}$/);
+    await expect(provider.confirmForgotPassword('dave', 'not-it', 'Dave-Password-2'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid confirmation code' });
+    await provider.confirmForgotPassword('dave', resetCode, 'Dave-Password-2');
+    
+    expect((await provider.signIn('dave', 'Dave-Password-2')).user.username).toBe('dave');
+    await expect(provider.confirmForgotPassword('dave', resetCode, 'Dave-Password-3'))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(provider.forgotPassword('nobody')).rejects.toMatchObject({ statusCode: 404 });
+  });
+  
+  it('uses a reset code up after five wrong guesses', async () => {
+    await provider.createUser({ username: 'fay', password: 'Fay-Password-1', role: 'cashier' });
+    const { resetCode } = await provider.forgotPassword('fay');
+    
+    for (let guess = 0; guess < 5; guess++) {
+      await expect(provider.confirmForgotPassword('fay', 'not-it', 'Fay-Password-2')).rejects.toMatchObject({ statusCode: 400 });
+    }
+    
+    await expect(provider.confirmForgotPassword('fay', resetCode, 'Fay-Password-2'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid confirmation code' });
+    expect((await provider.signIn('fay', 'Fay-Password-1')).user.username).toBe('fay');
+  });
+  
+  it('makes a reset user choose a new password with the returned code', async () => {
+    await provider.createUser({ username: 'erin', password: 'Erin-Password-1', role: 'cashier' });
+    const { resetCode, ...user } = await provider.resetPassword('erin');
+    
+    expect(user).toMatchObject({ username: 'erin', status: 'RESET_REQUIRED' });
+    await expect(provider.signIn('erin', 'Erin-Password-1'))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Password reset required, choose a new one with the code sent to you' });
+    
+    await provider.confirmForgotPassword('erin', resetCode, 'Erin-Password-2');
+    expect((await provider.signIn('erin', 'Erin-Password-2')).user.status).toBe('CONFIRMED');
+  });
+});
+
+describe('local user management', () => {
+  let provider;
+  
+  beforeAll(async () => {
+    provider = await createProvider();
+    await provider.createUser({ username: 'amy', password: 'Amy-Password-1', email: 'amy@shop.test', role: 'cashier' });
+    await provider.createUser({ username: 'ben', password: 'Ben-Password-1', email: 'ben@shop.test', role: 'cashier' });
+    await provider.createUser({ username: 'bella', password: 'Bella-Password-1', email: 'b@shop.test', role: 'manager' });
+  });
+  
+  it('refuses a username that is taken', async () => {
+    await expect(provider.createUser({ username: 'amy', password: 'Other-Password-1' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Username already exists' });
+  });
+  
+  it('lists users by prefix, a page at a time', async () => {
+    const search = await provider.listUsers({ search: 'B' });
+    const first = await provider.listUsers({ limit: 2 });
+    const second = await provider.listUsers({ limit: 2, lastEvaluatedKey: first.lastEvaluatedKey });
+    
+    expect(search.items.map(user => user.username)).toEqual(['bella', 'ben']);
+    expect((await provider.listUsers({ search: 'amy@', searchBy: 'email' })).items).toHaveLength(1);
+    expect(first.items.map(user => user.username)).toEqual(['admin', 'amy']);
+    expect(second.items.map(user => user.username)).toEqual(['bella', 'ben']);
+    expect(second.lastEvaluatedKey).toBeUndefined();
+  });
+  
+  it('updates names and clears those given as empty', async () => {
+    await provider.updateUser('amy', { givenName: 'Amy', familyName: 'Lee' });
+    const user = await provider.updateUser('amy', { familyName: '', email: 'changed@shop.test' });
+    
+    expect(user).toMatchObject({ givenName: 'Amy', email: 'amy@shop.test' });
+    expect(user.familyName).toBeUndefined();
+  });
+  
+  it('puts a new role in the tokens issued after it is set', async () => {
+    await provider.setRole('ben', 'supervisor');
+    const { tokens } = await provider.signIn('ben', 'Ben-Password-1');
+    
+    expect(jwt.decode(tokens.accessToken)['custom:role']).toBe('supervisor');
+    await expect(provider.setRole('nobody', 'admin')).rejects.toMatchObject({ statusCode: 404 });
+  });
+  
+  it('stops a disabled user signing in or refreshing until enabled', async () => {
+    const { tokens } = await provider.signIn('bella', 'Bella-Password-1');
+    await provider.disableUser('bella');
+    
+    await expect(provider.signIn('bella', 'Bella-Password-1')).rejects.toMatchObject({ statusCode: 401 });
+    await expect(provider.refreshTokens(tokens.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(provider.getCurrentUser(tokens.accessToken)).rejects.toMatchObject({ statusCode: 401 });
+    
+    await provider.enableUser('bella');
+    expect((await provider.refreshTokens(tokens.refreshToken)).accessToken).toEqual(expect.any(String));
+  });
+  
+  it('revokes every token issued before a sign-out, but not those of the next sign-in', async () => {
+    const { tokens } = await provider.signIn('amy', 'Amy-Password-1');
+    await provider.signOut('amy');
+    
+    await expect(provider.refreshTokens(tokens.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(provider.getCurrentUser(tokens.accessToken)).rejects.toMatchObject({ statusCode: 401 });
+    
+    const { tokens: next } = await provider.signIn('amy', 'Amy-Password-1');
+    expect(await provider.getCurrentUser(next.accessToken)).toMatchObject({ username: 'amy' });
+  });
+});
+
+describe('cognito identity provider', () => {
+  // The SDK only adds a service's operations once a client is made
+  const Cognito = Object.getPrototypeOf(new AWS.CognitoIdentityServiceProvider({ region: 'us-east-1' }));
+  
+  const provider = createCognitoIdentityProvider({ region: 'us-east-1', userPoolId: 'us-east-1_pool', clientId: 'client' });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('sign-in challenges', () => {
+    let respondToAuthChallenge;
+    
+    beforeEach(() => {
+      jest.spyOn(Cognito, 'initiateAuth').mockReturnValue({
+        promise: async () => ({
+          ChallengeName: 'NEW_PASSWORD_REQUIRED',
+          Session: 'session-1',
+          ChallengeParameters: { USER_ID_FOR_SRP: 'bob' },
+        }),
+      });
+      respondToAuthChallenge = jest.spyOn(Cognito, 'respondToAuthChallenge');
+      jest.spyOn(Cognito, 'getUser').mockReturnValue({
+        promise: async () => ({ Username: 'bob', UserAttributes: [{ Name: 'custom:role', Value: 'cashier' }] }),
+      });
+    });
+    
+    it('returns the challenge a sign-in stops at', async () => {
+      expect(await provider.signIn('bob', 'Temporary-1')).toEqual({
+        challenge: {
+          name: 'NEW_PASSWORD_REQUIRED',
+          session: 'session-1',
+          parameters: { USER_ID_FOR_SRP: 'bob' },
+        },
+      });
+    });
+    
+    it('signs in once the challenge is answered', async () => {
+      respondToAuthChallenge.mockReturnValue({
+        promise: async () => ({
+          AuthenticationResult: { IdToken: 'id', AccessToken: 'access', RefreshToken: 'refresh', ExpiresIn: 3600 },
+        }),
+      });
+      
+      const result = await provider.respondToChallenge(
+        'bob',
+        { name: 'NEW_PASSWORD_REQUIRED', session: 'session-1' },
+        { NEW_PASSWORD: 'Chosen-Password-1' },
+      );
+      
+      expect(respondToAuthChallenge).toHaveBeenCalledWith({
+        ChallengeName: 'NEW_PASSWORD_REQUIRED',
+        ClientId: 'client',
+        Session: 'session-1',
+        ChallengeResponses: { USERNAME: 'bob', NEW_PASSWORD: 'Chosen-Password-1' },
+      });
+      expect(result).toEqual({
+        tokens: { idToken: 'id', accessToken: 'access', refreshToken: 'refresh', expiresIn: 3600 },
+        user: expect.objectContaining({ username: 'bob', role: 'cashier' }),
+      });
+    });
+    
+    it('asks for a new sign-in when the challenge session has expired', async () => {
+      respondToAuthChallenge.mockReturnValue({
+        promise: async () => {
+          throw Object.assign(new Error('Invalid session'), { code: 'NotAuthorizedException' });
+        },
+      });
+      
+      await expect(provider.respondToChallenge('bob', { name: 'NEW_PASSWORD_REQUIRED', session: 'old' }, {}))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Sign-in session expired, sign in again' });
+    });
+  });
+  
+  it('searches one attribute by prefix, escaping the search, and pages with the pool\'s token', async () => {
+    const listUsers = jest.spyOn(Cognito, 'listUsers').mockReturnValue({
+      promise: async () => ({
+        Users: [{ Username: 'amy', Enabled: true, Attributes: [{ Name: 'custom:role', Value: 'cashier' }] }],
+        PaginationToken: 'next',
+      }),
+    });
+    
+    const page = await provider.listUsers({ search: 'a"b', searchBy: 'familyName', limit: 100 });
+    
+    expect(listUsers).toHaveBeenCalledWith({ UserPoolId: 'us-east-1_pool', Limit: 60, Filter: 'family_name ^= "a\\"b"' });
+    expect(page).toEqual({
+      items: [expect.objectContaining({ username: 'amy', role: 'cashier', enabled: true })],
+      lastEvaluatedKey: { paginationToken: 'next' },
+    });
+  });
+  
+  it('removes an employee ID given as empty', async () => {
+    const deleteAttributes = jest.spyOn(Cognito, 'adminDeleteUserAttributes').mockReturnValue({ promise: async () => ({}) });
+    jest.spyOn(Cognito, 'adminGetUser').mockReturnValue({ promise: async () => ({ Username: 'amy', UserAttributes: [] }) });
+    
+    await provider.updateUser('amy', { employeeId: '' });
+    
+    expect(deleteAttributes).toHaveBeenCalledWith({
+      UserPoolId: 'us-east-1_pool',
+      Username: 'amy',
+      UserAttributeNames: ['custom:employeeId'],
+    });
+  });
+  
+  it('answers 404 for unknown users', async () => {
+    jest.spyOn(Cognito, 'adminDisableUser').mockReturnValue({
+      promise: async () => {
+        throw Object.assign(new Error('User does not exist.'), { code: 'UserNotFoundException' });
+      },
+    });
+    
+    await expect(provider.disableUser('nobody')).rejects.toMatchObject({ statusCode: 404, message: 'User not found' });
+  });
+});
@@ -0,0 +1,26 @@
+const { encodeLastKey, decodeLastKey, toPage } = require('../pagination');
+
+describe('lastKey cursors', () => {
+  it('round-trip a DynamoDB key', () => {
+    const key = { transactionId: 't1', date: '2026-06-01' };
+    
+    expect(decodeLastKey(encodeLastKey(key))).toEqual(key);
+    expect(encodeLastKey(undefined)).toBeUndefined();
+  });
+  
+  it('decode to undefined unless they hold a key object', () => {
+    expect(decodeLastKey('not base64 json')).toBeUndefined();
+    expect(decodeLastKey(Buffer.from('[1]').toString('base64'))).toBeUndefined();
+    expect(decodeLastKey(Buffer.from('null').toString('base64'))).toBeUndefined();
+  });
+});
+
+describe('toPage', () => {
+  it('hands out a cursor only while there is a next page', () => {
+    expect(toPage({ items: [1], lastEvaluatedKey: { id: 1 } })).toEqual({
+      items: [1],
+      pagination: { lastKey: encodeLastKey({ id: 1 }) },
+    });
+    expect(toPage({ items: [] })).toEqual({ items: [], pagination: null });
+  });
+});
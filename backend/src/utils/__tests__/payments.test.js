@@ -0,0 +1,63 @@
+const { settlePayments } = require('../payments');
+
+describe('settlePayments', () => {
+  it('gives change from cash tendered over the total', () => {
+    expect(settlePayments([{ method: 'cash', amount: 20 }], 13.45)).toEqual({
+      payments: [{ method: 'cash', amount: 20, net: 13.45 }],
+      paymentMethod: 'cash',
+      amountTendered: 20,
+      changeDue: 6.55,
+    });
+  });
+  
+  it('splits a sale across tenders, taking the change out of the cash', () => {
+    const result = settlePayments([
+      { method: 'card', amount: 10, reference: 'auth-1' },
+      { method: 'cash', amount: 5 },
+      { method: 'mobile', amount: 2.5 },
+    ], 16);
+    
+    expect(result.paymentMethod).toBe('split');
+    expect(result.changeDue).toBe(1.5);
+    expect(result.payments).toEqual([
+      { method: 'card', amount: 10, reference: 'auth-1', net: 10 },
+      { method: 'cash', amount: 5, net: 3.5 },
+      { method: 'mobile', amount: 2.5, net: 2.5 },
+    ]);
+  });
+  
+  it('takes change from the last cash tenders first', () => {
+    const result = settlePayments([
+      { method: 'cash', amount: 10 },
+      { method: 'cash', amount: 5 },
+    ], 8);
+    
+    expect(result.paymentMethod).toBe('cash');
+    expect(result.payments.map(payment => payment.net)).toEqual([8, 0]);
+  });
+  
+  it('refuses tenders that do not cover the total', () => {
+    expect(() => settlePayments([{ method: 'card', amount: 9.99 }], 10)).toThrow(expect.objectContaining({
+      statusCode: 422,
+      message: 'Payments do not cover the total',
+      details: { total: 10, amountTendered: 9.99, shortfall: 0.01 },
+    }));
+  });
+  
+  it('refuses card or mobile overpayments, which cannot be given back as change', () => {
+    expect(() => settlePayments([
+      { method: 'card', amount: 12 },
+      { method: 'cash', amount: 1 },
+    ], 10)).toThrow(expect.objectContaining({
+      statusCode: 422,
+      message: 'Only cash payments can exceed the total',
+    }));
+  });
+  
+  it('rounds tenders to whole cents', () => {
+    const result = settlePayments([{ method: 'cash', amount: 0.1 }, { method: 'cash', amount: 0.2 }], 0.3);
+    
+    expect(result.amountTendered).toBe(0.3);
+    expect(result.changeDue).toBe(0);
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  PERMISSIONS,
+  buildRoleMapping,
+  findInheritanceCycle,
+  resolvePermissions,
+} = require('../permissions');
+
+describe('buildRoleMapping', () => {
+  it('lays edited and added roles over the built-in ones', () => {
+    const roles = buildRoleMapping([
+      { role: 'cashier', permissions: ['products:read'] },
+      { role: 'supervisor', inherits: ['cashier'], permissions: ['transactions:void'] },
+    ]);
+    
+    expect(roles.cashier).toEqual({ role: 'cashier', inherits: [], permissions: ['products:read'], builtIn: true });
+    expect(roles.supervisor).toMatchObject({ inherits: ['cashier'], builtIn: false });
+    expect(roles.admin.builtIn).toBe(true);
+  });
+});
+
+describe('resolvePermissions', () => {
+  it('gives each built-in role its own permissions and those it inherits', () => {
+    const roles = buildRoleMapping();
+    
+    expect(resolvePermissions(roles, 'cashier')).toEqual([
+      'products:read',
+      'transactions:create',
+      'transactions:read',
+      'transactions:refund',
+      'shifts:operate',
+    ]);
+    expect(resolvePermissions(roles, 'manager')).toEqual(expect.arrayContaining(['transactions:create', 'transactions:void']));
+    expect(resolvePermissions(roles, 'manager')).not.toContain('users:manage');
+    expect(resolvePermissions(roles, 'admin')).toEqual(PERMISSIONS);
+  });
+  
+  it('follows edits through inheritance', () => {
+    const roles = buildRoleMapping([{ role: 'cashier', permissions: ['products:read', 'reports:read'] }]);
+    
+    expect(resolvePermissions(roles, 'manager')).toContain('reports:read');
+    expect(resolvePermissions(roles, 'manager')).not.toContain('transactions:create');
+  });
+  
+  it('grants nothing to unknown roles', () => {
+    expect(resolvePermissions(buildRoleMapping(), 'owner')).toEqual([]);
+    expect(resolvePermissions(buildRoleMapping(), undefined)).toEqual([]);
+  });
+  
+  it('stops at a cycle', () => {
+    const roles = buildRoleMapping([
+      { role: 'a', inherits: ['b'], permissions: ['products:read'] },
+      { role: 'b', inherits: ['a'], permissions: ['reports:read'] },
+    ]);
+    
+    expect(resolvePermissions(roles, 'a')).toEqual(['products:read', 'reports:read']);
+  });
+});
+
+describe('findInheritanceCycle', () => {
+  it('finds no cycle in the built-in roles', () => {
+    expect(findInheritanceCycle(buildRoleMapping(), 'admin')).toBeNull();
+  });
+  
+  it('names the roles on a cycle, in order', () => {
+    const roles = buildRoleMapping([{ role: 'cashier', inherits: ['admin'], permissions: [] }]);
+    
+    expect(findInheritanceCycle(roles, 'admin')).toEqual(['admin', 'manager', 'cashier', 'admin']);
+    expect(findInheritanceCycle(roles, 'cashier')).toEqual(['cashier', 'admin', 'manager', 'cashier']);
+  });
+  
+  it('finds a role inheriting from itself', () => {
+    expect(findInheritanceCycle(buildRoleMapping([{ role: 'x', inherits: ['x'], permissions: [] }]), 'x')).toEqual(['x', 'x']);
+  });
+  
+  it('ignores inherited roles that do not exist', () => {
+    expect(findInheritanceCycle(buildRoleMapping([{ role: 'x', inherits: ['ghost'], permissions: [] }]), 'x')).toBeNull();
+  });
+});
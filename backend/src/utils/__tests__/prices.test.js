@@ -0,0 +1,65 @@
+const { effectivePrice, withCurrentPrice, priceStatus, priceAt } = require('../prices');
+const { product } = require('../../../test/helpers');
+
+const scheduled = product({
+  priceEffectiveFrom: '2026-01-01T00:00:00.000Z',
+  scheduledPrices: [
+    { price: 1.75, effectiveFrom: '2026-07-01T00:00:00.000Z' },
+    { price: 1.6, effectiveFrom: '2026-06-01T00:00:00.000Z' },
+  ],
+});
+
+describe('effectivePrice', () => {
+  it('takes the latest scheduled price that is due', () => {
+    expect(effectivePrice(scheduled, '2026-05-31T23:59:59.999Z')).toEqual({ price: 1.5, effectiveFrom: '2026-01-01T00:00:00.000Z' });
+    expect(effectivePrice(scheduled, '2026-06-15T00:00:00.000Z')).toEqual({ price: 1.6, effectiveFrom: '2026-06-01T00:00:00.000Z' });
+    expect(effectivePrice(scheduled, '2026-08-01T00:00:00.000Z').price).toBe(1.75);
+  });
+});
+
+describe('withCurrentPrice', () => {
+  it('applies due prices, keeping only those still to come', () => {
+    expect(withCurrentPrice(scheduled, '2026-06-15T00:00:00.000Z')).toMatchObject({
+      price: 1.6,
+      priceEffectiveFrom: '2026-06-01T00:00:00.000Z',
+      scheduledPrices: [{ price: 1.75, effectiveFrom: '2026-07-01T00:00:00.000Z' }],
+    });
+  });
+  
+  it('leaves products without scheduled prices as they are', () => {
+    const cola = product();
+    
+    expect(withCurrentPrice(cola)).toBe(cola);
+    expect(withCurrentPrice(undefined)).toBeUndefined();
+  });
+});
+
+describe('priceStatus', () => {
+  it('tells applied, scheduled and cancelled entries apart', () => {
+    const at = '2026-06-15T00:00:00.000Z';
+    
+    expect(priceStatus({ effectiveFrom: '2026-06-01T00:00:00.000Z' }, at)).toBe('applied');
+    expect(priceStatus({ effectiveFrom: '2026-07-01T00:00:00.000Z' }, at)).toBe('scheduled');
+    expect(priceStatus({ effectiveFrom: '2026-06-01T00:00:00.000Z', cancelledAt: at }, at)).toBe('cancelled');
+  });
+});
+
+describe('priceAt', () => {
+  const cola = product({ price: 1.75, createdAt: '2026-01-01T00:00:00.000Z' });
+  const history = [
+    { effectiveFrom: '2026-07-01T00:00:00.000Z', price: 1.75, previousPrice: 1.6 },
+    { effectiveFrom: '2026-06-01T00:00:00.000Z', price: 1.6, previousPrice: 1.5 },
+    { effectiveFrom: '2026-06-20T00:00:00.000Z', price: 9, cancelledAt: '2026-06-10T00:00:00.000Z' },
+  ];
+  
+  it('finds the price in force at the time, ignoring cancelled entries', () => {
+    expect(priceAt(cola, history, '2026-06-25T00:00:00.000Z')).toBe(1.6);
+    expect(priceAt(cola, history, '2026-08-01T00:00:00.000Z')).toBe(1.75);
+  });
+  
+  it('gives the replaced price before the first change, and nothing before the product existed', () => {
+    expect(priceAt(cola, history, '2026-03-01T00:00:00.000Z')).toBe(1.5);
+    expect(priceAt(cola, history, '2025-12-31T00:00:00.000Z')).toBeNull();
+    expect(priceAt(cola, [], '2026-03-01T00:00:00.000Z')).toBe(1.75);
+  });
+});
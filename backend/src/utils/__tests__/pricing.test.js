@@ -0,0 +1,123 @@
+jest.mock('../dynamodb', () => ({
+  productOperations: {
+    getProductById: jest.fn(),
+  },
+}));
+
+const { productOperations } = require('../dynamodb');
+const { roundCurrency, priceItems } = require('../pricing');
+const { product } = require('../../../test/helpers');
+
+const products = {
+  cola: product(),
+  bread: product({ productId: 'bread', name: 'Bread', price: 2.25, category: undefined, sku: undefined, stockOnHand: undefined, taxClass: 'reduced' }),
+  shirt: product({
+    productId: 'shirt',
+    name: 'Shirt',
+    price: 20,
+    category: 'clothing',
+    sku: undefined,
+    stockOnHand: undefined,
+    hasVariants: true,
+    variantOptions: [{ name: 'Size', values: ['S', 'M'] }],
+  }),
+  'shirt-m': { productId: 'shirt-m', parentId: 'shirt', options: { Size: 'M' }, sku: 'SHIRT-M', price: 22, stockOnHand: 3 },
+  'shirt-s': { productId: 'shirt-s', parentId: 'shirt', options: { Size: 'S' }, sku: 'SHIRT-S', stockOnHand: 1 },
+  'shirt-l': { productId: 'shirt-l', parentId: 'shirt', options: { Size: 'L' }, archivedAt: '2026-01-01T00:00:00.000Z' },
+  old: product({ productId: 'old', archivedAt: '2026-01-01T00:00:00.000Z' }),
+};
+
+beforeEach(() => {
+  productOperations.getProductById.mockImplementation(async productId => products[productId]);
+});
+
+describe('roundCurrency', () => {
+  it('rounds to whole cents', () => {
+    expect(roundCurrency(1.005)).toBe(1.01);
+    expect(roundCurrency(0.1 + 0.2)).toBe(0.3);
+    expect(roundCurrency('2.499')).toBe(2.5);
+  });
+});
+
+describe('priceItems', () => {
+  it('prices lines from the catalog, not the client', async () => {
+    const result = await priceItems([
+      { productId: 'cola', quantity: 3, price: 1.5 },
+      { productId: 'bread', quantity: '2' },
+    ]);
+    
+    expect(result).toEqual({
+      items: [
+        {
+          productId: 'cola',
+          name: 'Cola',
+          sku: 'COLA-1',
+          category: 'drinks',
+          quantity: 3,
+          price: 1.5,
+          submittedPrice: 1.5,
+          lineTotal: 4.5,
+          stockTracked: true,
+        },
+        { productId: 'bread', name: 'Bread', taxClass: 'reduced', quantity: 2, price: 2.25, lineTotal: 4.5 },
+      ],
+      mismatches: [],
+      unknown: [],
+      variantRequired: [],
+    });
+  });
+  
+  it('reports submitted prices that differ from the catalog', async () => {
+    const result = await priceItems([{ productId: 'cola', quantity: 1, price: 0.5 }]);
+    
+    expect(result.items[0].price).toBe(1.5);
+    expect(result.mismatches).toEqual([
+      { index: 0, productId: 'cola', name: 'Cola', submittedPrice: 0.5, catalogPrice: 1.5 },
+    ]);
+  });
+  
+  it('reports unknown products, leaving the caller to decide how to fail', async () => {
+    const result = await priceItems([{ productId: 'cola', quantity: 1 }, { productId: 'missing', quantity: 1 }]);
+    
+    expect(result).toEqual({ items: [], mismatches: [], unknown: [{ index: 1, productId: 'missing' }], variantRequired: [] });
+  });
+  
+  it('prices variants at their own price, or their product\'s, with their own SKU and stock', async () => {
+    const result = await priceItems([
+      { productId: 'shirt', variantId: 'shirt-m', quantity: 1 },
+      { productId: 'shirt', variantId: 'shirt-s', quantity: 2 },
+    ]);
+    
+    expect(result.items.map(item => [item.name, item.variantId, item.sku, item.price, item.lineTotal, item.stockTracked])).toEqual([
+      ['Shirt (M)', 'shirt-m', 'SHIRT-M', 22, 22, true],
+      ['Shirt (S)', 'shirt-s', 'SHIRT-S', 20, 40, true],
+    ]);
+    expect(result.items[0].variantOptions).toEqual({ Size: 'M' });
+  });
+  
+  it('treats a variant of another product as unknown', async () => {
+    const result = await priceItems([{ productId: 'cola', variantId: 'shirt-m', quantity: 1 }]);
+    
+    expect(result.unknown).toEqual([{ index: 0, productId: 'cola', variantId: 'shirt-m' }]);
+  });
+  
+  it('flags archived products and variants among the unknown', async () => {
+    const result = await priceItems([
+      { productId: 'old', quantity: 1 },
+      { productId: 'shirt', variantId: 'shirt-l', quantity: 1 },
+    ]);
+    
+    expect(result.unknown).toEqual([
+      { index: 0, productId: 'old', archived: true },
+      { index: 1, productId: 'shirt', variantId: 'shirt-l', archived: true },
+    ]);
+    expect(result.variantRequired).toEqual([]);
+  });
+  
+  it('requires a variant for a product that has them', async () => {
+    const result = await priceItems([{ productId: 'shirt', quantity: 1 }]);
+    
+    expect(result.items).toEqual([]);
+    expect(result.variantRequired).toEqual([{ index: 0, productId: 'shirt' }]);
+  });
+});
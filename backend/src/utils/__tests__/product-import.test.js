@@ -0,0 +1,98 @@
+const { parseProductCsv, planImport } = require('../product-import');
+const { product } = require('../../../test/helpers');
+
+// New products need a name, as the product rules would say
+const validateRow = async (row, existing) => (existing || row.name ? [] : ['Product name is required']);
+
+describe('parseProductCsv', () => {
+  it('reads rows by header, dropping empty cells and reporting unknown columns', () => {
+    const { rows, ignoredColumns } = parseProductCsv('\uFEFFsku, name ,price,colour,allowNegativeStock\nCOLA-1,Cola,,red,TRUE\n\nCHIPS-1,Chips,2,,maybe\n');
+    
+    expect(rows).toEqual([
+      { sku: 'COLA-1', name: 'Cola', allowNegativeStock: true },
+      { sku: 'CHIPS-1', name: 'Chips', price: '2', allowNegativeStock: 'maybe' },
+    ]);
+    expect(ignoredColumns).toEqual(['colour']);
+  });
+  
+  it('refuses CSVs without a sku column, or that do not parse', () => {
+    expect(() => parseProductCsv('name\nCola\n')).toThrow('CSV must have a sku column, products are matched on SKU');
+    expect(() => parseProductCsv('sku,name\n"COLA-1,Cola\n')).toThrow(/^CSV could not be parsed/);
+  });
+});
+
+describe('planImport', () => {
+  const products = [product({ barcode: '00036000291452' }), product({ productId: 'bag', sku: undefined })];
+  
+  it('creates new SKUs and updates known ones, converting cells to fields', async () => {
+    const plan = await planImport([
+      { sku: 'CHIPS-1', name: 'Chips', price: '2', stockOnHand: '12' },
+      { sku: 'COLA-1', price: '1.75' },
+    ], products, validateRow);
+    
+    expect(plan.results).toEqual([
+      { line: 2, sku: 'CHIPS-1', action: 'create', productId: expect.any(String) },
+      { line: 3, sku: 'COLA-1', action: 'update', productId: 'cola' },
+    ]);
+    expect(plan.creates).toEqual([{ productId: plan.results[0].productId, sku: 'CHIPS-1', name: 'Chips', price: 2, stockOnHand: 12 }]);
+    expect(plan.updates).toEqual([{ productId: 'cola', changes: { sku: 'COLA-1', price: 1.75 } }]);
+  });
+  
+  it('reports invalid and repeated rows against their line, writing nothing for them', async () => {
+    const plan = await planImport([
+      { sku: 'CHIPS-1' },
+      { name: 'No SKU' },
+      { sku: 'BREAD-1', name: 'Bread' },
+      { sku: 'BREAD-1', name: 'Bread again' },
+    ], products, validateRow);
+    
+    expect(plan.results.map(result => [result.line, result.action, result.errors])).toEqual([
+      [2, 'error', ['Product name is required']],
+      [3, 'error', ['SKU is required']],
+      [4, 'create', undefined],
+      [5, 'error', ['SKU already appears on line 4']],
+    ]);
+    expect(plan.creates).toHaveLength(1);
+  });
+  
+  it('checks updates against the columns they change only', async () => {
+    const validator = jest.fn(validateRow);
+    
+    await planImport([{ sku: 'COLA-1', price: '1.75' }], products, validator);
+    
+    expect(validator).toHaveBeenCalledWith({ sku: 'COLA-1', price: '1.75' }, products[0]);
+  });
+  
+  it('leaves the stock of existing products to adjustments', async () => {
+    const plan = await planImport([{ sku: 'COLA-1', stockOnHand: '99' }], products, validateRow);
+    
+    expect(plan.updates[0].changes).toEqual({ sku: 'COLA-1' });
+    expect(plan.results[0].warnings).toEqual(['Stock on hand is only set for new products, use a stock adjustment']);
+  });
+  
+  it('leaves archived products alone until they are restored', async () => {
+    const plan = await planImport([{ sku: 'OLD-1', price: '1' }], [product({ sku: 'OLD-1', archivedAt: '2026-01-01T00:00:00.000Z' })], validateRow);
+    
+    expect(plan.results[0].errors).toEqual(['Product with this SKU is archived, restore it before importing']);
+    expect(plan.updates).toEqual([]);
+  });
+  
+  it('keeps each barcode on one product', async () => {
+    const plan = await planImport([
+      { sku: 'COLA-1', barcode: '036000291452' },
+      { sku: 'NEW-1', name: 'New', barcode: '036000291452' },
+      { sku: 'BREAD-1', name: 'Bread', barcode: 'SHELF-1' },
+      { sku: 'ROLL-1', name: 'Roll', barcode: 'SHELF-1' },
+    ], products, validateRow);
+    
+    const taken = await planImport([{ sku: 'CHIPS-1', name: 'Chips', barcode: '0036000291452' }], products, validateRow);
+    
+    expect(taken.results[0].errors).toEqual(['Barcode is already assigned to SKU COLA-1']);
+    expect(plan.results.map(result => result.errors || result.action)).toEqual([
+      'update',
+      ['Barcode already appears on line 2'],
+      'create',
+      ['Barcode already appears on line 4'],
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+const { evaluatePromotions, normalizeCode } = require('../promotions');
+
+const now = '2026-06-15T12:00:00.000Z';
+
+const lines = [
+  { productId: 'cola', category: 'drinks', price: 1.5, quantity: 4 },
+  { productId: 'chips', category: 'snacks', price: 2, quantity: 1 },
+];
+
+describe('evaluatePromotions', () => {
+  it('takes percent and fixed amounts off matching items and categories', () => {
+    const result = evaluatePromotions(lines, [
+      { promotionId: 'p1', name: '10% off drinks', type: 'percent', scope: 'category', categories: ['drinks'], value: 10 },
+      { promotionId: 'p2', name: '50c off chips', type: 'fixed', scope: 'item', productIds: ['chips'], value: 0.5 },
+    ], { now });
+    
+    expect(result.lines.map(line => [line.discount, line.lineTotal])).toEqual([[0.6, 5.4], [0.5, 1.5]]);
+    expect(result).toMatchObject({ subtotal: 8, discountTotal: 1.1, total: 6.9 });
+    expect(result.applied.map(promotion => [promotion.promotionId, promotion.amount])).toEqual([['p1', 0.6], ['p2', 0.5]]);
+  });
+  
+  it('gives the cheapest units away in buy X get Y', () => {
+    const result = evaluatePromotions([
+      { productId: 'cola', category: 'drinks', price: 1.5, quantity: 2 },
+      { productId: 'juice', category: 'drinks', price: 1, quantity: 1 },
+    ], [
+      { promotionId: 'b2g1', name: 'Buy 2 get 1', type: 'buy_x_get_y', scope: 'category', categories: ['drinks'], buyQuantity: 2, getQuantity: 1 },
+    ], { now });
+    
+    expect(result.lines.map(line => line.discount)).toEqual([0, 1]);
+    expect(result.total).toBe(3);
+  });
+  
+  it('spreads the free units of buy X get Y over lines cheapest first, without counting them one by one', () => {
+    const result = evaluatePromotions([
+      { productId: 'cola', category: 'drinks', price: 1.5, quantity: 1000000 },
+      { productId: 'juice', category: 'drinks', price: 1, quantity: 2 },
+      { productId: 'water', category: 'drinks', price: 0.5, quantity: 1 },
+    ], [
+      { promotionId: 'b1g1', name: 'Second half price', type: 'buy_x_get_y', scope: 'category', categories: ['drinks'], buyQuantity: 1, getQuantity: 1, value: 50 },
+    ], { now });
+    
+    expect(result.lines.map(line => line.discount)).toEqual([374998.5, 1, 0.25]);
+  });
+  
+  it('applies cart promotions after line promotions, shared out by what is left of each line', () => {
+    const result = evaluatePromotions([
+      { productId: 'a', price: 10, quantity: 1 },
+      { productId: 'b', price: 10, quantity: 1 },
+      { productId: 'c', price: 10, quantity: 1 },
+    ], [
+      { promotionId: 'cart', name: '$1 off', type: 'fixed', scope: 'cart', value: 1 },
+      { promotionId: 'item', name: 'Half off a', type: 'percent', scope: 'item', productIds: ['a'], value: 50 },
+    ], { now });
+    
+    // $1 shared 5:10:10 is 20c, 40c and 40c
+    expect(result.lines.map(line => line.lineTotal)).toEqual([4.8, 9.6, 9.6]);
+    expect(result.discountTotal).toBe(6);
+  });
+  
+  it('never discounts a line below zero', () => {
+    const result = evaluatePromotions([{ productId: 'a', price: 1, quantity: 1 }], [
+      { promotionId: 'big', name: '$5 off', type: 'fixed', scope: 'item', productIds: ['a'], value: 5 },
+    ], { now });
+    
+    expect(result.lines[0]).toMatchObject({ discount: 1, lineTotal: 0 });
+    expect(result.total).toBe(0);
+  });
+  
+  it('applies coupons only when their code is entered, and reports codes that matched nothing', () => {
+    const promotions = [
+      { promotionId: 'c1', name: 'Coupon', type: 'percent', scope: 'cart', value: 25, couponCode: 'save25' },
+    ];
+    
+    expect(evaluatePromotions(lines, promotions, { now }).discountTotal).toBe(0);
+    
+    const result = evaluatePromotions(lines, promotions, { now, couponCodes: [' Save25 ', 'nope'] });
+    expect(result.discountTotal).toBe(2);
+    expect(result.applied[0].couponCode).toBe('SAVE25');
+    expect(result.unmatchedCouponCodes).toEqual(['NOPE']);
+  });
+  
+  it('skips inactive promotions, ones outside their dates and ones below their minimum spend', () => {
+    const cart = { promotionId: 'x', name: 'x', type: 'fixed', scope: 'cart', value: 1 };
+    const result = evaluatePromotions(lines, [
+      { ...cart, promotionId: 'inactive', active: false },
+      { ...cart, promotionId: 'future', startsAt: '2026-07-01T00:00:00.000Z' },
+      { ...cart, promotionId: 'ended', endsAt: now },
+      { ...cart, promotionId: 'minimum', minimumSpend: 8.01 },
+    ], { now });
+    
+    expect(result.applied).toEqual([]);
+    expect(result.total).toBe(8);
+  });
+  
+  it('normalizes coupon codes', () => {
+    expect(normalizeCode(' summer10 ')).toBe('SUMMER10');
+  });
+});
@@ -0,0 +1,75 @@
+const receipts = require('../receipts');
+const { transaction } = require('../../../test/helpers');
+
+const sale = overrides => transaction({
+  timestamp: '2026-06-01T09:30:00.000Z',
+  items: [
+    {
+      productId: 'cola',
+      name: 'Cola',
+      price: 1.5,
+      quantity: 2,
+      promotions: [{ name: 'Cola <deal>', amount: 0.5 }],
+    },
+  ],
+  discountTotal: 0.5,
+  subtotal: 2.5,
+  taxBreakdown: [{ name: 'Standard', rate: 0.1, tax: 0.25 }],
+  total: 2.75,
+  payments: [{ method: 'cash', amount: 5 }],
+  changeDue: 2.25,
+  ...overrides,
+});
+
+// Label and amount at the two edges of a 42 character receipt line
+const line = (label, amount) => `${label.padEnd(42 - amount.length)}${amount}`;
+
+describe('renderText', () => {
+  it('lays out lines, discounts, tax and change in receipt columns', () => {
+    const lines = receipts.renderText(sale()).split('\n');
+    
+    expect(lines).toEqual(expect.arrayContaining([
+      line('2 x Cola', '$3.00'),
+      '  @ $1.50',
+      line('  Cola <deal>', '-$0.50'),
+      line('Subtotal', '$2.50'),
+      line('Standard 10%', '$0.25'),
+      line('TOTAL', '$2.75'),
+      line('Change', '$2.25'),
+    ]));
+    expect(lines.every(text => text.length <= 42)).toBe(true);
+  });
+  
+  it('marks voided and refunded sales', () => {
+    expect(receipts.renderText(sale({ status: 'voided' }))).toContain('*** VOID ***');
+    expect(receipts.renderText(sale({ status: 'partially_refunded', refundedTotal: 1 }))).toContain('*** REFUNDED $1.00 ***');
+  });
+});
+
+describe('renderHtml', () => {
+  it('escapes receipt text and embeds a QR code of the transaction', async () => {
+    const html = await receipts.renderHtml(sale());
+    
+    expect(html).toContain('Cola &lt;deal&gt;');
+    expect(html).not.toContain('<deal>');
+    expect(html).toContain('<svg');
+  });
+});
+
+describe('renderPdf', () => {
+  it('renders a PDF document', async () => {
+    const pdf = await receipts.renderPdf(sale());
+    
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
+
+describe('renderEscPos', () => {
+  it('initializes the printer, prints the receipt and cuts the paper', () => {
+    const bytes = receipts.renderEscPos(sale());
+    
+    expect([...bytes.subarray(0, 2)]).toEqual([0x1b, 0x40]);
+    expect([...bytes.subarray(-4)]).toEqual([0x1d, 0x56, 0x42, 0x00]);
+    expect(bytes.toString('latin1')).toContain('TOTAL');
+  });
+});
@@ -0,0 +1,70 @@
+const { buildRefund } = require('../refunds');
+const { transaction } = require('../../../test/helpers');
+
+describe('buildRefund', () => {
+  it('refunds part of a line at what the customer paid, tax included', () => {
+    const refund = buildRefund(transaction(), [{ lineIndex: 0, quantity: 1 }]);
+    
+    expect(refund.items).toEqual([
+      { lineIndex: 0, productId: 'cola', name: 'Cola', quantity: 1, price: 1, amount: 1.1, stockTracked: true },
+    ]);
+    expect(refund.total).toBe(1.1);
+    expect(refund.status).toBe('partially_refunded');
+    expect(refund.updatedItems[0]).toMatchObject({ refundedQuantity: 1, refundedAmount: 1.1 });
+  });
+  
+  it('refunds lines recorded before tax at their line total', () => {
+    const refund = buildRefund(transaction({ items: [{ productId: 'a', name: 'A', price: 2, quantity: 2, lineTotal: 4 }] }));
+    
+    expect(refund.total).toBe(4);
+  });
+  
+  it('refunds whatever is left when no lines are given', () => {
+    const refund = buildRefund(transaction({
+      status: 'partially_refunded',
+      refundedTotal: 1.1,
+      items: [
+        { ...transaction().items[0], refundedQuantity: 1, refundedAmount: 1.1 },
+        transaction().items[1],
+      ],
+    }));
+    
+    expect(refund.items.map(item => [item.lineIndex, item.quantity, item.amount])).toEqual([[0, 2, 2.2], [1, 1, 2.2]]);
+    expect(refund.refundedTotal).toBe(5.5);
+    expect(refund.status).toBe('refunded');
+  });
+  
+  it('lets the last refund on a line absorb rounding', () => {
+    const items = [{ productId: 'a', name: 'A', price: 1, quantity: 3, grossTotal: 1 }];
+    const first = buildRefund(transaction({ items }), [{ lineIndex: 0, quantity: 2 }]);
+    const last = buildRefund(transaction({ items: first.updatedItems, status: first.status }), [{ lineIndex: 0, quantity: 1 }]);
+    
+    expect(first.total).toBe(0.67);
+    expect(last.total).toBe(0.33);
+  });
+  
+  it('refuses more than is left to refund on a line, adding up repeated lines', () => {
+    const sold = transaction({ items: [{ ...transaction().items[0], refundedQuantity: 2 }, transaction().items[1]] });
+    
+    expect(() => buildRefund(sold, [{ lineIndex: 0, quantity: 2 }])).toThrow(expect.objectContaining({
+      statusCode: 400,
+      details: { lines: [{ lineIndex: 0, productId: 'cola', message: 'Only 1 of 3 can still be refunded' }] },
+    }));
+    expect(() => buildRefund(transaction(), [
+      { lineIndex: 1, quantity: 1 },
+      { lineIndex: 1, quantity: 1 },
+    ])).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+  
+  it('refuses lines that are not on the transaction', () => {
+    expect(() => buildRefund(transaction(), [{ lineIndex: 5, quantity: 1 }])).toThrow(expect.objectContaining({
+      statusCode: 400,
+      details: { lines: [{ lineIndex: 5, message: 'Line does not exist on this transaction' }] },
+    }));
+  });
+  
+  it('refuses voided and fully refunded transactions', () => {
+    expect(() => buildRefund(transaction({ status: 'voided' }))).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(() => buildRefund(transaction({ status: 'refunded' }))).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+});
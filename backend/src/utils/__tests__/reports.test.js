@@ -0,0 +1,62 @@
+const { aggregateSales, isValidTimeZone } = require('../reports');
+const { transaction } = require('../../../test/helpers');
+
+const sales = [
+  transaction({ timestamp: '2026-06-01T09:30:00.000Z' }),
+  transaction({
+    transactionId: 't2',
+    cashierId: 'cashier-2',
+    timestamp: '2026-06-01T23:30:00.000Z',
+    paymentMethod: 'split',
+    items: [{ productId: 'cola', category: 'drinks', price: 1, quantity: 2, lineTotal: 2, tax: 0.2, grossTotal: 2.2 }],
+    total: 2.2,
+    payments: [{ method: 'card', net: 1.1 }, { method: 'cash', net: 1.1 }],
+  }),
+  transaction({ transactionId: 't3', timestamp: '2026-06-01T10:00:00.000Z', status: 'voided' }),
+];
+
+describe('aggregateSales', () => {
+  it('totals sales, leaving out voided ones', () => {
+    const { groups, totals } = aggregateSales(sales);
+    
+    expect(groups).toHaveLength(1);
+    expect(totals).toMatchObject({ total: 7.7, units: 6, transactionCount: 2, voidedCount: 1 });
+  });
+  
+  it('groups lines by product and cashier', () => {
+    const { groups } = aggregateSales(sales, { groupBy: ['product', 'cashier'] });
+    
+    expect(groups.map(group => [group.key, group.units, group.transactionCount])).toEqual([
+      [{ product: 'chips', cashier: 'cashier-1' }, 1, 1],
+      [{ product: 'cola', cashier: 'cashier-1' }, 3, 1],
+      [{ product: 'cola', cashier: 'cashier-2' }, 2, 1],
+    ]);
+  });
+  
+  it('splits split tender sales across their payment methods', () => {
+    const { groups } = aggregateSales(sales.slice(1), { groupBy: ['paymentMethod'] });
+    
+    expect(groups.map(group => [group.key.paymentMethod, group.total])).toEqual([['card', 1.1], ['cash', 1.1]]);
+  });
+  
+  it('reports days and hours in the time zone asked for, keeping to its local range', () => {
+    const { groups } = aggregateSales(sales, {
+      groupBy: ['day', 'hour'],
+      timeZone: 'America/New_York',
+      startDate: '2026-06-01',
+      endDate: '2026-06-01',
+    });
+    
+    expect(groups.map(group => group.key)).toEqual([
+      { day: '2026-06-01', hour: '05' },
+      { day: '2026-06-01', hour: '19' },
+    ]);
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA time zones only', () => {
+    expect(isValidTimeZone('Europe/London')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+});
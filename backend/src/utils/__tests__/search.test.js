@@ -0,0 +1,103 @@
+const {
+  normalizeText,
+  tokenize,
+  productTerms,
+  createMemorySearchIndex,
+} = require('../search');
+
+const catalog = [
+  { productId: 'p1', name: 'Coca-Cola 330ml', sku: 'COKE-330', category: 'Drinks', price: 1.5 },
+  { productId: 'p2', name: 'Coke', sku: 'CK-1', category: 'Drinks', price: 1.2 },
+  { productId: 'p3', name: 'Cocoa Powder', sku: 'COKE', category: 'Baking', price: 4 },
+  { productId: 'p4', name: 'Crème Brûlée', sku: 'CB-1', category: 'Desserts', price: 3 },
+  { productId: 'p5', name: 'Coconut Water', sku: 'CW-1', category: 'Drinks', price: 2 },
+  { productId: 'p6', name: 'Cola Bottles', sku: 'CB-2', category: 'Sweets', price: 1, archivedAt: '2026-01-01T00:00:00.000Z' },
+];
+
+describe('search terms', () => {
+  it('normalizes case and accents', () => {
+    expect(normalizeText('  Crème BRÛLÉE ')).toBe('creme brulee');
+    expect(tokenize('Coca-Cola 330ml, coca')).toEqual(['coca', 'cola', '330ml']);
+  });
+  
+  it('indexes name, SKU and category words by prefix, and description words whole', () => {
+    const terms = productTerms({ name: 'Cola', sku: 'CK-1', category: 'Drinks', description: 'Fizzy' });
+    
+    expect(terms).toEqual(expect.arrayContaining(['cola', 'co', 'col', 'ck', 'drinks', 'dr', 'fizzy']));
+    expect(terms).not.toContain('fi');
+    expect(terms).not.toContain('c');
+  });
+});
+
+describe('createMemorySearchIndex', () => {
+  it('finds products by term, and forgets their old terms when they change or go', async () => {
+    const index = createMemorySearchIndex();
+    
+    await index.putProduct({ productId: 'p1', name: 'Cola', sku: 'CK-1', category: 'Drinks' });
+    expect(await index.findTerm('col')).toEqual([{ productId: 'p1', name: 'Cola', sku: 'CK-1', category: 'Drinks' }]);
+    
+    await index.putProduct({ productId: 'p1', name: 'Lemonade', sku: 'LM-1', category: 'Drinks' });
+    expect(await index.findTerm('col')).toEqual([]);
+    expect(await index.findTerm('lem')).toHaveLength(1);
+    
+    await index.removeProduct('p1');
+    expect(await index.findTerm('lem')).toEqual([]);
+  });
+});
+
+describe('searchProducts against the memory index', () => {
+  let productOperations;
+  
+  beforeAll(() => {
+    // The index is chosen when the module loads, so load it afresh with its own SDK to stub
+    jest.isolateModules(() => {
+      const { DocumentClient } = require('aws-sdk').DynamoDB;
+      
+      jest.spyOn(DocumentClient.prototype, 'scan').mockImplementation(() => ({
+        promise: async () => ({ Items: catalog }),
+      }));
+      jest.spyOn(DocumentClient.prototype, 'batchGet').mockImplementation(params => ({
+        promise: async () => {
+          const [table] = Object.keys(params.RequestItems);
+          const ids = params.RequestItems[table].Keys.map(key => key.productId);
+          return { Responses: { [table]: catalog.filter(product => ids.includes(product.productId)) } };
+        },
+      }));
+      
+      process.env.SEARCH_INDEX = 'memory';
+      ({ productOperations } = require('../dynamodb'));
+      delete process.env.SEARCH_INDEX;
+    });
+  });
+  
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+  
+  const ids = result => result.items.map(product => product.productId);
+  
+  it('ranks an exact SKU, then an exact name, then prefix matches', async () => {
+    const result = await productOperations.searchProducts('coke');
+    
+    expect(ids(result)).toEqual(['p3', 'p2', 'p1']);
+  });
+  
+  it('matches every word by prefix, whatever the accents', async () => {
+    expect(ids(await productOperations.searchProducts('coc wat'))).toEqual(['p5']);
+    expect(ids(await productOperations.searchProducts('creme bru'))).toEqual(['p4']);
+  });
+  
+  it('filters by category and leaves out archived products', async () => {
+    expect(ids(await productOperations.searchProducts('co', { category: 'drinks' }))).toEqual(['p1', 'p5', 'p2']);
+    expect(ids(await productOperations.searchProducts('bottles'))).toEqual([]);
+  });
+  
+  it('pages through results with the last result as the cursor', async () => {
+    const first = await productOperations.searchProducts('co', { limit: 2 });
+    const second = await productOperations.searchProducts('co', { limit: 2, lastEvaluatedKey: first.lastEvaluatedKey });
+    
+    expect(first.lastEvaluatedKey).toBeDefined();
+    expect([...ids(first), ...ids(second)]).toEqual(ids(await productOperations.searchProducts('co', { limit: 10 })));
+    expect(second.lastEvaluatedKey).toBeUndefined();
+  });
+});
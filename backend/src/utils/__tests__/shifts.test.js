@@ -0,0 +1,64 @@
+const { buildShiftReport } = require('../shifts');
+const { transaction } = require('../../../test/helpers');
+
+const shift = {
+  shiftId: 's1',
+  cashierId: 'cashier-1',
+  status: 'closed',
+  openedAt: '2026-06-01T08:00:00.000Z',
+  closedAt: '2026-06-01T16:00:00.000Z',
+  openingFloat: 100,
+  events: [
+    { type: 'paid_in', amount: 20 },
+    { type: 'paid_out', amount: 7.5 },
+    { type: 'no_sale' },
+  ],
+};
+
+const sales = [
+  transaction(),
+  transaction({
+    transactionId: 't2',
+    paymentMethod: 'split',
+    total: 10,
+    payments: [{ method: 'card', amount: 6, net: 6 }, { method: 'cash', amount: 10, net: 4 }],
+  }),
+  transaction({ transactionId: 't3', status: 'voided', total: 99 }),
+];
+
+describe('buildShiftReport', () => {
+  it('expects the float, cash taken and paid-ins less paid-outs and cash refunds in the drawer', () => {
+    const report = buildShiftReport(shift, sales, [{ paymentMethod: 'cash', total: 2.2 }], { cash: 120, card: 6 });
+    
+    expect(report).toMatchObject({
+      salesCount: 2,
+      refundCount: 1,
+      voidCount: 1,
+      noSaleCount: 1,
+      grossSales: 15.5,
+      refundTotal: 2.2,
+      netSales: 13.3,
+      paidIn: 20,
+      paidOut: 7.5,
+      expectedCash: 119.8,
+      countedCash: 120,
+      cashVariance: 0.2,
+    });
+    expect(report.tenders).toEqual([
+      { method: 'cash', sales: 9.5, refunds: 2.2, expected: 119.8, counted: 120, variance: 0.2 },
+      { method: 'card', sales: 6, refunds: 0, expected: 6, counted: 6, variance: 0 },
+    ]);
+  });
+  
+  it('leaves counts and variances empty until the drawer is counted', () => {
+    const report = buildShiftReport({ ...shift, status: 'open', events: [] }, [], []);
+    
+    expect(report).toMatchObject({ grossSales: 0, expectedCash: 100, countedCash: null, cashVariance: null });
+  });
+  
+  it('reports tenders that were counted but never taken', () => {
+    const report = buildShiftReport(shift, [], [], { cash: 112.5, voucher: 5 });
+    
+    expect(report.tenders[1]).toEqual({ method: 'voucher', sales: 0, refunds: 0, expected: 0, counted: 5, variance: 5 });
+  });
+});
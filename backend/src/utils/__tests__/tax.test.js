@@ -0,0 +1,65 @@
+const { calculateTax } = require('../tax');
+
+const config = {
+  pricesIncludeTax: false,
+  rounding: 'line',
+  defaultTaxClass: 'standard',
+  rates: {
+    standard: { name: 'Standard', rate: 0.2 },
+    reduced: { name: 'Reduced', rate: 0.05 },
+    zero: { name: 'Zero', rate: 0 },
+  },
+  categories: {
+    food: 'reduced',
+  },
+};
+
+describe('calculateTax', () => {
+  it('adds tax on top of exclusive prices, by product class, then category, then default', () => {
+    const result = calculateTax([
+      { productId: 'a', lineTotal: 10 },
+      { productId: 'b', category: 'food', lineTotal: 4 },
+      { productId: 'c', category: 'food', taxClass: 'zero', lineTotal: 3 },
+    ], config);
+    
+    expect(result.items.map(item => [item.taxClass, item.tax, item.grossTotal])).toEqual([
+      ['standard', 2, 12],
+      ['reduced', 0.2, 4.2],
+      ['zero', 0, 3],
+    ]);
+    expect(result.taxBreakdown).toEqual([
+      { taxClass: 'standard', name: 'Standard', rate: 0.2, taxable: 10, tax: 2 },
+      { taxClass: 'reduced', name: 'Reduced', rate: 0.05, taxable: 4, tax: 0.2 },
+      { taxClass: 'zero', name: 'Zero', rate: 0, taxable: 3, tax: 0 },
+    ]);
+    expect(result).toMatchObject({ subtotal: 17, taxTotal: 2.2, total: 19.2, pricesIncludeTax: false });
+  });
+  
+  it('backs tax out of inclusive prices without changing the total', () => {
+    const result = calculateTax([{ productId: 'a', lineTotal: 12 }], { ...config, pricesIncludeTax: true });
+    
+    expect(result.items[0]).toMatchObject({ tax: 2, grossTotal: 12 });
+    expect(result).toMatchObject({ subtotal: 10, taxTotal: 2, total: 12, pricesIncludeTax: true });
+  });
+  
+  it('rounds each line, or once per class on the invoice', () => {
+    const items = [0.05, 0.05, 0.05].map((lineTotal, index) => ({ productId: `p${index}`, lineTotal }));
+    const rates = { standard: { name: 'Standard', rate: 0.1 } };
+    
+    // 0.005 of tax per line rounds up on each line, but sums to 0.015 on the invoice
+    expect(calculateTax(items, { ...config, rates, rounding: 'line' }).taxTotal).toBe(0.03);
+    expect(calculateTax(items, { ...config, rates, rounding: 'invoice' }).taxTotal).toBe(0.02);
+  });
+  
+  it('charges nothing with the default configuration', () => {
+    const result = calculateTax([{ productId: 'a', lineTotal: 9.99 }], {
+      pricesIncludeTax: false,
+      rounding: 'line',
+      defaultTaxClass: 'standard',
+      rates: { standard: { name: 'Standard', rate: 0 } },
+      categories: {},
+    });
+    
+    expect(result).toMatchObject({ subtotal: 9.99, taxTotal: 0, total: 9.99 });
+  });
+});
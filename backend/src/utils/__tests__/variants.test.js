@@ -0,0 +1,65 @@
+const { variantLabel, checkVariants, extendVariantOptions, nestVariants } = require('../variants');
+
+const variantOptions = [
+  { name: 'Size', values: ['S', 'M', 'L'] },
+  { name: 'Color', values: ['Red', 'Blue'] },
+];
+
+describe('variantLabel', () => {
+  it('names the option values in the product\'s option order', () => {
+    expect(variantLabel({ Color: 'Red', Size: 'M' }, variantOptions)).toBe('M / Red');
+  });
+});
+
+describe('checkVariants', () => {
+  it('accepts variants with one listed value per option', () => {
+    expect(checkVariants(variantOptions, [
+      { options: { Size: 'S', Color: 'Red' }, sku: 'S-RED' },
+      { options: { Size: 'S', Color: 'Blue' }, sku: 'S-BLUE' },
+    ])).toEqual([]);
+  });
+  
+  it('reports missing, unknown and unlisted values, and repeated options and SKUs', () => {
+    expect(checkVariants(variantOptions, [
+      { options: { Size: 'S', Color: 'Red' }, sku: 'SHIRT' },
+      { options: { Size: 'S', Color: 'Red', Fit: 'Slim' } },
+      { options: { Size: 'XL' }, sku: 'SHIRT' },
+    ])).toEqual([
+      'Variant 2 has an unknown option Fit',
+      'Variant 2 repeats the options of variant 1',
+      'Variant 3 has XL for Size, which is not one of S, M, L',
+      'Variant 3 needs a value for Color',
+      'Variant 3 repeats the SKU of variant 1',
+    ]);
+  });
+  
+  it('accepts new values when asked, and refuses repeated option names', () => {
+    expect(checkVariants(variantOptions, [{ options: { Size: 'XL', Color: 'Red' } }], { allowNewValues: true })).toEqual([]);
+    expect(checkVariants([...variantOptions, { name: 'Size', values: ['S'] }], [])).toEqual(['Variant option names must be unique']);
+  });
+});
+
+describe('extendVariantOptions', () => {
+  it('appends values a variant introduces', () => {
+    expect(extendVariantOptions(variantOptions, { Size: 'XL', Color: 'Red' })).toEqual([
+      { name: 'Size', values: ['S', 'M', 'L', 'XL'] },
+      { name: 'Color', values: ['Red', 'Blue'] },
+    ]);
+  });
+});
+
+describe('nestVariants', () => {
+  it('nests labelled variants in option order', () => {
+    const nested = nestVariants({ productId: 'shirt', variantOptions }, [
+      { productId: 'l-red', options: { Size: 'L', Color: 'Red' } },
+      { productId: 's-blue', options: { Size: 'S', Color: 'Blue' } },
+      { productId: 's-red', options: { Size: 'S', Color: 'Red' } },
+    ]);
+    
+    expect(nested.variants.map(variant => [variant.productId, variant.label])).toEqual([
+      ['s-red', 'S / Red'],
+      ['s-blue', 'S / Blue'],
+      ['l-red', 'L / Red'],
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+// Printable ASCII, as Code 128 and friends allow
+const BARCODE_PATTERN = /^[\x21-\x7e]{1,48}$/;
+const GTIN_PATTERN = /^(\d{8}|\d{12}|\d{13}|\d{14})$/;
+
+/**
+ * Whether a numeric code has a valid GTIN check digit
+ * @param {string} code - GTIN-8, GTIN-12 (UPC-A), GTIN-13 (EAN) or GTIN-14
+ * @returns {boolean} True if the check digit matches
+ */
+function hasValidCheckDigit(code) {
+  const digits = code.split('').map(Number);
+  const checkDigit = digits.pop();
+  
+  // Weights alternate 3, 1, ... from the digit next to the check digit
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  
+  return (10 - (sum % 10)) % 10 === checkDigit;
+}
+
+/**
+ * Normalize a barcode so the same item matches however it was scanned
+ *
+ * GTINs are zero-padded to 14 digits, so a UPC-A scan finds a product labelled
+ * with its EAN-13. Other codes are kept as they are, without surrounding spaces.
+ * @param {string} code - Scanned or entered barcode
+ * @returns {string} Normalized barcode
+ */
+function normalizeBarcode(code) {
+  const trimmed = String(code).trim();
+  return GTIN_PATTERN.test(trimmed) ? trimmed.padStart(14, '0') : trimmed;
+}
+
+/**
+ * Whether a barcode can be stored, rejecting GTINs with a wrong check digit
+ * @param {string} code - Barcode
+ * @returns {boolean} True if valid
+ */
+function isValidBarcode(code) {
+  const trimmed = String(code).trim();
+  
+  if (GTIN_PATTERN.test(trimmed)) {
+    return hasValidCheckDigit(trimmed);
+  }
+  
+  return BARCODE_PATTERN.test(trimmed);
+}
+
+module.exports = {
+  normalizeBarcode,
+  isValidBarcode,
+};
@@ -0,0 +1,93 @@
+const { promotionOperations } = require('./dynamodb');
+const { priceItems, roundCurrency } = require('./pricing');
+const { evaluatePromotions } = require('./promotions');
+const { calculateTax } = require('./tax');
+const { createError } = require('./error-handler');
+
+// How to handle a client price that disagrees with the catalog:
+// 'reject' fails the sale, 'correct' silently uses the catalog price
+const PRICE_MISMATCH_MODE = process.env.PRICE_MISMATCH_MODE || 'reject';
+
+/**
+ * Price a sale on the server: catalog prices, then promotions, then tax
+ * @param {Array} items - Items as submitted by the client
+ * @param {Object} [options] - Quote options
+ * @param {number} [options.submittedTotal] - Total as submitted by the client, verified when present
+ * @param {Array<string>} [options.couponCodes] - Coupon codes entered for the sale
+ * @param {Date|string} [options.now] - Time of sale for promotion date windows
+ * @param {string} [options.mismatchMode] - 'reject' or 'correct'
+ * @param {boolean} [options.offline] - Sale was rung up offline, report problems as conflicts
+ * @returns {Promise<Object>} Priced lines, discounts, tax breakdown, totals and any corrections made
+ */
+async function quoteSale(items, options = {}) {
+  const { submittedTotal, couponCodes, now, offline } = options;
+  const mismatchMode = options.mismatchMode || PRICE_MISMATCH_MODE;
+  
+  const [priced, promotions] = await Promise.all([
+    priceItems(items),
+    promotionOperations.getAllPromotions(),
+  ]);
+  
+  // Unknown products cannot be corrected, always reject them
+  if (priced.unknown.length > 0) {
+    if (offline) {
+      throw createError(409, 'Offline sale conflicts with the catalog', {
+        conflicts: priced.unknown.map(line => ({ type: 'product_not_found', ...line })),
+      });
+    }
+    
+    throw createError(400, 'One or more products do not exist or are archived', { lines: priced.unknown });
+  }
+  
+  if (priced.variantRequired.length > 0) {
+    if (offline) {
+      throw createError(409, 'Offline sale conflicts with the catalog', {
+        conflicts: priced.variantRequired.map(line => ({ type: 'variant_required', ...line })),
+      });
+    }
+    
+    throw createError(400, 'Choose a variant for products that have them', { lines: priced.variantRequired });
+  }
+  
+  const discounted = evaluatePromotions(priced.items, promotions, { couponCodes, now });
+  const taxed = calculateTax(discounted.lines);
+  
+  const hasSubmittedTotal = submittedTotal !== undefined && submittedTotal !== null && submittedTotal !== '';
+  const totalMismatch = hasSubmittedTotal && roundCurrency(submittedTotal) !== taxed.total;
+  
+  if (mismatchMode === 'reject' && offline && (priced.mismatches.length > 0 || totalMismatch)) {
+    throw createError(409, 'Offline sale conflicts with the catalog', {
+      conflicts: [
+        ...priced.mismatches.map(line => ({ type: 'price_changed', ...line })),
+        ...(totalMismatch ? [{
+          type: 'total_changed',
+          submitted: roundCurrency(submittedTotal),
+          expected: taxed.total,
+        }] : []),
+      ],
+    });
+  }
+  
+  if (mismatchMode === 'reject' && (priced.mismatches.length > 0 || totalMismatch)) {
+    throw createError(422, 'Submitted prices do not match the catalog', {
+      lines: priced.mismatches,
+      ...(totalMismatch && {
+        total: { submitted: roundCurrency(submittedTotal), expected: taxed.total },
+      }),
+    });
+  }
+  
+  return {
+    ...taxed,
+    discountTotal: discounted.discountTotal,
+    appliedPromotions: discounted.applied,
+    unmatchedCouponCodes: discounted.unmatchedCouponCodes,
+    ...(hasSubmittedTotal && { submittedTotal: roundCurrency(submittedTotal) }),
+    mismatches: priced.mismatches,
+  };
+}
+
+module.exports = {
+  quoteSale,
+  PRICE_MISMATCH_MODE,
+};
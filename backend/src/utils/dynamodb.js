@@ -1,5 +1,19 @@
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
+const { createError } = require('./error-handler');
+const {
+  normalizeText,
+  tokenize,
+  productTerms,
+  lookupTerm,
+  searchSummary,
+  scoreMatch,
+  compareRanked,
+  createMemorySearchIndex,
+  MIN_PREFIX_LENGTH,
+} = require('./search');
+const { nestVariants } = require('./variants');
+const { effectivePrice, withCurrentPrice } = require('./prices');
 
 // Configure AWS
 if (process.env.NODE_ENV !== 'production') {
@@ -21,19 +35,695 @@ const documentClient = new AWS.DynamoDB.DocumentClient();
 // Get table names from environment variables
 const PRODUCTS_TABLE = process.env.PRODUCTS_TABLE || 'Products';
 const TRANSACTIONS_TABLE = process.env.TRANSACTIONS_TABLE || 'Transactions';
+const REFUNDS_TABLE = process.env.REFUNDS_TABLE || 'Refunds';
+const PROMOTIONS_TABLE = process.env.PROMOTIONS_TABLE || 'Promotions';
+const IDEMPOTENCY_TABLE = process.env.IDEMPOTENCY_TABLE || 'IdempotencyKeys';
+const SHIFTS_TABLE = process.env.SHIFTS_TABLE || 'Shifts';
+const OPEN_SHIFTS_TABLE = process.env.OPEN_SHIFTS_TABLE || 'OpenShifts';
+const BARCODES_TABLE = process.env.BARCODES_TABLE || 'ProductBarcodes';
+const SEARCH_TABLE = process.env.SEARCH_TABLE || 'ProductSearch';
+const PRICES_TABLE = process.env.PRICES_TABLE || 'ProductPrices';
+const AUDIT_TABLE = process.env.AUDIT_TABLE || 'AuditLog';
+const ROLES_TABLE = process.env.ROLES_TABLE || 'Roles';
+
+// Where the product search index lives: dynamodb, or memory for local development
+const SEARCH_INDEX = process.env.SEARCH_INDEX || 'dynamodb';
+
+// DynamoDB limit on the number of actions in one transactional write
+const MAX_TRANSACT_ITEMS = 100;
+
+// Days queried at once when reading a date range
+const DATE_QUERY_CONCURRENCY = 10;
+
+// DynamoDB limit on items per batch write, and how often unprocessed items are retried
+const BATCH_WRITE_SIZE = 25;
+const BATCH_WRITE_ATTEMPTS = 5;
+
+/**
+ * The product item a line's stock is held on: its variant if it has one
+ * @param {Object} item - Transaction item
+ * @returns {string} Product ID of the stock item
+ */
+function stockItemId(item) {
+  return item.variantId || item.productId;
+}
+
+/**
+ * Total the quantities of stock-tracked lines per stock item
+ * @param {Array} items - Transaction items
+ * @returns {Object} Quantity keyed by product ID
+ */
+function stockQuantities(items = []) {
+  return items
+    .filter(item => item.stockTracked)
+    .reduce((quantities, item) => {
+      quantities[stockItemId(item)] = (quantities[stockItemId(item)] || 0) + item.quantity;
+      return quantities;
+    }, {});
+}
+
+/**
+ * Build transactional stock updates for a set of items
+ * @param {Array} items - Transaction items
+ * @param {number} direction - -1 to remove stock, 1 to return it
+ * @param {boolean} [allowOversell] - Remove stock even if it goes below zero
+ * @returns {Array} TransactWrite update entries
+ */
+function buildStockUpdates(items, direction, allowOversell = false) {
+  const quantities = stockQuantities(items);
+  
+  return Object.keys(quantities).map((productId) => {
+    const update = {
+      TableName: PRODUCTS_TABLE,
+      Key: {
+        productId,
+      },
+      UpdateExpression: 'ADD stockOnHand :quantity',
+      ConditionExpression: 'attribute_exists(productId)',
+      ExpressionAttributeValues: {
+        ':quantity': direction * quantities[productId],
+      },
+    };
+    
+    // Refuse to oversell unless the product explicitly allows negative stock
+    if (direction < 0 && !allowOversell) {
+      update.ConditionExpression += ' AND (stockOnHand >= :required OR allowNegativeStock = :true)';
+      update.ExpressionAttributeValues[':required'] = quantities[productId];
+      update.ExpressionAttributeValues[':true'] = true;
+    }
+    
+    return { Update: update };
+  });
+}
+
+/**
+ * Record when products were last sold, on the same writes as their stock where there is one
+ *
+ * The time goes on the product a line was sold under, the parent of a
+ * variant, whether or not it tracks stock, so a purge can tell it was sold.
+ * @param {Array} stockUpdates - TransactWrite stock updates for the sale
+ * @param {Array} items - Transaction items
+ * @param {string} soldAt - When the sale was recorded
+ * @returns {Array} TransactWrite update entries
+ */
+function withLastSoldAt(stockUpdates, items, soldAt) {
+  const productIds = [...new Set(items.map(item => item.productId))];
+  const updates = stockUpdates.map(({ Update: update }) => {
+    if (!productIds.includes(update.Key.productId)) {
+      return { Update: update };
+    }
+    
+    return {
+      Update: {
+        ...update,
+        UpdateExpression: `${update.UpdateExpression} SET lastSoldAt = :soldAt`,
+        ExpressionAttributeValues: { ...update.ExpressionAttributeValues, ':soldAt': soldAt },
+      },
+    };
+  });
+  
+  productIds
+    .filter(productId => !stockUpdates.some(({ Update: update }) => update.Key.productId === productId))
+    .forEach((productId) => {
+      updates.push({
+        Update: {
+          TableName: PRODUCTS_TABLE,
+          Key: {
+            productId,
+          },
+          UpdateExpression: 'SET lastSoldAt = :soldAt',
+          ConditionExpression: 'attribute_exists(productId)',
+          ExpressionAttributeValues: {
+            ':soldAt': soldAt,
+          },
+        },
+      });
+    });
+  
+  return updates;
+}
+
+/**
+ * Work out which items caused a sale to be cancelled for lack of stock
+ * @param {Array} items - Transaction items
+ * @throws {Error} 409 error naming the short items, if any are short
+ */
+async function throwIfShortOfStock(items) {
+  const quantities = stockQuantities(items);
+  const productIds = Object.keys(quantities);
+  
+  const products = await Promise.all(productIds.map(productId => documentClient.get({
+    TableName: PRODUCTS_TABLE,
+    Key: {
+      productId,
+    },
+  }).promise().then(result => result.Item)));
+  
+  const shortItems = products
+    .map((product, index) => ({ product, productId: productIds[index] }))
+    .filter(({ product, productId }) => product
+      && !product.allowNegativeStock
+      && product.stockOnHand < quantities[productId])
+    .map(({ product, productId }) => ({
+      productId,
+      // Variants take their name from the line, which includes the options
+      name: items.find(item => stockItemId(item) === productId).name || product.name,
+      requested: quantities[productId],
+      available: product.stockOnHand,
+    }));
+  
+  if (shortItems.length > 0) {
+    throw createError(409, 'Insufficient stock', { items: shortItems });
+  }
+}
+
+/**
+ * Build the transactional update that completes an idempotency key
+ *
+ * Only the request still holding the key's lock can complete it. One whose
+ * lock lapsed and was taken over by a retry fails, and with it the write
+ * it was part of, so a slow request and its retry never both record.
+ * @param {Object} idempotency - Key, request hash and lock token held by the request
+ * @param {number} statusCode - Response status code to replay
+ * @param {Object} response - Response body to replay
+ * @returns {Object} TransactWrite update entry
+ */
+function buildIdempotencyCompletion(idempotency, statusCode, response) {
+  return {
+    Update: {
+      TableName: IDEMPOTENCY_TABLE,
+      Key: {
+        idempotencyKey: idempotency.key,
+      },
+      UpdateExpression: 'set #status = :completed, statusCode = :statusCode, #response = :response, completedAt = :completedAt',
+      ConditionExpression: '#status = :inProgress AND lockToken = :lockToken',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#response': 'response',
+      },
+      ExpressionAttributeValues: {
+        ':completed': 'completed',
+        ':statusCode': statusCode,
+        ':response': response,
+        ':completedAt': new Date().toISOString(),
+        ':inProgress': 'in_progress',
+        ':lockToken': idempotency.lockToken,
+      },
+    },
+  };
+}
+
+/**
+ * Build the transactional check that a shift is still open
+ * @param {string} shiftId - Shift ID
+ * @returns {Object} TransactWrite condition check entry
+ */
+function buildOpenShiftCheck(shiftId) {
+  return {
+    ConditionCheck: {
+      TableName: SHIFTS_TABLE,
+      Key: {
+        shiftId,
+      },
+      ConditionExpression: '#status = :open',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':open': 'open',
+      },
+    },
+  };
+}
+
+/**
+ * Key of the item marking that a cashier has a shift open
+ *
+ * It holds the open shift's ID as `shiftId`, and is written with the shift
+ * and deleted when it closes, so a cashier cannot open two at once.
+ * @param {string} cashierId - Cashier ID
+ * @returns {Object} Open shifts table key
+ */
+function openShiftMarkerKey(cashierId) {
+  return {
+    cashierId,
+  };
+}
+
+/**
+ * Work out whether a write was cancelled because its shift has closed
+ * @param {string} shiftId - Shift ID
+ * @throws {Error} 409 error if the shift is no longer open
+ */
+async function throwIfShiftClosed(shiftId) {
+  const result = await documentClient.get({
+    TableName: SHIFTS_TABLE,
+    Key: {
+      shiftId,
+    },
+    ConsistentRead: true,
+  }).promise();
+  
+  if (!result.Item || result.Item.status !== 'open') {
+    throw createError(409, 'The shift was closed, open a new shift and retry');
+  }
+}
+
+/**
+ * Explain a failed write that completed an idempotency key, if another request holds the key
+ *
+ * When the request that took the key over has already answered, its response
+ * is attached to the error as `idempotentResponse`, to be replayed.
+ * @param {Object} idempotency - Key and lock token held by the request
+ * @throws {Error} 409 if the key is no longer held by the request
+ */
+async function throwIfIdempotencyKeyLost(idempotency) {
+  const record = await idempotencyOperations.getKey(idempotency.key);
+  
+  if (record && record.lockToken === idempotency.lockToken) {
+    return;
+  }
+  
+  if (record && record.status === 'completed' && record.requestHash === idempotency.requestHash) {
+    const error = createError(409, 'A request with this idempotency key has already completed');
+    error.idempotentResponse = { statusCode: record.statusCode, response: record.response };
+    throw error;
+  }
+  
+  throw createError(409, 'A request with this idempotency key is still being processed');
+}
+
+/**
+ * Run a query one page at a time
+ * @param {Object} params - Query parameters
+ * @returns {AsyncGenerator<Array>} Pages of matching items
+ */
+async function* queryPages(params) {
+  const pageParams = { ...params };
+  let result;
+  
+  do {
+    result = await documentClient.query(pageParams).promise();
+    yield result.Items;
+    pageParams.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (result.LastEvaluatedKey);
+}
+
+/**
+ * Run a query and follow every page of results
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Array>} All matching items
+ */
+async function queryAll(params) {
+  const items = [];
+  
+  for await (const page of queryPages(params)) {
+    items.push(...page);
+  }
+  
+  return items;
+}
+
+/**
+ * Query parameters for one day of the transactions date index
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} Query parameters
+ */
+function transactionsOnDate(date) {
+  return {
+    TableName: TRANSACTIONS_TABLE,
+    IndexName: 'DateIndex',
+    KeyConditionExpression: '#date = :date',
+    ExpressionAttributeNames: {
+      '#date': 'date',
+    },
+    ExpressionAttributeValues: {
+      ':date': date,
+    },
+  };
+}
+
+/**
+ * Build the update of a product's fields, leaving its key and stock alone
+ * @param {string} productId - Product ID
+ * @param {Object} updates - Fields to update
+ * @returns {Object} Update parameters
+ */
+function buildProductUpdate(productId, updates) {
+  // Attribute names are aliased, as fields like name are reserved words
+  let updateExpression = 'set updatedAt = :updatedAt';
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = {
+    ':updatedAt': new Date().toISOString(),
+  };
+  
+  Object.keys(updates).forEach((key) => {
+    // Skip productId as it's a key, and stock which only moves through adjustStock and sales
+    if (key !== 'productId' && key !== 'stockOnHand' && key !== 'updatedAt') {
+      updateExpression += `, #${key} = :${key}`;
+      expressionAttributeNames[`#${key}`] = key;
+      expressionAttributeValues[`:${key}`] = updates[key];
+    }
+  });
+  
+  return {
+    TableName: PRODUCTS_TABLE,
+    Key: {
+      productId,
+    },
+    UpdateExpression: updateExpression,
+    ...(Object.keys(expressionAttributeNames).length > 0 && { ExpressionAttributeNames: expressionAttributeNames }),
+    ExpressionAttributeValues: expressionAttributeValues,
+    ReturnValues: 'ALL_NEW',
+  };
+}
+
+/**
+ * Condition that a product's prices have not changed since it was read
+ * @param {Object} product - Product as read
+ * @returns {Object} Condition expression and its values
+ */
+function buildPriceCheck(product) {
+  return product.priceUpdatedAt
+    ? { expression: 'priceUpdatedAt = :seenPriceUpdatedAt', values: { ':seenPriceUpdatedAt': product.priceUpdatedAt } }
+    : { expression: 'attribute_not_exists(priceUpdatedAt)', values: {} };
+}
+
+/**
+ * Build the write of a product's scheduled prices, applying any that are due
+ * @param {Object} product - Product at its current price
+ * @param {Array} scheduledPrices - Prices still to come
+ * @param {string} timestamp - Time of the change (ISO8601)
+ * @returns {Object} TransactWrite update entry
+ */
+function buildPriceScheduleUpdate(product, scheduledPrices, timestamp) {
+  const { ReturnValues, ...update } = buildProductUpdate(product.productId, {
+    ...(product.price !== undefined && { price: product.price }),
+    ...(product.priceEffectiveFrom && { priceEffectiveFrom: product.priceEffectiveFrom }),
+    scheduledPrices,
+    priceUpdatedAt: timestamp,
+  });
+  const check = buildPriceCheck(product);
+  
+  return {
+    Update: {
+      ...update,
+      ConditionExpression: check.expression,
+      ExpressionAttributeValues: { ...update.ExpressionAttributeValues, ...check.values },
+    },
+  };
+}
+
+/**
+ * Build the transactional record of a price change in the price history
+ * @param {Object} entry - Product ID, effective time, price and who set it
+ * @returns {Object} TransactWrite put entry
+ */
+function buildPriceRecord(entry) {
+  return {
+    Put: {
+      TableName: PRICES_TABLE,
+      Item: entry,
+      ConditionExpression: 'attribute_not_exists(effectiveFrom)',
+    },
+  };
+}
+
+/**
+ * Build the transactional claim of a barcode for a product, failing if it is taken
+ * @param {string} barcode - Normalized barcode
+ * @param {string} productId - Product ID
+ * @returns {Object} TransactWrite put entry
+ */
+function buildBarcodeClaim(barcode, productId) {
+  return {
+    Put: {
+      TableName: BARCODES_TABLE,
+      Item: {
+        barcode,
+        productId,
+      },
+      ConditionExpression: 'attribute_not_exists(barcode)',
+    },
+  };
+}
+
+/**
+ * Build the transactional release of a product's barcode
+ * @param {string} barcode - Normalized barcode
+ * @param {string} productId - Product ID that holds it
+ * @returns {Object} TransactWrite delete entry
+ */
+function buildBarcodeRelease(barcode, productId) {
+  return {
+    Delete: {
+      TableName: BARCODES_TABLE,
+      Key: {
+        barcode,
+      },
+      ConditionExpression: 'productId = :productId',
+      ExpressionAttributeValues: {
+        ':productId': productId,
+      },
+    },
+  };
+}
+
+/**
+ * Wait before retrying a request
+ * @param {number} attempt - Attempts made so far
+ * @returns {Promise<void>} Resolves after an exponential backoff
+ */
+function backoff(attempt) {
+  return new Promise(resolve => setTimeout(resolve, 50 * (2 ** attempt)));
+}
+
+/**
+ * Write requests to a table in batches, retrying items DynamoDB leaves unprocessed
+ * @param {string} tableName - Table name
+ * @param {Array} requests - PutRequest and DeleteRequest entries
+ * @returns {Promise<void>} Resolves once every request is written
+ */
+async function writeBatches(tableName, requests) {
+  for (let i = 0; i < requests.length; i += BATCH_WRITE_SIZE) {
+    let batch = requests.slice(i, i + BATCH_WRITE_SIZE);
+    
+    for (let attempt = 0; batch.length > 0; attempt += 1) {
+      if (attempt === BATCH_WRITE_ATTEMPTS) {
+        throw createError(503, `Writes to ${tableName} were throttled, please retry`);
+      }
+      
+      if (attempt > 0) {
+        await backoff(attempt);
+      }
+      
+      const result = await documentClient.batchWrite({
+        RequestItems: { [tableName]: batch },
+      }).promise();
+      
+      batch = (result.UnprocessedItems && result.UnprocessedItems[tableName]) || [];
+    }
+  }
+}
+
+// Product search index in DynamoDB: one item per term and product, with a
+// ProductIndex GSI on productId to find a product's terms again
+const dynamoSearchIndex = {
+  persistent: true,
+  
+  putProduct: async (product) => {
+    const terms = productTerms(product);
+    const current = await queryAll({
+      TableName: SEARCH_TABLE,
+      IndexName: 'ProductIndex',
+      KeyConditionExpression: 'productId = :productId',
+      ExpressionAttributeValues: {
+        ':productId': product.productId,
+      },
+    });
+    
+    // Every term is rewritten, so a renamed product is ranked on its new name
+    const stale = current.filter(entry => !terms.includes(entry.term));
+    const summary = searchSummary(product);
+    
+    await writeBatches(SEARCH_TABLE, [
+      ...stale.map(entry => ({ DeleteRequest: { Key: { term: entry.term, productId: product.productId } } })),
+      ...terms.map(term => ({ PutRequest: { Item: { term, ...summary } } })),
+    ]);
+  },
+  
+  removeProduct: async (productId) => {
+    const current = await queryAll({
+      TableName: SEARCH_TABLE,
+      IndexName: 'ProductIndex',
+      KeyConditionExpression: 'productId = :productId',
+      ExpressionAttributeValues: {
+        ':productId': productId,
+      },
+    });
+    
+    await writeBatches(SEARCH_TABLE, current.map(entry => ({
+      DeleteRequest: { Key: { term: entry.term, productId } },
+    })));
+  },
+  
+  findTerm: term => queryAll({
+    TableName: SEARCH_TABLE,
+    KeyConditionExpression: '#term = :term',
+    ExpressionAttributeNames: {
+      '#term': 'term',
+    },
+    ExpressionAttributeValues: {
+      ':term': term,
+    },
+  }),
+};
+
+const searchIndex = SEARCH_INDEX === 'memory' ? createMemorySearchIndex() : dynamoSearchIndex;
+
+// An in-memory index is filled from the catalog by the first search
+let searchIndexLoaded = searchIndex.persistent;
+
+/**
+ * Bring a product's search entries up to date
+ *
+ * The product is already saved, so a failure is logged rather than thrown;
+ * a reindex repairs the entries.
+ * @param {Object} product - Saved product
+ * @returns {Promise<void>} Resolves once indexed
+ */
+async function indexProduct(product) {
+  // Variants are found through their parent, archived products not at all
+  if (product.parentId || product.archivedAt) {
+    return;
+  }
+  
+  try {
+    await searchIndex.putProduct(product);
+  } catch (error) {
+    console.error(`Error indexing product ${product.productId}:`, error);
+  }
+}
+
+/**
+ * Remove an archived or deleted product's search entries
+ * @param {string} productId - Product ID
+ * @returns {Promise<void>} Resolves once removed
+ */
+async function unindexProduct(productId) {
+  try {
+    await searchIndex.removeProduct(productId);
+  } catch (error) {
+    console.error(`Error removing product ${productId} from the search index:`, error);
+  }
+}
+
+/**
+ * List the days in a date range
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Array<string>} Dates (YYYY-MM-DD), empty if the range is backwards
+ */
+function datesBetween(startDate, endDate) {
+  const dates = [];
+  const end = new Date(`${endDate}T00:00:00Z`);
+  
+  for (let day = new Date(`${startDate}T00:00:00Z`); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+    dates.push(day.toISOString().split('T')[0]);
+  }
+  
+  return dates;
+}
+
+/**
+ * Check a client's cursor is a key of an index, so a tampered one is refused
+ * rather than failing the query
+ * @param {Object} key - Decoded cursor
+ * @param {Object} expected - Attributes the key must have, with their value, or null for any string
+ * @returns {boolean} True if the key has exactly those attributes
+ */
+function isIndexKey(key, expected) {
+  const attributes = Object.keys(expected);
+  
+  return Object.keys(key).length === attributes.length
+    && attributes.every(attribute => typeof key[attribute] === 'string'
+      && (expected[attribute] === null || key[attribute] === expected[attribute]));
+}
+
+/**
+ * Query a day-partitioned index a page at a time, day by day
+ * @param {Array<string>} dates - Days to read (YYYY-MM-DD), oldest first
+ * @param {Function} paramsForDate - Builds the query of one day
+ * @param {Object} options - Listing options
+ * @param {number} [options.limit] - Items per page
+ * @param {string} [options.order] - newest or oldest first
+ * @param {Object} [options.lastEvaluatedKey] - Where the previous page stopped
+ * @returns {Promise<Object>} Items, and the key of the next page if there is one
+ */
+async function queryByDay(dates, paramsForDate, options = {}) {
+  const { limit = 50, order = 'newest', lastEvaluatedKey } = options;
+  const days = order === 'newest' ? [...dates].reverse() : dates;
+  
+  // The key names the day to resume on, and where in that day's query
+  let dayIndex = 0;
+  let exclusiveStartKey;
+  
+  if (lastEvaluatedKey) {
+    dayIndex = days.indexOf(lastEvaluatedKey.date);
+    exclusiveStartKey = lastEvaluatedKey.exclusiveStartKey;
+    
+    if (dayIndex === -1) {
+      throw createError(400, 'Last key does not belong to this date range');
+    }
+  }
+  
+  const items = [];
+  
+  for (; dayIndex < days.length; dayIndex += 1) {
+    const result = await documentClient.query({
+      ...paramsForDate(days[dayIndex]),
+      ScanIndexForward: order === 'oldest',
+      Limit: limit - items.length,
+      ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey }),
+    }).promise();
+    
+    items.push(...result.Items);
+    exclusiveStartKey = result.LastEvaluatedKey;
+    
+    if (exclusiveStartKey) {
+      return {
+        items,
+        lastEvaluatedKey: { date: days[dayIndex], exclusiveStartKey },
+      };
+    }
+    
+    if (items.length >= limit && dayIndex + 1 < days.length) {
+      return {
+        items,
+        lastEvaluatedKey: { date: days[dayIndex + 1] },
+      };
+    }
+  }
+  
+  return { items };
+}
 
 // Product operations
 const productOperations = {
   /**
    * Get all products
    * @param {Object} options - Query options
+   * @param {boolean} [options.archived] - List archived products instead of the catalog
    * @returns {Promise<Array>} List of products
    */
   getAllProducts: async (options = {}) => {
-    const { category, limit = 50, lastEvaluatedKey } = options;
+    const { category, archived = false, limit = 50, lastEvaluatedKey } = options;
+    const archivedFilter = archived ? 'attribute_exists(archivedAt)' : 'attribute_not_exists(archivedAt)';
     
+    // Variants are listed under their parent, not on their own
     let params = {
       TableName: PRODUCTS_TABLE,
+      FilterExpression: `attribute_not_exists(parentId) AND ${archivedFilter}`,
       Limit: limit,
     };
     
@@ -42,283 +732,2076 @@ const productOperations = {
       params.ExclusiveStartKey = lastEvaluatedKey;
     }
     
-    // If category is provided, use the GSI
-    if (category) {
-      params = {
-        TableName: PRODUCTS_TABLE,
-        IndexName: 'CategoryIndex',
-        KeyConditionExpression: 'category = :category',
-        ExpressionAttributeValues: {
-          ':category': category,
+    // If category is provided, use the GSI
+    if (category) {
+      params = {
+        TableName: PRODUCTS_TABLE,
+        IndexName: 'CategoryIndex',
+        KeyConditionExpression: 'category = :category',
+        FilterExpression: archivedFilter,
+        ExpressionAttributeValues: {
+          ':category': category,
+        },
+        Limit: limit,
+      };
+      
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+    }
+    
+    try {
+      const result = category
+        ? await documentClient.query(params).promise()
+        : await documentClient.scan(params).promise();
+      return {
+        items: await productOperations.withVariants(result.Items.map(product => withCurrentPrice(product))),
+        lastEvaluatedKey: result.LastEvaluatedKey,
+      };
+    } catch (error) {
+      console.error('Error fetching products:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get every product, following every page of the scan
+   * @returns {Promise<Array>} All products
+   */
+  scanAllProducts: async () => {
+    const params = {
+      TableName: PRODUCTS_TABLE,
+    };
+    
+    try {
+      const items = [];
+      let result;
+      
+      do {
+        result = await documentClient.scan(params).promise();
+        items.push(...result.Items.map(product => withCurrentPrice(product)));
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+      } while (result.LastEvaluatedKey);
+      
+      return items;
+    } catch (error) {
+      console.error('Error scanning products:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get product by ID, at its current price
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object>} Product details
+   */
+  getProductById: async (productId) => {
+    const params = {
+      TableName: PRODUCTS_TABLE,
+      Key: {
+        productId,
+      },
+    };
+    
+    try {
+      const result = await documentClient.get(params).promise();
+      return withCurrentPrice(result.Item);
+    } catch (error) {
+      console.error(`Error fetching product ${productId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the variants of a product
+   * @param {string} parentId - Parent product ID
+   * @returns {Promise<Array>} Variants
+   */
+  getVariants: async (parentId) => {
+    const params = {
+      TableName: PRODUCTS_TABLE,
+      IndexName: 'ParentIndex',
+      KeyConditionExpression: 'parentId = :parentId',
+      ExpressionAttributeValues: {
+        ':parentId': parentId,
+      },
+    };
+    
+    try {
+      return (await queryAll(params)).map(variant => withCurrentPrice(variant));
+    } catch (error) {
+      console.error(`Error fetching variants of product ${parentId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Nest variants under the products that have them, leaving archived variants out
+   * @param {Array} products - Products
+   * @returns {Promise<Array>} Products, with variants nested where they have them
+   */
+  withVariants: products => Promise.all(products.map(async product => (product.hasVariants
+    ? nestVariants(product, (await productOperations.getVariants(product.productId)).filter(variant => !variant.archivedAt))
+    : product))),
+  
+  /**
+   * Get product by barcode
+   * @param {string} barcode - Normalized barcode
+   * @returns {Promise<Object>} Product details
+   */
+  getProductByBarcode: async (barcode) => {
+    const params = {
+      TableName: BARCODES_TABLE,
+      Key: {
+        barcode,
+      },
+    };
+    
+    try {
+      const result = await documentClient.get(params).promise();
+      return result.Item ? await productOperations.getProductById(result.Item.productId) : undefined;
+    } catch (error) {
+      console.error(`Error fetching product with barcode ${barcode}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Create new product
+   * @param {Object} product - Product data
+   * @returns {Promise<Object>} Created product
+   */
+  createProduct: async (product) => {
+    const timestamp = new Date().toISOString();
+    const productId = uuidv4();
+    
+    const params = {
+      TableName: PRODUCTS_TABLE,
+      Item: {
+        productId,
+        ...product,
+        stockOnHand: parseInt(product.stockOnHand, 10) || 0,
+        allowNegativeStock: product.allowNegativeStock === true,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      },
+    };
+    
+    try {
+      if (!params.Item.barcode) {
+        await documentClient.put(params).promise();
+        await indexProduct(params.Item);
+        return params.Item;
+      }
+      
+      // The barcode table is the uniqueness guarantee, so claim it with the product
+      await documentClient.transactWrite({
+        TransactItems: [
+          {
+            Put: {
+              ...params,
+              ConditionExpression: 'attribute_not_exists(productId)',
+            },
+          },
+          buildBarcodeClaim(params.Item.barcode, params.Item.productId),
+        ],
+      }).promise();
+      await indexProduct(params.Item);
+      return params.Item;
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        throw createError(409, 'Barcode is already assigned to another product', { barcode: params.Item.barcode });
+      }
+      
+      console.error('Error creating product:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Create a product with variants, all in one transactional write
+   * @param {Object} product - Parent product data, including its variant options
+   * @param {Array} variants - Variants with their options, SKU, barcode, price and stock
+   * @returns {Promise<Object>} Created product with its variants
+   */
+  createProductWithVariants: async (product, variants) => {
+    const timestamp = new Date().toISOString();
+    const parent = {
+      productId: uuidv4(),
+      ...product,
+      hasVariants: true,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    };
+    
+    const variantItems = variants.map(variant => ({
+      productId: uuidv4(),
+      ...variant,
+      parentId: parent.productId,
+      stockOnHand: parseInt(variant.stockOnHand, 10) || 0,
+      allowNegativeStock: variant.allowNegativeStock === true,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    }));
+    
+    const transactItems = [parent, ...variantItems].map(item => ({
+      Put: {
+        TableName: PRODUCTS_TABLE,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(productId)',
+      },
+    }));
+    variantItems.filter(variant => variant.barcode).forEach((variant) => {
+      transactItems.push(buildBarcodeClaim(variant.barcode, variant.productId));
+    });
+    
+    if (transactItems.length > MAX_TRANSACT_ITEMS) {
+      throw createError(400, 'Too many variants to create at once, add the rest afterwards');
+    }
+    
+    try {
+      await documentClient.transactWrite({ TransactItems: transactItems }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        throw createError(409, 'A variant barcode is already assigned to another product');
+      }
+      
+      console.error('Error creating product with variants:', error);
+      throw error;
+    }
+    
+    await indexProduct(parent);
+    return nestVariants(parent, variantItems);
+  },
+  
+  /**
+   * Update product; a new price is recorded in the price history with who set it
+   * @param {string} productId - Product ID
+   * @param {Object} updates - Fields to update
+   * @param {Object} [options] - Update options
+   * @param {string} [options.changedBy] - User changing the product
+   * @returns {Promise<Object>} Updated product
+   */
+  updateProduct: async (productId, updates, options = {}) => {
+    const needsCurrent = updates.barcode !== undefined || updates.price !== undefined;
+    const current = needsCurrent ? await productOperations.getProductById(productId) : undefined;
+    
+    if (needsCurrent && !current) {
+      throw createError(404, 'Product not found');
+    }
+    
+    const barcodeChanged = Boolean(current) && updates.barcode !== undefined && current.barcode !== updates.barcode;
+    const priceChanged = Boolean(current) && updates.price !== undefined && Number(updates.price) !== current.price;
+    
+    if (barcodeChanged || priceChanged) {
+      const timestamp = new Date().toISOString();
+      
+      // A price set now takes over from the current one, scheduled prices still to come stay
+      const { ReturnValues, ...update } = buildProductUpdate(productId, priceChanged ? {
+        ...updates,
+        price: Number(updates.price),
+        priceEffectiveFrom: timestamp,
+        priceUpdatedAt: timestamp,
+        ...(current.scheduledPrices && { scheduledPrices: current.scheduledPrices }),
+      } : updates);
+      const conditions = [];
+      const values = {};
+      
+      if (barcodeChanged) {
+        conditions.push(current.barcode ? '#barcode = :currentBarcode' : 'attribute_not_exists(#barcode)');
+        if (current.barcode) {
+          values[':currentBarcode'] = current.barcode;
+        }
+      }
+      
+      if (priceChanged) {
+        const check = buildPriceCheck(current);
+        conditions.push(check.expression);
+        Object.assign(values, check.values);
+      }
+      
+      try {
+        // Moving to a new barcode claims it and releases the old one in the same write
+        await documentClient.transactWrite({
+          TransactItems: [
+            {
+              Update: {
+                ...update,
+                ConditionExpression: conditions.join(' AND '),
+                ExpressionAttributeValues: { ...update.ExpressionAttributeValues, ...values },
+              },
+            },
+            ...(barcodeChanged ? [buildBarcodeClaim(updates.barcode, productId)] : []),
+            ...(barcodeChanged && current.barcode ? [buildBarcodeRelease(current.barcode, productId)] : []),
+            ...(priceChanged ? [buildPriceRecord({
+              productId,
+              effectiveFrom: timestamp,
+              price: Number(updates.price),
+              ...(current.price !== undefined && { previousPrice: current.price }),
+              ...(options.changedBy && { changedBy: options.changedBy }),
+              changedAt: timestamp,
+            })] : []),
+          ],
+        }).promise();
+        
+        const product = await productOperations.getProductById(productId);
+        await indexProduct(product);
+        return product;
+      } catch (error) {
+        if (error.code === 'TransactionCanceledException') {
+          const latest = priceChanged ? await productOperations.getProductById(productId) : undefined;
+          
+          if (latest && latest.priceUpdatedAt !== current.priceUpdatedAt) {
+            throw createError(409, 'The price was changed at the same time, please retry');
+          }
+          
+          if (barcodeChanged) {
+            throw createError(409, 'Barcode is already assigned to another product', { barcode: updates.barcode });
+          }
+        }
+        
+        console.error(`Error updating product ${productId}:`, error);
+        throw error;
+      }
+    }
+    
+    try {
+      const result = await documentClient.update(buildProductUpdate(productId, updates)).promise();
+      await indexProduct(result.Attributes);
+      return withCurrentPrice(result.Attributes);
+    } catch (error) {
+      console.error(`Error updating product ${productId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Schedule a price to take effect at a future time
+   * @param {string} productId - Product ID
+   * @param {Object} scheduled - Price and the time it takes effect (ISO8601)
+   * @param {string} changedBy - User scheduling the price
+   * @returns {Promise<Object>} Price history entry
+   */
+  schedulePrice: async (productId, scheduled, changedBy) => {
+    const current = await productOperations.getProductById(productId);
+    
+    if (!current) {
+      throw createError(404, 'Product not found');
+    }
+    
+    const pending = current.scheduledPrices || [];
+    
+    if (pending.some(entry => entry.effectiveFrom === scheduled.effectiveFrom)) {
+      throw createError(409, 'A price is already scheduled for this time');
+    }
+    
+    const timestamp = new Date().toISOString();
+    const { price: previousPrice } = effectivePrice(current, scheduled.effectiveFrom);
+    const scheduledPrices = [...pending, { price: scheduled.price, effectiveFrom: scheduled.effectiveFrom }]
+      .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    const entry = {
+      productId,
+      effectiveFrom: scheduled.effectiveFrom,
+      price: scheduled.price,
+      ...(previousPrice !== undefined && { previousPrice }),
+      changedBy,
+      changedAt: timestamp,
+    };
+    
+    try {
+      await documentClient.transactWrite({
+        TransactItems: [
+          buildPriceScheduleUpdate(current, scheduledPrices, timestamp),
+          buildPriceRecord(entry),
+        ],
+      }).promise();
+      return entry;
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        throw createError(409, 'The product\'s prices changed at the same time, please retry');
+      }
+      
+      console.error(`Error scheduling a price for product ${productId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Cancel a scheduled price before it takes effect, keeping it in the history
+   * @param {string} productId - Product ID
+   * @param {string} effectiveFrom - When the price was to take effect (ISO8601)
+   * @param {string} cancelledBy - User cancelling the price
+   * @returns {Promise<Object>} Cancelled price history entry
+   */
+  cancelScheduledPrice: async (productId, effectiveFrom, cancelledBy) => {
+    const current = await productOperations.getProductById(productId);
+    
+    if (!current) {
+      throw createError(404, 'Product not found');
+    }
+    
+    const pending = current.scheduledPrices || [];
+    
+    if (!pending.some(entry => entry.effectiveFrom === effectiveFrom)) {
+      throw createError(404, 'No price is scheduled for this time');
+    }
+    
+    const timestamp = new Date().toISOString();
+    const params = {
+      TableName: PRICES_TABLE,
+      Key: {
+        productId,
+        effectiveFrom,
+      },
+      UpdateExpression: 'set cancelledAt = :cancelledAt, cancelledBy = :cancelledBy',
+      ConditionExpression: 'attribute_exists(effectiveFrom) AND attribute_not_exists(cancelledAt)',
+      ExpressionAttributeValues: {
+        ':cancelledAt': timestamp,
+        ':cancelledBy': cancelledBy,
+      },
+    };
+    
+    try {
+      await documentClient.transactWrite({
+        TransactItems: [
+          buildPriceScheduleUpdate(current, pending.filter(entry => entry.effectiveFrom !== effectiveFrom), timestamp),
+          { Update: params },
+        ],
+      }).promise();
+      
+      const result = await documentClient.get({ TableName: PRICES_TABLE, Key: params.Key }).promise();
+      return result.Item;
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        throw createError(409, 'The product\'s prices changed at the same time, please retry');
+      }
+      
+      console.error(`Error cancelling the price scheduled for product ${productId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get a product's price history, newest first, scheduled prices included
+   * @param {string} productId - Product ID
+   * @returns {Promise<Array>} Price history entries
+   */
+  getPriceHistory: async (productId) => {
+    const params = {
+      TableName: PRICES_TABLE,
+      KeyConditionExpression: 'productId = :productId',
+      ExpressionAttributeValues: {
+        ':productId': productId,
+      },
+      ScanIndexForward: false,
+    };
+    
+    try {
+      return await queryAll(params);
+    } catch (error) {
+      console.error(`Error fetching price history of product ${productId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Create products in batches, retrying items DynamoDB leaves unprocessed
+   * @param {Array} products - Products with their new product IDs
+   * @returns {Promise<Object>} IDs created, and the failures with their reason
+   */
+  batchCreateProducts: async (products) => {
+    const timestamp = new Date().toISOString();
+    const created = [];
+    const failed = [];
+    
+    // Barcodes have to be claimed transactionally, which a batch write cannot do
+    const withBarcodes = products.filter(product => product.barcode);
+    const batchable = products.filter(product => !product.barcode);
+    
+    for (let i = 0; i < withBarcodes.length; i += BATCH_WRITE_SIZE) {
+      const batch = withBarcodes.slice(i, i + BATCH_WRITE_SIZE);
+      const results = await Promise.allSettled(batch.map(product => productOperations.createProduct(product)));
+      
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          created.push(batch[index].productId);
+        } else {
+          failed.push({ productId: batch[index].productId, message: result.reason.message });
+        }
+      });
+    }
+    
+    for (let i = 0; i < batchable.length; i += BATCH_WRITE_SIZE) {
+      let requests = batchable.slice(i, i + BATCH_WRITE_SIZE).map(product => ({
+        PutRequest: {
+          Item: {
+            ...product,
+            stockOnHand: parseInt(product.stockOnHand, 10) || 0,
+            allowNegativeStock: product.allowNegativeStock === true,
+            createdAt: timestamp,
+            updatedAt: timestamp,
+          },
+        },
+      }));
+      
+      try {
+        for (let attempt = 0; requests.length > 0 && attempt < BATCH_WRITE_ATTEMPTS; attempt += 1) {
+          if (attempt > 0) {
+            await backoff(attempt);
+          }
+          
+          const result = await documentClient.batchWrite({
+            RequestItems: { [PRODUCTS_TABLE]: requests },
+          }).promise();
+          
+          const unprocessed = (result.UnprocessedItems && result.UnprocessedItems[PRODUCTS_TABLE]) || [];
+          const unprocessedIds = new Set(unprocessed.map(request => request.PutRequest.Item.productId));
+          
+          requests.forEach((request) => {
+            if (!unprocessedIds.has(request.PutRequest.Item.productId)) {
+              created.push(request.PutRequest.Item.productId);
+            }
+          });
+          
+          requests = unprocessed;
+        }
+        
+        requests.forEach(request => failed.push({
+          productId: request.PutRequest.Item.productId,
+          message: 'Write was throttled, please retry',
+        }));
+      } catch (error) {
+        console.error('Error writing product batch:', error);
+        requests.forEach(request => failed.push({
+          productId: request.PutRequest.Item.productId,
+          message: error.message,
+        }));
+      }
+    }
+    
+    // Products with barcodes were indexed as they were created
+    const createdIds = new Set(created);
+    for (const product of batchable.filter(item => createdIds.has(item.productId))) {
+      await indexProduct(product);
+    }
+    
+    return { created, failed };
+  },
+  
+  /**
+   * Update many products, a batch at a time
+   * @param {Array} updates - Entries of productId and the fields to change
+   * @param {Object} [options] - Update options
+   * @param {string} [options.changedBy] - User changing the products
+   * @returns {Promise<Object>} IDs updated, and the failures with their reason
+   */
+  bulkUpdateProducts: async (updates, options = {}) => {
+    const updated = [];
+    const failed = [];
+    
+    // Updates cannot go in a batch write, which would overwrite stock moved by concurrent sales
+    for (let i = 0; i < updates.length; i += BATCH_WRITE_SIZE) {
+      const batch = updates.slice(i, i + BATCH_WRITE_SIZE);
+      
+      // Barcode and price changes write to other tables as well
+      const results = await Promise.allSettled(batch.map(({ productId, changes }) => (changes.barcode || changes.price !== undefined
+        ? productOperations.updateProduct(productId, changes, options)
+        : documentClient.update({
+          ...buildProductUpdate(productId, changes),
+          ConditionExpression: 'attribute_exists(productId)',
+        }).promise().then(async (result) => {
+          await indexProduct(result.Attributes);
+          return result.Attributes;
+        }))));
+      
+      results.forEach((result, index) => {
+        const { productId } = batch[index];
+        
+        if (result.status === 'fulfilled') {
+          updated.push(productId);
+        } else {
+          console.error(`Error updating product ${productId}:`, result.reason);
+          failed.push({
+            productId,
+            message: result.reason.code === 'ConditionalCheckFailedException' || result.reason.statusCode === 404
+              ? 'Product was deleted during the import'
+              : result.reason.message,
+          });
+        }
+      });
+    }
+    
+    return { updated, failed };
+  },
+  
+  /**
+   * Adjust stock on hand for a product
+   * @param {string} productId - Product ID
+   * @param {number} adjustment - Quantity to add (negative to remove)
+   * @returns {Promise<Object>} Updated product
+   */
+  adjustStock: async (productId, adjustment) => {
+    const params = {
+      TableName: PRODUCTS_TABLE,
+      Key: {
+        productId,
+      },
+      UpdateExpression: 'set updatedAt = :updatedAt ADD stockOnHand :adjustment',
+      ConditionExpression: 'attribute_exists(productId)',
+      ExpressionAttributeValues: {
+        ':updatedAt': new Date().toISOString(),
+        ':adjustment': adjustment,
+      },
+      ReturnValues: 'ALL_NEW',
+    };
+    
+    // Removing stock must not take it below zero unless the product allows it
+    if (adjustment < 0) {
+      params.ConditionExpression += ' AND (stockOnHand >= :required OR allowNegativeStock = :true)';
+      params.ExpressionAttributeValues[':required'] = -adjustment;
+      params.ExpressionAttributeValues[':true'] = true;
+    }
+    
+    try {
+      const result = await documentClient.update(params).promise();
+      return withCurrentPrice(result.Attributes);
+    } catch (error) {
+      console.error(`Error adjusting stock for product ${productId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Archive a product, taking it out of the catalog and search while it stays
+   * readable by ID for the transactions that reference it
+   * @param {string} productId - Product ID
+   * @param {string} archivedBy - User archiving the product
+   * @returns {Promise<Object>} Archived product
+   */
+  archiveProduct: async (productId, archivedBy) => {
+    const params = {
+      TableName: PRODUCTS_TABLE,
+      Key: {
+        productId,
+      },
+      UpdateExpression: 'set archivedAt = :archivedAt, archivedBy = :archivedBy, updatedAt = :archivedAt',
+      ConditionExpression: 'attribute_exists(productId) AND attribute_not_exists(archivedAt)',
+      ExpressionAttributeValues: {
+        ':archivedAt': new Date().toISOString(),
+        ':archivedBy': archivedBy,
+      },
+      ReturnValues: 'ALL_NEW',
+    };
+    
+    try {
+      const result = await documentClient.update(params).promise();
+      await unindexProduct(productId);
+      return withCurrentPrice(result.Attributes);
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw createError(409, 'Product is already archived');
+      }
+      
+      console.error(`Error archiving product ${productId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Bring an archived product back into the catalog and search
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object>} Restored product
+   */
+  restoreProduct: async (productId) => {
+    const params = {
+      TableName: PRODUCTS_TABLE,
+      Key: {
+        productId,
+      },
+      UpdateExpression: 'set updatedAt = :updatedAt REMOVE archivedAt, archivedBy',
+      ConditionExpression: 'attribute_exists(archivedAt)',
+      ExpressionAttributeValues: {
+        ':updatedAt': new Date().toISOString(),
+      },
+      ReturnValues: 'ALL_NEW',
+    };
+    
+    try {
+      const result = await documentClient.update(params).promise();
+      await indexProduct(result.Attributes);
+      return withCurrentPrice(result.Attributes);
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw createError(409, 'Product is not archived');
+      }
+      
+      console.error(`Error restoring product ${productId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Delete product permanently, releasing its barcode
+   * @param {string} productId - Product ID
+   * @returns {Promise<boolean>} Deletion success
+   */
+  deleteProduct: async (productId) => {
+    const params = {
+      TableName: PRODUCTS_TABLE,
+      Key: {
+        productId,
+      },
+    };
+    
+    try {
+      const product = await productOperations.getProductById(productId);
+      
+      if (product && product.barcode) {
+        await documentClient.transactWrite({
+          TransactItems: [
+            { Delete: params },
+            buildBarcodeRelease(product.barcode, productId),
+          ],
+        }).promise();
+        await unindexProduct(productId);
+        return true;
+      }
+      
+      await documentClient.delete(params).promise();
+      await unindexProduct(productId);
+      return true;
+    } catch (error) {
+      console.error(`Error deleting product ${productId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Search products by name, SKU, category and description
+   *
+   * Every word of the query must match, by prefix for name, SKU and category
+   * words. Results are ranked exact SKU, exact name, then by how well the
+   * name matches, and paged with the last result's rank as the cursor.
+   * @param {string} query - Search text
+   * @param {Object} options - Search options
+   * @param {string} [options.category] - Only products in this category
+   * @param {number} [options.limit] - Results per page
+   * @param {Object} [options.lastEvaluatedKey] - Rank of the last result of the previous page
+   * @returns {Promise<Object>} Products, and the key of the next page if there is one
+   */
+  searchProducts: async (query, options = {}) => {
+    const { category, limit = 20, lastEvaluatedKey } = options;
+    const normalizedQuery = normalizeText(query);
+    const words = tokenize(query).filter(word => word.length >= MIN_PREFIX_LENGTH);
+    
+    try {
+      if (!searchIndexLoaded) {
+        await productOperations.reindexProducts();
+      }
+      
+      // Look every word up, then keep the products that matched them all
+      const matches = await Promise.all(words.map(word => searchIndex.findTerm(lookupTerm(word))));
+      matches.sort((a, b) => a.length - b.length);
+      const [candidates = [], ...others] = matches;
+      const otherIds = others.map(entries => new Set(entries.map(entry => entry.productId)));
+      
+      const ranked = candidates
+        .filter(entry => otherIds.every(ids => ids.has(entry.productId)))
+        .filter(entry => !category || normalizeText(entry.category) === normalizeText(category))
+        .map(entry => ({
+          productId: entry.productId,
+          name: entry.name,
+          score: scoreMatch(entry, normalizedQuery, words),
+        }))
+        .sort(compareRanked);
+      
+      const start = lastEvaluatedKey
+        ? ranked.findIndex(result => compareRanked(lastEvaluatedKey, result) < 0)
+        : 0;
+      const page = start === -1 ? [] : ranked.slice(start, start + limit);
+      const hasMore = start !== -1 && start + limit < ranked.length;
+      
+      if (page.length === 0) {
+        return { items: [] };
+      }
+      
+      const productsById = new Map();
+      let requestItems = {
+        [PRODUCTS_TABLE]: {
+          Keys: page.map(({ productId }) => ({ productId })),
+        },
+      };
+      
+      for (let attempt = 0; requestItems[PRODUCTS_TABLE] && attempt < BATCH_WRITE_ATTEMPTS; attempt += 1) {
+        if (attempt > 0) {
+          await backoff(attempt);
+        }
+        
+        const result = await documentClient.batchGet({ RequestItems: requestItems }).promise();
+        result.Responses[PRODUCTS_TABLE].forEach(product => productsById.set(product.productId, withCurrentPrice(product)));
+        requestItems = result.UnprocessedKeys || {};
+      }
+      
+      if (requestItems[PRODUCTS_TABLE]) {
+        throw createError(503, 'Product reads were throttled, please retry');
+      }
+      
+      // Keep the ranked order, leaving out products archived or deleted since they were indexed
+      const products = page
+        .map(({ productId }) => productsById.get(productId))
+        .filter(product => product && !product.archivedAt);
+      
+      return {
+        items: await productOperations.withVariants(products),
+        lastEvaluatedKey: hasMore ? page[page.length - 1] : undefined,
+      };
+    } catch (error) {
+      console.error(`Error searching products for '${query}':`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Rebuild the search entries of every product
+   * @returns {Promise<number>} Products indexed
+   */
+  reindexProducts: async () => {
+    const products = (await productOperations.scanAllProducts())
+      .filter(product => !product.parentId && !product.archivedAt);
+    
+    for (const product of products) {
+      await searchIndex.putProduct(product);
+    }
+    
+    searchIndexLoaded = true;
+    return products.length;
+  },
+};
+
+// Transaction operations
+const transactionOperations = {
+  /**
+   * Create new transaction
+   * @param {Object} transaction - Transaction data
+   * @param {Object} [options] - Creation options
+   * @param {Object} [options.idempotency] - Idempotency key to complete in the same write
+   * @param {string} [options.saleTimestamp] - When an offline sale actually happened
+   * @returns {Promise<Object>} Created transaction
+   */
+  createTransaction: async (transaction, options = {}) => {
+    const receivedAt = new Date().toISOString();
+    const timestamp = options.saleTimestamp || receivedAt;
+    const date = timestamp.split('T')[0]; // Extract YYYY-MM-DD
+    const transactionId = uuidv4();
+    
+    const item = {
+      ...transaction,
+      transactionId,
+      timestamp,
+      date, // For date-based queries
+      status: 'completed',
+      ...(options.saleTimestamp && { receivedAt }),
+    };
+    
+    // Goods sold offline have already left the store, so record them even if stock goes negative.
+    // Products are marked sold when the sale arrives, so one rung up offline still holds off a purge
+    const stockUpdates = withLastSoldAt(
+      buildStockUpdates(transaction.items, -1, Boolean(options.saleTimestamp)),
+      transaction.items || [],
+      receivedAt,
+    );
+    
+    const params = {
+      TransactItems: [
+        {
+          Put: {
+            TableName: TRANSACTIONS_TABLE,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(transactionId)',
+          },
+        },
+        ...stockUpdates,
+      ],
+    };
+    
+    // A sale cannot land in a shift that has already been counted
+    if (transaction.shiftId) {
+      params.TransactItems.push(buildOpenShiftCheck(transaction.shiftId));
+    }
+    
+    // Record the result against the idempotency key, so a retry can never sell twice
+    if (options.idempotency) {
+      params.TransactItems.push(buildIdempotencyCompletion(options.idempotency, 201, item));
+    }
+    
+    if (params.TransactItems.length > MAX_TRANSACT_ITEMS) {
+      const maxProducts = MAX_TRANSACT_ITEMS - (params.TransactItems.length - stockUpdates.length);
+      throw createError(400, `A transaction cannot contain more than ${maxProducts} different products`);
+    }
+    
+    try {
+      await documentClient.transactWrite(params).promise();
+      return item;
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        if (options.idempotency) {
+          await throwIfIdempotencyKeyLost(options.idempotency);
+        }
+        
+        await throwIfShortOfStock(transaction.items);
+        
+        if (transaction.shiftId) {
+          await throwIfShiftClosed(transaction.shiftId);
+        }
+      }
+      
+      console.error('Error creating transaction:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Void a completed transaction and return its stock
+   * @param {Object} transaction - Transaction to void
+   * @param {Object} voidDetails - Who approved the void and why
+   * @returns {Promise<Object>} Voided transaction
+   */
+  voidTransaction: async (transaction, voidDetails) => {
+    const timestamp = new Date().toISOString();
+    
+    const voidRecord = {
+      ...voidDetails,
+      voidedAt: timestamp,
+    };
+    
+    const params = {
+      TransactItems: [
+        {
+          Update: {
+            TableName: TRANSACTIONS_TABLE,
+            Key: {
+              transactionId: transaction.transactionId,
+            },
+            UpdateExpression: 'set #status = :voided, #void = :void, updatedAt = :updatedAt',
+            // Only untouched sales can be voided, refunded ones must be refunded in full instead
+            ConditionExpression: '#status = :completed',
+            ExpressionAttributeNames: {
+              '#status': 'status',
+              '#void': 'void',
+            },
+            ExpressionAttributeValues: {
+              ':voided': 'voided',
+              ':completed': 'completed',
+              ':void': voidRecord,
+              ':updatedAt': timestamp,
+            },
+          },
+        },
+        ...buildStockUpdates(transaction.items, 1),
+      ],
+    };
+    
+    try {
+      await documentClient.transactWrite(params).promise();
+      return {
+        ...transaction,
+        status: 'voided',
+        void: voidRecord,
+        updatedAt: timestamp,
+      };
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        throw createError(409, 'Only completed transactions can be voided');
+      }
+      
+      console.error(`Error voiding transaction ${transaction.transactionId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get transaction by ID
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Object>} Transaction details
+   */
+  getTransactionById: async (transactionId) => {
+    const params = {
+      TableName: TRANSACTIONS_TABLE,
+      Key: {
+        transactionId,
+      },
+    };
+    
+    try {
+      const result = await documentClient.get(params).promise();
+      return result.Item;
+    } catch (error) {
+      console.error(`Error fetching transaction ${transactionId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get transactions by date range, following every page of every day
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Transactions within date range
+   */
+  getTransactionsByDateRange: async (startDate, endDate) => {
+    // The date is the index's partition key, so each day is its own query
+    const dates = datesBetween(startDate, endDate);
+    const transactions = [];
+    
+    try {
+      for (let i = 0; i < dates.length; i += DATE_QUERY_CONCURRENCY) {
+        const days = await Promise.all(dates.slice(i, i + DATE_QUERY_CONCURRENCY)
+          .map(date => queryAll(transactionsOnDate(date))));
+        
+        days.forEach(items => transactions.push(...items));
+      }
+      
+      return transactions;
+    } catch (error) {
+      console.error(`Error fetching transactions between ${startDate} and ${endDate}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Read transactions for a date range one page at a time, day by day, so
+   * callers can stream any volume without holding it in memory
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {AsyncGenerator<Array>} Pages of transactions
+   */
+  iterateTransactionsByDateRange: async function* (startDate, endDate) {
+    for (const date of datesBetween(startDate, endDate)) {
+      try {
+        yield* queryPages(transactionsOnDate(date));
+      } catch (error) {
+        console.error(`Error reading transactions for ${date}:`, error);
+        throw error;
+      }
+    }
+  },
+  
+  /**
+   * List transactions in a date range a page at a time
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Object} options - Listing options
+   * @param {number} [options.limit] - Transactions per page
+   * @param {string} [options.order] - newest or oldest first
+   * @param {Object} [options.lastEvaluatedKey] - Where the previous page stopped
+   * @returns {Promise<Object>} Transactions, and the key of the next page if there is one
+   */
+  listTransactionsByDateRange: async (startDate, endDate, options = {}) => {
+    try {
+      return await queryByDay(datesBetween(startDate, endDate), transactionsOnDate, options);
+    } catch (error) {
+      console.error(`Error listing transactions between ${startDate} and ${endDate}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get every transaction by a cashier
+   * @param {string} cashierId - Cashier ID
+   * @returns {Promise<Array>} Transactions by cashier
+   */
+  getTransactionsByCashier: async (cashierId) => {
+    const params = {
+      TableName: TRANSACTIONS_TABLE,
+      IndexName: 'CashierIndex',
+      KeyConditionExpression: 'cashierId = :cashierId',
+      ExpressionAttributeValues: {
+        ':cashierId': cashierId,
+      },
+    };
+    
+    try {
+      return await queryAll(params);
+    } catch (error) {
+      console.error(`Error fetching transactions for cashier ${cashierId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * List a cashier's transactions a page at a time
+   * @param {string} cashierId - Cashier ID
+   * @param {Object} options - Listing options
+   * @param {string} [options.startDate] - Only from this date (YYYY-MM-DD), with endDate
+   * @param {string} [options.endDate] - Only up to this date (YYYY-MM-DD), with startDate
+   * @param {string} [options.shiftId] - Only those rung up in this shift
+   * @param {number} [options.limit] - Transactions per page
+   * @param {string} [options.order] - newest or oldest first
+   * @param {Object} [options.lastEvaluatedKey] - Where the previous page stopped
+   * @returns {Promise<Object>} Transactions, and the key of the next page if there is one
+   */
+  listTransactionsByCashier: async (cashierId, options = {}) => {
+    const { startDate, endDate, shiftId, limit = 50, order = 'newest', lastEvaluatedKey } = options;
+    
+    if (lastEvaluatedKey && !isIndexKey(lastEvaluatedKey, { transactionId: null, cashierId, timestamp: null })) {
+      throw createError(400, 'Last key does not belong to this listing');
+    }
+    
+    const params = {
+      TableName: TRANSACTIONS_TABLE,
+      IndexName: 'CashierIndex',
+      KeyConditionExpression: 'cashierId = :cashierId',
+      ExpressionAttributeValues: {
+        ':cashierId': cashierId,
+      },
+      ScanIndexForward: order === 'oldest',
+      Limit: limit,
+      ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey }),
+    };
+    
+    // The index is sorted by timestamp, so a date range narrows the query itself
+    if (startDate && endDate) {
+      params.KeyConditionExpression += ' AND #timestamp BETWEEN :from AND :to';
+      params.ExpressionAttributeNames = { '#timestamp': 'timestamp' };
+      params.ExpressionAttributeValues[':from'] = `${startDate}T00:00:00.000Z`;
+      params.ExpressionAttributeValues[':to'] = `${endDate}T23:59:59.999Z`;
+    }
+    
+    if (shiftId) {
+      params.FilterExpression = 'shiftId = :shiftId';
+      params.ExpressionAttributeValues[':shiftId'] = shiftId;
+    }
+    
+    try {
+      const result = await documentClient.query(params).promise();
+      return {
+        items: result.Items,
+        lastEvaluatedKey: result.LastEvaluatedKey,
+      };
+    } catch (error) {
+      console.error(`Error fetching transactions for cashier ${cashierId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get every transaction rung up in a shift
+   * @param {string} shiftId - Shift ID
+   * @returns {Promise<Array>} Transactions in the shift
+   */
+  getTransactionsByShift: async (shiftId) => {
+    const params = {
+      TableName: TRANSACTIONS_TABLE,
+      IndexName: 'ShiftIndex',
+      KeyConditionExpression: 'shiftId = :shiftId',
+      ExpressionAttributeValues: {
+        ':shiftId': shiftId,
+      },
+    };
+    
+    try {
+      return await queryAll(params);
+    } catch (error) {
+      console.error(`Error fetching transactions for shift ${shiftId}:`, error);
+      throw error;
+    }
+  },
+};
+
+// Refund operations
+const refundOperations = {
+  /**
+   * Create a refund and apply it to the original transaction
+   * @param {Object} transaction - Original transaction as read before the refund
+   * @param {Object} refund - Refund built by buildRefund
+   * @param {Object} options - Refund options
+   * @param {boolean} options.restock - Whether to return refunded items to stock
+   * @returns {Promise<Object>} Created refund
+   */
+  createRefund: async (transaction, refund, options = {}) => {
+    const { restock = true, ...details } = options;
+    const timestamp = new Date().toISOString();
+    const date = timestamp.split('T')[0]; // Extract YYYY-MM-DD
+    const refundId = uuidv4();
+    const refundCount = transaction.refundCount || 0;
+    
+    const item = {
+      refundId,
+      transactionId: transaction.transactionId,
+      timestamp,
+      date,
+      ...details,
+      items: refund.items,
+      total: refund.total,
+      restocked: restock,
+    };
+    
+    const params = {
+      TransactItems: [
+        {
+          Put: {
+            TableName: REFUNDS_TABLE,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(refundId)',
+          },
+        },
+        {
+          // Guard against a concurrent refund of the same lines
+          Update: {
+            TableName: TRANSACTIONS_TABLE,
+            Key: {
+              transactionId: transaction.transactionId,
+            },
+            UpdateExpression: 'set #items = :items, #status = :status, refundCount = :nextRefundCount, '
+              + 'refundedTotal = :refundedTotal, updatedAt = :updatedAt',
+            ConditionExpression: refundCount === 0
+              ? 'attribute_not_exists(refundCount)'
+              : 'refundCount = :refundCount',
+            ExpressionAttributeNames: {
+              '#items': 'items',
+              '#status': 'status',
+            },
+            ExpressionAttributeValues: {
+              ':items': refund.updatedItems,
+              ':status': refund.status,
+              ':nextRefundCount': refundCount + 1,
+              ':refundedTotal': refund.refundedTotal,
+              ':updatedAt': timestamp,
+              ...(refundCount > 0 && { ':refundCount': refundCount }),
+            },
+          },
+        },
+        ...(restock ? buildStockUpdates(refund.items, 1) : []),
+        // Money paid back comes out of the refunding cashier's drawer
+        ...(details.shiftId ? [buildOpenShiftCheck(details.shiftId)] : []),
+      ],
+    };
+    
+    if (params.TransactItems.length > MAX_TRANSACT_ITEMS) {
+      const maxProducts = MAX_TRANSACT_ITEMS - (details.shiftId ? 3 : 2);
+      throw createError(400, `A refund cannot contain more than ${maxProducts} different stocked products`);
+    }
+    
+    try {
+      await documentClient.transactWrite(params).promise();
+      return item;
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        if (details.shiftId) {
+          await throwIfShiftClosed(details.shiftId);
+        }
+        
+        throw createError(409, 'Transaction changed while the refund was processed, please retry');
+      }
+      
+      console.error(`Error refunding transaction ${transaction.transactionId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get refunds for a transaction
+   * @param {string} transactionId - Original transaction ID
+   * @returns {Promise<Array>} Refunds against the transaction
+   */
+  getRefundsByTransaction: async (transactionId) => {
+    const params = {
+      TableName: REFUNDS_TABLE,
+      IndexName: 'TransactionIndex',
+      KeyConditionExpression: 'transactionId = :transactionId',
+      ExpressionAttributeValues: {
+        ':transactionId': transactionId,
+      },
+    };
+    
+    try {
+      return await queryAll(params);
+    } catch (error) {
+      console.error(`Error fetching refunds for transaction ${transactionId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get every refund paid out in a shift
+   * @param {string} shiftId - Shift ID
+   * @returns {Promise<Array>} Refunds in the shift
+   */
+  getRefundsByShift: async (shiftId) => {
+    const params = {
+      TableName: REFUNDS_TABLE,
+      IndexName: 'ShiftIndex',
+      KeyConditionExpression: 'shiftId = :shiftId',
+      ExpressionAttributeValues: {
+        ':shiftId': shiftId,
+      },
+    };
+    
+    try {
+      return await queryAll(params);
+    } catch (error) {
+      console.error(`Error fetching refunds for shift ${shiftId}:`, error);
+      throw error;
+    }
+  },
+};
+
+// Promotion operations
+const promotionOperations = {
+  /**
+   * Get all promotions, following every page of the scan
+   * @returns {Promise<Array>} List of promotions
+   */
+  getAllPromotions: async () => {
+    const params = {
+      TableName: PROMOTIONS_TABLE,
+    };
+    
+    try {
+      const items = [];
+      let result;
+      
+      do {
+        result = await documentClient.scan(params).promise();
+        items.push(...result.Items);
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+      } while (result.LastEvaluatedKey);
+      
+      return items;
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get promotion by ID
+   * @param {string} promotionId - Promotion ID
+   * @returns {Promise<Object>} Promotion details
+   */
+  getPromotionById: async (promotionId) => {
+    const params = {
+      TableName: PROMOTIONS_TABLE,
+      Key: {
+        promotionId,
+      },
+    };
+    
+    try {
+      const result = await documentClient.get(params).promise();
+      return result.Item;
+    } catch (error) {
+      console.error(`Error fetching promotion ${promotionId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get promotion by coupon code
+   * @param {string} couponCode - Normalized coupon code
+   * @returns {Promise<Object>} Promotion details
+   */
+  getPromotionByCouponCode: async (couponCode) => {
+    const params = {
+      TableName: PROMOTIONS_TABLE,
+      IndexName: 'CouponCodeIndex',
+      KeyConditionExpression: 'couponCode = :couponCode',
+      ExpressionAttributeValues: {
+        ':couponCode': couponCode,
+      },
+    };
+    
+    try {
+      const result = await documentClient.query(params).promise();
+      return result.Items[0];
+    } catch (error) {
+      console.error(`Error fetching promotion for coupon ${couponCode}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Create new promotion
+   * @param {Object} promotion - Promotion rule
+   * @returns {Promise<Object>} Created promotion
+   */
+  createPromotion: async (promotion) => {
+    const timestamp = new Date().toISOString();
+    const promotionId = uuidv4();
+    
+    const params = {
+      TableName: PROMOTIONS_TABLE,
+      Item: {
+        promotionId,
+        ...promotion,
+        active: promotion.active !== false,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      },
+    };
+    
+    try {
+      await documentClient.put(params).promise();
+      return params.Item;
+    } catch (error) {
+      console.error('Error creating promotion:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Replace a promotion rule
+   * @param {string} promotionId - Promotion ID
+   * @param {Object} promotion - New promotion rule
+   * @returns {Promise<Object>} Updated promotion
+   */
+  updatePromotion: async (promotionId, promotion) => {
+    const params = {
+      TableName: PROMOTIONS_TABLE,
+      Item: {
+        ...promotion,
+        promotionId,
+        updatedAt: new Date().toISOString(),
+      },
+      ConditionExpression: 'attribute_exists(promotionId)',
+    };
+    
+    try {
+      await documentClient.put(params).promise();
+      return params.Item;
+    } catch (error) {
+      console.error(`Error updating promotion ${promotionId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Delete promotion
+   * @param {string} promotionId - Promotion ID
+   * @returns {Promise<boolean>} Deletion success
+   */
+  deletePromotion: async (promotionId) => {
+    const params = {
+      TableName: PROMOTIONS_TABLE,
+      Key: {
+        promotionId,
+      },
+    };
+    
+    try {
+      await documentClient.delete(params).promise();
+      return true;
+    } catch (error) {
+      console.error(`Error deleting promotion ${promotionId}:`, error);
+      throw error;
+    }
+  },
+};
+
+// Shift operations
+const shiftOperations = {
+  /**
+   * Open a shift, with the marker that the cashier has one open
+   * @param {Object} shift - Cashier, register and opening float
+   * @returns {Promise<Object>} Opened shift
+   * @throws {Error} 409 error, with the open shift's ID as `openShiftId`, if the cashier already has one
+   */
+  openShift: async (shift) => {
+    const item = {
+      shiftId: uuidv4(),
+      ...shift,
+      status: 'open',
+      openedAt: new Date().toISOString(),
+      events: [],
+    };
+    
+    const params = {
+      TransactItems: [
+        {
+          Put: {
+            TableName: OPEN_SHIFTS_TABLE,
+            Item: {
+              ...openShiftMarkerKey(shift.cashierId),
+              shiftId: item.shiftId,
+            },
+            ConditionExpression: 'attribute_not_exists(cashierId)',
+          },
         },
-        Limit: limit,
-      };
-      
-      if (lastEvaluatedKey) {
-        params.ExclusiveStartKey = lastEvaluatedKey;
-      }
-    }
+        {
+          Put: {
+            TableName: SHIFTS_TABLE,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(shiftId)',
+          },
+        },
+      ],
+    };
     
     try {
-      const result = await documentClient.scan(params).promise();
-      return {
-        items: result.Items,
-        lastEvaluatedKey: result.LastEvaluatedKey,
-      };
+      await documentClient.transactWrite(params).promise();
+      return item;
     } catch (error) {
-      console.error('Error fetching products:', error);
+      if (error.code === 'TransactionCanceledException') {
+        const marker = await documentClient.get({
+          TableName: OPEN_SHIFTS_TABLE,
+          Key: openShiftMarkerKey(shift.cashierId),
+          ConsistentRead: true,
+        }).promise();
+        
+        if (marker.Item) {
+          const openError = createError(409, 'You already have an open shift');
+          openError.openShiftId = marker.Item.shiftId;
+          throw openError;
+        }
+      }
+      
+      console.error('Error opening shift:', error);
       throw error;
     }
   },
   
   /**
-   * Get product by ID
-   * @param {string} productId - Product ID
-   * @returns {Promise<Object>} Product details
+   * Get shift by ID
+   * @param {string} shiftId - Shift ID
+   * @returns {Promise<Object>} Shift details
    */
-  getProductById: async (productId) => {
+  getShiftById: async (shiftId) => {
     const params = {
-      TableName: PRODUCTS_TABLE,
+      TableName: SHIFTS_TABLE,
       Key: {
-        productId,
+        shiftId,
       },
+      ConsistentRead: true,
     };
     
     try {
       const result = await documentClient.get(params).promise();
       return result.Item;
     } catch (error) {
-      console.error(`Error fetching product ${productId}:`, error);
+      console.error(`Error fetching shift ${shiftId}:`, error);
       throw error;
     }
   },
   
   /**
-   * Create new product
-   * @param {Object} product - Product data
-   * @returns {Promise<Object>} Created product
+   * Get a cashier's open shift
+   * @param {string} cashierId - Cashier ID
+   * @returns {Promise<Object>} Open shift, if there is one
    */
-  createProduct: async (product) => {
-    const timestamp = new Date().toISOString();
-    const productId = uuidv4();
+  getOpenShift: async (cashierId) => {
+    const marker = await documentClient.get({
+      TableName: OPEN_SHIFTS_TABLE,
+      Key: openShiftMarkerKey(cashierId),
+      ConsistentRead: true,
+    }).promise();
+    
+    if (marker.Item) {
+      const shift = await shiftOperations.getShiftById(marker.Item.shiftId);
+      return shift && shift.status === 'open' ? shift : undefined;
+    }
     
+    // Shifts opened before markers were written are only found through the index
     const params = {
-      TableName: PRODUCTS_TABLE,
-      Item: {
-        productId,
-        ...product,
-        createdAt: timestamp,
-        updatedAt: timestamp,
+      TableName: SHIFTS_TABLE,
+      IndexName: 'CashierIndex',
+      KeyConditionExpression: 'cashierId = :cashierId',
+      FilterExpression: '#status = :open',
+      ExpressionAttributeNames: {
+        '#status': 'status',
       },
+      ExpressionAttributeValues: {
+        ':cashierId': cashierId,
+        ':open': 'open',
+      },
+      // Newest first, the open shift is almost always on the first page
+      ScanIndexForward: false,
     };
     
     try {
-      await documentClient.put(params).promise();
-      return params.Item;
+      let result;
+      
+      do {
+        result = await documentClient.query(params).promise();
+        
+        if (result.Items.length > 0) {
+          // The index lags behind the table, so confirm the shift is still open
+          const shift = await shiftOperations.getShiftById(result.Items[0].shiftId);
+          return shift && shift.status === 'open' ? shift : undefined;
+        }
+        
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+      } while (result.LastEvaluatedKey);
+      
+      return undefined;
     } catch (error) {
-      console.error('Error creating product:', error);
+      console.error(`Error fetching open shift for cashier ${cashierId}:`, error);
       throw error;
     }
   },
   
   /**
-   * Update product
-   * @param {string} productId - Product ID
-   * @param {Object} updates - Fields to update
-   * @returns {Promise<Object>} Updated product
+   * Record a drawer event against an open shift
+   * @param {string} shiftId - Shift ID
+   * @param {Object} event - Paid-in, paid-out or no-sale event
+   * @returns {Promise<Object>} Updated shift
    */
-  updateProduct: async (productId, updates) => {
-    const timestamp = new Date().toISOString();
+  addEvent: async (shiftId, event) => {
+    const params = {
+      TableName: SHIFTS_TABLE,
+      Key: {
+        shiftId,
+      },
+      UpdateExpression: 'set events = list_append(events, :events), updatedAt = :updatedAt',
+      ConditionExpression: '#status = :open',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':events': [event],
+        ':open': 'open',
+        ':updatedAt': event.timestamp,
+      },
+      ReturnValues: 'ALL_NEW',
+    };
+    
+    try {
+      const result = await documentClient.update(params).promise();
+      return result.Attributes;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw createError(409, 'Shift is not open');
+      }
+      
+      console.error(`Error recording drawer event for shift ${shiftId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Close an open shift, after which no more sales or drawer events can be added
+   * @param {Object} shift - Shift
+   * @param {Object} closing - Counted amounts and who closed the shift
+   * @returns {Promise<Object>} Closed shift
+   */
+  closeShift: async (shift, closing) => {
+    const { shiftId } = shift;
     
-    // Build update expression and attribute values
-    let updateExpression = 'set updatedAt = :updatedAt';
-    const expressionAttributeValues = {
-      ':updatedAt': timestamp,
+    const params = {
+      TransactItems: [
+        {
+          Update: {
+            TableName: SHIFTS_TABLE,
+            Key: {
+              shiftId,
+            },
+            UpdateExpression: 'set #status = :closed, closedAt = :closedAt, closing = :closing, updatedAt = :closedAt',
+            ConditionExpression: '#status = :open',
+            ExpressionAttributeNames: {
+              '#status': 'status',
+            },
+            ExpressionAttributeValues: {
+              ':closed': 'closed',
+              ':open': 'open',
+              ':closedAt': new Date().toISOString(),
+              ':closing': closing,
+            },
+          },
+        },
+        {
+          // Shifts opened before markers were written have none to delete
+          Delete: {
+            TableName: OPEN_SHIFTS_TABLE,
+            Key: openShiftMarkerKey(shift.cashierId),
+            ConditionExpression: 'attribute_not_exists(cashierId) OR shiftId = :shiftId',
+            ExpressionAttributeValues: {
+              ':shiftId': shiftId,
+            },
+          },
+        },
+      ],
     };
     
-    // Add all updates to the expression
-    Object.keys(updates).forEach((key) => {
-      // Skip productId as it's a key
-      if (key !== 'productId') {
-        updateExpression += `, ${key} = :${key}`;
-        expressionAttributeValues[`:${key}`] = updates[key];
+    try {
+      await documentClient.transactWrite(params).promise();
+      return await shiftOperations.getShiftById(shiftId);
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        throw createError(409, 'Shift is not open');
       }
-    });
+      
+      console.error(`Error closing shift ${shiftId}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Store the Z report of a closed shift
+   * @param {string} shiftId - Shift ID
+   * @param {Object} report - Z report
+   * @returns {Promise<boolean>} Success
+   */
+  saveReport: async (shiftId, report) => {
+    const params = {
+      TableName: SHIFTS_TABLE,
+      Key: {
+        shiftId,
+      },
+      UpdateExpression: 'set zReport = :report',
+      ExpressionAttributeValues: {
+        ':report': report,
+      },
+    };
     
+    try {
+      await documentClient.update(params).promise();
+      return true;
+    } catch (error) {
+      console.error(`Error saving report for shift ${shiftId}:`, error);
+      throw error;
+    }
+  },
+};
+
+// Idempotency key operations
+const idempotencyOperations = {
+  /**
+   * Get an idempotency key record
+   * @param {string} idempotencyKey - Scoped idempotency key
+   * @returns {Promise<Object>} Key record
+   */
+  getKey: async (idempotencyKey) => {
     const params = {
-      TableName: PRODUCTS_TABLE,
+      TableName: IDEMPOTENCY_TABLE,
       Key: {
-        productId,
+        idempotencyKey,
       },
-      UpdateExpression: updateExpression,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW',
+      ConsistentRead: true,
     };
     
     try {
-      const result = await documentClient.update(params).promise();
-      return result.Attributes;
+      const result = await documentClient.get(params).promise();
+      return result.Item;
     } catch (error) {
-      console.error(`Error updating product ${productId}:`, error);
+      console.error(`Error fetching idempotency key ${idempotencyKey}:`, error);
       throw error;
     }
   },
   
   /**
-   * Delete product
-   * @param {string} productId - Product ID
-   * @returns {Promise<boolean>} Deletion success
+   * Claim an idempotency key for a request in progress
+   * @param {Object} idempotency - Key, request hash and lock token held by the request
+   * @param {number} expiresAt - Expiry, epoch seconds (also the table's TTL attribute)
+   * @param {number} lockedUntil - When an unfinished claim may be taken over, epoch seconds
+   * @returns {Promise<boolean>} False if another request holds the key
    */
-  deleteProduct: async (productId) => {
+  lockKey: async (idempotency, expiresAt, lockedUntil) => {
+    const now = Math.floor(Date.now() / 1000);
+    
     const params = {
-      TableName: PRODUCTS_TABLE,
-      Key: {
-        productId,
+      TableName: IDEMPOTENCY_TABLE,
+      Item: {
+        idempotencyKey: idempotency.key,
+        requestHash: idempotency.requestHash,
+        lockToken: idempotency.lockToken,
+        status: 'in_progress',
+        createdAt: new Date().toISOString(),
+        expiresAt,
+        lockedUntil,
+      },
+      // New, expired, or abandoned by a request that never finished
+      ConditionExpression: 'attribute_not_exists(idempotencyKey) OR expiresAt < :now '
+        + 'OR (#status = :inProgress AND lockedUntil < :now)',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+      },
+      ExpressionAttributeValues: {
+        ':now': now,
+        ':inProgress': 'in_progress',
       },
     };
     
     try {
-      await documentClient.delete(params).promise();
+      await documentClient.put(params).promise();
       return true;
     } catch (error) {
-      console.error(`Error deleting product ${productId}:`, error);
+      if (error.code === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      
+      console.error(`Error locking idempotency key ${idempotency.key}:`, error);
       throw error;
     }
   },
   
   /**
-   * Search products
-   * @param {string} query - Search query
-   * @returns {Promise<Array>} Search results
+   * Store the response for an idempotency key
+   * @param {Object} idempotency - Key, request hash and lock token held by the request
+   * @param {number} statusCode - Response status code
+   * @param {Object} response - Response body
+   * @returns {Promise<boolean>} False if another request has taken the key over
    */
-  searchProducts: async (query) => {
+  completeKey: async (idempotency, statusCode, response) => {
+    const { Update: params } = buildIdempotencyCompletion(idempotency, statusCode, response);
+    
+    try {
+      await documentClient.update(params).promise();
+      return true;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      
+      console.error(`Error completing idempotency key ${idempotency.key}:`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Release an idempotency key so the request can be retried
+   * @param {Object} idempotency - Key, request hash and lock token held by the request
+   * @returns {Promise<boolean>} False if the key completed or another request has taken it over
+   */
+  releaseKey: async (idempotency) => {
     const params = {
-      TableName: PRODUCTS_TABLE,
-      FilterExpression: 'contains(#name, :query) OR contains(#description, :query) OR contains(#sku, :query)',
+      TableName: IDEMPOTENCY_TABLE,
+      Key: {
+        idempotencyKey: idempotency.key,
+      },
+      // Never release a key that has completed, or that a retry holds now
+      ConditionExpression: 'lockToken = :lockToken AND #status = :inProgress',
       ExpressionAttributeNames: {
-        '#name': 'name',
-        '#description': 'description',
-        '#sku': 'sku',
+        '#status': 'status',
       },
       ExpressionAttributeValues: {
-        ':query': query,
+        ':lockToken': idempotency.lockToken,
+        ':inProgress': 'in_progress',
       },
     };
     
     try {
-      const result = await documentClient.scan(params).promise();
-      return result.Items;
+      await documentClient.delete(params).promise();
+      return true;
     } catch (error) {
-      console.error(`Error searching products for '${query}':`, error);
+      if (error.code === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      
+      console.error(`Error releasing idempotency key ${idempotency.key}:`, error);
       throw error;
     }
   },
 };
 
-// Transaction operations
-const transactionOperations = {
+// Audit log operations
+const auditOperations = {
   /**
-   * Create new transaction
-   * @param {Object} transaction - Transaction data
-   * @returns {Promise<Object>} Created transaction
+   * Append an entry to the audit log, never overwriting an existing one
+   * @param {Object} entry - Actor, action, resource, snapshots and request metadata
+   * @returns {Promise<Object>} Recorded entry
    */
-  createTransaction: async (transaction) => {
+  recordEntry: async (entry) => {
     const timestamp = new Date().toISOString();
-    const date = timestamp.split('T')[0]; // Extract YYYY-MM-DD
-    const transactionId = uuidv4();
+    const item = {
+      auditId: uuidv4(),
+      ...entry,
+      timestamp,
+      date: timestamp.split('T')[0],
+      ...(entry.resourceType && {
+        resourceKey: entry.resourceId ? `${entry.resourceType}#${entry.resourceId}` : entry.resourceType,
+      }),
+    };
     
     const params = {
-      TableName: TRANSACTIONS_TABLE,
-      Item: {
-        transactionId,
-        timestamp,
-        date, // For date-based queries
-        ...transaction,
-        status: transaction.status || 'completed',
-      },
+      TableName: AUDIT_TABLE,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(auditId)',
     };
     
     try {
       await documentClient.put(params).promise();
-      return params.Item;
+      return item;
     } catch (error) {
-      console.error('Error creating transaction:', error);
+      console.error(`Error recording audit entry for ${entry.action}:`, error);
       throw error;
     }
   },
   
   /**
-   * Get transaction by ID
-   * @param {string} transactionId - Transaction ID
-   * @returns {Promise<Object>} Transaction details
+   * List audit entries a page at a time
+   *
+   * A resource or an actor is read through its own index, anything else day by
+   * day through the date index; the remaining filters narrow the results.
+   * @param {Object} filters - Listing filters
+   * @param {string} [filters.actorId] - User who acted
+   * @param {string} [filters.resourceType] - Kind of resource, e.g. product
+   * @param {string} [filters.resourceId] - Resource ID, with its type
+   * @param {string} [filters.action] - Action, e.g. product.update
+   * @param {string} filters.from - Earliest time (ISO8601)
+   * @param {string} filters.to - Latest time (ISO8601)
+   * @param {Object} options - Listing options
+   * @param {number} [options.limit] - Entries per page
+   * @param {string} [options.order] - newest or oldest first
+   * @param {Object} [options.lastEvaluatedKey] - Where the previous page stopped
+   * @returns {Promise<Object>} Entries, and the key of the next page if there is one
    */
-  getTransactionById: async (transactionId) => {
-    const params = {
-      TableName: TRANSACTIONS_TABLE,
-      Key: {
-        transactionId,
+  listEntries: async (filters, options = {}) => {
+    const { limit = 50, order = 'newest', lastEvaluatedKey } = options;
+    const conditions = [];
+    const values = {
+      ':from': filters.from,
+      ':to': filters.to,
+    };
+    
+    const byResource = Boolean(filters.resourceType && filters.resourceId);
+    const byActor = !byResource && Boolean(filters.actorId);
+    
+    if (filters.actorId) {
+      values[':actorId'] = filters.actorId;
+      
+      if (!byActor) {
+        conditions.push('actorId = :actorId');
+      }
+    }
+    
+    if (filters.resourceType && !byResource) {
+      conditions.push('resourceType = :resourceType');
+      values[':resourceType'] = filters.resourceType;
+    }
+    
+    if (filters.action) {
+      conditions.push('#action = :action');
+      values[':action'] = filters.action;
+    }
+    
+    const base = {
+      TableName: AUDIT_TABLE,
+      ExpressionAttributeNames: {
+        '#timestamp': 'timestamp',
+        ...(filters.action && { '#action': 'action' }),
       },
+      ...(conditions.length > 0 && { FilterExpression: conditions.join(' AND ') }),
     };
     
+    if (byResource) {
+      values[':resourceKey'] = `${filters.resourceType}#${filters.resourceId}`;
+    }
+    
+    // A resource or actor cursor is a key of its index, day by day cursors are checked by queryByDay
+    const indexKey = byResource
+      ? { auditId: null, resourceKey: values[':resourceKey'], timestamp: null }
+      : { auditId: null, actorId: filters.actorId, timestamp: null };
+    
+    if ((byResource || byActor) && lastEvaluatedKey && !isIndexKey(lastEvaluatedKey, indexKey)) {
+      throw createError(400, 'Last key does not belong to this listing');
+    }
+    
     try {
-      const result = await documentClient.get(params).promise();
-      return result.Item;
+      if (!byResource && !byActor) {
+        const dates = datesBetween(filters.from.split('T')[0], filters.to.split('T')[0]);
+        
+        return await queryByDay(dates, date => ({
+          ...base,
+          IndexName: 'DateIndex',
+          KeyConditionExpression: '#date = :date AND #timestamp BETWEEN :from AND :to',
+          ExpressionAttributeNames: { ...base.ExpressionAttributeNames, '#date': 'date' },
+          ExpressionAttributeValues: { ...values, ':date': date },
+        }), options);
+      }
+      
+      const result = await documentClient.query({
+        ...base,
+        IndexName: byResource ? 'ResourceIndex' : 'ActorIndex',
+        KeyConditionExpression: `${byResource ? 'resourceKey = :resourceKey' : 'actorId = :actorId'} AND #timestamp BETWEEN :from AND :to`,
+        ExpressionAttributeValues: values,
+        ScanIndexForward: order === 'oldest',
+        Limit: limit,
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey }),
+      }).promise();
+      
+      return {
+        items: result.Items,
+        lastEvaluatedKey: result.LastEvaluatedKey,
+      };
     } catch (error) {
-      console.error(`Error fetching transaction ${transactionId}:`, error);
+      console.error('Error listing audit entries:', error);
+      throw error;
+    }
+  },
+};
+
+// Role operations
+const roleOperations = {
+  /**
+   * Get every edited or added role, following every page of the scan
+   * @returns {Promise<Array>} Stored roles
+   */
+  getAllRoles: async () => {
+    const params = {
+      TableName: ROLES_TABLE,
+    };
+    
+    try {
+      const items = [];
+      let result;
+      
+      do {
+        result = await documentClient.scan(params).promise();
+        items.push(...result.Items);
+        params.ExclusiveStartKey = result.LastEvaluatedKey;
+      } while (result.LastEvaluatedKey);
+      
+      return items;
+    } catch (error) {
+      console.error('Error fetching roles:', error);
       throw error;
     }
   },
   
   /**
-   * Get transactions by date range
-   * @param {string} startDate - Start date (YYYY-MM-DD)
-   * @param {string} endDate - End date (YYYY-MM-DD)
-   * @returns {Promise<Array>} Transactions within date range
+   * Store a role's definition, replacing any stored before
+   * @param {string} role - Role name
+   * @param {Object} definition - Roles it inherits from and its own permissions
+   * @param {string} updatedBy - User making the change
+   * @returns {Promise<Object>} Stored role
    */
-  getTransactionsByDateRange: async (startDate, endDate) => {
-    // If we have a date index, we can use a query
+  putRole: async (role, definition, updatedBy) => {
     const params = {
-      TableName: TRANSACTIONS_TABLE,
-      IndexName: 'DateIndex',
-      KeyConditionExpression: '#date BETWEEN :startDate AND :endDate',
-      ExpressionAttributeNames: {
-        '#date': 'date',
-      },
-      ExpressionAttributeValues: {
-        ':startDate': startDate,
-        ':endDate': endDate,
+      TableName: ROLES_TABLE,
+      Item: {
+        role,
+        inherits: definition.inherits,
+        permissions: definition.permissions,
+        updatedAt: new Date().toISOString(),
+        updatedBy,
       },
     };
     
     try {
-      const result = await documentClient.query(params).promise();
-      return result.Items;
+      await documentClient.put(params).promise();
+      return params.Item;
     } catch (error) {
-      console.error(`Error fetching transactions between ${startDate} and ${endDate}:`, error);
+      console.error(`Error storing role ${role}:`, error);
       throw error;
     }
   },
   
   /**
-   * Get transactions by cashier
-   * @param {string} cashierId - Cashier ID
-   * @returns {Promise<Array>} Transactions by cashier
+   * Delete a stored role, so a built-in role returns to its defaults
+   * @param {string} role - Role name
+   * @returns {Promise<boolean>} Deletion success
    */
-  getTransactionsByCashier: async (cashierId) => {
+  deleteRole: async (role) => {
     const params = {
-      TableName: TRANSACTIONS_TABLE,
-      IndexName: 'CashierIndex',
-      KeyConditionExpression: 'cashierId = :cashierId',
-      ExpressionAttributeValues: {
-        ':cashierId': cashierId,
+      TableName: ROLES_TABLE,
+      Key: {
+        role,
       },
     };
     
     try {
-      const result = await documentClient.query(params).promise();
-      return result.Items;
+      await documentClient.delete(params).promise();
+      return true;
     } catch (error) {
-      console.error(`Error fetching transactions for cashier ${cashierId}:`, error);
+      console.error(`Error deleting role ${role}:`, error);
       throw error;
     }
   },
@@ -327,6 +2810,22 @@ const transactionOperations = {
 module.exports = {
   productOperations,
   transactionOperations,
+  refundOperations,
+  promotionOperations,
+  idempotencyOperations,
+  shiftOperations,
+  auditOperations,
+  roleOperations,
   PRODUCTS_TABLE,
   TRANSACTIONS_TABLE,
+  REFUNDS_TABLE,
+  PROMOTIONS_TABLE,
+  IDEMPOTENCY_TABLE,
+  SHIFTS_TABLE,
+  OPEN_SHIFTS_TABLE,
+  BARCODES_TABLE,
+  SEARCH_TABLE,
+  PRICES_TABLE,
+  AUDIT_TABLE,
+  ROLES_TABLE,
 };
\ No newline at end of file
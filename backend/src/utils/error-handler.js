@@ -1,4 +1,4 @@
-const { validationResult } = require('express-validator');
+const { Result } = require('express-validator');
 
 /**
  * Central error handler for the application
@@ -11,7 +11,7 @@ function errorHandler(err, req, res, next) {
   console.error('Error:', err);
   
   // Handle validation errors
-  if (err instanceof validationResult.Result) {
+  if (err instanceof Result) {
     return res.status(400).json({ errors: err.array() });
   }
   
@@ -53,12 +53,32 @@ function errorHandler(err, req, res, next) {
   // Include stack trace in development
   const response = {
     message,
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV !== 'production' && { stack: err.stack }),
   };
   
   res.status(statusCode).json(response);
 }
 
+/**
+ * Create an error carrying an HTTP status code for the error handler
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra details returned to the client
+ * @returns {Error} Error object
+ */
+function createError(statusCode, message, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+
+  if (details) {
+    error.details = details;
+  }
+
+  return error;
+}
+
 module.exports = {
   errorHandler,
+  createError,
 };
\ No newline at end of file
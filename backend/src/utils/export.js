@@ -0,0 +1,114 @@
+// Columns of a transaction export, one row per transaction
+const TRANSACTION_COLUMNS = [
+  ['transactionId', transaction => transaction.transactionId],
+  ['timestamp', transaction => transaction.timestamp],
+  ['date', transaction => transaction.date],
+  ['status', transaction => transaction.status],
+  ['cashierId', transaction => transaction.cashierId],
+  ['shiftId', transaction => transaction.shiftId],
+  ['paymentMethod', transaction => transaction.paymentMethod],
+  ['itemCount', transaction => (transaction.items || []).reduce((sum, item) => sum + item.quantity, 0)],
+  ['subtotal', transaction => transaction.subtotal],
+  ['discountTotal', transaction => transaction.discountTotal],
+  ['taxTotal', transaction => transaction.taxTotal],
+  ['total', transaction => transaction.total],
+  ['refundedTotal', transaction => transaction.refundedTotal],
+  ['amountTendered', transaction => transaction.amountTendered],
+  ['changeDue', transaction => transaction.changeDue],
+  ['couponCodes', transaction => (transaction.couponCodes || []).join(';')],
+  ['offline', transaction => transaction.offline],
+];
+
+// Columns of a line item export, one row per sale line
+const LINE_COLUMNS = [
+  ['transactionId', transaction => transaction.transactionId],
+  ['timestamp', transaction => transaction.timestamp],
+  ['date', transaction => transaction.date],
+  ['status', transaction => transaction.status],
+  ['cashierId', transaction => transaction.cashierId],
+  ['paymentMethod', transaction => transaction.paymentMethod],
+  ['lineIndex', (transaction, line, index) => index],
+  ['productId', (transaction, line) => line.productId],
+  ['variantId', (transaction, line) => line.variantId],
+  ['sku', (transaction, line) => line.sku],
+  ['name', (transaction, line) => line.name],
+  ['category', (transaction, line) => line.category],
+  ['quantity', (transaction, line) => line.quantity],
+  ['price', (transaction, line) => line.price],
+  ['discount', (transaction, line) => line.discount],
+  ['lineTotal', (transaction, line) => line.lineTotal],
+  ['taxClass', (transaction, line) => line.taxClass],
+  ['taxRate', (transaction, line) => line.taxRate],
+  ['tax', (transaction, line) => line.tax],
+  ['grossTotal', (transaction, line) => line.grossTotal],
+  ['refundedQuantity', (transaction, line) => line.refundedQuantity],
+  ['refundedAmount', (transaction, line) => line.refundedAmount],
+];
+
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+const EXPORT_ROWS = ['line', 'transaction'];
+
+/**
+ * Quote a value for CSV
+ *
+ * Text that a spreadsheet would read as a formula is prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  
+  let text = String(value);
+  
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Join cells into a CSV row
+ * @param {Array} cells - Cell values
+ * @returns {string} CSV row with line ending
+ */
+function csvRow(cells) {
+  return `${cells.map(csvCell).join(',')}\r\n`;
+}
+
+/**
+ * Build a serializer for an export
+ * @param {string} format - csv or jsonl
+ * @param {string} rows - line or transaction, for CSV
+ * @returns {Object} Header text and a function turning a transaction into text
+ */
+function createSerializer(format, rows) {
+  if (format === 'jsonl') {
+    return {
+      header: '',
+      serialize: transaction => `${JSON.stringify(transaction)}\n`,
+    };
+  }
+  
+  if (rows === 'transaction') {
+    return {
+      header: csvRow(TRANSACTION_COLUMNS.map(([name]) => name)),
+      serialize: transaction => csvRow(TRANSACTION_COLUMNS.map(([, value]) => value(transaction))),
+    };
+  }
+  
+  return {
+    header: csvRow(LINE_COLUMNS.map(([name]) => name)),
+    serialize: transaction => (transaction.items || [])
+      .map((line, index) => csvRow(LINE_COLUMNS.map(([, value]) => value(transaction, line, index))))
+      .join(''),
+  };
+}
+
+module.exports = {
+  createSerializer,
+  EXPORT_FORMATS,
+  EXPORT_ROWS,
+};
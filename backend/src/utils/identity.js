@@ -0,0 +1,750 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const AWS = require('aws-sdk');
+const jwt = require('jsonwebtoken');
+const jwksClient = require('jwks-rsa');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('./error-handler');
+
+// Where staff accounts live: cognito, local (users and the signing key kept in
+// LOCAL_IDENTITY_FILE) or memory (local, but kept only while the server runs).
+// Every provider signs users in and refreshes, verifies and revokes their
+// tokens, changes and resets passwords, and manages users.
+const IDENTITY_PROVIDER = process.env.IDENTITY_PROVIDER || 'cognito';
+
+// Development only: the forgot password response carries the local provider's
+// reset code, which it has no mail to send with
+const REVEAL_RESET_CODES = process.env.LOCAL_REVEAL_RESET_CODES === 'true'
+  && process.env.NODE_ENV !== 'production';
+
+// Fields users can be searched by, and the user pool attribute of each
+const USER_SEARCH_FIELDS = {
+  username: 'username',
+  email: 'email',
+  givenName: 'given_name',
+  familyName: 'family_name',
+};
+
+// Most users the user pool lists at once
+const MAX_USER_PAGE = 60;
+
+// Lifetimes of locally issued tokens and password reset codes
+const LOCAL_TOKEN_SECONDS = 3600;
+const LOCAL_REFRESH_DAYS = 30;
+const LOCAL_CODE_MINUTES = 60;
+
+// Wrong guesses a password reset code survives, so its million values cannot be tried in turn
+const LOCAL_CODE_ATTEMPTS = 5;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Shape a user pool user the way the API returns users
+ * @param {Object} poolUser - User from AdminGetUser, GetUser or ListUsers
+ * @returns {Object} User
+ */
+function toUser(poolUser) {
+  const attributes = {};
+  (poolUser.UserAttributes || poolUser.Attributes || []).forEach((attr) => {
+    attributes[attr.Name] = attr.Value;
+  });
+  
+  return {
+    username: poolUser.Username,
+    email: attributes.email,
+    givenName: attributes.given_name,
+    familyName: attributes.family_name,
+    role: attributes['custom:role'],
+    employeeId: attributes['custom:employeeId'],
+    enabled: poolUser.Enabled,
+    status: poolUser.UserStatus,
+    createdAt: poolUser.UserCreateDate && new Date(poolUser.UserCreateDate).toISOString(),
+    updatedAt: poolUser.UserLastModifiedDate && new Date(poolUser.UserLastModifiedDate).toISOString(),
+  };
+}
+
+/**
+ * Turn a user pool error into one the error handler answers
+ * @param {Error} error - User pool error
+ * @param {Object} [messages] - Status code and message for error codes a call answers differently
+ * @returns {Error} Error with a status code, or the original error
+ */
+function identityError(error, messages = {}) {
+  if (messages[error.code]) {
+    return createError(...messages[error.code]);
+  }
+  
+  switch (error.code) {
+    case 'UserNotFoundException':
+      return createError(404, 'User not found');
+    
+    case 'UsernameExistsException':
+      return createError(400, 'Username already exists');
+    
+    case 'InvalidPasswordException':
+    case 'InvalidParameterException':
+      return createError(400, error.message);
+    
+    default:
+      return error;
+  }
+}
+
+// Sign-in failures, which do not say whether the user exists
+const SIGN_IN_ERRORS = {
+  NotAuthorizedException: [401, 'Invalid username or password'],
+  UserNotFoundException: [401, 'Invalid username or password'],
+  PasswordResetRequiredException: [401, 'Password reset required, choose a new one with the code sent to you'],
+};
+
+/**
+ * Identity provider backed by a Cognito user pool
+ * @param {Object} settings - User pool settings
+ * @param {string} settings.region - AWS region
+ * @param {string} settings.userPoolId - User pool ID
+ * @param {string} settings.clientId - App client ID
+ * @returns {Object} Identity provider
+ */
+function createCognitoIdentityProvider(settings) {
+  const cognito = new AWS.CognitoIdentityServiceProvider({ region: settings.region });
+  const { userPoolId, clientId } = settings;
+  
+  // Initialize JWKS client
+  const client = jwksClient({
+    jwksUri: `https://cognito-idp.${settings.region}.amazonaws.com/${userPoolId}/.well-known/jwks.json`,
+  });
+  
+  // Run a user pool call, with its errors turned into API errors
+  const call = async (action, params, messages) => {
+    try {
+      return await cognito[action](params).promise();
+    } catch (error) {
+      throw identityError(error, messages);
+    }
+  };
+  
+  // Run an admin call, which names the user pool
+  const adminCall = (action, params) => call(action, { UserPoolId: userPoolId, ...params });
+  
+  // Tokens from an InitiateAuth or RespondToAuthChallenge result
+  const toTokens = ({ AuthenticationResult: result }) => ({
+    idToken: result.IdToken,
+    accessToken: result.AccessToken,
+    ...(result.RefreshToken && { refreshToken: result.RefreshToken }),
+    expiresIn: result.ExpiresIn,
+  });
+  
+  // Sign-in result: tokens and the user, or the challenge to answer first,
+  // such as NEW_PASSWORD_REQUIRED for admin-created or reset users
+  const toSignIn = async (result) => {
+    if (!result.AuthenticationResult) {
+      return {
+        challenge: {
+          name: result.ChallengeName,
+          session: result.Session,
+          parameters: result.ChallengeParameters || {},
+        },
+      };
+    }
+    
+    const tokens = toTokens(result);
+    return { tokens, user: await getCurrentUser(tokens.accessToken) };
+  };
+  
+  const getUser = async (username) => {
+    try {
+      return toUser(await adminCall('adminGetUser', { Username: username }));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return undefined;
+      }
+      throw error;
+    }
+  };
+  
+  const updateAttributes = async (username, attributes) => {
+    await adminCall('adminUpdateUserAttributes', {
+      Username: username,
+      UserAttributes: Object.entries(attributes).map(([Name, Value]) => ({ Name, Value })),
+    });
+    return getUser(username);
+  };
+  
+  const getCurrentUser = async accessToken => toUser(await call('getUser', { AccessToken: accessToken }, {
+    NotAuthorizedException: [401, 'Invalid or expired token'],
+  }));
+  
+  return {
+    // Nothing to set up, the user pool already exists
+    ready: Promise.resolve(),
+    
+    getSigningKey: kid => new Promise((resolve, reject) => {
+      client.getSigningKey(kid, (err, key) => {
+        if (err) {
+          return reject(err);
+        }
+        
+        resolve(key.publicKey || key.rsaPublicKey);
+      });
+    }),
+    
+    signIn: async (username, password) => toSignIn(await call('initiateAuth', {
+      AuthFlow: 'USER_PASSWORD_AUTH',
+      ClientId: clientId,
+      AuthParameters: {
+        USERNAME: username,
+        PASSWORD: password,
+      },
+    }, SIGN_IN_ERRORS)),
+    
+    respondToChallenge: async (username, challenge, responses) => toSignIn(await call('respondToAuthChallenge', {
+      ChallengeName: challenge.name,
+      ClientId: clientId,
+      Session: challenge.session,
+      ChallengeResponses: {
+        USERNAME: username,
+        ...responses,
+      },
+    }, {
+      NotAuthorizedException: [401, 'Sign-in session expired, sign in again'],
+      CodeMismatchException: [401, 'Sign-in session expired, sign in again'],
+      ExpiredCodeException: [401, 'Sign-in session expired, sign in again'],
+    })),
+    
+    refreshTokens: async refreshToken => toTokens(await call('initiateAuth', {
+      AuthFlow: 'REFRESH_TOKEN_AUTH',
+      ClientId: clientId,
+      AuthParameters: {
+        REFRESH_TOKEN: refreshToken,
+      },
+    }, {
+      NotAuthorizedException: [401, 'Invalid refresh token'],
+    })),
+    
+    getCurrentUser,
+    
+    changePassword: async (accessToken, oldPassword, newPassword) => {
+      await call('changePassword', {
+        PreviousPassword: oldPassword,
+        ProposedPassword: newPassword,
+        AccessToken: accessToken,
+      }, {
+        NotAuthorizedException: [401, 'Incorrect old password'],
+      });
+    },
+    
+    forgotPassword: async (username) => {
+      await call('forgotPassword', { ClientId: clientId, Username: username });
+    },
+    
+    confirmForgotPassword: async (username, confirmationCode, newPassword) => {
+      await call('confirmForgotPassword', {
+        ClientId: clientId,
+        Username: username,
+        ConfirmationCode: confirmationCode,
+        Password: newPassword,
+      }, {
+        CodeMismatchException: [400, 'Invalid confirmation code'],
+        ExpiredCodeException: [400, 'Confirmation code has expired'],
+      });
+    },
+    
+    createUser: async (user) => {
+      const { username, password, email, givenName, familyName, role, employeeId } = user;
+      
+      await adminCall('adminCreateUser', {
+        Username: username,
+        TemporaryPassword: password,
+        UserAttributes: [
+          { Name: 'email', Value: email },
+          { Name: 'email_verified', Value: 'true' },
+          { Name: 'given_name', Value: givenName },
+          { Name: 'family_name', Value: familyName },
+          { Name: 'custom:role', Value: role },
+          ...(employeeId ? [{ Name: 'custom:employeeId', Value: employeeId }] : []),
+        ],
+      });
+      
+      // Set permanent password
+      await adminCall('adminSetUserPassword', {
+        Username: username,
+        Password: password,
+        Permanent: true,
+      });
+      
+      return getUser(username);
+    },
+    
+    getUser,
+    
+    listUsers: async (options = {}) => {
+      const { search, searchBy = 'username', limit = MAX_USER_PAGE, lastEvaluatedKey } = options;
+      
+      // The user pool filters on one attribute, by prefix
+      const result = await adminCall('listUsers', {
+        Limit: Math.min(limit, MAX_USER_PAGE),
+        ...(search && { Filter: `${USER_SEARCH_FIELDS[searchBy]} ^= "${search.replace(/["\\]/g, '\\$&')}"` }),
+        ...(lastEvaluatedKey && { PaginationToken: lastEvaluatedKey.paginationToken }),
+      });
+      
+      return {
+        items: result.Users.map(toUser),
+        lastEvaluatedKey: result.PaginationToken ? { paginationToken: result.PaginationToken } : undefined,
+      };
+    },
+    
+    updateUser: async (username, changes) => {
+      // An empty employee ID removes it, as the user pool does not store empty values
+      if (changes.employeeId === '') {
+        await adminCall('adminDeleteUserAttributes', { Username: username, UserAttributeNames: ['custom:employeeId'] });
+      }
+      
+      const attributes = {
+        ...(changes.givenName !== undefined && { given_name: changes.givenName }),
+        ...(changes.familyName !== undefined && { family_name: changes.familyName }),
+        ...(changes.employeeId && { 'custom:employeeId': changes.employeeId }),
+      };
+      
+      return Object.keys(attributes).length > 0 ? updateAttributes(username, attributes) : getUser(username);
+    },
+    
+    setRole: async (username, role) => updateAttributes(username, { 'custom:role': role }),
+    
+    disableUser: async (username) => {
+      await adminCall('adminDisableUser', { Username: username });
+      return getUser(username);
+    },
+    
+    enableUser: async (username) => {
+      await adminCall('adminEnableUser', { Username: username });
+      return getUser(username);
+    },
+    
+    // The user must choose a new password, with a code sent to them, before signing in again
+    resetPassword: async (username) => {
+      await adminCall('adminResetUserPassword', { Username: username });
+      return getUser(username);
+    },
+    
+    signOut: async (username) => {
+      await adminCall('adminUserGlobalSignOut', { Username: username });
+    },
+  };
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Password
+ * @returns {Promise<string>} Salt and hash, as stored
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against its stored hash, in constant time
+ * @param {string} password - Password given
+ * @param {string} stored - Stored salt and hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function checkPassword(password, stored) {
+  const [, salt, hash] = String(stored).split('$');
+  
+  if (!salt || !hash) {
+    return false;
+  }
+  
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Hash a refresh token or reset code for storage
+ * @param {string} secret - Token or code
+ * @returns {string} SHA-256 hash
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('base64');
+}
+
+/**
+ * Check a reset code against its stored hash, in constant time
+ * @param {string} secret - Code given
+ * @param {string} stored - Stored SHA-256 hash
+ * @returns {boolean} True if the secret matches
+ */
+function secretMatches(secret, stored) {
+  const expected = Buffer.from(String(stored), 'base64');
+  const actual = Buffer.from(hashSecret(secret), 'base64');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Identity provider that keeps users itself, so the API runs without Cognito
+ *
+ * Passwords are hashed with scrypt. Tokens are RS256 JWTs with the same
+ * claims as the user pool's, signed with a key whose public half the server
+ * serves at /.well-known/jwks.json. There is no mail, so password reset codes
+ * are returned to the caller: forgotPassword resolves to `{ resetCode }` and
+ * resetPassword to the user with its `resetCode`, and five wrong guesses use
+ * a code up. Users and the signing key are kept in a JSON file when one is
+ * given, otherwise only in memory with a new key on every start. `ready`
+ * settles once the first admin is created and the file written.
+ * @param {Object} [settings] - Provider settings
+ * @param {string} [settings.file] - File to keep users and the signing key in
+ * @param {string} [settings.issuer] - Token issuer, the server's base URL
+ * @param {Object} [settings.admin] - Username and password of an admin created when there are no users
+ * @returns {Object} Identity provider
+ */
+function createLocalIdentityProvider(settings = {}) {
+  const { file, issuer = 'http://localhost:3000', admin = {} } = settings;
+  
+  const stored = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const users = new Map(Object.entries(stored.users || {}));
+  
+  const signingKey = stored.signingKey || {
+    kid: uuidv4(),
+    privateKey: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+      .export({ type: 'pkcs8', format: 'pem' }),
+  };
+  const publicKey = crypto.createPublicKey(signingKey.privateKey);
+  
+  // Writes are chained, so two changes never write the file at once
+  let saving = Promise.resolve();
+  
+  const save = () => {
+    if (!file) {
+      return Promise.resolve();
+    }
+    
+    const contents = JSON.stringify({ signingKey, users: Object.fromEntries(users) }, null, 2);
+    saving = saving.catch(() => {}).then(async () => {
+      const temporaryFile = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temporaryFile, contents, { mode: 0o600 });
+      await fs.promises.rename(temporaryFile, file);
+    });
+    
+    return saving;
+  };
+  
+  // Everything but the secrets
+  const toPublicUser = ({ userId, passwordHash, refreshTokens, resetCode, ...user }) => user;
+  
+  const find = (username) => {
+    const user = users.get(username);
+    
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+    
+    return user;
+  };
+  
+  const change = async (username, changes) => {
+    const user = { ...find(username), ...changes, updatedAt: new Date().toISOString() };
+    users.set(username, user);
+    await save();
+    return toPublicUser(user);
+  };
+  
+  const sign = claims => jwt.sign(claims, signingKey.privateKey, {
+    algorithm: 'RS256',
+    keyid: signingKey.kid,
+    issuer,
+    expiresIn: LOCAL_TOKEN_SECONDS,
+  });
+  
+  // The ID token carries the user's attributes, as the user pool's does. The
+  // access token carries the role too, as requests are authorized with it.
+  // Both name the sign-in they came from, which signing out ends.
+  const issueTokens = (user, sessionId) => ({
+    idToken: sign({
+      sub: user.userId,
+      'cognito:username': user.username,
+      email: user.email,
+      given_name: user.givenName,
+      family_name: user.familyName,
+      'custom:role': user.role,
+      'custom:employeeId': user.employeeId,
+      origin_jti: sessionId,
+      token_use: 'id',
+    }),
+    accessToken: sign({
+      sub: user.userId,
+      username: user.username,
+      'custom:role': user.role,
+      origin_jti: sessionId,
+      token_use: 'access',
+    }),
+    expiresIn: LOCAL_TOKEN_SECONDS,
+  });
+  
+  // The user an access token was issued to, unless its sign-in has since ended
+  const tokenUser = (accessToken) => {
+    let claims;
+    
+    try {
+      claims = jwt.verify(accessToken, publicKey, { algorithms: ['RS256'], issuer });
+    } catch (error) {
+      throw createError(401, 'Invalid or expired token');
+    }
+    
+    const user = claims.token_use === 'access' && users.get(claims.username);
+    const signedIn = user && (user.refreshTokens || []).some(token => token.sessionId === claims.origin_jti);
+    
+    if (!signedIn || !user.enabled) {
+      throw createError(401, 'Invalid or expired token');
+    }
+    
+    return user;
+  };
+  
+  // A reset code, and the hash of it that is kept
+  const issueResetCode = () => {
+    const code = String(crypto.randomInt(1000000)).padStart(6, '0');
+    
+    return {
+      code,
+      resetCode: {
+        hash: hashSecret(code),
+        expiresAt: new Date(Date.now() + LOCAL_CODE_MINUTES * 60 * 1000).toISOString(),
+      },
+    };
+  };
+  
+  const provider = {
+    getSigningKey: async (kid) => {
+      if (kid !== signingKey.kid) {
+        throw new Error(`Unknown signing key ${kid}`);
+      }
+      
+      return publicKey;
+    },
+    
+    // Public half of the signing key, as a JWKS
+    getJwks: () => ({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid: signingKey.kid, alg: 'RS256', use: 'sig' }],
+    }),
+    
+    signIn: async (username, password) => {
+      const user = users.get(username);
+      
+      if (!user || !user.enabled || !(await checkPassword(password, user.passwordHash))) {
+        throw createError(...SIGN_IN_ERRORS.NotAuthorizedException);
+      }
+      
+      if (user.status === 'RESET_REQUIRED') {
+        throw createError(...SIGN_IN_ERRORS.PasswordResetRequiredException);
+      }
+      
+      const now = new Date();
+      const sessionId = uuidv4();
+      const refreshToken = crypto.randomBytes(48).toString('base64url');
+      
+      await change(username, {
+        refreshTokens: [
+          ...(user.refreshTokens || []).filter(token => token.expiresAt > now.toISOString()),
+          {
+            hash: hashSecret(refreshToken),
+            sessionId,
+            expiresAt: new Date(now.getTime() + LOCAL_REFRESH_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+          },
+        ],
+      });
+      
+      return {
+        tokens: { ...issueTokens(user, sessionId), refreshToken },
+        user: toPublicUser(user),
+      };
+    },
+    
+    // Local sign-in never stops at a challenge, so there is none to answer
+    respondToChallenge: async () => {
+      throw createError(401, 'Sign-in session expired, sign in again');
+    },
+    
+    refreshTokens: async (refreshToken) => {
+      const hash = hashSecret(refreshToken);
+      const now = new Date().toISOString();
+      const isCurrent = token => token.hash === hash && token.expiresAt > now;
+      const user = [...users.values()].find(candidate => (candidate.refreshTokens || []).some(isCurrent));
+      
+      if (!user || !user.enabled) {
+        throw createError(401, 'Invalid refresh token');
+      }
+      
+      return issueTokens(user, user.refreshTokens.find(isCurrent).sessionId);
+    },
+    
+    getCurrentUser: async accessToken => toPublicUser(tokenUser(accessToken)),
+    
+    changePassword: async (accessToken, oldPassword, newPassword) => {
+      const user = tokenUser(accessToken);
+      
+      if (!(await checkPassword(oldPassword, user.passwordHash))) {
+        throw createError(401, 'Incorrect old password');
+      }
+      
+      await change(user.username, { passwordHash: await hashPassword(newPassword) });
+    },
+    
+    forgotPassword: async (username) => {
+      find(username);
+      const { code, resetCode } = issueResetCode();
+      await change(username, { resetCode });
+      return { resetCode: code };
+    },
+    
+    confirmForgotPassword: async (username, confirmationCode, newPassword) => {
+      const { resetCode } = find(username);
+      
+      if (!resetCode) {
+        throw createError(400, 'Invalid confirmation code');
+      }
+      
+      // Each wrong guess is counted, and too many use the code up
+      if (!secretMatches(confirmationCode, resetCode.hash)) {
+        const failedAttempts = (resetCode.failedAttempts || 0) + 1;
+        await change(username, {
+          resetCode: failedAttempts < LOCAL_CODE_ATTEMPTS ? { ...resetCode, failedAttempts } : undefined,
+        });
+        throw createError(400, 'Invalid confirmation code');
+      }
+      
+      if (resetCode.expiresAt <= new Date().toISOString()) {
+        throw createError(400, 'Confirmation code has expired');
+      }
+      
+      await change(username, {
+        passwordHash: await hashPassword(newPassword),
+        status: 'CONFIRMED',
+        resetCode: undefined,
+      });
+    },
+    
+    createUser: async (user) => {
+      if (users.has(user.username)) {
+        throw createError(400, 'Username already exists');
+      }
+      
+      const { password, ...attributes } = user;
+      const timestamp = new Date().toISOString();
+      
+      users.set(user.username, {
+        ...attributes,
+        userId: uuidv4(),
+        passwordHash: await hashPassword(password),
+        enabled: true,
+        status: 'CONFIRMED',
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      });
+      await save();
+      
+      return toPublicUser(users.get(user.username));
+    },
+    
+    getUser: async username => (users.has(username) ? toPublicUser(users.get(username)) : undefined),
+    
+    listUsers: async (options = {}) => {
+      const { search, searchBy = 'username', limit = MAX_USER_PAGE, lastEvaluatedKey } = options;
+      const prefix = (search || '').toLowerCase();
+      
+      const matches = [...users.values()]
+        .filter(user => String(user[searchBy] || '').toLowerCase().startsWith(prefix))
+        .filter(user => !lastEvaluatedKey || user.username > lastEvaluatedKey.username)
+        .sort((a, b) => a.username.localeCompare(b.username));
+      const items = matches.slice(0, Math.min(limit, MAX_USER_PAGE));
+      
+      return {
+        items: items.map(toPublicUser),
+        lastEvaluatedKey: matches.length > items.length ? { username: items[items.length - 1].username } : undefined,
+      };
+    },
+    
+    updateUser: async (username, changes) => change(username, Object.fromEntries(
+      ['givenName', 'familyName', 'employeeId']
+        .filter(field => changes[field] !== undefined)
+        .map(field => [field, changes[field] === '' ? undefined : changes[field]]),
+    )),
+    
+    setRole: async (username, role) => change(username, { role }),
+    
+    // A disabled user's refresh tokens stop working, as in the user pool
+    disableUser: async username => change(username, { enabled: false }),
+    
+    enableUser: async username => change(username, { enabled: true }),
+    
+    // The user must choose a new password, with the returned code, before signing in again
+    resetPassword: async (username) => {
+      find(username);
+      const { code, resetCode } = issueResetCode();
+      return { ...(await change(username, { status: 'RESET_REQUIRED', resetCode })), resetCode: code };
+    },
+    
+    // Ends every sign-in, so their refresh and access tokens stop working
+    signOut: async (username) => {
+      await change(username, { refreshTokens: [] });
+    },
+  };
+  
+  // Nobody could sign in to add users without a first admin
+  let setup = Promise.resolve();
+  if (users.size === 0 && admin.username && admin.password) {
+    setup = provider.createUser({
+      username: admin.username,
+      password: admin.password,
+      email: `${admin.username}@localhost`,
+      givenName: 'Local',
+      familyName: 'Admin',
+      role: 'admin',
+    });
+  } else if (!stored.signingKey) {
+    setup = save();
+  }
+  provider.ready = setup.then(() => undefined);
+  
+  return provider;
+}
+
+/**
+ * Create the identity provider IDENTITY_PROVIDER names
+ * @returns {Object} Identity provider
+ */
+function createIdentityProvider() {
+  if (IDENTITY_PROVIDER === 'local' || IDENTITY_PROVIDER === 'memory') {
+    return createLocalIdentityProvider({
+      file: IDENTITY_PROVIDER === 'local'
+        ? path.resolve(process.env.LOCAL_IDENTITY_FILE || 'local-identity.json')
+        : undefined,
+      issuer: process.env.LOCAL_IDENTITY_ISSUER || `http://localhost:${process.env.PORT || 3000}`,
+      admin: {
+        username: process.env.LOCAL_ADMIN_USERNAME,
+        password: process.env.LOCAL_ADMIN_PASSWORD,
+      },
+    });
+  }
+  
+  return createCognitoIdentityProvider({
+    region: process.env.AWS_REGION || 'us-east-1',
+    userPoolId: process.env.COGNITO_USER_POOL_ID,
+    clientId: process.env.COGNITO_CLIENT_ID,
+  });
+}
+
+const identityProvider = createIdentityProvider();
+
+module.exports = {
+  IDENTITY_PROVIDER,
+  REVEAL_RESET_CODES,
+  identityProvider,
+  createCognitoIdentityProvider,
+  createLocalIdentityProvider,
+  USER_SEARCH_FIELDS,
+  MAX_USER_PAGE,
+};
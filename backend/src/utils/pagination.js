@@ -0,0 +1,46 @@
+// Orders a listing can be sorted in
+const LIST_ORDERS = ['newest', 'oldest'];
+
+/**
+ * Encode a DynamoDB key as the opaque lastKey cursor handed to clients
+ * @param {Object} [key] - Last evaluated key
+ * @returns {string|undefined} Base64 cursor, undefined on the last page
+ */
+function encodeLastKey(key) {
+  return key ? Buffer.from(JSON.stringify(key)).toString('base64') : undefined;
+}
+
+/**
+ * Decode a lastKey cursor from a client
+ * @param {string} lastKey - Base64 cursor
+ * @returns {Object|undefined} Key, undefined if the cursor is malformed
+ */
+function decodeLastKey(lastKey) {
+  try {
+    const key = JSON.parse(Buffer.from(String(lastKey), 'base64').toString());
+    return key && typeof key === 'object' && !Array.isArray(key) ? key : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Shape a page of results the way every listing returns them
+ * @param {Object} result - Items and the key of the next page
+ * @returns {Object} Items, and the cursor of the next page or null
+ */
+function toPage(result) {
+  return {
+    items: result.items,
+    pagination: result.lastEvaluatedKey ? {
+      lastKey: encodeLastKey(result.lastEvaluatedKey),
+    } : null,
+  };
+}
+
+module.exports = {
+  encodeLastKey,
+  decodeLastKey,
+  toPage,
+  LIST_ORDERS,
+};
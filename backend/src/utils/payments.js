@@ -0,0 +1,66 @@
+const { roundCurrency } = require('./pricing');
+const { createError } = require('./error-handler');
+
+/**
+ * Check that tenders cover a sale and work out the change due
+ * @param {Array} payments - Tenders with method, amount and optional reference
+ * @param {number} total - Sale total
+ * @returns {Object} Settled payments, amount tendered and change due
+ */
+function settlePayments(payments, total) {
+  const tenders = payments.map(payment => ({
+    method: payment.method,
+    amount: roundCurrency(payment.amount),
+    ...(payment.reference && { reference: payment.reference }),
+  }));
+  
+  const amountTendered = roundCurrency(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+  
+  if (amountTendered < total) {
+    throw createError(422, 'Payments do not cover the total', {
+      total,
+      amountTendered,
+      shortfall: roundCurrency(total - amountTendered),
+    });
+  }
+  
+  const changeDue = roundCurrency(amountTendered - total);
+  const cashTendered = roundCurrency(tenders
+    .filter(tender => tender.method === 'cash')
+    .reduce((sum, tender) => sum + tender.amount, 0));
+  
+  // Only cash can be handed back, card and mobile must not exceed what is owed
+  if (changeDue > cashTendered) {
+    throw createError(422, 'Only cash payments can exceed the total', {
+      total,
+      amountTendered,
+      cashTendered,
+    });
+  }
+  
+  // Take the change out of the cash tenders, so each tender records what it actually paid
+  let changeLeft = changeDue;
+  const settled = tenders.slice().reverse().map((tender) => {
+    if (tender.method !== 'cash' || changeLeft <= 0) {
+      return { ...tender, net: tender.amount };
+    }
+    
+    const change = Math.min(changeLeft, tender.amount);
+    changeLeft = roundCurrency(changeLeft - change);
+    return { ...tender, net: roundCurrency(tender.amount - change) };
+  }).reverse();
+  
+  const methods = [...new Set(settled.map(tender => tender.method))];
+  
+  return {
+    payments: settled,
+    // Kept for single-tender reporting, 'split' when several methods were used
+    paymentMethod: methods.length === 1 ? methods[0] : 'split',
+    amountTendered,
+    changeDue,
+  };
+}
+
+module.exports = {
+  settlePayments,
+};
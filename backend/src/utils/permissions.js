@@ -0,0 +1,154 @@
+// Every permission a route can require
+const PERMISSIONS = [
+  'products:read',
+  'products:write',
+  'products:stock',
+  'products:archive',
+  'products:purge',
+  'products:import',
+  'products:reindex',
+  'transactions:create',
+  'transactions:read',
+  'transactions:read:all',
+  'transactions:refund',
+  'transactions:void',
+  'promotions:read',
+  'promotions:write',
+  'shifts:operate',
+  'shifts:manage',
+  'reports:read',
+  'audit:read',
+  'users:manage',
+  'roles:manage',
+];
+
+// Built-in roles, used until a role is edited. Each role has its own
+// permissions and those of every role it inherits from.
+const DEFAULT_ROLES = {
+  cashier: {
+    inherits: [],
+    permissions: [
+      'products:read',
+      'transactions:create',
+      'transactions:read',
+      'transactions:refund',
+      'shifts:operate',
+    ],
+  },
+  manager: {
+    inherits: ['cashier'],
+    permissions: [
+      'products:write',
+      'products:stock',
+      'products:archive',
+      'transactions:read:all',
+      'transactions:void',
+      'promotions:read',
+      'promotions:write',
+      'shifts:manage',
+      'reports:read',
+    ],
+  },
+  admin: {
+    inherits: ['manager'],
+    permissions: [
+      'products:purge',
+      'products:import',
+      'products:reindex',
+      'audit:read',
+      'users:manage',
+      'roles:manage',
+    ],
+  },
+};
+
+/**
+ * Combine the built-in roles with the roles as edited
+ * @param {Array} storedRoles - Edited and added roles
+ * @returns {Object} Roles keyed by name, each with inherits and permissions
+ */
+function buildRoleMapping(storedRoles = []) {
+  const roles = {};
+  
+  Object.entries(DEFAULT_ROLES).forEach(([role, definition]) => {
+    roles[role] = { ...definition, builtIn: true };
+  });
+  
+  storedRoles.forEach((stored) => {
+    roles[stored.role] = {
+      ...stored,
+      inherits: stored.inherits || [],
+      permissions: stored.permissions || [],
+      builtIn: Boolean(DEFAULT_ROLES[stored.role]),
+    };
+  });
+  
+  return roles;
+}
+
+/**
+ * Find an inheritance cycle through a role
+ * @param {Object} roles - Roles keyed by name
+ * @param {string} role - Role to start from
+ * @returns {Array<string>|null} Roles on the cycle, in order, or null if there is none
+ */
+function findInheritanceCycle(roles, role) {
+  const visit = (name, path) => {
+    if (path.includes(name)) {
+      return [...path.slice(path.indexOf(name)), name];
+    }
+    
+    const definition = roles[name];
+    
+    if (!definition) {
+      return null;
+    }
+    
+    for (const parent of definition.inherits) {
+      const cycle = visit(parent, [...path, name]);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    
+    return null;
+  };
+  
+  return visit(role, []);
+}
+
+/**
+ * Every permission a role has, its own and inherited
+ *
+ * Unknown roles have no permissions, and a role reached twice through
+ * inheritance is only counted once, so a cycle cannot loop forever.
+ * @param {Object} roles - Roles keyed by name
+ * @param {string} role - Role
+ * @returns {Array<string>} Permissions, in the order of PERMISSIONS
+ */
+function resolvePermissions(roles, role) {
+  const granted = new Set();
+  const seen = new Set();
+  const pending = [role];
+  
+  while (pending.length > 0) {
+    const name = pending.pop();
+    const definition = roles[name];
+    
+    if (definition && !seen.has(name)) {
+      seen.add(name);
+      definition.permissions.forEach(permission => granted.add(permission));
+      pending.push(...definition.inherits);
+    }
+  }
+  
+  return PERMISSIONS.filter(permission => granted.has(permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  buildRoleMapping,
+  findInheritanceCycle,
+  resolvePermissions,
+};
@@ -0,0 +1,87 @@
+/**
+ * The price a product sells at, once any scheduled prices that are due apply
+ *
+ * The product's own price holds from its priceEffectiveFrom; a scheduled price
+ * takes over from its effectiveFrom, and the latest one due wins.
+ * @param {Object} product - Product with any scheduledPrices
+ * @param {string} [at] - Time to price at (ISO8601), defaults to now
+ * @returns {Object} Price and the time it took effect
+ */
+function effectivePrice(product, at = new Date().toISOString()) {
+  const current = { price: product.price, effectiveFrom: product.priceEffectiveFrom || '' };
+  
+  return (product.scheduledPrices || [])
+    .filter(scheduled => scheduled.effectiveFrom <= at)
+    .reduce((latest, scheduled) => (scheduled.effectiveFrom > latest.effectiveFrom ? scheduled : latest), current);
+}
+
+/**
+ * Apply the scheduled prices that are due to a stored product
+ * @param {Object} product - Product as stored
+ * @param {string} [at] - Time to price at (ISO8601), defaults to now
+ * @returns {Object} Product at its current price, with only the scheduled prices still to come
+ */
+function withCurrentPrice(product, at = new Date().toISOString()) {
+  if (!product || !product.scheduledPrices || product.scheduledPrices.length === 0) {
+    return product;
+  }
+  
+  const { price, effectiveFrom } = effectivePrice(product, at);
+  
+  return {
+    ...product,
+    price,
+    ...(effectiveFrom && { priceEffectiveFrom: effectiveFrom }),
+    scheduledPrices: product.scheduledPrices.filter(scheduled => scheduled.effectiveFrom > at),
+  };
+}
+
+/**
+ * Where a price history entry stands
+ * @param {Object} entry - Price history entry
+ * @param {string} [at] - Time to judge at (ISO8601), defaults to now
+ * @returns {string} applied, scheduled or cancelled
+ */
+function priceStatus(entry, at = new Date().toISOString()) {
+  if (entry.cancelledAt) {
+    return 'cancelled';
+  }
+  
+  return entry.effectiveFrom <= at ? 'applied' : 'scheduled';
+}
+
+/**
+ * The price a product had at a point in time, from its price history
+ * @param {Object} product - Product
+ * @param {Array} history - Price history entries
+ * @param {string} at - Time (ISO8601)
+ * @returns {number|null} Price, null before the product existed
+ */
+function priceAt(product, history, at) {
+  if (product.createdAt && at < product.createdAt) {
+    return null;
+  }
+  
+  const entries = history
+    .filter(entry => !entry.cancelledAt)
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  const due = entries.filter(entry => entry.effectiveFrom <= at);
+  
+  if (due.length > 0) {
+    return due[due.length - 1].price;
+  }
+  
+  // Before the first change the product sold at the price that change replaced
+  if (entries.length > 0) {
+    return entries[0].previousPrice === undefined ? null : entries[0].previousPrice;
+  }
+  
+  return product.price === undefined ? null : product.price;
+}
+
+module.exports = {
+  effectivePrice,
+  withCurrentPrice,
+  priceStatus,
+  priceAt,
+};
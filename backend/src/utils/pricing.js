@@ -0,0 +1,118 @@
+const { productOperations } = require('./dynamodb');
+const { variantLabel } = require('./variants');
+
+/**
+ * Round a currency amount to whole cents
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+function roundCurrency(amount) {
+  return Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Look up the product, and the variant if one was chosen, for a line
+ *
+ * Archived products and variants are no longer sold, so they come back
+ * undefined like missing ones, flagged as archived.
+ * @param {Object} item - Item as submitted by the client
+ * @returns {Promise<Object>} Product and variant, either undefined if not found
+ */
+async function findLineProduct(item) {
+  const [product, variant] = await Promise.all([
+    productOperations.getProductById(item.productId),
+    item.variantId ? productOperations.getProductById(item.variantId) : undefined,
+  ]);
+  const archived = Boolean((product && product.archivedAt) || (variant && variant.archivedAt));
+  
+  // A variant of another product is as unknown as a missing one
+  return {
+    product: product && !product.archivedAt ? product : undefined,
+    variant: variant && variant.parentId === item.productId && !variant.archivedAt ? variant : undefined,
+    archived,
+  };
+}
+
+/**
+ * Reprice transaction items against the product catalog
+ * @param {Array} items - Items as submitted by the client
+ * @returns {Promise<Object>} Priced items, any price mismatches, unknown products and lines missing a variant
+ */
+async function priceItems(items) {
+  const found = await Promise.all(items.map(findLineProduct));
+  
+  // Unknown products cannot be priced, the caller decides how to fail
+  const unknown = items
+    .map((item, index) => ({
+      index,
+      productId: item.productId,
+      ...(item.variantId && { variantId: item.variantId }),
+      ...(found[index].archived && { archived: true }),
+    }))
+    .filter(line => !found[line.index].product || (line.variantId && !found[line.index].variant));
+  
+  // A product with variants is sold as one of them
+  const variantRequired = items
+    .map((item, index) => ({ index, productId: item.productId }))
+    .filter(line => found[line.index].product && found[line.index].product.hasVariants && !found[line.index].variant);
+  
+  if (unknown.length > 0 || variantRequired.length > 0) {
+    return {
+      items: [],
+      mismatches: [],
+      unknown,
+      variantRequired: variantRequired.filter(line => !unknown.some(other => other.index === line.index)),
+    };
+  }
+  
+  const mismatches = [];
+  
+  const pricedItems = items.map((item, index) => {
+    const { product, variant } = found[index];
+    // Stock, SKU and any price override belong to the variant
+    const stockItem = variant || product;
+    const name = variant ? `${product.name} (${variantLabel(variant.options, product.variantOptions)})` : product.name;
+    const catalogPrice = roundCurrency(variant && variant.price !== undefined ? variant.price : product.price);
+    const quantity = parseInt(item.quantity, 10);
+    const hasSubmittedPrice = item.price !== undefined && item.price !== null && item.price !== '';
+    const submittedPrice = hasSubmittedPrice ? roundCurrency(item.price) : undefined;
+    
+    if (hasSubmittedPrice && submittedPrice !== catalogPrice) {
+      mismatches.push({
+        index,
+        productId: item.productId,
+        ...(variant && { variantId: variant.productId }),
+        name,
+        submittedPrice,
+        catalogPrice,
+      });
+    }
+    
+    return {
+      productId: item.productId,
+      ...(variant && { variantId: variant.productId, variantOptions: variant.options }),
+      name,
+      ...(stockItem.sku && { sku: stockItem.sku }),
+      ...(product.category && { category: product.category }),
+      ...(product.taxClass && { taxClass: product.taxClass }),
+      quantity,
+      price: catalogPrice,
+      ...(hasSubmittedPrice && { submittedPrice }),
+      lineTotal: roundCurrency(catalogPrice * quantity),
+      // Products created before stock tracking have no stockOnHand
+      ...(stockItem.stockOnHand !== undefined && { stockTracked: true }),
+    };
+  });
+  
+  return {
+    items: pricedItems,
+    mismatches,
+    unknown,
+    variantRequired,
+  };
+}
+
+module.exports = {
+  roundCurrency,
+  priceItems,
+};
@@ -0,0 +1,187 @@
+const { parse } = require('csv-parse/sync');
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('./error-handler');
+const { normalizeBarcode } = require('./barcodes');
+
+// Columns an import may set, and how each CSV cell becomes a product field
+const IMPORT_COLUMNS = {
+  sku: value => value,
+  barcode: value => normalizeBarcode(value),
+  name: value => value,
+  price: value => parseFloat(value),
+  category: value => value,
+  description: value => value,
+  image: value => value,
+  taxClass: value => value,
+  stockOnHand: value => parseInt(value, 10),
+  allowNegativeStock: value => value,
+};
+
+/**
+ * Read a CSV boolean, as spreadsheets write TRUE and FALSE
+ * @param {string} value - Cell text
+ * @returns {boolean|string} Boolean, or the text unchanged so validation rejects it
+ */
+function toBoolean(value) {
+  const normalized = value.toLowerCase();
+  
+  if (normalized === 'true' || normalized === 'false') {
+    return normalized === 'true';
+  }
+  
+  return value;
+}
+
+/**
+ * Parse a product CSV with a header row
+ * @param {string} text - CSV text
+ * @returns {Object} Rows keyed by column, and the columns that will be ignored
+ */
+function parseProductCsv(text) {
+  let records;
+  
+  try {
+    records = parse(text, {
+      bom: true,
+      columns: header => header.map(column => column.trim()),
+      skip_empty_lines: true,
+      trim: true,
+    });
+  } catch (error) {
+    throw createError(400, `CSV could not be parsed: ${error.message}`);
+  }
+  
+  const columns = records.length > 0 ? Object.keys(records[0]) : [];
+  
+  if (!columns.includes('sku')) {
+    throw createError(400, 'CSV must have a sku column, products are matched on SKU');
+  }
+  
+  // Empty cells mean "leave as is", so drop them
+  const rows = records.map((record) => {
+    const row = {};
+    Object.keys(IMPORT_COLUMNS).forEach((column) => {
+      if (record[column] !== undefined && record[column] !== '') {
+        row[column] = column === 'allowNegativeStock' ? toBoolean(record[column]) : record[column];
+      }
+    });
+    return row;
+  });
+  
+  return {
+    rows,
+    ignoredColumns: columns.filter(column => !IMPORT_COLUMNS[column]),
+  };
+}
+
+/**
+ * Convert a validated row's cells to product fields
+ * @param {Object} row - CSV row
+ * @returns {Object} Product fields
+ */
+function toProductFields(row) {
+  const fields = {};
+  Object.keys(row).forEach((column) => {
+    fields[column] = IMPORT_COLUMNS[column](row[column]);
+  });
+  return fields;
+}
+
+/**
+ * Work out what an import would do with one row
+ * @param {Object} row - CSV row
+ * @param {number} line - CSV line number
+ * @param {Object} plan - Import plan being built, with the existing products and validator
+ * @returns {Promise<Object>} Row result
+ */
+async function planRow(row, line, plan) {
+  const result = { line, sku: row.sku };
+  
+  if (!row.sku) {
+    return { ...result, action: 'error', errors: ['SKU is required'] };
+  }
+  
+  if (plan.seenSkus.has(row.sku)) {
+    return { ...result, action: 'error', errors: [`SKU already appears on line ${plan.seenSkus.get(row.sku)}`] };
+  }
+  
+  plan.seenSkus.set(row.sku, line);
+  const existing = plan.productsBySku.get(row.sku);
+  
+  if (existing && existing.archivedAt) {
+    return { ...result, action: 'error', errors: ['Product with this SKU is archived, restore it before importing'] };
+  }
+  
+  // New products need every required field, updates only need their own columns to be valid
+  const errors = await plan.validateRow(row, existing);
+  
+  if (errors.length > 0) {
+    return { ...result, action: 'error', errors };
+  }
+  
+  const fields = toProductFields(row);
+  
+  if (fields.barcode) {
+    const owner = plan.productsByBarcode.get(fields.barcode);
+    
+    if (plan.seenBarcodes.has(fields.barcode)) {
+      return { ...result, action: 'error', errors: [`Barcode already appears on line ${plan.seenBarcodes.get(fields.barcode)}`] };
+    }
+    
+    if (owner && (!existing || owner.productId !== existing.productId)) {
+      return { ...result, action: 'error', errors: [`Barcode is already assigned to SKU ${owner.sku || owner.productId}`] };
+    }
+    
+    plan.seenBarcodes.set(fields.barcode, line);
+  }
+  
+  if (!existing) {
+    const product = { productId: uuidv4(), ...fields };
+    plan.creates.push(product);
+    return { ...result, action: 'create', productId: product.productId };
+  }
+  
+  const { stockOnHand, ...changes } = fields;
+  plan.updates.push({ productId: existing.productId, changes });
+  
+  return {
+    ...result,
+    action: 'update',
+    productId: existing.productId,
+    ...(stockOnHand !== undefined && {
+      warnings: ['Stock on hand is only set for new products, use a stock adjustment'],
+    }),
+  };
+}
+
+/**
+ * Work out what an import would do with each row
+ * @param {Array} rows - Parsed CSV rows
+ * @param {Array} products - Existing products
+ * @param {Function} validateRow - Resolves to the validation messages for a row, given the product it updates if any
+ * @returns {Promise<Object>} Per-row results, and the creates and updates to write
+ */
+async function planImport(rows, products, validateRow) {
+  const plan = {
+    productsBySku: new Map(products.filter(product => product.sku).map(product => [product.sku, product])),
+    productsByBarcode: new Map(products.filter(product => product.barcode).map(product => [product.barcode, product])),
+    validateRow,
+    seenSkus: new Map(),
+    seenBarcodes: new Map(),
+    creates: [],
+    updates: [],
+  };
+  const results = [];
+  
+  for (const [index, row] of rows.entries()) {
+    // Line 1 is the header
+    results.push(await planRow(row, index + 2, plan));
+  }
+  
+  return { results, creates: plan.creates, updates: plan.updates };
+}
+
+module.exports = {
+  parseProductCsv,
+  planImport,
+};
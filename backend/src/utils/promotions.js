@@ -0,0 +1,287 @@
+/**
+ * Promotion evaluator
+ *
+ * The frontend cart shows the discounts this works out through
+ * POST /api/transactions/preview, so a cashier sees exactly the ones the server
+ * charges. All arithmetic is in whole cents.
+ */
+
+const PROMOTION_TYPES = ['percent', 'fixed', 'buy_x_get_y'];
+const PROMOTION_SCOPES = ['item', 'category', 'cart'];
+
+/**
+ * Convert an amount to whole cents
+ * @param {number} amount - Currency amount
+ * @returns {number} Amount in cents
+ */
+function toCents(amount) {
+  return Math.round((Number(amount) || 0) * 100);
+}
+
+/**
+ * Convert whole cents back to a currency amount
+ * @param {number} cents - Amount in cents
+ * @returns {number} Currency amount
+ */
+function fromCents(cents) {
+  return cents / 100;
+}
+
+/**
+ * Normalize a coupon code for comparison
+ * @param {string} code - Coupon code
+ * @returns {string} Normalized code
+ */
+function normalizeCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+/**
+ * Whether a promotion is running at a point in time
+ * @param {Object} promotion - Promotion rule
+ * @param {Date} now - Point in time
+ * @returns {boolean} True when active and inside its date window
+ */
+function isWithinWindow(promotion, now) {
+  if (promotion.active === false) {
+    return false;
+  }
+  
+  if (promotion.startsAt && new Date(promotion.startsAt) > now) {
+    return false;
+  }
+  
+  if (promotion.endsAt && new Date(promotion.endsAt) <= now) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Whether a line is targeted by a promotion
+ * @param {Object} promotion - Promotion rule
+ * @param {Object} line - Cart line
+ * @returns {boolean} True if the promotion applies to the line
+ */
+function matchesLine(promotion, line) {
+  if (promotion.scope === 'item') {
+    return (promotion.productIds || []).includes(line.productId);
+  }
+  
+  if (promotion.scope === 'category') {
+    return (promotion.categories || []).includes(line.category);
+  }
+  
+  return true;
+}
+
+/**
+ * Split an amount across lines in proportion to their weights, in whole cents
+ * @param {number} amount - Cents to split
+ * @param {Array<number>} weights - Weight per line
+ * @returns {Array<number>} Cents per line, summing to amount
+ */
+function allocate(amount, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  
+  if (totalWeight <= 0) {
+    return weights.map(() => 0);
+  }
+  
+  const shares = weights.map((weight, index) => {
+    const exact = (amount * weight) / totalWeight;
+    return { index, cents: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  
+  // Hand the leftover cents to the largest remainders, ties to the earliest line
+  let leftover = amount - shares.reduce((sum, share) => sum + share.cents, 0);
+  const byRemainder = shares.slice().sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  
+  for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length) {
+    byRemainder[i].cents += 1;
+    leftover -= 1;
+  }
+  
+  return shares.map(share => share.cents);
+}
+
+/**
+ * Discount in cents for each line from a buy-X-get-Y promotion
+ * @param {Object} promotion - Promotion rule
+ * @param {Array} lines - Working lines
+ * @returns {Array<number>} Cents per line
+ */
+function buyXGetYDiscounts(promotion, lines) {
+  const buyQuantity = parseInt(promotion.buyQuantity, 10) || 0;
+  const getQuantity = parseInt(promotion.getQuantity, 10) || 0;
+  const percent = promotion.value !== undefined ? Number(promotion.value) : 100;
+  const discounts = lines.map(() => 0);
+  
+  if (buyQuantity < 1 || getQuantity < 1) {
+    return discounts;
+  }
+  
+  // The cheapest units in the deal are the free ones, so lines are taken cheapest first
+  const matched = lines
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => matchesLine(promotion, line))
+    .sort((a, b) => a.line.unitCents - b.line.unitCents || a.index - b.index);
+  
+  const units = matched.reduce((sum, { line }) => sum + line.quantity, 0);
+  let freeUnits = Math.floor(units / (buyQuantity + getQuantity)) * getQuantity;
+  
+  for (const { line, index } of matched) {
+    if (freeUnits === 0) {
+      break;
+    }
+    
+    const lineFreeUnits = Math.min(freeUnits, line.quantity);
+    discounts[index] = Math.round((line.unitCents * percent) / 100) * lineFreeUnits;
+    freeUnits -= lineFreeUnits;
+  }
+  
+  return discounts;
+}
+
+/**
+ * Discount in cents for each line from a percent or fixed promotion
+ * @param {Object} promotion - Promotion rule
+ * @param {Array} lines - Working lines
+ * @returns {Array<number>} Cents per line
+ */
+function amountDiscounts(promotion, lines) {
+  const value = Number(promotion.value) || 0;
+  
+  // Cart-wide promotions come off the cart total and are shared out by line value
+  if (promotion.scope === 'cart') {
+    const remaining = lines.map(line => line.remainingCents);
+    const cartCents = remaining.reduce((sum, cents) => sum + cents, 0);
+    const discount = promotion.type === 'percent'
+      ? Math.round((cartCents * value) / 100)
+      : Math.min(toCents(value), cartCents);
+    
+    return allocate(discount, remaining);
+  }
+  
+  return lines.map((line) => {
+    if (!matchesLine(promotion, line)) {
+      return 0;
+    }
+    
+    // Fixed amounts on items and categories are taken off each unit
+    return promotion.type === 'percent'
+      ? Math.round((line.remainingCents * value) / 100)
+      : toCents(value) * line.quantity;
+  });
+}
+
+/**
+ * Apply promotions to cart lines
+ * @param {Array} lines - Lines with productId, category, price and quantity
+ * @param {Array} promotions - Promotion rules
+ * @param {Object} [options] - Evaluation options
+ * @param {Date|string} [options.now] - Time of sale, now by default
+ * @param {Array<string>} [options.couponCodes] - Coupon codes entered for the sale
+ * @returns {Object} Discounted lines, applied promotions and unmatched coupon codes
+ */
+function evaluatePromotions(lines, promotions, options = {}) {
+  const now = options.now ? new Date(options.now) : new Date();
+  const couponCodes = (options.couponCodes || []).map(normalizeCode);
+  
+  const working = lines.map(line => ({
+    unitCents: toCents(line.price),
+    quantity: parseInt(line.quantity, 10) || 0,
+    productId: line.productId,
+    category: line.category,
+    remainingCents: toCents(line.price) * (parseInt(line.quantity, 10) || 0),
+    applied: [],
+  }));
+  
+  const subtotalCents = working.reduce((sum, line) => sum + line.remainingCents, 0);
+  const matchedCodes = [];
+  
+  const eligible = (promotions || [])
+    .filter(promotion => PROMOTION_TYPES.includes(promotion.type))
+    .filter(promotion => isWithinWindow(promotion, now))
+    .filter((promotion) => {
+      if (!promotion.couponCode) {
+        return true;
+      }
+      
+      const code = normalizeCode(promotion.couponCode);
+      
+      if (couponCodes.includes(code)) {
+        matchedCodes.push(code);
+        return true;
+      }
+      
+      return false;
+    })
+    .filter(promotion => !promotion.minimumSpend || subtotalCents >= toCents(promotion.minimumSpend))
+    // Line promotions before cart promotions, then by priority, then by ID for a stable order
+    .sort((a, b) => ((a.scope === 'cart') - (b.scope === 'cart'))
+      || ((b.priority || 0) - (a.priority || 0))
+      || String(a.promotionId).localeCompare(String(b.promotionId)));
+  
+  const applied = [];
+  
+  eligible.forEach((promotion) => {
+    const discounts = promotion.type === 'buy_x_get_y'
+      ? buyXGetYDiscounts(promotion, working)
+      : amountDiscounts(promotion, working);
+    
+    let promotionCents = 0;
+    
+    discounts.forEach((cents, index) => {
+      const line = working[index];
+      // Never discount a line below zero
+      const amount = Math.min(cents, line.remainingCents);
+      
+      if (amount > 0) {
+        line.remainingCents -= amount;
+        line.applied.push({
+          promotionId: promotion.promotionId,
+          name: promotion.name,
+          amount: fromCents(amount),
+        });
+        promotionCents += amount;
+      }
+    });
+    
+    if (promotionCents > 0) {
+      applied.push({
+        promotionId: promotion.promotionId,
+        name: promotion.name,
+        ...(promotion.couponCode && { couponCode: normalizeCode(promotion.couponCode) }),
+        amount: fromCents(promotionCents),
+      });
+    }
+  });
+  
+  const discountCents = working.reduce(
+    (sum, line) => sum + line.unitCents * line.quantity - line.remainingCents,
+    0
+  );
+  
+  return {
+    lines: lines.map((line, index) => ({
+      ...line,
+      discount: fromCents(working[index].unitCents * working[index].quantity - working[index].remainingCents),
+      lineTotal: fromCents(working[index].remainingCents),
+      promotions: working[index].applied,
+    })),
+    applied,
+    subtotal: fromCents(subtotalCents),
+    discountTotal: fromCents(discountCents),
+    total: fromCents(subtotalCents - discountCents),
+    unmatchedCouponCodes: couponCodes.filter(code => !matchedCodes.includes(code)),
+  };
+}
+
+module.exports = {
+  evaluatePromotions,
+  normalizeCode,
+  PROMOTION_TYPES,
+  PROMOTION_SCOPES,
+};
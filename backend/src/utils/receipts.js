@@ -0,0 +1,301 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+// Receipt header and footer, and the width of a thermal receipt in characters
+const STORE_NAME = process.env.RECEIPT_STORE_NAME || 'Point of Sale';
+const STORE_FOOTER = process.env.RECEIPT_FOOTER || 'Thank you for shopping with us';
+const CURRENCY_SYMBOL = process.env.RECEIPT_CURRENCY_SYMBOL || '$';
+const RECEIPT_WIDTH = 42;
+
+const RECEIPT_FORMATS = ['text', 'html', 'pdf', 'escpos'];
+
+/**
+ * Format a currency amount
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount
+ */
+function formatMoney(amount) {
+  const value = Number(amount) || 0;
+  return `${value < 0 ? '-' : ''}${CURRENCY_SYMBOL}${Math.abs(value).toFixed(2)}`;
+}
+
+/**
+ * Build the rows shared by every receipt format
+ * @param {Object} transaction - Stored transaction
+ * @returns {Object} Receipt model
+ */
+function buildReceipt(transaction) {
+  const items = (transaction.items || []).map(item => ({
+    description: `${item.quantity} x ${item.name || item.productId}`,
+    detail: `@ ${formatMoney(item.price)}`,
+    amount: formatMoney(item.price * item.quantity),
+    discounts: (item.promotions || []).map(promotion => ({
+      label: promotion.name,
+      amount: formatMoney(-promotion.amount),
+    })),
+  }));
+  
+  const totals = [
+    // Lines are printed before discounts, the subtotal is after them and before tax
+    ...(transaction.discountTotal ? [{ label: 'Discounts', amount: formatMoney(-transaction.discountTotal) }] : []),
+    ...(transaction.subtotal !== undefined ? [{ label: 'Subtotal', amount: formatMoney(transaction.subtotal) }] : []),
+    ...(transaction.taxBreakdown || []).map(entry => ({
+      label: `${entry.name} ${(entry.rate * 100).toFixed(2).replace(/\.?0+$/, '')}%${transaction.pricesIncludeTax ? ' (incl.)' : ''}`,
+      amount: formatMoney(entry.tax),
+    })),
+    { label: 'TOTAL', amount: formatMoney(transaction.total) },
+  ];
+  
+  const payments = (transaction.payments || [{ method: transaction.paymentMethod, amount: transaction.total }])
+    .map(payment => ({
+      label: `${String(payment.method || 'payment').toUpperCase()}${payment.reference ? ` ${payment.reference}` : ''}`,
+      amount: formatMoney(payment.amount),
+    }));
+  
+  if (transaction.changeDue) {
+    payments.push({ label: 'Change', amount: formatMoney(transaction.changeDue) });
+  }
+  
+  const notices = [];
+  
+  if (transaction.status === 'voided') {
+    notices.push('*** VOID ***');
+  } else if (transaction.status === 'refunded') {
+    notices.push('*** REFUNDED ***');
+  } else if (transaction.status === 'partially_refunded') {
+    notices.push(`*** REFUNDED ${formatMoney(transaction.refundedTotal)} ***`);
+  }
+  
+  return {
+    storeName: STORE_NAME,
+    footer: STORE_FOOTER,
+    transactionId: transaction.transactionId,
+    timestamp: new Date(transaction.timestamp).toLocaleString('en-US', { timeZone: 'UTC', timeZoneName: 'short' }),
+    cashierId: transaction.cashierId,
+    notices,
+    items,
+    totals,
+    payments,
+  };
+}
+
+/**
+ * Lay out a label and amount on one receipt line
+ * @param {string} label - Left-hand text
+ * @param {string} amount - Right-hand text
+ * @param {number} [width] - Line width in characters
+ * @returns {string} Padded line
+ */
+function columns(label, amount, width = RECEIPT_WIDTH) {
+  const room = width - amount.length - 1;
+  const left = label.length > room ? label.slice(0, room) : label;
+  return `${left}${' '.repeat(width - left.length - amount.length)}${amount}`;
+}
+
+/**
+ * Center text on a receipt line
+ * @param {string} text - Text to center
+ * @param {number} [width] - Line width in characters
+ * @returns {string} Centered line
+ */
+function center(text, width = RECEIPT_WIDTH) {
+  const padding = Math.max(0, Math.floor((width - text.length) / 2));
+  return `${' '.repeat(padding)}${text}`;
+}
+
+/**
+ * Body lines of a fixed-width receipt, shared by text and ESC/POS
+ * @param {Object} receipt - Receipt model
+ * @returns {Object} Header, body and footer lines
+ */
+function receiptLines(receipt) {
+  const rule = '-'.repeat(RECEIPT_WIDTH);
+  const body = [];
+  
+  receipt.items.forEach((item) => {
+    body.push(columns(item.description, item.amount));
+    body.push(`  ${item.detail}`);
+    item.discounts.forEach(discount => body.push(columns(`  ${discount.label}`, discount.amount)));
+  });
+  
+  body.push(rule);
+  receipt.totals.forEach(total => body.push(columns(total.label, total.amount)));
+  body.push(rule);
+  receipt.payments.forEach(payment => body.push(columns(payment.label, payment.amount)));
+  
+  return {
+    header: [
+      receipt.storeName,
+      receipt.timestamp,
+      `Transaction ${receipt.transactionId}`,
+      ...receipt.notices,
+    ],
+    body: [rule, ...body, rule],
+    footer: [receipt.footer],
+  };
+}
+
+/**
+ * Render a receipt as plain text
+ * @param {Object} transaction - Stored transaction
+ * @returns {string} Receipt text
+ */
+function renderText(transaction) {
+  const { header, body, footer } = receiptLines(buildReceipt(transaction));
+  return [...header.map(line => center(line)), ...body, ...footer.map(line => center(line)), ''].join('\n');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a printable HTML receipt
+ * @param {Object} transaction - Stored transaction
+ * @returns {Promise<string>} Receipt HTML
+ */
+async function renderHtml(transaction) {
+  const receipt = buildReceipt(transaction);
+  const qrCode = await QRCode.toString(receipt.transactionId, { type: 'svg', margin: 0, width: 120 });
+  
+  const row = (label, amount, className = '') => (
+    `<tr class="${className}"><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(amount)}</td></tr>`
+  );
+  
+  const itemRows = receipt.items.map(item => [
+    row(item.description, item.amount),
+    `<tr class="detail"><td colspan="2">${escapeHtml(item.detail)}</td></tr>`,
+    ...item.discounts.map(discount => row(discount.label, discount.amount, 'discount')),
+  ].join('')).join('');
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(receipt.transactionId)}</title>
+<style>
+  body { font-family: monospace; width: 80mm; margin: 0 auto; }
+  header, footer, .qr { text-align: center; }
+  table { width: 100%; border-collapse: collapse; }
+  .amount { text-align: right; }
+  .detail td, .discount td { padding-left: 1em; font-size: 0.9em; }
+  .totals tr:last-child { font-weight: bold; }
+  .notice { font-weight: bold; }
+  hr { border: none; border-top: 1px dashed #000; }
+  @media print { body { width: auto; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(receipt.storeName)}</h1>
+  <div>${escapeHtml(receipt.timestamp)}</div>
+  <div>Transaction ${escapeHtml(receipt.transactionId)}</div>
+  ${receipt.notices.map(notice => `<div class="notice">${escapeHtml(notice)}</div>`).join('')}
+</header>
+<hr>
+<table class="items">${itemRows}</table>
+<hr>
+<table class="totals">${receipt.totals.map(total => row(total.label, total.amount)).join('')}</table>
+<hr>
+<table class="payments">${receipt.payments.map(payment => row(payment.label, payment.amount)).join('')}</table>
+<div class="qr">${qrCode}</div>
+<footer>${escapeHtml(receipt.footer)}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a PDF receipt
+ * @param {Object} transaction - Stored transaction
+ * @returns {Promise<Buffer>} PDF document
+ */
+async function renderPdf(transaction) {
+  const receipt = buildReceipt(transaction);
+  const { header, body, footer } = receiptLines(receipt);
+  const qrCode = await QRCode.toBuffer(receipt.transactionId, { margin: 0, width: 120 });
+  
+  // 80mm wide roll, tall enough for every line
+  const lineHeight = 11;
+  const height = 60 + (header.length + body.length + footer.length) * lineHeight + 140;
+  const doc = new PDFDocument({ size: [227, height], margin: 10 });
+  
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    
+    doc.font('Courier').fontSize(7.5);
+    header.forEach(line => doc.text(line, { align: 'center' }));
+    body.forEach(line => doc.text(line));
+    doc.moveDown();
+    doc.image(qrCode, (227 - 100) / 2, doc.y, { width: 100 });
+    doc.y += 110;
+    footer.forEach(line => doc.text(line, { align: 'center' }));
+    doc.end();
+  });
+}
+
+/**
+ * Render raw ESC/POS bytes for a thermal printer
+ * @param {Object} transaction - Stored transaction
+ * @returns {Buffer} Printer commands
+ */
+function renderEscPos(transaction) {
+  const receipt = buildReceipt(transaction);
+  const { header, body, footer } = receiptLines(receipt);
+  
+  const ESC = 0x1b;
+  const GS = 0x1d;
+  const text = value => Buffer.from(`${value}\n`, 'latin1');
+  const align = position => Buffer.from([ESC, 0x61, position]);
+  const bold = on => Buffer.from([ESC, 0x45, on ? 1 : 0]);
+  
+  // Printer-side QR code (GS ( k): model 2, module size 6, error correction M, store then print
+  const qrData = Buffer.from(receipt.transactionId, 'latin1');
+  const storeLength = qrData.length + 3;
+  const qrCode = Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0x00]),
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, 0x06]),
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31]),
+    Buffer.from([GS, 0x28, 0x6b, storeLength % 256, Math.floor(storeLength / 256), 0x31, 0x50, 0x30]),
+    qrData,
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30]),
+  ]);
+  
+  return Buffer.concat([
+    Buffer.from([ESC, 0x40]), // Initialize
+    align(1),
+    bold(true),
+    text(header[0]),
+    bold(false),
+    ...header.slice(1).map(text),
+    align(0),
+    ...body.map(text),
+    align(1),
+    qrCode,
+    text(''),
+    ...footer.map(text),
+    Buffer.from([ESC, 0x64, 4]), // Feed 4 lines
+    Buffer.from([GS, 0x56, 0x42, 0x00]), // Partial cut
+  ]);
+}
+
+module.exports = {
+  renderText,
+  renderHtml,
+  renderPdf,
+  renderEscPos,
+  RECEIPT_FORMATS,
+};
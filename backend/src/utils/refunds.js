@@ -0,0 +1,129 @@
+const { roundCurrency } = require('./pricing');
+const { createError } = require('./error-handler');
+
+// Transaction statuses that can still be refunded
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+/**
+ * Amount the customer paid for a line, tax included
+ * @param {Object} item - Transaction line
+ * @returns {number} Amount paid
+ */
+function lineAmountPaid(item) {
+  if (item.grossTotal !== undefined) {
+    return item.grossTotal;
+  }
+  
+  // Lines recorded before tax was calculated
+  return item.lineTotal !== undefined ? item.lineTotal : item.price * item.quantity;
+}
+
+/**
+ * Work out the lines and amounts of a refund against a transaction
+ * @param {Object} transaction - Original transaction
+ * @param {Array} [requestedItems] - Lines to refund ({ lineIndex, quantity }), all remaining if omitted
+ * @returns {Object} Refund lines, total and the original's updated items and status
+ */
+function buildRefund(transaction, requestedItems) {
+  if (!REFUNDABLE_STATUSES.includes(transaction.status)) {
+    throw createError(409, `Transaction with status '${transaction.status}' cannot be refunded`);
+  }
+  
+  const originalItems = transaction.items || [];
+  
+  // A full refund takes back whatever has not been refunded yet
+  const requests = requestedItems && requestedItems.length > 0
+    ? requestedItems.map(item => ({ lineIndex: parseInt(item.lineIndex, 10), quantity: parseInt(item.quantity, 10) }))
+    : originalItems.map((item, lineIndex) => ({ lineIndex, quantity: item.quantity - (item.refundedQuantity || 0) }))
+      .filter(item => item.quantity > 0);
+  
+  const requestedByLine = {};
+  requests.forEach((request) => {
+    requestedByLine[request.lineIndex] = (requestedByLine[request.lineIndex] || 0) + request.quantity;
+  });
+  
+  const invalidLines = Object.keys(requestedByLine)
+    .map(lineIndex => parseInt(lineIndex, 10))
+    .map((lineIndex) => {
+      const item = originalItems[lineIndex];
+      
+      if (!item) {
+        return { lineIndex, message: 'Line does not exist on this transaction' };
+      }
+      
+      const refundable = item.quantity - (item.refundedQuantity || 0);
+      
+      if (requestedByLine[lineIndex] > refundable) {
+        return {
+          lineIndex,
+          productId: item.productId,
+          message: `Only ${refundable} of ${item.quantity} can still be refunded`,
+        };
+      }
+      
+      return null;
+    })
+    .filter(Boolean);
+  
+  if (invalidLines.length > 0) {
+    throw createError(400, 'Refund quantities exceed what was sold', { lines: invalidLines });
+  }
+  
+  if (requests.length === 0) {
+    throw createError(409, 'Nothing left to refund on this transaction');
+  }
+  
+  const items = Object.keys(requestedByLine).map((key) => {
+    const lineIndex = parseInt(key, 10);
+    const item = originalItems[lineIndex];
+    const quantity = requestedByLine[lineIndex];
+    const paidTotal = lineAmountPaid(item);
+    const completesLine = (item.refundedQuantity || 0) + quantity === item.quantity;
+    
+    return {
+      lineIndex,
+      productId: item.productId,
+      ...(item.variantId && { variantId: item.variantId }),
+      name: item.name,
+      quantity,
+      price: item.price,
+      // Refund what the customer actually paid, and let the last refund on a line absorb rounding
+      amount: completesLine
+        ? roundCurrency(paidTotal - (item.refundedAmount || 0))
+        : roundCurrency((paidTotal / item.quantity) * quantity),
+      ...(item.stockTracked && { stockTracked: true }),
+    };
+  });
+  
+  const refundedByLine = {};
+  items.forEach((item) => {
+    refundedByLine[item.lineIndex] = item;
+  });
+  
+  const updatedItems = originalItems.map((item, lineIndex) => (
+    refundedByLine[lineIndex]
+      ? {
+        ...item,
+        refundedQuantity: (item.refundedQuantity || 0) + refundedByLine[lineIndex].quantity,
+        refundedAmount: roundCurrency((item.refundedAmount || 0) + refundedByLine[lineIndex].amount),
+      }
+      : item
+  ));
+  
+  const fullyRefunded = updatedItems.every(item => (item.refundedQuantity || 0) >= item.quantity);
+  
+  const total = roundCurrency(items.reduce((sum, item) => sum + item.amount, 0));
+  
+  return {
+    items,
+    total,
+    refundedTotal: roundCurrency((transaction.refundedTotal || 0) + total),
+    updatedItems,
+    status: fullyRefunded ? 'refunded' : 'partially_refunded',
+  };
+}
+
+module.exports = {
+  buildRefund,
+  REFUNDABLE_STATUSES,
+};
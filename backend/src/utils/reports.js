@@ -0,0 +1,188 @@
+const { roundCurrency } = require('./pricing');
+const { isCountedSale } = require('./sales');
+
+/**
+ * Local calendar parts of a timestamp
+ * @param {string} timestamp - ISO8601 timestamp
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} Local date (YYYY-MM-DD) and hour (00-23)
+ */
+function localTime(timestamp, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parts.hour,
+  };
+}
+
+// How each dimension keys a sale line (fact.line) or tender (fact.tender)
+const DIMENSIONS = {
+  day: fact => fact.local.date,
+  hour: fact => fact.local.hour,
+  product: fact => fact.line.productId,
+  category: fact => fact.line.category || 'Uncategorized',
+  cashier: fact => fact.transaction.cashierId,
+  paymentMethod: fact => fact.tender.method,
+};
+
+const REPORT_DIMENSIONS = Object.keys(DIMENSIONS);
+
+/**
+ * Whether a time zone is known to the runtime
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} True if valid
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Money figures for one line of a sale
+ * @param {Object} transaction - Transaction the line belongs to
+ * @param {Object} line - Sale line
+ * @returns {Object} Gross, discounts, tax, net, total, refunds and units
+ */
+function lineFigures(transaction, line) {
+  const gross = (line.price || 0) * (line.quantity || 0);
+  const discounts = line.discount || 0;
+  const tax = line.tax || 0;
+  const lineTotal = line.lineTotal !== undefined ? line.lineTotal : gross - discounts;
+  
+  return {
+    gross,
+    discounts,
+    tax,
+    // Net is what the sale earned before tax
+    net: transaction.pricesIncludeTax ? lineTotal - tax : lineTotal,
+    total: line.grossTotal !== undefined ? line.grossTotal : lineTotal + (transaction.pricesIncludeTax ? 0 : tax),
+    refunds: line.refundedAmount || 0,
+    units: line.quantity || 0,
+  };
+}
+
+const FIGURES = ['gross', 'discounts', 'tax', 'net', 'total', 'refunds', 'units'];
+
+/**
+ * Start an empty group
+ * @param {Object} [key] - Group key by dimension
+ * @returns {Object} Group with zeroed figures
+ */
+function emptyGroup(key) {
+  const group = { ...(key && { key }), transactionIds: new Set() };
+  FIGURES.forEach((figure) => {
+    group[figure] = 0;
+  });
+  return group;
+}
+
+/**
+ * Round a group's figures and replace its transaction IDs with a count
+ * @param {Object} group - Group being aggregated
+ * @returns {Object} Reported group
+ */
+function finishGroup(group) {
+  const { transactionIds, ...figures } = group;
+  FIGURES.forEach((figure) => {
+    figures[figure] = roundCurrency(figures[figure]);
+  });
+  figures.transactionCount = transactionIds.size;
+  return figures;
+}
+
+/**
+ * Aggregate sales by any combination of dimensions
+ *
+ * Voided sales are left out. Grouping by payment method splits each sale's
+ * figures across its tenders in proportion to what each tender paid.
+ * @param {Array} transactions - Transactions to report on
+ * @param {Object} options - Report options
+ * @param {Array<string>} [options.groupBy] - Dimensions to group by, in order
+ * @param {string} [options.timeZone] - Time zone for days and hours
+ * @param {string} [options.startDate] - First local day to include (YYYY-MM-DD)
+ * @param {string} [options.endDate] - Last local day to include (YYYY-MM-DD)
+ * @returns {Object} Groups and overall totals
+ */
+function aggregateSales(transactions, options = {}) {
+  const groupBy = options.groupBy || [];
+  const timeZone = options.timeZone || 'UTC';
+  const splitByTender = groupBy.includes('paymentMethod');
+  const groups = new Map();
+  const totals = emptyGroup();
+  let voidedCount = 0;
+  
+  transactions.forEach((transaction) => {
+    const local = localTime(transaction.timestamp, timeZone);
+    
+    // The range is in local days, the store is queried in UTC days
+    if ((options.startDate && local.date < options.startDate) || (options.endDate && local.date > options.endDate)) {
+      return;
+    }
+    
+    if (!isCountedSale(transaction)) {
+      voidedCount += 1;
+      return;
+    }
+    
+    const payments = transaction.payments || [{ method: transaction.paymentMethod, net: transaction.total }];
+    const paid = payments.reduce((sum, payment) => sum + (payment.net || 0), 0);
+    const tenders = splitByTender
+      ? payments.map(payment => ({ tender: payment, share: paid > 0 ? (payment.net || 0) / paid : 1 / payments.length }))
+      : [{ tender: null, share: 1 }];
+    
+    (transaction.items || []).forEach((line) => {
+      const figures = lineFigures(transaction, line);
+      
+      tenders.forEach(({ tender, share }) => {
+        const fact = { transaction, line, tender, local };
+        const key = {};
+        groupBy.forEach((dimension) => {
+          key[dimension] = DIMENSIONS[dimension](fact);
+        });
+        
+        const mapKey = JSON.stringify(groupBy.map(dimension => key[dimension]));
+        if (!groups.has(mapKey)) {
+          groups.set(mapKey, emptyGroup(key));
+        }
+        
+        [groups.get(mapKey), totals].forEach((group) => {
+          FIGURES.forEach((figure) => {
+            group[figure] += figures[figure] * share;
+          });
+          group.transactionIds.add(transaction.transactionId);
+        });
+      });
+    });
+  });
+  
+  const sortedKeys = [...groups.keys()].sort();
+  
+  return {
+    groups: sortedKeys.map(mapKey => finishGroup(groups.get(mapKey))),
+    totals: {
+      ...finishGroup(totals),
+      voidedCount,
+    },
+  };
+}
+
+module.exports = {
+  aggregateSales,
+  isValidTimeZone,
+  REPORT_DIMENSIONS,
+};
@@ -0,0 +1,34 @@
+const { roundCurrency } = require('./pricing');
+
+/**
+ * Whether a transaction counts towards sales totals
+ * @param {Object} transaction - Transaction
+ * @returns {boolean} False for voided sales
+ */
+function isCountedSale(transaction) {
+  return transaction.status !== 'voided';
+}
+
+/**
+ * Summarize sales for a list of transactions, excluding voided sales
+ * @param {Array} transactions - Transactions to summarize
+ * @returns {Object} Sales totals
+ */
+function summarizeSales(transactions) {
+  const counted = transactions.filter(isCountedSale);
+  const grossSales = roundCurrency(counted.reduce((sum, transaction) => sum + (transaction.total || 0), 0));
+  const refunds = roundCurrency(counted.reduce((sum, transaction) => sum + (transaction.refundedTotal || 0), 0));
+  
+  return {
+    transactionCount: counted.length,
+    voidedCount: transactions.length - counted.length,
+    grossSales,
+    refunds,
+    netSales: roundCurrency(grossSales - refunds),
+  };
+}
+
+module.exports = {
+  isCountedSale,
+  summarizeSales,
+};
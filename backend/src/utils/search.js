@@ -0,0 +1,188 @@
+// Prefixes are indexed from two characters, up to this length
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 20;
+
+/**
+ * Normalize text for searching: lower case, without accents
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Split text into normalized words
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Distinct words
+ */
+function tokenize(text) {
+  return [...new Set(normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+}
+
+/**
+ * Every prefix of a word that a search can look up
+ * @param {string} word - Normalized word
+ * @returns {Array<string>} Prefixes, the whole word included
+ */
+function prefixes(word) {
+  const terms = [word];
+  
+  for (let length = MIN_PREFIX_LENGTH; length <= Math.min(word.length - 1, MAX_PREFIX_LENGTH); length += 1) {
+    terms.push(word.slice(0, length));
+  }
+  
+  return terms;
+}
+
+/**
+ * Index terms for a product
+ *
+ * Words in the name, SKU and category are indexed by prefix, so "coc" finds
+ * "Coca-Cola". Description words are only indexed whole to keep the index small.
+ * @param {Object} product - Product
+ * @returns {Array<string>} Distinct terms
+ */
+function productTerms(product) {
+  const terms = new Set();
+  
+  [product.name, product.sku, product.category].forEach((text) => {
+    tokenize(text).forEach(word => prefixes(word).forEach(term => terms.add(term)));
+  });
+  tokenize(product.description).forEach(word => terms.add(word));
+  
+  return [...terms];
+}
+
+/**
+ * The term a query word is looked up by
+ * @param {string} word - Normalized query word
+ * @returns {string} Index term
+ */
+function lookupTerm(word) {
+  // Longer words are found through their longest indexed prefix
+  return word.slice(0, MAX_PREFIX_LENGTH);
+}
+
+/**
+ * What a search result is ranked and filtered on, kept with each index entry
+ * @param {Object} product - Product
+ * @returns {Object} Product ID, name, SKU and category
+ */
+function searchSummary(product) {
+  return {
+    productId: product.productId,
+    name: product.name,
+    sku: product.sku,
+    category: product.category,
+  };
+}
+
+/**
+ * Score a matching product against a query, higher ranks first
+ *
+ * An exact SKU beats an exact name, which beats a SKU or name starting with
+ * the query; after that products score by how well the words match the name.
+ * @param {Object} summary - Product search summary
+ * @param {string} query - Normalized query
+ * @param {Array<string>} words - Query words
+ * @returns {number} Score
+ */
+function scoreMatch(summary, query, words) {
+  const sku = normalizeText(summary.sku);
+  const name = normalizeText(summary.name);
+  const nameWords = tokenize(summary.name);
+  
+  let score = 0;
+  
+  if (sku && sku === query) {
+    score += 1000;
+  } else if (name === query) {
+    score += 500;
+  } else if (sku && sku.startsWith(query)) {
+    score += 200;
+  } else if (name.startsWith(query)) {
+    score += 100;
+  }
+  
+  words.forEach((word) => {
+    if (nameWords.includes(word)) {
+      score += 10;
+    } else if (nameWords.some(nameWord => nameWord.startsWith(word))) {
+      score += 5;
+    }
+  });
+  
+  return score;
+}
+
+/**
+ * Order ranked results: score, then name, then product ID so pages are stable
+ * @param {Object} a - Ranked result
+ * @param {Object} b - Ranked result
+ * @returns {number} Sort order
+ */
+function compareRanked(a, b) {
+  return b.score - a.score
+    || normalizeText(a.name).localeCompare(normalizeText(b.name))
+    || a.productId.localeCompare(b.productId);
+}
+
+/**
+ * Search index held in memory, a stand-in for the DynamoDB index in local
+ * development and tests. It starts empty and is filled by a reindex.
+ * @returns {Object} Search index
+ */
+function createMemorySearchIndex() {
+  const entriesByTerm = new Map();
+  const termsByProduct = new Map();
+  
+  const removeProduct = async (productId) => {
+    (termsByProduct.get(productId) || []).forEach((term) => {
+      const entries = entriesByTerm.get(term);
+      entries.delete(productId);
+      if (entries.size === 0) {
+        entriesByTerm.delete(term);
+      }
+    });
+    termsByProduct.delete(productId);
+  };
+  
+  return {
+    persistent: false,
+    
+    putProduct: async (product) => {
+      await removeProduct(product.productId);
+      
+      const terms = productTerms(product);
+      const summary = searchSummary(product);
+      terms.forEach((term) => {
+        if (!entriesByTerm.has(term)) {
+          entriesByTerm.set(term, new Map());
+        }
+        entriesByTerm.get(term).set(product.productId, summary);
+      });
+      termsByProduct.set(product.productId, terms);
+    },
+    
+    removeProduct,
+    
+    findTerm: async term => [...(entriesByTerm.get(term) || new Map()).values()],
+  };
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  productTerms,
+  lookupTerm,
+  searchSummary,
+  scoreMatch,
+  compareRanked,
+  createMemorySearchIndex,
+  MIN_PREFIX_LENGTH,
+};
@@ -0,0 +1,108 @@
+const { roundCurrency } = require('./pricing');
+const { isCountedSale } = require('./sales');
+
+// Cash drawer events a cashier can record during a shift
+const DRAWER_EVENT_TYPES = ['paid_in', 'paid_out', 'no_sale'];
+
+/**
+ * Add an amount to a tender's running totals
+ * @param {Object} tenders - Totals keyed by payment method
+ * @param {string} method - Payment method
+ * @param {string} field - Total to add to
+ * @param {number} amount - Amount
+ */
+function addToTender(tenders, method, field, amount) {
+  if (!tenders[method]) {
+    tenders[method] = { method, sales: 0, refunds: 0 };
+  }
+  
+  tenders[method][field] += amount || 0;
+}
+
+/**
+ * Build the X (open) or Z (closed) report of a shift
+ *
+ * Expected cash is the opening float, plus cash taken, plus paid-ins, less
+ * paid-outs and cash refunds. Other tenders are expected to match what was
+ * taken less what was refunded to them. Voided sales count against the shift
+ * they were rung up in; refunds against the shift they were paid out of.
+ * @param {Object} shift - Shift with its drawer events
+ * @param {Array} transactions - Transactions rung up in the shift
+ * @param {Array} refunds - Refunds paid out in the shift
+ * @param {Object} [counted] - Counted amount per payment method
+ * @returns {Object} Shift report
+ */
+function buildShiftReport(shift, transactions, refunds, counted = {}) {
+  const sales = transactions.filter(isCountedSale);
+  const tenders = { cash: { method: 'cash', sales: 0, refunds: 0 } };
+  
+  sales.forEach((transaction) => {
+    (transaction.payments || [{ method: transaction.paymentMethod, net: transaction.total }])
+      .forEach(payment => addToTender(tenders, payment.method, 'sales', payment.net));
+  });
+  
+  refunds.forEach(refund => addToTender(tenders, refund.paymentMethod, 'refunds', refund.total));
+  
+  const events = shift.events || [];
+  const sumEvents = type => roundCurrency(events
+    .filter(event => event.type === type)
+    .reduce((sum, event) => sum + event.amount, 0));
+  
+  const paidIn = sumEvents('paid_in');
+  const paidOut = sumEvents('paid_out');
+  const openingFloat = shift.openingFloat || 0;
+  
+  // Tenders that were counted but never taken are still reported
+  Object.keys(counted).forEach(method => addToTender(tenders, method, 'sales', 0));
+  
+  const tenderReport = Object.values(tenders).map((tender) => {
+    const isCash = tender.method === 'cash';
+    const expected = roundCurrency(tender.sales - tender.refunds
+      + (isCash ? openingFloat + paidIn - paidOut : 0));
+    const countedAmount = counted[tender.method];
+    
+    return {
+      method: tender.method,
+      sales: roundCurrency(tender.sales),
+      refunds: roundCurrency(tender.refunds),
+      expected,
+      counted: countedAmount !== undefined ? roundCurrency(countedAmount) : null,
+      variance: countedAmount !== undefined ? roundCurrency(countedAmount - expected) : null,
+    };
+  });
+  
+  const grossSales = roundCurrency(sales.reduce((sum, transaction) => sum + (transaction.total || 0), 0));
+  const refundTotal = roundCurrency(refunds.reduce((sum, refund) => sum + (refund.total || 0), 0));
+  const cash = tenderReport.find(tender => tender.method === 'cash');
+  
+  return {
+    shiftId: shift.shiftId,
+    cashierId: shift.cashierId,
+    ...(shift.registerId && { registerId: shift.registerId }),
+    status: shift.status,
+    openedAt: shift.openedAt,
+    ...(shift.closedAt && { closedAt: shift.closedAt }),
+    salesCount: sales.length,
+    refundCount: refunds.length,
+    voidCount: transactions.length - sales.length,
+    noSaleCount: events.filter(event => event.type === 'no_sale').length,
+    grossSales,
+    discountTotal: roundCurrency(sales.reduce((sum, transaction) => sum + (transaction.discountTotal || 0), 0)),
+    taxTotal: roundCurrency(sales.reduce((sum, transaction) => sum + (transaction.taxTotal || 0), 0)),
+    refundTotal,
+    netSales: roundCurrency(grossSales - refundTotal),
+    openingFloat,
+    paidIn,
+    paidOut,
+    tenders: tenderReport,
+    expectedCash: cash.expected,
+    countedCash: cash.counted,
+    cashVariance: cash.variance,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  buildShiftReport,
+  DRAWER_EVENT_TYPES,
+};
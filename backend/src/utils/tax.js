@@ -0,0 +1,140 @@
+const fs = require('fs');
+const { roundCurrency } = require('./pricing');
+
+// Charges no tax until rates are configured
+const DEFAULT_TAX_CONFIG = {
+  pricesIncludeTax: false,
+  rounding: 'line',
+  defaultTaxClass: 'standard',
+  rates: {
+    standard: { name: 'Standard', rate: 0 },
+  },
+  categories: {},
+};
+
+/**
+ * Load tax configuration from TAX_CONFIG_FILE or TAX_CONFIG (JSON)
+ * @returns {Object} Tax configuration
+ */
+function loadTaxConfig() {
+  let config = {};
+  
+  try {
+    if (process.env.TAX_CONFIG_FILE) {
+      config = JSON.parse(fs.readFileSync(process.env.TAX_CONFIG_FILE, 'utf8'));
+    } else if (process.env.TAX_CONFIG) {
+      config = JSON.parse(process.env.TAX_CONFIG);
+    }
+  } catch (error) {
+    console.error('Error loading tax configuration:', error);
+    throw error;
+  }
+  
+  const merged = { ...DEFAULT_TAX_CONFIG, ...config };
+  
+  if (!['line', 'invoice'].includes(merged.rounding)) {
+    throw new Error(`Unknown tax rounding mode '${merged.rounding}', use 'line' or 'invoice'`);
+  }
+  
+  if (!merged.rates[merged.defaultTaxClass]) {
+    throw new Error(`Default tax class '${merged.defaultTaxClass}' has no rate`);
+  }
+  
+  return merged;
+}
+
+const taxConfig = loadTaxConfig();
+
+/**
+ * Resolve the tax class for a line
+ * @param {Object} item - Priced line with optional taxClass and category
+ * @param {Object} config - Tax configuration
+ * @returns {string} Tax class
+ */
+function resolveTaxClass(item, config) {
+  if (item.taxClass && config.rates[item.taxClass]) {
+    return item.taxClass;
+  }
+  
+  if (item.category && config.categories[item.category]) {
+    return config.categories[item.category];
+  }
+  
+  return config.defaultTaxClass;
+}
+
+/**
+ * Calculate tax for priced lines
+ * @param {Array} items - Priced lines, each with a lineTotal
+ * @param {Object} [config] - Tax configuration, the loaded one by default
+ * @returns {Object} Lines with tax, the breakdown by rate and the totals
+ */
+function calculateTax(items, config = taxConfig) {
+  const lines = items.map((item) => {
+    const taxClass = resolveTaxClass(item, config);
+    const { rate } = config.rates[taxClass];
+    
+    // Inclusive prices already contain the tax, so back it out
+    const exactTax = config.pricesIncludeTax
+      ? item.lineTotal - item.lineTotal / (1 + rate)
+      : item.lineTotal * rate;
+    
+    return { item, taxClass, rate, exactTax };
+  });
+  
+  const breakdownByClass = {};
+  
+  lines.forEach(({ item, taxClass, rate, exactTax }) => {
+    if (!breakdownByClass[taxClass]) {
+      breakdownByClass[taxClass] = {
+        taxClass,
+        name: config.rates[taxClass].name,
+        rate,
+        taxable: 0,
+        tax: 0,
+      };
+    }
+    
+    const entry = breakdownByClass[taxClass];
+    const tax = config.rounding === 'line' ? roundCurrency(exactTax) : exactTax;
+    
+    entry.tax += tax;
+    entry.taxable += config.pricesIncludeTax ? item.lineTotal - tax : item.lineTotal;
+  });
+  
+  const breakdown = Object.values(breakdownByClass).map(entry => ({
+    ...entry,
+    taxable: roundCurrency(entry.taxable),
+    tax: roundCurrency(entry.tax),
+  }));
+  
+  const taxTotal = roundCurrency(breakdown.reduce((sum, entry) => sum + entry.tax, 0));
+  const lineSum = roundCurrency(items.reduce((sum, item) => sum + item.lineTotal, 0));
+  const total = config.pricesIncludeTax ? lineSum : roundCurrency(lineSum + taxTotal);
+  
+  return {
+    items: lines.map(({ item, taxClass, rate, exactTax }) => {
+      const tax = roundCurrency(exactTax);
+      
+      return {
+        ...item,
+        taxClass,
+        taxRate: rate,
+        tax,
+        // What the customer pays for the line, used for refunds
+        grossTotal: config.pricesIncludeTax ? item.lineTotal : roundCurrency(item.lineTotal + tax),
+      };
+    }),
+    taxBreakdown: breakdown,
+    subtotal: roundCurrency(total - taxTotal),
+    taxTotal,
+    total,
+    pricesIncludeTax: config.pricesIncludeTax,
+  };
+}
+
+module.exports = {
+  calculateTax,
+  loadTaxConfig,
+  taxConfig,
+};
@@ -0,0 +1,127 @@
+/**
+ * Describe a variant by its option values, in the parent's option order
+ * @param {Object} options - Option values keyed by option name, e.g. { Size: 'M', Color: 'Red' }
+ * @param {Array} variantOptions - Parent's options, each with a name and its values
+ * @returns {string} Label such as "M / Red"
+ */
+function variantLabel(options = {}, variantOptions = []) {
+  return variantOptions
+    .map(option => options[option.name])
+    .filter(value => value !== undefined)
+    .join(' / ');
+}
+
+/**
+ * Key identifying a combination of option values
+ * @param {Object} options - Option values keyed by option name
+ * @param {Array} variantOptions - Parent's options
+ * @returns {string} Combination key
+ */
+function combinationKey(options, variantOptions) {
+  return JSON.stringify(variantOptions.map(option => options[option.name]));
+}
+
+/**
+ * Check that variants fit the parent's options
+ *
+ * Every variant must give a value for each option and nothing else, no two
+ * variants may share a combination, and SKUs must be distinct.
+ * @param {Array} variantOptions - Parent's options, each with a name and its values
+ * @param {Array} variants - Variants, each with options
+ * @param {Object} [settings] - Check settings
+ * @param {boolean} [settings.allowNewValues] - Accept values the options do not list yet
+ * @returns {Array<string>} Problems found, empty when the variants fit
+ */
+function checkVariants(variantOptions, variants, settings = {}) {
+  const problems = [];
+  const names = variantOptions.map(option => option.name);
+  
+  if (new Set(names).size !== names.length) {
+    problems.push('Variant option names must be unique');
+  }
+  
+  const combinations = new Map();
+  const skus = new Map();
+  
+  variants.forEach((variant, index) => {
+    const options = variant.options || {};
+    const label = `Variant ${index + 1}`;
+    
+    Object.keys(options).filter(name => !names.includes(name)).forEach((name) => {
+      problems.push(`${label} has an unknown option ${name}`);
+    });
+    
+    variantOptions.forEach((option) => {
+      const value = options[option.name];
+      
+      if (typeof value !== 'string' || value === '') {
+        problems.push(`${label} needs a value for ${option.name}`);
+      } else if (!settings.allowNewValues && !option.values.includes(value)) {
+        problems.push(`${label} has ${value} for ${option.name}, which is not one of ${option.values.join(', ')}`);
+      }
+    });
+    
+    const key = combinationKey(options, variantOptions);
+    if (combinations.has(key)) {
+      problems.push(`${label} repeats the options of variant ${combinations.get(key) + 1}`);
+    } else {
+      combinations.set(key, index);
+    }
+    
+    if (variant.sku) {
+      if (skus.has(variant.sku)) {
+        problems.push(`${label} repeats the SKU of variant ${skus.get(variant.sku) + 1}`);
+      } else {
+        skus.set(variant.sku, index);
+      }
+    }
+  });
+  
+  return problems;
+}
+
+/**
+ * Add option values a new variant introduces to the parent's options
+ * @param {Array} variantOptions - Parent's options
+ * @param {Object} options - New variant's option values
+ * @returns {Array} Options with any new values appended
+ */
+function extendVariantOptions(variantOptions, options) {
+  return variantOptions.map(option => (option.values.includes(options[option.name])
+    ? option
+    : { ...option, values: [...option.values, options[option.name]] }));
+}
+
+/**
+ * Nest a parent's variants under it, labelled and in option order
+ * @param {Object} product - Parent product
+ * @param {Array} variants - Its variants
+ * @returns {Object} Product with variants
+ */
+function nestVariants(product, variants) {
+  const variantOptions = product.variantOptions || [];
+  const position = variant => variantOptions.map((option) => {
+    const index = option.values.indexOf((variant.options || {})[option.name]);
+    return index === -1 ? option.values.length : index;
+  });
+  
+  const sorted = [...variants].sort((a, b) => {
+    const positionA = position(a);
+    const positionB = position(b);
+    const difference = positionA.findIndex((value, index) => value !== positionB[index]);
+    return difference === -1 ? 0 : positionA[difference] - positionB[difference];
+  });
+  
+  return {
+    ...product,
+    variants: sorted.map(variant => ({ ...variant, label: variantLabel(variant.options, variantOptions) })),
+  };
+}
+
+module.exports = {
+  variantLabel,
+  combinationKey,
+  checkVariants,
+  extendVariantOptions,
+  nestVariants,
+};
@@ -0,0 +1,109 @@
+const AWS = require('aws-sdk');
+const express = require('express');
+const { errorHandler } = require('../src/utils/error-handler');
+
+/**
+ * App serving a router as the user the X-User and X-Role headers name, as if
+ * authenticate had checked their token
+ * @param {string} path - Path the router is mounted at
+ * @param {Object} router - Express router
+ * @returns {Object} Express app
+ */
+function createApp(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { sub: req.get('X-User') || 'cashier-1', 'custom:role': req.get('X-Role') || 'cashier' };
+    next();
+  });
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+}
+
+/**
+ * Keep the error handler's logging of expected errors out of test output
+ */
+function silenceErrorLog() {
+  let errorLog;
+  
+  beforeEach(() => {
+    errorLog = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    errorLog.mockRestore();
+  });
+}
+
+/**
+ * Product as the catalog stores it
+ * @param {Object} [overrides] - Fields to change
+ * @returns {Object} Product
+ */
+function product(overrides = {}) {
+  return {
+    productId: 'cola',
+    name: 'Cola',
+    price: 1.5,
+    category: 'drinks',
+    sku: 'COLA-1',
+    stockOnHand: 10,
+    allowNegativeStock: false,
+    ...overrides,
+  };
+}
+
+/**
+ * Transaction as recorded: three colas and a bag of chips with 10% tax, paid in cash
+ * @param {Object} [overrides] - Fields to change
+ * @returns {Object} Transaction
+ */
+function transaction(overrides = {}) {
+  return {
+    transactionId: 't1',
+    cashierId: 'cashier-1',
+    status: 'completed',
+    paymentMethod: 'cash',
+    items: [
+      { productId: 'cola', name: 'Cola', price: 1, quantity: 3, lineTotal: 3, grossTotal: 3.3, stockTracked: true },
+      { productId: 'chips', name: 'Chips', price: 2, quantity: 1, lineTotal: 2, grossTotal: 2.2 },
+    ],
+    subtotal: 5,
+    taxTotal: 0.5,
+    total: 5.5,
+    ...overrides,
+  };
+}
+
+/**
+ * Answer DocumentClient calls with the given functions instead of DynamoDB,
+ * until jest.restoreAllMocks()
+ * @param {Object} handlers - Function per method (get, query, transactWrite...) from its params to its result
+ * @returns {Object} Jest spy per method
+ */
+function stubDocumentClient(handlers) {
+  return Object.fromEntries(Object.entries(handlers).map(([method, handler]) => [
+    method,
+    jest.spyOn(AWS.DynamoDB.DocumentClient.prototype, method)
+      .mockImplementation(params => ({ promise: async () => handler(params) })),
+  ]));
+}
+
+/**
+ * Error as the SDK throws it for a failed condition or cancelled transaction
+ * @param {string} code - Error code
+ * @returns {Error} Error
+ */
+function awsError(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+module.exports = {
+  createApp,
+  silenceErrorLog,
+  product,
+  transaction,
+  stubDocumentClient,
+  awsError,
+};
@@ -68,7 +68,16 @@ export const AuthProvider = ({ children }) => {
       setError(null);
       
       const response = await api.post('/auth/login', { username, password });
-      const { tokens: newTokens, user: userData } = response.data;
+      const { tokens: newTokens, user: userData, challenge } = response.data;
+      
+      // No tokens until the challenge is answered through /auth/challenge
+      if (challenge) {
+        const challengeError = new Error(challenge.name === 'NEW_PASSWORD_REQUIRED'
+          ? 'A new password must be chosen before signing in'
+          : 'Sign-in needs another step before it can finish');
+        challengeError.response = { data: { message: challengeError.message, challenge } };
+        throw challengeError;
+      }
       
       // Store tokens in state and localStorage
       setTokens(newTokens);
@@ -138,6 +147,11 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Check a permission of the current user, to hide actions they cannot take
+  const hasPermission = (permission) => {
+    return Boolean(user?.permissions?.includes(permission));
+  };
+
   // Value to be provided by the context
   const value = {
     user,
@@ -148,6 +162,7 @@ export const AuthProvider = ({ children }) => {
     login,
     logout,
     refreshTokens,
+    hasPermission,
   };
 
   return (
@@ -1,6 +1,7 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { useAuth } from './AuthContext';
-import api from '../services/api';
+import { apiService, offlineSync } from '../services/api';
+import { variantPrice } from '../utils/variants';
 
 // Create Cart Context
 const CartContext = createContext();
@@ -14,62 +15,192 @@ export const useCart = () => {
 export const CartProvider = ({ children }) => {
   const [cart, setCart] = useState([]);
   const [total, setTotal] = useState(0);
-  const { isAuthenticated } = useAuth();
-
-  // Calculate total whenever cart changes
+  const [subtotal, setSubtotal] = useState(0);
+  const [tax, setTax] = useState(0);
+  const [taxBreakdown, setTaxBreakdown] = useState([]);
+  const [discount, setDiscount] = useState(0);
+  const [appliedPromotions, setAppliedPromotions] = useState([]);
+  const [cartLines, setCartLines] = useState([]);
+  // Whether the totals are the server's quote for the cart as it is now
+  const [quoted, setQuoted] = useState(false);
+  const [coupons, setCoupons] = useState([]);
+  const [pendingSales, setPendingSales] = useState([]);
+  const [variantChoice, setVariantChoice] = useState(null);
+  // Idempotency key of the checkout attempt in progress, kept until it succeeds or is abandoned
+  const checkoutKey = useRef(null);
+  const { isAuthenticated, user } = useAuth();
+  const username = user?.username;
+  
+  // Replay the sales the signed-in user queued offline
   useEffect(() => {
-    const newTotal = cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
-    setTotal(newTotal);
-  }, [cart]);
-
-  // Add item to cart
-  const addToCart = (product) => {
+    if (!isAuthenticated || !username) {
+      setPendingSales([]);
+      return undefined;
+    }
+    
+    const unsubscribe = offlineSync.onChange(setPendingSales);
+    offlineSync.start(username);
+    
+    return () => {
+      unsubscribe();
+      offlineSync.stop();
+    };
+  }, [isAuthenticated, username]);
+  
+  // Ask the server for promotions and tax whenever the cart changes. Until it
+  // answers, or while it cannot be reached, the cart shows catalog prices only
+  useEffect(() => {
+    const couponCodes = coupons.map(coupon => coupon.couponCode);
+    const listTotal = Math.round(cart.reduce((sum, item) => sum + item.price * item.quantity * 100, 0)) / 100;
+    
+    setCartLines(cart.map(item => ({ ...item, discount: 0, lineTotal: item.price * item.quantity })));
+    setDiscount(0);
+    setAppliedPromotions([]);
+    setSubtotal(listTotal);
+    setTotal(listTotal);
+    setTax(0);
+    setTaxBreakdown([]);
+    setQuoted(false);
+    
+    if (!isAuthenticated || cart.length === 0) {
+      return undefined;
+    }
+    
+    let cancelled = false;
+    
+    apiService.transactions.preview({
+      items: cart.map(item => ({
+        productId: item.productId,
+        ...(item.variantId && { variantId: item.variantId }),
+        quantity: item.quantity
+      })),
+      couponCodes
+    })
+      .then(response => {
+        // Ignore previews for a cart that has since changed
+        if (cancelled) {
+          return;
+        }
+        
+        setCartLines(response.data.items);
+        setSubtotal(response.data.subtotal);
+        setDiscount(response.data.discountTotal);
+        setAppliedPromotions(response.data.appliedPromotions);
+        setTax(response.data.taxTotal);
+        setTaxBreakdown(response.data.taxBreakdown);
+        setTotal(response.data.total);
+        setQuoted(true);
+      })
+      .catch(error => {
+        console.error('Cart preview error:', error);
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [cart, coupons, isAuthenticated]);
+  
+  // Add item to cart; a product with variants first asks which variant
+  const addToCart = (product, variant) => {
+    if (product.variants?.length > 0 && !variant) {
+      setVariantChoice(product);
+      return;
+    }
+    
+    const { variants, ...productFields } = product;
+    const line = variant
+      ? {
+        ...productFields,
+        variantId: variant.productId,
+        variantOptions: variant.options,
+        name: `${product.name} (${variant.label})`,
+        sku: variant.sku,
+        price: variantPrice(product, variant),
+        lineId: variant.productId
+      }
+      : { ...productFields, lineId: product.productId };
+    
     setCart(prevCart => {
       // Check if product already exists in cart
-      const existingItem = prevCart.find(item => item.productId === product.productId);
+      const existingItem = prevCart.find(item => item.lineId === line.lineId);
       
       if (existingItem) {
         // Update quantity if product already in cart
         return prevCart.map(item => 
-          item.productId === product.productId 
+          item.lineId === line.lineId 
             ? { ...item, quantity: item.quantity + 1 } 
             : item
         );
       } else {
         // Add new product to cart
-        return [...prevCart, { ...product, quantity: 1 }];
+        return [...prevCart, { ...line, quantity: 1 }];
       }
     });
   };
-
-  // Update item quantity
-  const updateQuantity = (productId, quantity) => {
+  
+  // Add the variant picked for the product waiting on a choice
+  const chooseVariant = (variant) => {
+    if (variantChoice && variant) {
+      addToCart(variantChoice, variant);
+    }
+    setVariantChoice(null);
+  };
+  
+  // Update item quantity, by lineId (the variant ID, or product ID for products without variants)
+  const updateQuantity = (lineId, quantity) => {
     if (quantity <= 0) {
-      removeFromCart(productId);
+      removeFromCart(lineId);
       return;
     }
     
     setCart(prevCart => 
       prevCart.map(item => 
-        item.productId === productId 
+        item.lineId === lineId 
           ? { ...item, quantity } 
           : item
       )
     );
   };
-
-  // Remove item from cart
-  const removeFromCart = (productId) => {
-    setCart(prevCart => prevCart.filter(item => item.productId !== productId));
+  
+  // Remove item from cart, by lineId
+  const removeFromCart = (lineId) => {
+    setCart(prevCart => prevCart.filter(item => item.lineId !== lineId));
   };
-
+  
+  // Apply a coupon code to the cart; the server matches codes regardless of case
+  const applyCoupon = async (code) => {
+    try {
+      const response = await apiService.promotions.getByCouponCode(code.trim());
+      setCoupons(prevCoupons => (
+        prevCoupons.some(coupon => coupon.couponCode === response.data.couponCode)
+          ? prevCoupons
+          : [...prevCoupons, response.data]
+      ));
+    } catch (error) {
+      console.error('Coupon error:', error);
+      throw new Error(error.response?.data?.message || 'Coupon code could not be applied');
+    }
+  };
+  
+  // Remove a coupon code from the cart, as applied
+  const removeCoupon = (couponCode) => {
+    setCoupons(prevCoupons => prevCoupons.filter(coupon => coupon.couponCode !== couponCode));
+  };
+  
+  // Give up on the checkout attempt in progress, so the next checkout is a new sale
+  const abandonCheckout = () => {
+    checkoutKey.current = null;
+  };
+  
   // Clear cart
   const clearCart = () => {
     setCart([]);
+    setCoupons([]);
+    abandonCheckout();
   };
-
-  // Process checkout
-  const checkout = async (paymentMethod) => {
+  
+  // Process checkout with a payment method, or an array of { method, amount, reference } tenders
+  const checkout = async (payment) => {
     if (!isAuthenticated || cart.length === 0) {
       return null;
     }
@@ -78,34 +209,84 @@ export const CartProvider = ({ children }) => {
       const transaction = {
         items: cart.map(item => ({
           productId: item.productId,
+          ...(item.variantId && { variantId: item.variantId }),
           name: item.name,
           price: item.price,
           quantity: item.quantity
         })),
-        total,
-        paymentMethod
+        // Only a total the server quoted is worth checking against; without one it prices the sale itself
+        ...(quoted && { total }),
+        ...(Array.isArray(payment) ? { payments: payment } : { paymentMethod: payment }),
+        couponCodes: coupons.map(coupon => coupon.couponCode)
       };
       
-      const response = await api.post('/transactions', transaction);
-      return response.data;
+      // Every retry of this attempt reuses its key, even after cart edits, so the
+      // server never records it twice; an edited cart is refused rather than sold again
+      if (!checkoutKey.current) {
+        checkoutKey.current = crypto.randomUUID();
+      }
+      const idempotencyKey = checkoutKey.current;
+      
+      try {
+        const response = await apiService.transactions.create(transaction, idempotencyKey);
+        checkoutKey.current = null;
+        return response.data;
+      } catch (error) {
+        // No response means the API is unreachable, keep selling and sync later
+        if (error.response) {
+          throw error;
+        }
+        
+        const offlineSale = {
+          ...transaction,
+          clientTransactionId: idempotencyKey,
+          saleTimestamp: new Date().toISOString()
+        };
+        
+        // A sale that may have reached the server is queued under the same key
+        await offlineSync.queueSale(offlineSale);
+        checkoutKey.current = null;
+        
+        return {
+          ...offlineSale,
+          transactionId: offlineSale.clientTransactionId,
+          status: 'pending_sync'
+        };
+      }
     } catch (error) {
       console.error('Checkout error:', error);
       throw error;
     }
   };
-
+  
   // Value to be provided by the context
   const value = {
     cart,
+    cartLines,
+    discount,
+    appliedPromotions,
+    couponCodes: coupons.map(coupon => coupon.couponCode),
+    subtotal,
+    tax,
+    taxBreakdown,
     total,
     addToCart,
+    variantChoice,
+    chooseVariant,
+    cancelVariantChoice: () => setVariantChoice(null),
     updateQuantity,
     removeFromCart,
     clearCart,
+    applyCoupon,
+    removeCoupon,
     checkout,
+    abandonCheckout,
+    pendingSales,
+    retryPendingSale: (clientTransactionId, options) => offlineSync.retry(clientTransactionId, options),
+    discardPendingSale: (clientTransactionId) => offlineSync.discard(clientTransactionId),
     itemCount: cart.reduce((count, item) => count + item.quantity, 0)
   };
-
+  
   return (
     <CartContext.Provider value={value}>
       {children}
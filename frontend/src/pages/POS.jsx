@@ -1,42 +1,172 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { useCart } from '../contexts/CartContext';
+import { apiService } from '../services/api';
+import { variantPrice } from '../utils/variants';
 import ProductCatalog from '../components/pos/ProductCatalog';
 import ShoppingCart from '../components/pos/ShoppingCart';
 import Checkout from '../components/pos/Checkout';
-import { Container, Grid, Paper, Typography, Box, Divider } from '@mui/material';
+import {
+  Container,
+  Grid,
+  Paper,
+  Typography,
+  Box,
+  Divider,
+  Button,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  List,
+  ListItemButton,
+  ListItemText,
+} from '@mui/material';
+
+// Scanners type like a very fast keyboard and finish with Enter
+const SCAN_MAX_KEY_GAP_MS = 50;
+const SCAN_MIN_LENGTH = 6;
 
 const POS = () => {
   const { user } = useAuth();
-  const { cart, clearCart } = useCart();
+  const {
+    cart,
+    addToCart,
+    variantChoice,
+    chooseVariant,
+    cancelVariantChoice,
+    clearCart,
+    abandonCheckout,
+    pendingSales,
+    retryPendingSale,
+    discardPendingSale,
+  } = useCart();
   const [isCheckingOut, setIsCheckingOut] = useState(false);
   const [transactionComplete, setTransactionComplete] = useState(false);
   const [transactionData, setTransactionData] = useState(null);
-
+  const [receipt, setReceipt] = useState(null);
+  const [receiptError, setReceiptError] = useState(null);
+  const receiptFrame = useRef(null);
+  const [unknownBarcode, setUnknownBarcode] = useState(null);
+  const [scanError, setScanError] = useState(null);
+  const scanBuffer = useRef({ code: '', lastKeyAt: 0 });
+  
+  // Capture barcode scans while the sale is being built
+  useEffect(() => {
+    if (isCheckingOut || transactionComplete) {
+      return undefined;
+    }
+    
+    const handleKeyDown = (event) => {
+      const now = Date.now();
+      const buffer = scanBuffer.current;
+      
+      // A slow key is a person typing, so start again
+      if (now - buffer.lastKeyAt > SCAN_MAX_KEY_GAP_MS) {
+        buffer.code = '';
+      }
+      buffer.lastKeyAt = now;
+      
+      if (event.key === 'Enter') {
+        const code = buffer.code;
+        buffer.code = '';
+        
+        if (code.length >= SCAN_MIN_LENGTH) {
+          event.preventDefault();
+          lookUpBarcode(code);
+        }
+      } else if (event.key.length === 1) {
+        buffer.code += event.key;
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isCheckingOut, transactionComplete]);
+  
+  // Add the scanned product to the cart, or ask what to do with an unknown code
+  const lookUpBarcode = async (code) => {
+    setScanError(null);
+    
+    try {
+      const response = await apiService.products.getByBarcode(code);
+      const { matchedVariantId, ...product } = response.data;
+      
+      // A variant's own barcode needs no choosing
+      const variant = product.variants?.find(candidate => candidate.productId === matchedVariantId);
+      addToCart(product, variant);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setUnknownBarcode(code);
+      } else {
+        console.error('Error looking up barcode:', error);
+        setScanError(`Barcode ${code} could not be looked up`);
+      }
+    }
+  };
+  
+  // Load the receipt once the server has the transaction
+  useEffect(() => {
+    if (!transactionData || transactionData.status === 'pending_sync') {
+      return undefined;
+    }
+    
+    let cancelled = false;
+    
+    apiService.transactions.getReceipt(transactionData.transactionId, 'html')
+      .then((response) => {
+        if (!cancelled) {
+          setReceipt(response.data);
+        }
+      })
+      .catch((error) => {
+        console.error('Error loading receipt:', error);
+        if (!cancelled) {
+          setReceiptError('Receipt could not be loaded');
+        }
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [transactionData]);
+  
+  // Print the receipt frame on its own
+  const handlePrintReceipt = () => {
+    receiptFrame.current?.contentWindow?.print();
+  };
+  
   // Handle checkout process
   const handleCheckout = () => {
     setIsCheckingOut(true);
   };
-
+  
   // Handle cancel checkout
   const handleCancelCheckout = () => {
+    abandonCheckout();
     setIsCheckingOut(false);
   };
-
+  
   // Handle successful transaction
   const handleTransactionComplete = (data) => {
     setTransactionData(data);
     setTransactionComplete(true);
     clearCart();
   };
-
+  
   // Start a new transaction
   const handleNewTransaction = () => {
     setTransactionComplete(false);
     setTransactionData(null);
+    setReceipt(null);
+    setReceiptError(null);
     setIsCheckingOut(false);
   };
-
+  
   return (
     <Container maxWidth="xl" sx={{ mt: 4, mb: 4 }}>
       <Typography variant="h4" gutterBottom>
@@ -51,12 +181,98 @@ const POS = () => {
       
       <Divider sx={{ mb: 3 }} />
       
+      {pendingSales.length > 0 && (
+        <Box mb={3}>
+          {pendingSales.filter(sale => sale.syncStatus === 'pending').length > 0 && (
+            <Alert severity="info" sx={{ mb: 1 }}>
+              {pendingSales.filter(sale => sale.syncStatus === 'pending').length} offline sale(s) pending sync
+            </Alert>
+          )}
+          
+          {pendingSales.filter(sale => sale.syncStatus === 'conflict').map(sale => (
+            <Alert
+              key={sale.clientTransactionId}
+              severity="warning"
+              sx={{ mb: 1 }}
+              action={
+                <>
+                  <Button color="inherit" size="small" onClick={() => retryPendingSale(sale.clientTransactionId, { acceptCatalogPrices: true })}>
+                    Accept current prices
+                  </Button>
+                  <Button color="inherit" size="small" onClick={() => discardPendingSale(sale.clientTransactionId)}>
+                    Discard
+                  </Button>
+                </>
+              }
+            >
+              Offline sale from {new Date(sale.saleTimestamp).toLocaleString()} could not be synced: {sale.conflict?.message}
+              {(sale.conflict?.details?.conflicts || []).map((conflict, index) => (
+                <div key={index}>
+                  {conflict.type === 'price_changed' && `${conflict.name}: sold at $${conflict.submittedPrice.toFixed(2)}, now $${conflict.catalogPrice.toFixed(2)}`}
+                  {conflict.type === 'product_not_found' && `Product ${conflict.productId} no longer exists`}
+                  {conflict.type === 'total_changed' && `Total was $${conflict.submitted.toFixed(2)}, now $${conflict.expected.toFixed(2)}`}
+                  {conflict.type === 'coupon_invalid' && `Coupon ${conflict.couponCode} is no longer valid`}
+                  {conflict.type === 'variant_required' && `Product ${conflict.productId} now has variants, choose one`}
+                </div>
+              ))}
+            </Alert>
+          ))}
+        </Box>
+      )}
+      
+      {scanError && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setScanError(null)}>
+          {scanError}
+        </Alert>
+      )}
+      
+      <Dialog open={Boolean(unknownBarcode)} onClose={() => setUnknownBarcode(null)}>
+        <DialogTitle>Unknown barcode</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            No product has the barcode {unknownBarcode}. Find the item in the catalog instead, or ask a manager to add the barcode to it.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setUnknownBarcode(null)} autoFocus>
+            OK
+          </Button>
+        </DialogActions>
+      </Dialog>
+      
+      <Dialog open={Boolean(variantChoice)} onClose={cancelVariantChoice}>
+        <DialogTitle>Choose {variantChoice?.name}</DialogTitle>
+        <List sx={{ minWidth: 320 }}>
+          {(variantChoice?.variants || []).map(variant => (
+            <ListItemButton
+              key={variant.productId}
+              onClick={() => chooseVariant(variant)}
+              disabled={variant.stockOnHand <= 0 && !variant.allowNegativeStock}
+            >
+              <ListItemText
+                primary={variant.label}
+                secondary={`$${variantPrice(variantChoice, variant).toFixed(2)} · ${variant.stockOnHand} in stock${variant.sku ? ` · ${variant.sku}` : ''}`}
+              />
+            </ListItemButton>
+          ))}
+        </List>
+        <DialogActions>
+          <Button onClick={cancelVariantChoice}>Cancel</Button>
+        </DialogActions>
+      </Dialog>
+      
       {transactionComplete ? (
         <Paper sx={{ p: 3, mb: 3 }}>
-          <Typography variant="h5" gutterBottom color="success.main">
-            Transaction Complete
+          <Typography variant="h5" gutterBottom color={transactionData?.status === 'pending_sync' ? 'warning.main' : 'success.main'}>
+            {transactionData?.status === 'pending_sync' ? 'Transaction Saved Offline' : 'Transaction Complete'}
           </Typography>
           
+          {transactionData?.status === 'pending_sync' && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Pending sync: this sale will be sent to the server when the connection returns.
+            </Alert>
+          )}
+          
           <Typography variant="body1" paragraph>
             Transaction ID: {transactionData?.transactionId}
           </Typography>
@@ -65,7 +281,28 @@ const POS = () => {
             Total: ${transactionData?.total.toFixed(2)}
           </Typography>
           
-          <Box mt={3}>
+          {receiptError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {receiptError}
+            </Alert>
+          )}
+          
+          {receipt && (
+            <Box
+              component="iframe"
+              ref={receiptFrame}
+              title="Receipt"
+              srcDoc={receipt}
+              sx={{ width: 360, height: 520, border: 1, borderColor: 'divider' }}
+            />
+          )}
+          
+          <Box mt={3} display="flex" gap={2}>
+            {receipt && (
+              <Button variant="outlined" onClick={handlePrintReceipt}>
+                Print Receipt
+              </Button>
+            )}
             <Button variant="contained" onClick={handleNewTransaction}>
               Start New Transaction
             </Button>
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import offlineQueue from './offlineQueue';
 
 // Load API URL from environment or config.json
 let API_URL = process.env.REACT_APP_API_URL;
@@ -114,6 +115,17 @@ api.interceptors.response.use(
   }
 );
 
+// Follow the lastKey cursor of a listing endpoint, yielding each page's items
+async function* allPages(fetchPage, params = {}) {
+  let lastKey;
+  
+  do {
+    const response = await fetchPage({ ...params, ...(lastKey && { lastKey }) });
+    yield response.data.items;
+    lastKey = response.data.pagination?.lastKey;
+  } while (lastKey);
+}
+
 // API service functions
 const apiService = {
   // Auth endpoints
@@ -124,26 +136,233 @@ const apiService = {
     getUserProfile: () => api.get('/api/auth/me'),
   },
   
+  // User management endpoints
+  users: {
+    list: (params) => api.get('/api/auth/users', { params }),
+    getByUsername: (username) => api.get(`/api/auth/users/${encodeURIComponent(username)}`),
+    create: (user) => api.post('/api/auth/users', user),
+    update: (username, changes) => api.put(`/api/auth/users/${encodeURIComponent(username)}`, changes),
+    setRole: (username, role) => api.put(`/api/auth/users/${encodeURIComponent(username)}/role`, { role }),
+    disable: (username) => api.post(`/api/auth/users/${encodeURIComponent(username)}/disable`),
+    enable: (username) => api.post(`/api/auth/users/${encodeURIComponent(username)}/enable`),
+    resetPassword: (username) => api.post(`/api/auth/users/${encodeURIComponent(username)}/reset-password`),
+    signOut: (username) => api.post(`/api/auth/users/${encodeURIComponent(username)}/sign-out`),
+  },
+  
   // Product endpoints
   products: {
     getAll: (params) => api.get('/api/products', { params }),
     getById: (id) => api.get(`/api/products/${id}`),
-    search: (query) => api.get(`/api/products/search`, { params: { q: query } }),
+    getByBarcode: (code) => api.get(`/api/products/barcode/${encodeURIComponent(code)}`),
+    search: (query, params) => api.get('/api/products/search', { params: { q: query, ...params } }),
+    reindexSearch: () => api.post('/api/products/search/reindex'),
     create: (product) => api.post('/api/products', product),
     update: (id, product) => api.put(`/api/products/${id}`, product),
-    delete: (id) => api.delete(`/api/products/${id}`),
+    archive: (id) => api.delete(`/api/products/${id}`),
+    restore: (id) => api.post(`/api/products/${id}/restore`),
+    purge: (id) => api.delete(`/api/products/${id}/purge`),
+    getArchived: (params) => api.get('/api/products', { params: { ...params, archived: true } }),
+    getPrices: (id, params) => api.get(`/api/products/${id}/prices`, { params }),
+    schedulePrice: (id, price, effectiveFrom) => api.post(`/api/products/${id}/prices`, { price, effectiveFrom }),
+    cancelScheduledPrice: (id, effectiveFrom) => api.delete(`/api/products/${id}/prices/${encodeURIComponent(effectiveFrom)}`),
+    addVariant: (id, variant) => api.post(`/api/products/${id}/variants`, variant),
+    updateVariant: (id, variantId, variant) => api.put(`/api/products/${id}/variants/${variantId}`, variant),
+    archiveVariant: (id, variantId) => api.delete(`/api/products/${id}/variants/${variantId}`),
+    restoreVariant: (id, variantId) => api.post(`/api/products/${id}/variants/${variantId}/restore`),
+    import: (csv, dryRun = false) => api.post('/api/products/import', csv, {
+      params: { dryRun },
+      headers: { 'Content-Type': 'text/csv' },
+    }),
   },
   
   // Transaction endpoints
   transactions: {
-    create: (transaction) => api.post('/api/transactions', transaction),
+    create: (transaction, idempotencyKey) => api.post('/api/transactions', transaction, {
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+    }),
     getById: (id) => api.get(`/api/transactions/${id}`),
-    getByDateRange: (startDate, endDate) => api.get(`/api/transactions/date/${startDate}/${endDate}`),
-    getByCashier: (cashierId) => api.get(`/api/transactions/cashier/${cashierId}`),
-    getOwn: () => api.get('/api/transactions/me'),
+    getByDateRange: (startDate, endDate, params) => api.get(`/api/transactions/date/${startDate}/${endDate}`, { params }),
+    getByCashier: (cashierId, params) => api.get(`/api/transactions/cashier/${cashierId}`, { params }),
+    getOwn: (params) => api.get('/api/transactions/me', { params }),
     getAll: (params) => api.get('/api/transactions', { params }),
+    // Iterate every page: for await (const transactions of iterateAll({ order: 'oldest' })) ...
+    iterateByDateRange: (startDate, endDate, params) => allPages(
+      pageParams => apiService.transactions.getByDateRange(startDate, endDate, pageParams),
+      params,
+    ),
+    iterateByCashier: (cashierId, params) => allPages(
+      pageParams => apiService.transactions.getByCashier(cashierId, pageParams),
+      params,
+    ),
+    iterateOwn: (params) => allPages(apiService.transactions.getOwn, params),
+    iterateAll: (params) => allPages(apiService.transactions.getAll, params),
+    refund: (id, refund) => api.post(`/api/transactions/${id}/refunds`, refund),
+    getRefunds: (id) => api.get(`/api/transactions/${id}/refunds`),
+    void: (id, reason, managerOverride) => api.post(`/api/transactions/${id}/void`, { reason, managerOverride }),
+    getSummary: (params) => api.get('/api/transactions/summary', { params }),
+    preview: (cart) => api.post('/api/transactions/preview', cart),
+    getReceipt: (id, format = 'html') => api.get(`/api/transactions/${id}/receipt`, {
+      params: { format },
+      responseType: ['pdf', 'escpos'].includes(format) ? 'blob' : 'text',
+    }),
+  },
+  
+  // Shift endpoints
+  shifts: {
+    open: (openingFloat, registerId) => api.post('/api/shifts', { openingFloat, registerId }),
+    getCurrent: () => api.get('/api/shifts/current'),
+    getById: (id) => api.get(`/api/shifts/${id}`),
+    recordEvent: (id, event) => api.post(`/api/shifts/${id}/events`, event),
+    getReport: (id) => api.get(`/api/shifts/${id}/report`),
+    close: (id, closing) => api.post(`/api/shifts/${id}/close`, closing),
+  },
+  
+  // Report endpoints
+  reports: {
+    getSales: (params) => api.get('/api/reports/sales', { params }),
+    exportTransactions: (params) => api.get('/api/reports/transactions/export', { params, responseType: 'blob' }),
+  },
+  
+  // Audit log endpoints
+  audit: {
+    list: (params) => api.get('/api/audit', { params }),
+  },
+  
+  // Role endpoints
+  roles: {
+    getAll: () => api.get('/api/roles'),
+    update: (role, definition) => api.put(`/api/roles/${role}`, definition),
+    remove: (role) => api.delete(`/api/roles/${role}`),
+  },
+  
+  // Promotion endpoints
+  promotions: {
+    getAll: () => api.get('/api/promotions'),
+    getActive: () => api.get('/api/promotions/active'),
+    getByCouponCode: (code) => api.get(`/api/promotions/coupons/${encodeURIComponent(code)}`),
+    getById: (id) => api.get(`/api/promotions/${id}`),
+    create: (promotion) => api.post('/api/promotions', promotion),
+    update: (id, promotion) => api.put(`/api/promotions/${id}`, promotion),
+    delete: (id) => api.delete(`/api/promotions/${id}`),
+  },
+};
+
+// Background sync of sales queued while offline. Each sale is kept with the
+// user who rang it up and only synced while they are signed in, as the server
+// records a sale against whoever sends it
+const offlineSync = {
+  listeners: new Set(),
+  syncing: false,
+  timer: null,
+  username: null,
+  
+  // Subscribe to queue changes, returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
+  
+  async notify() {
+    const sales = await this.getOwnSales();
+    this.listeners.forEach(listener => listener(sales));
+  },
+  
+  // Sales the signed-in user queued, oldest first
+  async getOwnSales() {
+    const sales = await offlineQueue.getAll();
+    return sales.filter(sale => this.username && sale.queuedBy === this.username);
+  },
+  
+  // Queue a sale that could not reach the API, for the signed-in user
+  async queueSale(sale) {
+    await offlineQueue.put({ ...sale, queuedBy: this.username, syncStatus: 'pending' });
+    await this.notify();
+  },
+  
+  // Replay pending sales in the order they were rung up
+  async syncNow() {
+    if (this.syncing) {
+      return;
+    }
+    
+    this.syncing = true;
+    
+    try {
+      const sales = await this.getOwnSales();
+      
+      for (const sale of sales.filter(pending => pending.syncStatus === 'pending')) {
+        const { syncStatus, conflict, queuedBy, ...transaction } = sale;
+        
+        try {
+          await apiService.transactions.create(transaction, sale.clientTransactionId);
+          await offlineQueue.remove(sale.clientTransactionId);
+        } catch (error) {
+          // Still offline or the server is struggling, try again later
+          if (!error.response || error.response.status >= 500 || error.response.status === 401) {
+            break;
+          }
+          
+          // The server rejected the sale, hold it for the cashier to resolve
+          await offlineQueue.put({
+            ...sale,
+            syncStatus: 'conflict',
+            conflict: error.response.data,
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Offline sync error:', error);
+    } finally {
+      this.syncing = false;
+      await this.notify();
+    }
+  },
+  
+  // Resubmit a conflicted sale, optionally accepting current catalog prices
+  async retry(clientTransactionId, options = {}) {
+    const sale = await offlineQueue.get(clientTransactionId);
+    
+    if (sale && sale.queuedBy === this.username) {
+      await offlineQueue.put({
+        ...sale,
+        syncStatus: 'pending',
+        conflict: undefined,
+        ...(options.acceptCatalogPrices && { acceptCatalogPrices: true }),
+      });
+      await this.syncNow();
+    }
+  },
+  
+  // Drop a sale of the signed-in user from the queue for good
+  async discard(clientTransactionId) {
+    const sale = await offlineQueue.get(clientTransactionId);
+    
+    if (sale && sale.queuedBy === this.username) {
+      await offlineQueue.remove(clientTransactionId);
+    }
+    await this.notify();
+  },
+  
+  // Sync the user's sales when connectivity returns and periodically while running
+  start(username, intervalMs = 30000) {
+    if (this.timer) {
+      return;
+    }
+    
+    this.username = username;
+    this.handleOnline = () => this.syncNow();
+    window.addEventListener('online', this.handleOnline);
+    this.timer = setInterval(() => this.syncNow(), intervalMs);
+    this.syncNow();
+  },
+  
+  stop() {
+    window.removeEventListener('online', this.handleOnline);
+    clearInterval(this.timer);
+    this.timer = null;
+    this.username = null;
   },
 };
 
 export default api;
-export { apiService };
\ No newline at end of file
+export { apiService, offlineSync };
\ No newline at end of file
@@ -0,0 +1,56 @@
+// IndexedDB store for sales rung up while the API was unreachable
+const DB_NAME = 'pos-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingSales';
+
+// Open the database, creating the store on first use
+const openDb = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'clientTransactionId' });
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Run a request against the store and resolve with its result
+const withStore = async (mode, operation) => {
+  const db = await openDb();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+const offlineQueue = {
+  // Save or replace a pending sale
+  put: (sale) => withStore('readwrite', store => store.put(sale)),
+  
+  // Get a pending sale by its client transaction ID
+  get: (clientTransactionId) => withStore('readonly', store => store.get(clientTransactionId)),
+  
+  // Get every pending sale, oldest first
+  getAll: async () => {
+    const sales = await withStore('readonly', store => store.getAll());
+    return sales.sort((a, b) => a.saleTimestamp.localeCompare(b.saleTimestamp));
+  },
+  
+  // Remove a sale once it has synced or been discarded
+  remove: (clientTransactionId) => withStore('readwrite', store => store.delete(clientTransactionId)),
+};
+
+export default offlineQueue;
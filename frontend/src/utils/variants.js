@@ -0,0 +1,13 @@
+/**
+ * Price a variant sells at: its own price, or its product's when it has none
+ * @param {Object} product - Product with variants
+ * @param {Object} variant - One of its variants
+ * @returns {number} Unit price
+ */
+function variantPrice(product, variant) {
+  return variant.price !== undefined && variant.price !== null ? Number(variant.price) : Number(product.price);
+}
+
+export {
+  variantPrice,
+};